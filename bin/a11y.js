@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/* ========= Accessibility audit: axe-core on the server-rendered dashboard and embed views ========= */
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import axe from "axe-core";
+import { JSDOM } from "jsdom";
+import { createElement } from "react";
+import { renderToString } from "react-dom/server";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+// Rendered page states over the default session: as is, and every optional panel and editor open in German
+// with other units
+const STATES = [
+  { name: "default", session: () => ({}), prefs: { locale: "en", units: { mass: "milli", basis: 1 } } },
+  {
+    name: "all panels, de",
+    session: (d) => ({
+      showSensitivity: true,
+      showUncertainty: true,
+      scenarios: d.scenarios.map((s, i) => (i === 1 ? { ...s, eol: { method: "cff", R1: 0.5, R2: 0.9, R2_drop: 0.3, A: "0.2", Q: "1" } } : s)),
+    }),
+    prefs: { locale: "de", units: { mass: "base", basis: 1000 } },
+  },
+];
+
+// The embed build (embed.html) in both views, configured by URL parameters
+const EMBED_STATES = [
+  { name: "embed chart", search: "?view=chart&lang=en" },
+  { name: "embed card, de", search: "?view=card&scenario=s2&lang=de" },
+];
+
+// Without a stylesheet engine jsdom cannot compute colours, so contrast is left to the browser tools
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+// The Tailwind build isn't loaded; this is the one utility that takes content off the screen (the print report)
+const SCREEN_CSS = "<style>.hidden { display: none; }</style>";
+
+// Charts have no size on the server; Recharts warns about every one of them
+const warn = console.warn;
+console.warn = (...args) => String(args[0]).startsWith("The width(") || warn(...args);
+
+const server = await createServer({ root, server: { middlewareMode: true }, appType: "custom", logLevel: "error" });
+let failed = false;
+
+async function audit(name, html) {
+  const { window } = new JSDOM(html, { runScripts: "outside-only", pretendToBeVisual: true });
+  window.eval(axe.source);
+  const { violations } = await window.axe.run(window.document, AXE_OPTIONS);
+
+  console.log(`${name}: ${violations.length ? `${violations.length} violation(s)` : "no violations"}`);
+  for (const v of violations) {
+    failed = true;
+    console.log(`  ${v.id} (${v.impact}): ${v.help}`);
+    for (const node of v.nodes.slice(0, 5)) console.log(`    ${node.target.join(" ")}`);
+    if (v.nodes.length > 5) console.log(`    … ${v.nodes.length - 5} more`);
+  }
+  window.close();
+}
+
+const page = (file, body, locale) =>
+  readFileSync(new URL(`../${file}`, import.meta.url), "utf8")
+    .replace(/<script[\s\S]*?<\/script>/g, "")
+    .replace('<div id="root"></div>', `<div id="root">${body}</div>`)
+    .replace('<html lang="en">', `<html lang="${locale}">`)
+    .replace("</head>", `${SCREEN_CSS}</head>`);
+
+try {
+  const { default: App } = await server.ssrLoadModule("/src/App.jsx");
+  const { default: EmbedApp } = await server.ssrLoadModule("/src/EmbedApp.jsx");
+  const { defaultSession, encodeSession } = await server.ssrLoadModule("/src/session.js");
+
+  for (const state of STATES) {
+    const storage = new Map([
+      ["mup-dashboard:session", encodeSession({ ...defaultSession(), ...state.session(defaultSession()) })],
+      ["mup-dashboard:prefs", JSON.stringify(state.prefs)],
+    ]);
+    globalThis.localStorage = { getItem: (k) => storage.get(k) ?? null, setItem: (k, v) => storage.set(k, v) };
+    await audit(state.name, page("index.html", renderToString(createElement(App)), state.prefs.locale));
+  }
+
+  for (const state of EMBED_STATES) {
+    globalThis.location = new URL(`http://localhost/embed.html${state.search}`);
+    const locale = new URLSearchParams(state.search).get("lang");
+    await audit(state.name, page("embed.html", renderToString(createElement(EmbedApp)), locale));
+  }
+} finally {
+  await server.close();
+}
+process.exitCode = failed ? 1 : 0;
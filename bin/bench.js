@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/* ========= Benchmark: main-thread work per edit on a long horizon with many scenarios ========= */
+import { performance } from "node:perf_hooks";
+import { goalSeek, solveBreakEven } from "../src/breakeven.js";
+import { chartRows, sampleCycles } from "../src/chart.js";
+import { DEFAULT_COMPARATORS, breakEvenMatrix, comparatorFor } from "../src/comparators.js";
+import { resolveConstants } from "../src/constants.js";
+import { computeContributions, contributionTable } from "../src/contributions.js";
+import { diffSides, resolveSide } from "../src/diff.js";
+import { DEFAULT_EOL } from "../src/eol.js";
+import { DEFAULT_FLEET, resolveFleet, simulateFleet } from "../src/fleet.js";
+import { compareIndicators, indicatorByKey, indicatorConstants, modelScenario, resolveImpacts, toImpactsInput } from "../src/indicators.js";
+import { computeSeries } from "../src/lca.js";
+import { createListMemo } from "../src/memo.js";
+import { DEFAULT_SCENARIOS, updateScenario } from "../src/scenarios.js";
+import { defaultSession } from "../src/session.js";
+import { DEFAULT_HEATMAP, computeHeatmap, computeSensitivity, resolveHeatmap, resolveKpi } from "../src/sensitivity.js";
+import { DEFAULT_SWEEP, computeSweep, resolveSweep } from "../src/sweep.js";
+import { N_MAX_FIELD, resolveScenario } from "../src/validation.js";
+import { scenarioWarnings } from "../src/warnings.js";
+
+// One frame at 60 Hz
+const FRAME_MS = 1000 / 60;
+// Half a second, where a pause after typing starts to feel like a hang
+const STRESS_MS = 500;
+
+const USAGE = `Usage: node bin/bench.js [--n N] [--scenarios K] [--edits E]
+
+Replays E edits of one scenario (default 40) over K scenarios (default 12, every fourth with an ageing
+profile, every fourth with the EoL sub-model) on a horizon of N cycles (default 20000), deriving what the
+dashboard derives on the main thread after each edit: the per-scenario caches, the thinned-out chart rows
+and every panel showing the edited scenario. Fails when the median edit takes longer than one frame.
+The sweep, tornado, heatmap and fleet run in a worker; their times are listed for reference.
+Then times the worst single panels once: the contribution table at N = ${N_MAX_FIELD.max} of an ageing
+scenario and the fleet with a one-day circulation over 30 years, failing when either takes over ${STRESS_MS} ms.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { n: 20000, scenarios: 12, edits: 40 };
+  const int = (v, min, max, name) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) throw new UsageError(`--${name} must be a whole number ${min}–${max}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--help" || a === "-h") opts.help = true;
+    else if (a === "--n") opts.n = int(argv[++i], 1, N_MAX_FIELD.max, "n");
+    else if (a === "--scenarios") opts.scenarios = int(argv[++i], 1, 100, "scenarios");
+    else if (a === "--edits") opts.edits = int(argv[++i], 1, 10000, "edits");
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+// The default scenarios first (the panels show s2), then variants with other distances, profiles and EoL routes
+function benchScenarios(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const base = DEFAULT_SCENARIOS[i % DEFAULT_SCENARIOS.length];
+    if (i < DEFAULT_SCENARIOS.length) return base;
+    return {
+      ...base,
+      id: `b${i + 1}`,
+      name: `${base.name} ${i + 1}`,
+      KM_ONE_WAY: String(100 + 25 * i),
+      ...(i % 4 === 3 ? { profiles: { p_scr: { type: "linear", slope: "0.00001" } } } : {}),
+      ...(i % 4 === 2 ? { eol: DEFAULT_EOL } : {}),
+    };
+  });
+}
+
+/**
+ * The dashboard's derivations after an edit, as in App.jsx and the panels on the scenario with `panelId`.
+ * With `caches` the per-scenario results carry over between edits; without, everything is recomputed and
+ * the chart gets a row per cycle (the dashboard before the caches and the downsampling).
+ */
+function createDashboard(session, panelId, caches) {
+  const memo = () => (caches ? createListMemo() : (items, deps, compute) => items.map(compute));
+  const checkMemo = memo();
+  const resultMemo = memo();
+  const warningMemo = memo();
+  const indicatorMemo = memo();
+  const matrixMemo = memo();
+  const sideMemos = [memo(), memo()];
+  const { values: constants } = resolveConstants(session.constantsInput);
+  const { values: impacts } = resolveImpacts(session.impactsInput);
+  const indicator = indicatorByKey(session.indicator);
+  const modelConstants = indicatorConstants(constants, impacts, indicator.key);
+  const comparators = session.comparators.map((c) => comparatorFor(c, indicator.key));
+  const fleet = resolveFleet(DEFAULT_FLEET).values;
+  const N = session.N_max_top;
+
+  return (scenarios) => {
+    const time = {};
+    const stage = (name, fn) => {
+      const t0 = performance.now();
+      const out = fn();
+      time[name] = (time[name] ?? 0) + performance.now() - t0;
+      return out;
+    };
+    const checks = stage("validation", () =>
+      checkMemo(scenarios, [constants, impacts, indicator.key], (s) => modelScenario(s, constants, impacts, indicator.key))
+    );
+    const modelScenarios = checks.map((c) => c.values);
+    stage("validation", () => scenarios.map((s) => resolveScenario(s).errors));
+    const results = stage("series", () =>
+      resultMemo(modelScenarios, [modelConstants, N], (s) => computeSeries(s, modelConstants, N))
+    );
+    stage("warnings", () =>
+      warningMemo(modelScenarios, [modelConstants, N], (s, i) => scenarioWarnings(s, modelConstants, results[i], N))
+    );
+    stage("comparators", () =>
+      breakEvenMatrix(modelScenarios, modelConstants, comparators, (list, row) => matrixMemo(list, [modelConstants], row))
+    );
+    stage("indicators", () =>
+      indicatorMemo(scenarios, [constants, impacts, N], (s) => compareIndicators(s, constants, impacts, N))
+    );
+    const model = { ...session, scenarios };
+    const diff = stage("diff", () => {
+      const [a, b] = [DEFAULT_SCENARIOS[1].id, DEFAULT_SCENARIOS[2].id].map((id, i) => {
+        const raw = scenarios.find((s) => s.id === id);
+        return sideMemos[i]([raw], [constants, impacts], () => resolveSide(model, id, indicator, N))[0];
+      });
+      return { a, b, ...diffSides(a, b, indicator) };
+    });
+    stage("chart", () =>
+      chartRows(
+        [
+          ...results.map((r, i) => ({ key: `MUP_${scenarios[i].id}`, data: r.data })),
+          { key: "DIFF_A", data: diff.a.result.data },
+          { key: "DIFF_B", data: diff.b.result.data },
+        ],
+        { cycles: caches ? sampleCycles(N) : null }
+      )
+    );
+    const panel = modelScenarios.find((s) => s.id === panelId);
+    stage("panels", () => {
+      solveBreakEven(panel, modelConstants);
+      goalSeek(panel, modelConstants, 20);
+      computeContributions(panel, modelConstants, N, caches ? sampleCycles(N, 100, [20]) : null);
+      contributionTable(panel, modelConstants, 20);
+    });
+    const worker = {
+      sweep: stage("worker", () => computeSweep(modelScenarios, panel, modelConstants, N, resolveSweep(DEFAULT_SWEEP).spec)),
+      tornado: stage("worker", () => computeSensitivity(panel, modelConstants, N)),
+      heatmap: stage("worker", () => {
+        const { kpi, kpiN } = resolveKpi(DEFAULT_HEATMAP);
+        return computeHeatmap(panel, modelConstants, N, resolveHeatmap(DEFAULT_HEATMAP).spec, kpi, kpiN);
+      }),
+      fleet: stage("worker", () => simulateFleet(panel, modelConstants, N, fleet)),
+    };
+    return { time, worker };
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Edits of the distance on the scenario every panel shows, as when dragging its slider
+function replay(opts, caches) {
+  const session = { ...defaultSession(), N_max_top: opts.n, impactsInput: toImpactsInput() };
+  let scenarios = benchScenarios(opts.scenarios);
+  const id = DEFAULT_SCENARIOS[1].id;
+  const dashboard = createDashboard(session, id, caches);
+  dashboard(scenarios); // first render, not an edit
+  const runs = [];
+  for (let e = 0; e < opts.edits; e++) {
+    scenarios = updateScenario(scenarios, id, (s) => ({ ...s, KM_ONE_WAY: String(150 + (e % 50)) }));
+    runs.push(dashboard(scenarios).time);
+  }
+  const stages = Object.keys(runs[0]).filter((k) => k !== "worker");
+  const perEdit = runs.map((t) => stages.reduce((sum, k) => sum + t[k], 0));
+  return { stages, runs, perEdit: median(perEdit), worker: median(runs.map((t) => t.worker)) };
+}
+
+// Settings the panels allow but the replay does not reach: a table N at the longest horizon of a scenario that
+// ages (no constant tail to shortcut) and a pool turning over daily, so the fleet takes its most sub-steps
+function stressCases() {
+  const { values: constants } = resolveConstants(defaultSession().constantsInput);
+  const profiles = { p_scr: { type: "linear", slope: "0.00001" } };
+  const aged = resolveScenario({ ...DEFAULT_SCENARIOS[1], profiles }).values;
+  const fleet = resolveFleet({ ...DEFAULT_FLEET, circulationDays: "1", years: "30" }).values;
+  const time = (fn) => {
+    const t0 = performance.now();
+    fn();
+    return performance.now() - t0;
+  };
+  return {
+    table: time(() => contributionTable(aged, constants, N_MAX_FIELD.max)),
+    fleet: time(() => simulateFleet(aged, constants, N_MAX_FIELD.max, fleet)),
+  };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+  const ms = (v) => `${v.toFixed(2).padStart(8)} ms`;
+  const before = replay({ ...opts, edits: Math.min(opts.edits, 5) }, false);
+  const after = replay(opts, true);
+
+  console.log(`N_max = ${opts.n}, ${opts.scenarios} scenarios (${DEFAULT_COMPARATORS.length} comparators), ${opts.edits} edits`);
+  console.log(`${"stage".padEnd(14)}${"recompute all".padStart(16)}${"per edit".padStart(14)}`);
+  for (const k of after.stages) {
+    console.log(`${k.padEnd(14)}${ms(median(before.runs.map((t) => t[k])))}${ms(median(after.runs.map((t) => t[k])))}`);
+  }
+  console.log(`${"main thread".padEnd(14)}${ms(before.perEdit)}${ms(after.perEdit)}   (frame: ${FRAME_MS.toFixed(1)} ms)`);
+  console.log(`${"worker".padEnd(14)}${ms(before.worker)}${ms(after.worker)}   (sweep, tornado, heatmap, fleet)`);
+
+  const stress = stressCases();
+  console.log(`\nWorst cases at N_max = ${N_MAX_FIELD.max}, timed once (limit: ${STRESS_MS} ms)`);
+  console.log(`${"table".padEnd(14)}${ms(stress.table)}   (main thread, ageing profile)`);
+  console.log(`${"fleet".padEnd(14)}${ms(stress.fleet)}   (worker, 1-day circulation over 30 years)`);
+
+  if (after.perEdit > FRAME_MS) {
+    console.error(`Median edit takes ${after.perEdit.toFixed(1)} ms, over one frame`);
+    process.exitCode = 1;
+  }
+  for (const [k, v] of Object.entries(stress)) {
+    if (v <= STRESS_MS) continue;
+    console.error(`The ${k} worst case takes ${v.toFixed(1)} ms, over ${STRESS_MS} ms`);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`bench: ${err.message}\n${err instanceof UsageError ? `\n${USAGE}\n` : ""}`);
+  process.exitCode = 1;
+}
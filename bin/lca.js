@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/* ========= Headless CLI for the LCA model: node bin/lca.js scenario.json [options] ========= */
+import { readFileSync } from "node:fs";
+import { MAX_SCAN_CYCLES, solveBreakEven } from "../src/breakeven.js";
+import { evaluateScenario } from "../src/lca.js";
+
+const USAGE = `Usage: node bin/lca.js [file.json|-] [--n N_max] [--json | --csv]
+
+Reads a scenario JSON file (or stdin) and prints the per-cycle series and break-even.
+Accepted shapes:
+  { "E_manu_mup": 0.0008, "KM_ONE_WAY": 150, "p_ret": 0.98, "p_scr": 0.01, "E_EoL_mup": 0 }
+  { "scenario": { ... }, "constants": { "EF_Al_prim": 8.5 }, "N_max_top": 100 }
+  { "scenarios": [ { "name": "A", ... }, ... ], "constants": { ... } }
+Missing constants use the dashboard defaults.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { file: "-", n: null, format: "table" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--help" || a === "-h") opts.help = true;
+    else if (a === "--json") opts.format = "json";
+    else if (a === "--csv") opts.format = "csv";
+    else if (a === "--n") opts.n = Number(argv[++i]);
+    else if (a.startsWith("--n=")) opts.n = Number(a.slice(4));
+    else if (a.startsWith("-") && a !== "-") throw new UsageError(`Unknown option ${a}`);
+    else opts.file = a;
+  }
+  if (opts.n !== null && !(Number.isInteger(opts.n) && opts.n >= 1)) throw new UsageError("--n must be an integer ≥ 1");
+  return opts;
+}
+
+function toJobs(input, nOverride) {
+  const N_max_top = nOverride ?? input.N_max_top ?? 50;
+  const constants = input.constants?.values ?? input.constants ?? {};
+  const list = Array.isArray(input.scenarios) ? input.scenarios : [input.scenario ?? input];
+  return list.map((s, i) => ({
+    name: s.name ?? (list.length > 1 ? `Scenario ${i + 1}` : "Scenario"),
+    input: { scenario: { ...s, ...(s.inputs ?? {}) }, constants, N_max_top },
+  }));
+}
+
+const g = (v) => `${v.toFixed(2)} g`;
+
+function describeSolution(s) {
+  if (s.status === "reached") return s.exact === s.N ? `N = ${s.N}` : `N = ${s.N} (exact ${s.exact.toFixed(2)})`;
+  if (s.reason === "cycle") return "never: one reuse cycle costs more than SUP";
+  if (s.reason === "scan") return `not within ${MAX_SCAN_CYCLES} cycles (${g(s.limit_g)} there)`;
+  return `never: curve levels off at ${g(s.limit_g)}`;
+}
+
+function printTable(name, r) {
+  const lines = [
+    name,
+    `  survival q        ${r.q.toFixed(4)}`,
+    `  per-cycle burden  ${g(r.E_cycle_g)}`,
+    `  N = 1             ${g(r.firstCost_g)}`,
+    `  N = ${String(r.N_max_top).padEnd(14)}${g(r.lastCost_g)}`,
+    `  SUP reference     ${g(r.constants.E_single_shot * 1000)}`,
+    `  transport         E_fw ${g(r.E_fw_g)}, E_rev ${g(r.E_rev_g)} per cycle`,
+    ...r.transport.map((l) => `    ${l.direction.padEnd(4)}${String(l.name).padEnd(24)}${g(l.E_g)}`),
+    `  break-even        ${r.breakEven ? `N = ${r.breakEven}` : `none within N_max = ${r.N_max_top}`}`,
+    `  solved            ${describeSolution(r.solved)}`,
+    "",
+    "  cycle      MUP_g      SUP_g",
+    ...r.data.map((d) => `  ${String(d.cycle).padStart(5)} ${d.MUP_g.toFixed(4).padStart(10)} ${d.SUP_g.toFixed(4).padStart(10)}`),
+    "",
+  ];
+  process.stdout.write(lines.join("\n") + "\n");
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+  const text = readFileSync(opts.file === "-" ? 0 : opts.file, "utf8");
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const results = toJobs(input, opts.n).map((job) => {
+    const r = evaluateScenario(job.input);
+    return { name: job.name, ...r, solved: solveBreakEven(job.input.scenario, r.constants) };
+  });
+
+  if (opts.format === "json") {
+    process.stdout.write(JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + "\n");
+  } else if (opts.format === "csv") {
+    const header = ["cycle", "SUP_g", ...results.map((r) => `MUP_g ${r.name}`)];
+    const rows = results[0].data.map((d, i) => [d.cycle, d.SUP_g, ...results.map((r) => r.data[i].MUP_g)]);
+    process.stdout.write([header, ...rows].map((r) => r.join(",")).join("\n") + "\n");
+  } else {
+    results.forEach((r) => printTable(r.name, r));
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`lca: ${err.message}\n${err instanceof UsageError ? `\n${USAGE}\n` : ""}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/* ========= Local JSON API for the LCA model: node bin/server.js [--port 8787] [--host 127.0.0.1] ========= */
+import { createServer } from "node:http";
+import { API_ROUTES, handleApiRequest } from "../src/api.js";
+import { MAX_CHART_POINTS } from "../src/chart.js";
+
+const USAGE = `Usage: node bin/server.js [--port N] [--host ADDRESS] [--origin ORIGIN]
+
+Serves the LCA model as JSON on http://127.0.0.1:8787 (PORT / HOST from the environment also work).
+${API_ROUTES.map((r) => `  ${r.method.padEnd(5)}${r.path.padEnd(16)}${r.description}`).join("\n")}
+POST bodies take the same shapes as bin/lca.js, plus an optional "sensitivity" ({ kpi, kpiN, perturbations },
+or false to skip it) and "series": "full" for every cycle instead of a sample of ${MAX_CHART_POINTS}.
+Browsers on other origins are refused unless --origin names theirs (e.g. the embed's https://example.org)
+or allows any with --origin '*'.`;
+
+// Scenario requests are a few kB; anything far larger is a mistake
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { port: Number(process.env.PORT ?? 8787), host: process.env.HOST ?? "127.0.0.1", origin: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--help" || a === "-h") opts.help = true;
+    else if (a === "--port") opts.port = Number(argv[++i]);
+    else if (a === "--host") opts.host = argv[++i];
+    else if (a === "--origin") opts.origin = argv[++i];
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  if (!(Number.isInteger(opts.port) && opts.port >= 0 && opts.port < 65536)) throw new UsageError("--port must be 0–65535");
+  if (!opts.host || opts.origin === "" || opts.origin === undefined) throw new UsageError("--host and --origin need a value");
+  return opts;
+}
+
+// Resolves null as soon as the body is over MAX_BODY_BYTES; the caller answers 413 and drains the rest
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+        return;
+      }
+      req.off("data", onData);
+      chunks.length = 0;
+      resolve(null);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+  // Without --origin no CORS headers are sent, so only same-origin pages and non-browser clients get answers
+  const cors = opts.origin
+    ? {
+        "Access-Control-Allow-Origin": opts.origin,
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      }
+    : {};
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { ...cors, ...headers, "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body) + "\n");
+  };
+
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    let body;
+    try {
+      body = req.method === "POST" ? await readBody(req) : "";
+    } catch {
+      // The client went away mid-request; there is nobody to answer
+      res.destroy();
+      return;
+    }
+    if (body === null) {
+      // Answered before the rest of the body arrives, which is read and dropped so the socket closes cleanly
+      send(res, 413, { error: `Request body over ${MAX_BODY_BYTES} bytes` }, { Connection: "close" });
+      req.resume();
+      return;
+    }
+    try {
+      const answer = handleApiRequest({ method: req.method, path: pathname, body });
+      send(res, answer.status, answer.body);
+    } catch (err) {
+      process.stderr.write(`server: ${err.stack}\n`);
+      send(res, 500, { error: "Internal error" });
+    }
+  });
+  server.listen(opts.port, opts.host, () => {
+    const { port } = server.address();
+    process.stdout.write(`LCA API on http://${opts.host}:${port}/api\n`);
+  });
+  for (const signal of ["SIGINT", "SIGTERM"]) process.on(signal, () => server.close());
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`server: ${err.message}\n${err instanceof UsageError ? `\n${USAGE}\n` : ""}`);
+  process.exitCode = 1;
+}
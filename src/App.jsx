@@ -1,220 +1,176 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect, useRef } from "react";
+import { flushSync } from "react-dom";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ReferenceLine,
-  ResponsiveContainer,
-  BarChart,
-  Bar,
-} from "recharts";
-
-/* ========= Helpers at module scope (avoid remounts & focus loss) ========= */
-function toNum(v, fallback = 0) {
-  const n = typeof v === "string" ? parseFloat(v) : v;
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function computeSeries(params, constants, N_max_top) {
-  const {
-    m_Al_mup,
-    EF_Al_prim,
-    E_fw_init,
-    E_single_shot,
-    E_use,
-    E_clean,
-    T_FACTOR_PER_100KM,
-  } = constants;
-
-  // Safe coerce (allow string states)
-  const E_manu_mup = toNum(params.E_manu_mup, 0);
-  const KM_ONE_WAY = toNum(params.KM_ONE_WAY, 0);
-  const p_ret = Math.min(1, Math.max(0, toNum(params.p_ret, 0)));
-  const p_scr = Math.min(1, Math.max(0, toNum(params.p_scr, 0)));
-  const E_EoL_mup = toNum(params.E_EoL_mup, 0);
-
-  const T_FACTOR_PER_KM = T_FACTOR_PER_100KM / 100.0;
-  const E_fw = T_FACTOR_PER_KM * KM_ONE_WAY;
-  const E_rev = T_FACTOR_PER_KM * KM_ONE_WAY;
-
-  const E_mat_mup = m_Al_mup * EF_Al_prim;
-  const E_start = E_mat_mup + E_manu_mup + E_fw_init;
-  const E_cycle = E_clean + E_fw + E_use + E_rev;
-
-  const q = p_ret * (1 - p_scr);
-
-  function U_eff_js(N, q) {
-    if (q === 1) return N;
-    return (1 - q ** N) / (1 - q);
-  }
-
-  const data = [];
-  let firstCost = null;
-  let lastCost = null;
-  let breakEven = null;
-
-  for (let N = 1; N <= N_max_top; N++) {
-    const U = U_eff_js(N, q);
-    const E_total_lifetime = E_start + U * E_cycle + E_EoL_mup;
-    const amort = E_total_lifetime / U; // kg
-
-    if (firstCost === null) firstCost = amort;
-    lastCost = amort;
-
-    data.push({
-      cycle: N,
-      MUP_g: amort * 1000, // g
-      SUP_g: E_single_shot * 1000,
-    });
-
-    if (breakEven === null && amort <= E_single_shot) {
-      breakEven = N;
-    }
-  }
-
-  return {
-    data,
-    q,
-    E_cycle_g: E_cycle * 1000,
-    firstCost_g: firstCost * 1000,
-    lastCost_g: lastCost * 1000,
-    breakEven,
-  };
-}
-
-/* ===== Reusable UI (module scope) ===== */
-function Num({ label, value, set, placeholder }) {
-  return (
-    <div className="flex flex-col">
-      <label className="font-medium text-slate-700">{label}</label>
-      <input
-        type="text"
-        inputMode="decimal"
-        placeholder={placeholder}
-        className="mt-1 rounded-lg border border-slate-300 bg-slate-50 p-2 text-slate-900"
-        value={value}
-        onChange={(e) => set(e.target.value)}
-        onBlur={(e) => {
-          const normalized = e.target.value.replace(",", ".").trim();
-          set(normalized);
-        }}
-      />
-      <div className="text-[11px] text-slate-400 mt-1">Press Enter or leave the field to apply.</div>
-    </div>
-  );
-}
-
-function Slider({ label, value, set, min = 0, max = 1, step = 0.01, percent = false }) {
-  return (
-    <div className="flex flex-col">
-      <div className="flex items-center justify-between">
-        <label className="font-medium text-slate-700">{label}</label>
-        <span className="text-xs font-semibold text-slate-700 bg-slate-100 rounded px-2 py-0.5">
-          {percent ? `${(value * 100).toFixed(0)}%` : value}
-        </span>
-      </div>
-      <input
-        type="range"
-        min={min}
-        max={max}
-        step={step}
-        value={value}
-        onChange={(e) => set(parseFloat(e.target.value))}
-        className="mt-2 w-full accent-emerald-600"
-      />
-    </div>
-  );
-}
-
-function BEBadge({ be, color }) {
-  return (
-    <div
-      className={`inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-semibold border`}
-      style={{
-        color: be ? color : "#334155",
-        backgroundColor: be ? `${color}20` : "#f1f5f9",
-        borderColor: be ? color : "#e2e8f0",
-      }}
-      title={be ? `Break-even at cycle N=${be}` : "No break-even within horizon"}
-    >
-      <span
-        className="inline-block h-2.5 w-2.5 rounded-full"
-        style={{ backgroundColor: be ? color : "#94a3b8" }}
-      />
-      {be ? `Break-even N=${be}` : "No break-even"}
-    </div>
-  );
-}
+  CONSTANT_FIELDS,
+  DEFAULT_CONSTANTS,
+  DEFAULT_SET_NAME,
+  describeConstants,
+  loadConstantSets,
+  resolveConstants,
+  saveConstantSets,
+  toConstantsInput,
+  validateValue,
+} from "./constants.js";
+import { computeSeries } from "./lca.js";
+import { DEFAULT_HEATMAP, DEFAULT_SENSITIVITY } from "./sensitivity.js";
+import {
+  DEFAULT_SCENARIOS,
+  addScenario,
+  appendScenarios,
+  duplicateScenario,
+  moveScenario,
+  removeScenario,
+  scenarioDash,
+  updateScenario,
+} from "./scenarios.js";
+import { MC_PARAMS, buildMonteCarloJob } from "./montecarlo.js";
+import { useMonteCarlo } from "./useMonteCarlo.js";
+import MonteCarloPanel from "./components/MonteCarloPanel.jsx";
+import { loadSession, readHashSession, saveSession } from "./session.js";
+import {
+  buildCyclesCsv,
+  buildJsonBundle,
+  buildSweepCsv,
+  buildSweepJson,
+  downloadBlob,
+  downloadText,
+  serializeChartSvg,
+  svgToDataUrl,
+  svgToPngBlob,
+} from "./export.js";
+import ExportMenu from "./components/ExportMenu.jsx";
+import PrintReport from "./components/PrintReport.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import ScenarioCard, { IconButton, Num } from "./components/ScenarioCard.jsx";
+import ContributionPanel from "./components/ContributionPanel.jsx";
+import FleetPanel from "./components/FleetPanel.jsx";
+import { DEFAULT_FLEET } from "./fleet.js";
+import SweepPanel from "./components/SweepPanel.jsx";
+import { DEFAULT_SWEEP } from "./sweep.js";
+import ComparatorPanel from "./components/ComparatorPanel.jsx";
+import { breakEvenMatrix, comparatorFor } from "./comparators.js";
+import {
+  INDICATORS,
+  indicatorByKey,
+  indicatorConstants,
+  modelScenario,
+  resolveImpacts,
+  setScenarioImpact,
+} from "./indicators.js";
+import ImpactFactorsPanel from "./components/ImpactFactorsPanel.jsx";
+import IndicatorPanel from "./components/IndicatorPanel.jsx";
+import DiffPanel from "./components/DiffPanel.jsx";
+import { DIFF_COLORS, diffSides, resolveSide } from "./diff.js";
+import NumberInput from "./components/NumberInput.jsx";
+import CycleChart from "./components/CycleChart.jsx";
+import { chartRows, sampleCycles } from "./chart.js";
+import { createListMemo } from "./memo.js";
+import { I18nContext, LOCALES, UNIT_BASES, UNIT_MASSES, i18nHelpers, loadPrefs, savePrefs, translate, unitFactor, useI18n } from "./i18n.js";
+import { N_MAX_FIELD, resolveScenario } from "./validation.js";
+import { scenarioWarnings } from "./warnings.js";
+import WarningsPanel from "./components/WarningsPanel.jsx";
+import {
+  EMPTY_HISTORY,
+  addSnapshot,
+  isTextEntry,
+  loadSnapshots,
+  pickModel,
+  recordEdit,
+  redo,
+  removeSnapshot,
+  saveSnapshots,
+  undo,
+} from "./history.js";
+
+function AssumptionsPanel({
+  input,
+  setInput,
+  errors,
+  sets,
+  activeSetName,
+  isModified,
+  onSelectSet,
+  onSaveSet,
+  onDeleteSet,
+  onReset,
+}) {
+  const [newName, setNewName] = useState("");
+  const { t, tl, tu, tm, input: localeInput } = useI18n();
+  const isBuiltIn = activeSetName === DEFAULT_SET_NAME;
+  const trimmed = newName.trim();
 
-function ScenarioCard({ title, color, state, setState, result, N_max_top }) {
   return (
     <section className="bg-white rounded-2xl shadow p-4 border border-slate-200">
-      <div className="flex items-center justify-between mb-3">
-        <h3 className="font-semibold text-slate-900 text-lg" style={{ color }}>
-          {title}
-        </h3>
-        <BEBadge be={result?.breakEven} color={color} />
-      </div>
-
-      <div className="grid grid-cols-1 gap-4 text-sm">
-        <Num
-          label="Manufacturing MUP [kg CO₂e/capsule]"
-          value={state.E_manu_mup}
-          set={(v) => setState((s) => ({ ...s, E_manu_mup: v }))}
-          placeholder="e.g. 0.0008"
-        />
-        <Num
-          label="One-way Transport Distance [km]"
-          value={state.KM_ONE_WAY}
-          set={(v) => setState((s) => ({ ...s, KM_ONE_WAY: v }))}
-          placeholder="e.g. 250"
-        />
-        <Slider
-          label="Return Rate p_ret (0–1)"
-          value={state.p_ret}
-          set={(v) => setState((s) => ({ ...s, p_ret: v }))}
-          percent
-        />
-        <Slider
-          label="Scrap Rate p_scr (0–1)"
-          value={state.p_scr}
-          set={(v) => setState((s) => ({ ...s, p_scr: v }))}
-          percent
-        />
-        <Num
-          label="Net EoL Balance [kg CO₂e/capsule]"
-          value={state.E_EoL_mup}
-          set={(v) => setState((s) => ({ ...s, E_EoL_mup: v }))}
-          placeholder="e.g. -0.0015"
-        />
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("assumptions.title")}</h2>
+        <select
+          className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+          value={activeSetName}
+          onChange={(e) => onSelectSet(e.target.value)}
+          aria-label={t("assumptions.activeSet")}
+        >
+          <option value={DEFAULT_SET_NAME}>{t("assumptions.defaultSet")}</option>
+          {!isBuiltIn && !sets.some((s) => s.name === activeSetName) && (
+            <option value={activeSetName}>{t("assumptions.fromLink", { name: activeSetName })}</option>
+          )}
+          {sets.map((s) => (
+            <option key={s.name} value={s.name}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+        {isModified && <span className="text-xs font-medium text-amber-600">{t("assumptions.modified")}</span>}
+
+        <div className="ml-auto flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="text"
+            placeholder={t("assumptions.saveAs")}
+            className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-slate-900 w-52"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          <button
+            className="rounded-lg border border-emerald-500 px-3 py-1.5 font-medium text-emerald-700 hover:bg-emerald-50 disabled:opacity-40"
+            disabled={!trimmed || trimmed === DEFAULT_SET_NAME || Object.keys(errors).length > 0}
+            onClick={() => {
+              onSaveSet(trimmed);
+              setNewName("");
+            }}
+          >
+            {t("assumptions.saveSet")}
+          </button>
+          <button
+            className="rounded-lg border border-slate-300 px-3 py-1.5 font-medium text-slate-700 hover:bg-slate-50"
+            onClick={onReset}
+          >
+            {t("common.resetDefaults")}
+          </button>
+          {!isBuiltIn && (
+            <button
+              className="rounded-lg border border-red-300 px-3 py-1.5 font-medium text-red-600 hover:bg-red-50"
+              onClick={() => onDeleteSet(activeSetName)}
+            >
+              {t("assumptions.deleteSet")}
+            </button>
+          )}
+        </div>
       </div>
 
-      <div className="grid grid-cols-3 gap-3 text-sm mt-4">
-        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
-          <div className="text-slate-500 text-xs uppercase font-medium">Survival Rate</div>
-          <div className="text-xl font-semibold text-slate-900">
-            {(toNum(state.p_ret, 0) * (1 - toNum(state.p_scr, 0))).toLocaleString(undefined, {
-              style: "percent",
-              maximumFractionDigits: 1,
-            })}
-          </div>
-        </div>
-        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
-          <div className="text-slate-500 text-xs uppercase font-medium">Start (N=1)</div>
-          <div className="text-xl font-semibold text-slate-900">
-            {result ? result.firstCost_g.toFixed(2) : "-"} g
-          </div>
-        </div>
-        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
-          <div className="text-slate-500 text-xs uppercase font-medium">At N = {N_max_top}</div>
-          <div className="text-xl font-semibold text-slate-900">
-            {result ? result.lastCost_g.toFixed(2) : "-"} g
-          </div>
-        </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 text-sm">
+        {CONSTANT_FIELDS.map((f) => (
+          <Num
+            key={f.key}
+            label={`${tl("field", f)} [${tu(f.unit)}]`}
+            value={input[f.key]}
+            set={(v) => setInput((s) => ({ ...s, [f.key]: v }))}
+            placeholder={t("common.defaultValue", { value: localeInput(DEFAULT_CONSTANTS[f.key]) })}
+            error={
+              errors[f.key] &&
+              t("common.usingDefault", { error: tm(errors[f.key]), value: localeInput(DEFAULT_CONSTANTS[f.key]) })
+            }
+          />
+        ))}
       </div>
     </section>
   );
@@ -222,331 +178,846 @@ function ScenarioCard({ title, color, state, setState, result, N_max_top }) {
 
 /* ====================== App ====================== */
 export default function App() {
-  // Shared horizon
-  const [N_max_top, setNMaxTop] = useState(50);
+  // Restored once on startup: shared link (URL hash) → localStorage autosave → defaults
+  const [initial] = useState(loadSession);
+  const [sessionError, setSessionError] = useState(initial.error);
+
+  // Language and result units are preferences of this browser, not part of the shared model
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const updatePrefs = (patch) => {
+    const next = { ...prefs, ...patch };
+    setPrefs(next);
+    savePrefs(next);
+  };
+  const { t, tl, tm, cupUnit } = i18nHelpers(prefs.locale, prefs.units);
+  const unitScale = unitFactor(prefs.units);
+
+  // Screen readers pick the pronunciation from the document language
+  useEffect(() => {
+    document.documentElement.lang = prefs.locale;
+  }, [prefs.locale]);
+
+  // Shared horizon; text that is not a valid horizon stays in the field (and out of the model) until fixed
+  const [N_max_top, setNMaxTopState] = useState(initial.session.N_max_top);
+  const [nMaxInput, setNMaxInput] = useState(null);
+  const nMaxError = nMaxInput === null ? null : validateValue(N_MAX_FIELD, nMaxInput).error;
 
   // Toggle sensitivity (default OFF)
-  const [showSensitivity, setShowSensitivity] = useState(false);
-
-  // Constants (stable)
-  const constants = useMemo(
-    () => ({
-      m_Al_mup: 0.00324,
-      EF_Al_prim: 14.77,
-      E_fw_init: 0.00037,
-      E_single_shot: 0.00437,
-      E_use: 0.0,
-      E_clean: 0.001,
-      T_FACTOR_PER_100KM: 0.00037,
-    }),
-    []
+  const [showSensitivity, setShowSensitivity] = useState(initial.session.showSensitivity);
+
+  // Toggle Monte Carlo uncertainty (default OFF)
+  const [showUncertainty, setShowUncertainty] = useState(initial.session.showUncertainty);
+
+  // Constants: editable (string) inputs, resolved to numbers; named sets in localStorage
+  const [constantsInput, setConstantsInputState] = useState(initial.session.constantsInput);
+  const [constantSets, setConstantSets] = useState(loadConstantSets);
+  const [activeSetName, setActiveSetNameState] = useState(initial.session.activeSetName);
+
+  const { values: constants, errors: constantErrors } = useMemo(
+    () => resolveConstants(constantsInput),
+    [constantsInput]
   );
 
-  // Three scenarios (string fields for text inputs, numbers for sliders)
-  const [worst, setWorst] = useState({
-    name: "Worst Case",
-    E_manu_mup: "0.0010",
-    KM_ONE_WAY: "300",
-    p_ret: 0.95,
-    p_scr: 0.05,
-    E_EoL_mup: "0.0001",
-    color: "#ef4444",
-  });
+  // A set name restored from someone else's link may not exist locally; then there is nothing to compare to
+  const activeSetValues =
+    activeSetName === DEFAULT_SET_NAME
+      ? DEFAULT_CONSTANTS
+      : constantSets.find((s) => s.name === activeSetName)?.values;
+  const constantsModified =
+    !!activeSetValues &&
+    CONSTANT_FIELDS.some(
+      (f) => constantsInput[f.key] !== String(activeSetValues[f.key] ?? DEFAULT_CONSTANTS[f.key])
+    );
+
+  const updateConstantSets = (next) => {
+    setConstantSets(next);
+    saveConstantSets(next);
+  };
 
-  const [expected, setExpected] = useState({
-    name: "Expected Case",
-    E_manu_mup: "0.0008",
-    KM_ONE_WAY: "150",
-    p_ret: 0.98,
-    p_scr: 0.01,
-    E_EoL_mup: "0.0000",
-    color: "#0ea5e9",
-  });
+  const selectConstantSet = (name) => {
+    const set = constantSets.find((s) => s.name === name);
+    setActiveSetName(set ? name : DEFAULT_SET_NAME);
+    setConstantsInput(toConstantsInput(set ? set.values : DEFAULT_CONSTANTS));
+  };
 
-  const [best, setBest] = useState({
-    name: "Best Case",
-    E_manu_mup: "0.0006",
-    KM_ONE_WAY: "100",
-    p_ret: 1.0,
-    p_scr: 0,
-    E_EoL_mup: "-0.0001",
-    color: "#10b981",
-  });
+  const saveConstantSet = (name) => {
+    const entry = { name, values: { ...constants } };
+    const exists = constantSets.some((s) => s.name === name);
+    updateConstantSets(exists ? constantSets.map((s) => (s.name === name ? entry : s)) : [...constantSets, entry]);
+    setActiveSetName(name);
+    setConstantsInput(toConstantsInput(entry.values));
+  };
+
+  const deleteConstantSet = (name) => {
+    updateConstantSets(constantSets.filter((s) => s.name !== name));
+    if (name === activeSetName) selectConstantSet(DEFAULT_SET_NAME);
+  };
+
+  // Scenario list (each entry rendered as its own ScenarioCard)
+  const [scenarios, setScenariosState] = useState(initial.session.scenarios);
 
-  // Results per scenario
-  const resWorst = useMemo(
-    () => computeSeries(worst, constants, N_max_top),
-    [worst, constants, N_max_top]
+  // Single-use comparators: each gets a reference line and a column in the break-even matrix
+  const [comparators, setComparatorsState] = useState(initial.session.comparators);
+
+  // Impact indicator shown throughout; the other indicators' constants are edited separately
+  const [indicatorKey, setIndicatorKey] = useState(initial.session.indicator);
+  const indicator = indicatorByKey(indicatorKey);
+  const [impactsInput, setImpactsInputState] = useState(initial.session.impactsInput);
+  const { values: impacts, errors: impactErrors } = useMemo(() => resolveImpacts(impactsInput), [impactsInput]);
+
+  // Model inputs of the selected indicator (the climate inputs unchanged for climate change)
+  const modelConstants = useMemo(
+    () => indicatorConstants(constants, impacts, indicator.key),
+    [constants, impacts, indicator.key]
   );
-  const resExpected = useMemo(
-    () => computeSeries(expected, constants, N_max_top),
-    [expected, constants, N_max_top]
+  // Per-scenario caches: editing one card recomputes that scenario only (updateScenario keeps the others)
+  const [checkMemo] = useState(createListMemo);
+  const [resultMemo] = useState(createListMemo);
+  const [warningMemo] = useState(createListMemo);
+  const [matrixMemo] = useState(createListMemo);
+  // Validated: invalid inputs are reported inline and replaced by defaults, never read as 0
+  const scenarioChecks = useMemo(
+    () => checkMemo(scenarios, [constants, impacts, indicator.key], (s) => modelScenario(s, constants, impacts, indicator.key)),
+    [checkMemo, scenarios, constants, impacts, indicator.key]
   );
-  const resBest = useMemo(
-    () => computeSeries(best, constants, N_max_top),
-    [best, constants, N_max_top]
+  const modelScenarios = useMemo(() => scenarioChecks.map((c) => c.values), [scenarioChecks]);
+  // The cards edit the climate inputs, checked as entered whatever indicator is shown
+  const scenarioErrors = useMemo(() => scenarios.map((s) => resolveScenario(s).errors), [scenarios]);
+
+  /* ===== Undo / redo over all model edits, named snapshots ===== */
+  const model = useMemo(
+    () => ({ scenarios, constantsInput, activeSetName, comparators, impactsInput, N_max_top }),
+    [scenarios, constantsInput, activeSetName, comparators, impactsInput, N_max_top]
   );
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+
+  // Model setters record the state before the edit; quick successive edits share one undo step
+  const tracked = (set) => (value) => {
+    const now = Date.now();
+    setHistory((h) => recordEdit(h, model, now));
+    set(value);
+  };
+  const setScenarios = tracked(setScenariosState);
+  const setConstantsInput = tracked(setConstantsInputState);
+  const setActiveSetName = tracked(setActiveSetNameState);
+  const setComparators = tracked(setComparatorsState);
+  const setImpactsInput = tracked(setImpactsInputState);
+  const setNMaxTop = tracked(setNMaxTopState);
+  const changeNMax = (text) => {
+    const { value, error } = validateValue(N_MAX_FIELD, text);
+    setNMaxInput(error ? text : null);
+    if (!error) setNMaxTop(value);
+  };
+
+  const restoreModel = (m) => {
+    setScenariosState(m.scenarios);
+    setConstantsInputState(m.constantsInput);
+    setActiveSetNameState(m.activeSetName);
+    setComparatorsState(m.comparators);
+    setImpactsInputState(m.impactsInput);
+    setNMaxTopState(m.N_max_top);
+  };
+  const stepHistory = (step) => {
+    const next = step(history, model);
+    if (!next) return;
+    setHistory(next.history);
+    restoreModel(next.model);
+  };
 
-  // Chart data merge
-  const chartData = useMemo(() => {
-    const map = new Map();
-    const add = (arr, key) => {
-      arr.forEach((r) => {
-        const row = map.get(r.cycle) || { cycle: r.cycle, SUP: r.SUP_g };
-        row[key] = r.MUP_g;
-        map.set(r.cycle, row);
-      });
+  // The listener is added once and reads the latest history through the ref
+  const stepHistoryRef = useRef(stepHistory);
+  useEffect(() => {
+    stepHistoryRef.current = stepHistory;
+  });
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep the browser's undo, sliders use the app's
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTextEntry(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        stepHistoryRef.current(key === "z" && !e.shiftKey ? undo : redo);
+      }
     };
-    add(resWorst.data, "MUP_Worst");
-    add(resExpected.data, "MUP_Expected");
-    add(resBest.data, "MUP_Best");
-    return Array.from(map.values()).sort((a, b) => a.cycle - b.cycle);
-  }, [resWorst.data, resExpected.data, resBest.data]);
-
-  /* ===== Sensitivity (±10%) on Expected Case, computed only when shown) ===== */
-  const sensitivity = useMemo(() => {
-    if (!showSensitivity) return null;
-
-    // KPI at N_max for Expected case (g CO2e/cup)
-    const kpiAtNMax = (overrides = {}) => {
-      const pars = {
-        E_manu_mup: toNum(overrides.E_manu_mup ?? expected.E_manu_mup, 0),
-        KM_ONE_WAY: toNum(overrides.KM_ONE_WAY ?? expected.KM_ONE_WAY, 0),
-        p_ret: Math.min(1, Math.max(0, toNum(overrides.p_ret ?? expected.p_ret, 0))),
-        p_scr: Math.min(1, Math.max(0, toNum(overrides.p_scr ?? expected.p_scr, 0))),
-        E_EoL_mup: toNum(overrides.E_EoL_mup ?? expected.E_EoL_mup, 0),
-      };
-
-      // Reuse computeSeries logic for a single point (N_max_top)
-      const temp = computeSeries(pars, constants, N_max_top);
-      // last point is at N_max_top, so we can read lastCost_g
-      return temp.lastCost_g; // g/cup
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const [snapshots, setSnapshots] = useState(loadSnapshots);
+  const updateSnapshots = (next) => {
+    setSnapshots(next);
+    saveSnapshots(next);
+  };
+  const restoreSnapshot = (id) => {
+    const snapshot = snapshots.find((s) => s.id === id);
+    if (!snapshot) return;
+    setHistory((h) => recordEdit(h, model, null));
+    restoreModel(pickModel(snapshot.model));
+  };
+
+  /* ===== Session persistence: URL hash + localStorage (debounced) ===== */
+  useEffect(() => {
+    const t = setTimeout(
+      () =>
+        saveSession({
+          scenarios,
+          N_max_top,
+          showSensitivity,
+          showUncertainty,
+          constantsInput,
+          activeSetName,
+          comparators,
+          impactsInput,
+          indicator: indicatorKey,
+        }),
+      300
+    );
+    return () => clearTimeout(t);
+  }, [
+    scenarios,
+    N_max_top,
+    showSensitivity,
+    showUncertainty,
+    constantsInput,
+    activeSetName,
+    comparators,
+    impactsInput,
+    indicatorKey,
+  ]);
+
+  // Pasting another shared link into the same tab
+  useEffect(() => {
+    const onHashChange = () => {
+      const { session, error } = readHashSession();
+      setSessionError(error);
+      if (!session) return;
+      setScenariosState(session.scenarios);
+      setNMaxTopState(session.N_max_top);
+      setShowSensitivity(session.showSensitivity);
+      setShowUncertainty(session.showUncertainty);
+      setConstantsInputState(session.constantsInput);
+      setActiveSetNameState(session.activeSetName);
+      setComparatorsState(session.comparators);
+      setImpactsInputState(session.impactsInput);
+      setIndicatorKey(session.indicator);
     };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLink = async () => {
+    saveSession({
+      scenarios,
+      N_max_top,
+      showSensitivity,
+      showUncertainty,
+      constantsInput,
+      activeSetName,
+      comparators,
+      impactsInput,
+      indicator: indicatorKey,
+    });
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt(t("app.copyPrompt"), window.location.href);
+    }
+  };
 
-    const base = kpiAtNMax();
+  // Results per scenario (same order as `scenarios`)
+  const results = useMemo(
+    () => resultMemo(modelScenarios, [modelConstants, N_max_top], (s) => computeSeries(s, modelConstants, N_max_top)),
+    [resultMemo, modelScenarios, modelConstants, N_max_top]
+  );
+  const warnings = useMemo(
+    () =>
+      warningMemo(modelScenarios, [modelConstants, N_max_top], (s, i) =>
+        scenarioWarnings(s, modelConstants, results[i], N_max_top).map((w) => ({ ...w, scenarioId: s.id }))
+      ).flat(),
+    [warningMemo, modelScenarios, modelConstants, results, N_max_top]
+  );
+  const comparatorMatrix = useMemo(
+    () =>
+      breakEvenMatrix(
+        modelScenarios,
+        modelConstants,
+        comparators.map((c) => comparatorFor(c, indicator.key)),
+        (list, row) => matrixMemo(list, [modelConstants, comparators, indicator.key], row)
+      ),
+    [matrixMemo, modelScenarios, modelConstants, comparators, indicator.key]
+  );
 
-    const params = [
-      { key: "E_manu_mup", name: "Manufacturing MUP", value: toNum(expected.E_manu_mup, 0), isProb: false, min: 0 },
-      { key: "KM_ONE_WAY", name: "One-way Distance", value: toNum(expected.KM_ONE_WAY, 0), isProb: false, min: 0 },
-      { key: "p_ret", name: "Return Rate p_ret", value: toNum(expected.p_ret, 0), isProb: true },
-      { key: "p_scr", name: "Scrap Rate p_scr", value: toNum(expected.p_scr, 0), isProb: true },
-      { key: "E_EoL_mup", name: "Net EoL Balance", value: toNum(expected.E_EoL_mup, 0), isProb: false },
-    ];
+  /* ===== Monte Carlo (runs in a Web Worker on demand) ===== */
+  const [mcScenarioId, setMcScenarioId] = useState(DEFAULT_SCENARIOS[1].id);
+  const [mcSettings, setMcSettings] = useState({ samples: "2000", seed: "42" });
+  const [mcOverrides, setMcOverrides] = useState({});
+  const mc = useMonteCarlo();
+
+  // Falls back to the first scenario once the selected one is deleted
+  const mcScenario = modelScenarios.find((s) => s.id === mcScenarioId) ?? modelScenarios[0];
+
+  // Scenario-input distributions are absolute values, so they don't carry over to another scenario
+  const changeMcScenario = (id) => {
+    setMcScenarioId(id);
+    setMcOverrides((o) =>
+      Object.fromEntries(Object.entries(o).filter(([k]) => MC_PARAMS.find((p) => p.key === k)?.source !== "scenario"))
+    );
+  };
 
-    const rows = params.map((p) => {
-      const lowRaw = p.value * 0.9;
-      const highRaw = p.value * 1.1;
+  const mcBuilt = useMemo(
+    () =>
+      buildMonteCarloJob({
+        scenario: mcScenario,
+        constants: modelConstants,
+        N_max_top,
+        overrides: mcOverrides,
+        samples: mcSettings.samples,
+        seed: mcSettings.seed,
+      }),
+    [mcScenario, modelConstants, N_max_top, mcOverrides, mcSettings]
+  );
+  const mcBands = showUncertainty && mc.result && mc.result.key === mcBuilt.key ? mc.result.bands : null;
+
+  /* ===== Diff of two scenarios from the current model or snapshots ===== */
+  const [diffConfig, setDiffConfig] = useState({
+    a: { source: "current", scenario: DEFAULT_SCENARIOS[1].id },
+    b: { source: "current", scenario: DEFAULT_SCENARIOS[2].id },
+    overlay: false,
+    changedOnly: true,
+  });
+  const diffSources = useMemo(
+    () => [{ id: "current", name: translate(prefs.locale, "diff.currentModel"), model }, ...snapshots],
+    [model, snapshots, prefs.locale]
+  );
+  // A side is resolved again only when its scenario or the model inputs behind it change
+  const [sideMemos] = useState(() => [createListMemo(), createListMemo()]);
+  const diff = useMemo(() => {
+    const side = ({ source, scenario }, memo) => {
+      const { name, model: m } = diffSources.find((s) => s.id === source) ?? diffSources[0];
+      const raw = m.scenarios.find((s) => s.id === scenario) ?? m.scenarios[0];
+      const [resolved] = memo([raw], [m.constantsInput, m.impactsInput, indicator, N_max_top], () =>
+        resolveSide(m, scenario, indicator, N_max_top)
+      );
+      return { ...resolved, label: `${resolved.raw.name} (${name})` };
+    };
+    const a = side(diffConfig.a, sideMemos[0]);
+    const b = side(diffConfig.b, sideMemos[1]);
+    return { a, b, ...diffSides(a, b, indicator) };
+  }, [sideMemos, diffSources, diffConfig.a, diffConfig.b, indicator, N_max_top]);
+
+  // Chart data merge, thinned out to what the chart can draw on long horizons
+  const chartData = useMemo(
+    () =>
+      chartRows(
+        [
+          ...results.map((res, i) => ({ key: `MUP_${scenarios[i].id}`, data: res.data })),
+          ...(diffConfig.overlay
+            ? [
+                { key: "DIFF_A", data: diff.a.result.data },
+                { key: "DIFF_B", data: diff.b.result.data },
+              ]
+            : []),
+        ],
+        { cycles: sampleCycles(N_max_top), bands: mcBands, scale: unitScale }
+      ),
+    [results, scenarios, mcBands, diff, diffConfig.overlay, N_max_top, unitScale]
+  );
 
-      const low = p.isProb ? Math.max(0, Math.min(1, lowRaw)) : Math.max(p.min ?? -Infinity, lowRaw);
-      const high = p.isProb ? Math.max(0, Math.min(1, highRaw)) : Math.max(p.min ?? -Infinity, highRaw);
+  /* ===== Contribution breakdown ===== */
+  const [breakdownScenarioId, setBreakdownScenarioId] = useState(DEFAULT_SCENARIOS[1].id);
+  const breakdownScenario = modelScenarios.find((s) => s.id === breakdownScenarioId) ?? modelScenarios[0];
+  const [breakdownN, setBreakdownN] = useState("20");
+
+  /* ===== Fleet / system view ===== */
+  const [fleetScenarioId, setFleetScenarioId] = useState(DEFAULT_SCENARIOS[1].id);
+  const fleetScenario = modelScenarios.find((s) => s.id === fleetScenarioId) ?? modelScenarios[0];
+  const [fleetInput, setFleetInput] = useState(DEFAULT_FLEET);
+
+  /* ===== Parameter sweep (two-parameter region maps are for the selected scenario) ===== */
+  const [sweepScenarioId, setSweepScenarioId] = useState(DEFAULT_SCENARIOS[1].id);
+  const sweepScenario = modelScenarios.find((s) => s.id === sweepScenarioId) ?? modelScenarios[0];
+  const [sweepConfig, setSweepConfig] = useState(DEFAULT_SWEEP);
+
+  /* ===== Sensitivity on the selected scenario (computed by the panel only when shown) ===== */
+  const [sensScenarioId, setSensScenarioId] = useState(DEFAULT_SCENARIOS[1].id);
+  const sensScenario = modelScenarios.find((s) => s.id === sensScenarioId) ?? modelScenarios[0];
+  const [sensConfig, setSensConfig] = useState(DEFAULT_SENSITIVITY);
+  const [heatmapConfig, setHeatmapConfig] = useState(DEFAULT_HEATMAP);
+
+  /* ===== Import (CSV / JSON) ===== */
+  const [showImport, setShowImport] = useState(false);
+  const applyImport = ({ scenarios: items, constants: importedConstants, replace }) => {
+    if (items.length) setScenarios((list) => appendScenarios(list, items, { replace }));
+    if (importedConstants) setConstantsInput((c) => ({ ...c, ...importedConstants }));
+    setShowImport(false);
+  };
 
-      const lowKpi = kpiAtNMax({ [p.key]: low });
-      const highKpi = kpiAtNMax({ [p.key]: high });
+  /* ===== Exports ===== */
+  const lineChartRef = useRef(null);
+  const tornadoRef = useRef(null);
+  const [report, setReport] = useState({ images: null, generatedAt: null });
+  const [exportError, setExportError] = useState(null);
+  const fileStamp = () => new Date().toISOString().slice(0, 10);
+
+  const exportCsv = () =>
+    downloadText(`mup-cycles-${fileStamp()}.csv`, buildCyclesCsv(scenarios, results, indicator), "text/csv");
+
+  const exportJson = () =>
+    downloadText(
+      `mup-results-${fileStamp()}.json`,
+      JSON.stringify(
+        buildJsonBundle({
+          scenarios,
+          results,
+          constants,
+          activeSetName,
+          N_max_top,
+          sensitivityConfig: sensConfig,
+          comparators,
+          matrix: comparatorMatrix,
+          indicator,
+          impacts,
+        }),
+        null,
+        2
+      ),
+      "application/json"
+    );
+
+  const exportSweep = (sweep, format) =>
+    format === "csv"
+      ? downloadText(`mup-sweep-${fileStamp()}.csv`, buildSweepCsv(sweep, scenarios, indicator), "text/csv")
+      : downloadText(
+          `mup-sweep-${fileStamp()}.json`,
+          JSON.stringify(buildSweepJson(sweep, scenarios, indicator), null, 2),
+          "application/json"
+        );
+
+  const exportChart = async (chart, format) => {
+    const svg = serializeChartSvg((chart === "line" ? lineChartRef : tornadoRef).current);
+    if (!svg) return;
+    const name = `mup-${chart}-${fileStamp()}.${format}`;
+    try {
+      setExportError(null);
+      if (format === "svg") downloadBlob(name, new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+      else downloadBlob(name, await svgToPngBlob(svg));
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
 
-      return {
-        name: p.name,
-        Decrease: lowKpi - base, // left
-        Increase: highKpi - base, // right
-        ImpactAbs: Math.max(Math.abs(lowKpi - base), Math.abs(highKpi - base)),
-      };
-    });
+  const printReport = () => {
+    const line = serializeChartSvg(lineChartRef.current);
+    const tornado = serializeChartSvg(tornadoRef.current);
+    // Render the report synchronously so the print dialog sees the current charts
+    flushSync(() =>
+      setReport({
+        images: { line: line && svgToDataUrl(line), tornado: tornado && svgToDataUrl(tornado) },
+        generatedAt: new Date(),
+      })
+    );
+    window.print();
+  };
 
-    rows.sort((a, b) => b.ImpactAbs - a.ImpactAbs);
+  const indicatorTitle = tl("indicatorTitle", { key: indicator.key, label: indicator.title });
 
-    return { base, rows };
-  }, [showSensitivity, expected, constants, N_max_top]);
+  const chartTitle = t("chart.title", { indicator: indicatorTitle, unit: cupUnit(indicator) });
 
   return (
-    <div className="min-h-screen p-6 flex flex-col gap-6">
-      {/* Header with toggle */}
-      <header className="flex flex-wrap items-center gap-3">
-        <h1 className="text-2xl font-bold text-slate-900">
-          CO₂ per Cup: Single-Use (SUP) vs. Multi-Use (MUP) — 3 Scenarios
-        </h1>
-
-        <div className="ml-auto flex items-center gap-2">
-          <span className="text-sm text-slate-600">Sensitivity Analysis</span>
-          <button
-            onClick={() => setShowSensitivity((v) => !v)}
-            className={`relative inline-flex h-6 w-11 items-center rounded-full transition ${
-              showSensitivity ? "bg-emerald-500" : "bg-slate-300"
-            }`}
-            aria-pressed={showSensitivity}
-            aria-label="Toggle sensitivity analysis"
+    <I18nContext value={prefs}>
+      <div className="min-h-screen p-6 flex flex-col gap-6 print:hidden">
+        {/* Header with toggle */}
+        <header className="flex flex-wrap items-center gap-3">
+          <h1 className="text-2xl font-bold text-slate-900">
+            {t("app.title", { indicator: indicatorTitle, n: scenarios.length })}
+          </h1>
+
+          <select
+            className="ml-auto rounded-lg border border-slate-300 bg-white p-1.5 text-sm text-slate-900"
+            value={indicator.key}
+            onChange={(e) => setIndicatorKey(e.target.value)}
+            aria-label={t("app.indicator")}
           >
-            <span
-              className={`inline-block h-5 w-5 transform rounded-full bg-white transition ${
-                showSensitivity ? "translate-x-5" : "translate-x-1"
-              }`}
-            />
-          </button>
-        </div>
-
-        {(resExpected.breakEven || resWorst.breakEven || resBest.breakEven) && (
-          <span className="bg-emerald-500/10 border border-emerald-500 text-emerald-700 text-sm font-semibold px-3 py-1 rounded-full shadow-sm">
-            Break-even (if any) shown in chart
-          </span>
-        )}
-      </header>
-
-      {/* Scenario cards */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <ScenarioCard
-          title={worst.name}
-          color={worst.color}
-          state={worst}
-          setState={setWorst}
-          result={resWorst}
-          N_max_top={N_max_top}
-        />
-        <ScenarioCard
-          title={expected.name}
-          color={expected.color}
-          state={expected}
-          setState={setExpected}
-          result={resExpected}
-          N_max_top={N_max_top}
-        />
-        <ScenarioCard
-          title={best.name}
-          color={best.color}
-          state={best}
-          setState={setBest}
-          result={resBest}
-          N_max_top={N_max_top}
-        />
-      </div>
+            {INDICATORS.map((ind) => (
+              <option key={ind.key} value={ind.key}>
+                {tl("indicator", ind)}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="rounded-lg border border-slate-300 bg-white p-1.5 text-sm text-slate-900"
+            value={`${prefs.units.mass}:${prefs.units.basis}`}
+            onChange={(e) => {
+              const [mass, basis] = e.target.value.split(":");
+              updatePrefs({ units: { mass, basis: Number(basis) } });
+            }}
+            aria-label={t("app.units")}
+          >
+            {UNIT_BASES.flatMap((basis) =>
+              UNIT_MASSES.map((mass) => (
+                <option key={`${mass}:${basis}`} value={`${mass}:${basis}`}>
+                  {i18nHelpers(prefs.locale, { mass, basis }).cupUnit(indicator)}
+                </option>
+              ))
+            )}
+          </select>
+
+          <select
+            className="rounded-lg border border-slate-300 bg-white p-1.5 text-sm text-slate-900"
+            value={prefs.locale}
+            onChange={(e) => updatePrefs({ locale: e.target.value })}
+            aria-label={t("app.language")}
+          >
+            {Object.entries(LOCALES).map(([key, l]) => (
+              <option key={key} value={key}>
+                {l.label}
+              </option>
+            ))}
+          </select>
 
-      {/* Line chart */}
-      <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
-        <div className="flex items-center justify-between mb-4">
-          <h2 className="font-semibold text-slate-900 text-lg">CO₂ per Cup over Reuse Cycles (g)</h2>
           <div className="flex items-center gap-2">
-            <label className="text-sm text-slate-700">Maximum Technical Cycles N_max</label>
-            <input
-              type="number"
-              step="1"
-              min="1"
-              className="rounded-lg border border-slate-300 bg-slate-50 p-2 text-slate-900 w-24"
-              value={N_max_top}
-              onChange={(e) => setNMaxTop(parseInt(e.target.value || "1", 10))}
-            />
+            <span className="text-sm text-slate-600">{t("app.uncertainty")}</span>
+            <button
+              onClick={() => setShowUncertainty((v) => !v)}
+              className={`relative inline-flex h-6 w-11 items-center rounded-full transition ${
+                showUncertainty ? "bg-emerald-500" : "bg-slate-300"
+              }`}
+              aria-pressed={showUncertainty}
+              aria-label={t("app.uncertaintyToggle")}
+            >
+              <span
+                className={`inline-block h-5 w-5 transform rounded-full bg-white transition ${
+                  showUncertainty ? "translate-x-5" : "translate-x-1"
+                }`}
+              />
+            </button>
           </div>
-        </div>
 
-        <div className="w-full h-96">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={chartData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
-              <XAxis
-                dataKey="cycle"
-                label={{
-                  value: "Max technical cycles (N_max)",
-                  position: "insideBottomRight",
-                  offset: -5,
-                  style: { fill: "#475569", fontSize: 12 },
-                }}
-                stroke="#475569"
-              />
-              <YAxis
-                label={{
-                  value: "g CO₂e / cup",
-                  angle: -90,
-                  position: "insideLeft",
-                  style: { fill: "#475569", fontSize: 12 },
-                }}
-                stroke="#475569"
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-slate-600">{t("app.sensitivity")}</span>
+            <button
+              onClick={() => setShowSensitivity((v) => !v)}
+              className={`relative inline-flex h-6 w-11 items-center rounded-full transition ${
+                showSensitivity ? "bg-emerald-500" : "bg-slate-300"
+              }`}
+              aria-pressed={showSensitivity}
+              aria-label={t("app.sensitivityToggle")}
+            >
+              <span
+                className={`inline-block h-5 w-5 transform rounded-full bg-white transition ${
+                  showSensitivity ? "translate-x-5" : "translate-x-1"
+                }`}
               />
-              <Tooltip />
-              <Legend />
+            </button>
+          </div>
 
-              <Line type="monotone" dataKey="MUP_Worst" stroke={worst.color} strokeWidth={2} dot={false} name={worst.name} />
-              <Line type="monotone" dataKey="MUP_Expected" stroke={expected.color} strokeWidth={3} dot={false} name={expected.name} />
-              <Line type="monotone" dataKey="MUP_Best" stroke={best.color} strokeWidth={2} dot={false} name={best.name} />
+          <div className="flex items-center gap-1">
+            <IconButton label={t("app.undo")} onClick={() => stepHistory(undo)} disabled={!history.past.length}>
+              ↶
+            </IconButton>
+            <IconButton label={t("app.redo")} onClick={() => stepHistory(redo)} disabled={!history.future.length}>
+              ↷
+            </IconButton>
+          </div>
 
-              <Line type="monotone" dataKey="SUP" stroke="#6b7280" strokeDasharray="5 5" strokeWidth={2} dot={false} name="SUP reference" />
+          <button
+            onClick={() => setShowImport((v) => !v)}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-1 text-sm font-medium text-slate-700 hover:bg-slate-50"
+            aria-expanded={showImport}
+          >
+            {t("app.import")}
+          </button>
 
-              {resWorst.breakEven && (
-                <ReferenceLine
-                  x={resWorst.breakEven}
-                  stroke={worst.color}
-                  strokeDasharray="3 3"
-                  label={{ value: `${worst.name} N=${resWorst.breakEven}`, fill: worst.color, position: "top", fontSize: 11 }}
-                />
-              )}
-              {resExpected.breakEven && (
-                <ReferenceLine
-                  x={resExpected.breakEven}
-                  stroke={expected.color}
-                  strokeDasharray="3 3"
-                  label={{ value: `${expected.name} N=${resExpected.breakEven}`, fill: expected.color, position: "top", fontSize: 11 }}
-                />
-              )}
-              {resBest.breakEven && (
-                <ReferenceLine
-                  x={resBest.breakEven}
-                  stroke={best.color}
-                  strokeDasharray="3 3"
-                  label={{ value: `${best.name} N=${resBest.breakEven}`, fill: best.color, position: "top", fontSize: 11 }}
-                />
-              )}
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
+          <ExportMenu
+            onCsv={exportCsv}
+            onJson={exportJson}
+            onChart={exportChart}
+            tornadoAvailable={showSensitivity}
+            onPrint={printReport}
+          />
 
-        <p className="text-[11px] text-slate-500 mt-3">
-          Fixed constants: mass 0.00324 kg · primary Al EF 14.77 kg CO₂e/kg · initial logistics 0.00037 kg CO₂e/capsule ·
-          SUP reference 0.00437 kg CO₂e/cup · cleaning+refill 0.001 kg CO₂e/cycle.
-        </p>
-      </div>
+          <button
+            onClick={copyLink}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-1 text-sm font-medium text-slate-700 hover:bg-slate-50"
+          >
+            {linkCopied ? t("app.linkCopied") : t("app.copyLink")}
+          </button>
 
-      {/* Sensitivity tornado (shown only when enabled) */}
-      {showSensitivity && sensitivity && (
-        <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
-          <h2 className="font-semibold text-slate-900 mb-2 text-lg">
-            Sensitivity (±10%) — Impact on MUP (Expected) at N_max (g CO₂e / cup)
-          </h2>
-          <p className="text-xs text-slate-500 mb-3">
-            Bars show change vs. base ({sensitivity.base.toFixed(2)} g). Left = −10%, Right = +10%.
-          </p>
-
-          <div className="w-full h-80">
-            <ResponsiveContainer width="100%" height="100%">
-              <BarChart
-                data={sensitivity.rows}
-                layout="vertical"
-                margin={{ left: 20, right: 20, top: 10, bottom: 10 }}
-              >
-                <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
-                <XAxis
-                  type="number"
-                  tickFormatter={(v) => `${v.toFixed(1)} g`}
-                  stroke="#475569"
-                />
-                <YAxis
-                  type="category"
-                  dataKey="name"
-                  width={170}
-                  stroke="#475569"
+          {results.some((r) => r.breakEven) && (
+            <span className="bg-emerald-500/10 border border-emerald-500 text-emerald-700 text-sm font-semibold px-3 py-1 rounded-full shadow-sm">
+              {t("app.breakEvenShown")}
+            </span>
+          )}
+        </header>
+
+        <main className="flex flex-col gap-6">
+          {showImport && <ImportPanel onApply={applyImport} onClose={() => setShowImport(false)} />}
+
+          {exportError && (
+            <div className="flex items-center gap-3 rounded-xl border border-red-300 bg-red-50 px-4 py-2 text-sm text-red-700">
+              {t("app.exportFailed", { error: exportError })}
+              <button className="ml-auto font-medium underline" onClick={() => setExportError(null)}>
+                {t("common.dismiss")}
+              </button>
+            </div>
+          )}
+
+          {sessionError && (
+            <div className="flex items-center gap-3 rounded-xl border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+              {sessionError} {t("app.sessionFallback")}
+              <button className="ml-auto font-medium underline" onClick={() => setSessionError(null)}>
+                {t("common.dismiss")}
+              </button>
+            </div>
+          )}
+
+          <AssumptionsPanel
+            input={constantsInput}
+            setInput={setConstantsInput}
+            errors={constantErrors}
+            sets={constantSets}
+            activeSetName={activeSetName}
+            isModified={constantsModified}
+            onSelectSet={selectConstantSet}
+            onSaveSet={saveConstantSet}
+            onDeleteSet={deleteConstantSet}
+            onReset={() => selectConstantSet(DEFAULT_SET_NAME)}
+          />
+
+          {indicator.key !== "gwp" && (
+            <ImpactFactorsPanel
+              indicator={indicator}
+              input={impactsInput[indicator.key]}
+              setInput={setImpactsInput}
+              errors={impactErrors[indicator.key]}
+              scenarios={scenarios}
+              scenarioErrors={scenarioChecks.map((c) => c.errors)}
+              onScenarioImpact={(id, field, value) =>
+                setScenarios((list) => updateScenario(list, id, (s) => setScenarioImpact(s, indicator.key, field, value)))
+              }
+            />
+          )}
+
+          {/* Scenario cards */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {scenarios.map((sc, i) => (
+              <ScenarioCard
+                key={sc.id}
+                state={sc}
+                setState={(updater) => setScenarios((list) => updateScenario(list, sc.id, updater))}
+                result={results[i]}
+                errors={scenarioErrors[i]}
+                warnings={warnings.filter((w) => w.scenarioId === sc.id)}
+                dash={scenarioDash(i)}
+                constants={constants}
+                model={{ scenario: modelScenarios[i], constants: modelConstants }}
+                indicator={indicator}
+                N_max_top={N_max_top}
+                isFirst={i === 0}
+                isLast={i === scenarios.length - 1}
+                canDelete={scenarios.length > 1}
+                onMove={(delta) => setScenarios((list) => moveScenario(list, sc.id, delta))}
+                onDuplicate={() => setScenarios((list) => duplicateScenario(list, sc.id))}
+                onDelete={() => setScenarios((list) => removeScenario(list, sc.id))}
+              />
+            ))}
+            <button
+              onClick={() => setScenarios(addScenario)}
+              className="min-h-40 rounded-2xl border-2 border-dashed border-slate-300 text-slate-500 font-medium hover:border-emerald-500 hover:text-emerald-700"
+            >
+              {t("app.addScenario")}
+            </button>
+          </div>
+
+          <WarningsPanel warnings={warnings} scenarios={scenarios} indicator={indicator} />
+
+          {/* Line chart */}
+          <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="font-semibold text-slate-900 text-lg">{chartTitle}</h2>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-slate-700" htmlFor="n-max">
+                  {t("chart.nMax")}
+                </label>
+                <NumberInput
+                  id="n-max"
+                  inputMode="numeric"
+                  className={`rounded-lg border bg-slate-50 p-2 text-slate-900 w-24 ${
+                    nMaxError ? "border-red-400" : "border-slate-300"
+                  }`}
+                  aria-invalid={nMaxError ? true : undefined}
+                  aria-describedby={nMaxError ? "n-max-error" : undefined}
+                  value={nMaxInput ?? String(N_max_top)}
+                  onChange={changeNMax}
+                  onBlur={() => setNMaxInput(null)}
                 />
-                <Tooltip formatter={(value) => [`${Number(value).toFixed(2)} g`, "Δ vs. base"]} />
-                <Legend />
-                <ReferenceLine x={0} stroke="#64748b" />
-                <Bar dataKey="Decrease" name="-10%" fill="#ef4444" isAnimationActive={false} />
-                <Bar dataKey="Increase" name="+10%" fill="#10b981" isAnimationActive={false} />
-              </BarChart>
-            </ResponsiveContainer>
+                {nMaxError && (
+                  <span id="n-max-error" className="text-xs text-red-600">
+                    {t("chart.nMaxKept", { error: tm(nMaxError), n: N_max_top })}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            <CycleChart
+              data={chartData}
+              scenarios={scenarios}
+              results={results}
+              indicator={indicator}
+              title={chartTitle}
+              N_max_top={N_max_top}
+              chartRef={lineChartRef}
+              band={mcBands && mcScenario}
+              overlays={
+                diffConfig.overlay
+                  ? ["a", "b"].map((side) => ({
+                      key: side === "a" ? "DIFF_A" : "DIFF_B",
+                      name: `${side.toUpperCase()}: ${diff[side].label}`,
+                      color: DIFF_COLORS[side],
+                      dash: side === "a" ? "8 3" : "3 3",
+                    }))
+                  : []
+              }
+              references={comparatorMatrix.comparators.map((c) => ({ ...c, y: c.net_g * unitScale }))}
+            />
+
+            <p className="text-[11px] text-slate-500 mt-3">
+              {t(constantsModified ? "chart.constantsModified" : "chart.constants", { name: activeSetName })}:{" "}
+              {describeConstants(constants)}.
+            </p>
           </div>
-        </div>
-      )}
-
-      <footer className="text-[11px] text-slate-500 text-center leading-relaxed">
-        Model based on Python LCA calculation. All values per cup.
-        <br />
-        <span className="text-[10px] text-slate-400">
-          © Intellectual property of Maximilian Kühn, Cornelius Hauber, Henri Calaminus and Christopher-Lund Seureau.
-        </span>
-      </footer>
-    </div>
+
+          {/* Comparator library and break-even matrix */}
+          <ComparatorPanel
+            comparators={comparators}
+            setComparators={setComparators}
+            matrix={comparatorMatrix}
+            indicator={indicator}
+            N_max_top={N_max_top}
+          />
+
+          {/* All indicators at once, normalised to SUP */}
+          <IndicatorPanel
+            scenarios={scenarios}
+            constants={constants}
+            impacts={impacts}
+            N_max_top={N_max_top}
+            selectedKey={indicator.key}
+            onSelect={setIndicatorKey}
+          />
+
+          {/* Snapshots and scenario diff */}
+          <DiffPanel
+            snapshots={snapshots}
+            onSaveSnapshot={(name) => updateSnapshots(addSnapshot(snapshots, name, model))}
+            onRestoreSnapshot={restoreSnapshot}
+            onDeleteSnapshot={(id) => updateSnapshots(removeSnapshot(snapshots, id))}
+            sources={diffSources}
+            config={diffConfig}
+            setConfig={setDiffConfig}
+            diff={diff}
+            indicator={indicator}
+            N_max_top={N_max_top}
+          />
+
+          {/* Stacked contribution by life-cycle stage */}
+          <ContributionPanel
+            scenarios={scenarios}
+            scenario={breakdownScenario}
+            onScenarioChange={setBreakdownScenarioId}
+            constants={modelConstants}
+            indicator={indicator}
+            N_max_top={N_max_top}
+            tableN={breakdownN}
+            setTableN={setBreakdownN}
+          />
+
+          {/* Fleet / system view: capsule pool and total emissions per year */}
+          <FleetPanel
+            scenarios={scenarios}
+            scenario={fleetScenario}
+            onScenarioChange={setFleetScenarioId}
+            constants={modelConstants}
+            indicator={indicator}
+            N_max_top={N_max_top}
+            input={fleetInput}
+            setInput={setFleetInput}
+          />
+
+          {/* Parameter sweep: break-even and savings over one or two inputs */}
+          <SweepPanel
+            scenarios={modelScenarios}
+            base={sweepScenario}
+            onBaseChange={setSweepScenarioId}
+            constants={modelConstants}
+            indicator={indicator}
+            N_max_top={N_max_top}
+            config={sweepConfig}
+            setConfig={setSweepConfig}
+            onExport={exportSweep}
+          />
+
+          {/* Monte Carlo uncertainty (shown only when enabled) */}
+          {showUncertainty && (
+            <MonteCarloPanel
+              scenarios={scenarios}
+              scenarioId={mcScenario.id}
+              onScenarioChange={changeMcScenario}
+              settings={mcSettings}
+              setSettings={setMcSettings}
+              overrides={mcOverrides}
+              setOverrides={setMcOverrides}
+              built={mcBuilt}
+              mc={mc}
+              indicator={indicator}
+              N_max_top={N_max_top}
+            />
+          )}
+
+          {/* Sensitivity tornado & heatmap (shown only when enabled) */}
+          {showSensitivity && (
+            <SensitivityPanel
+              scenarios={scenarios}
+              scenario={sensScenario}
+              onScenarioChange={setSensScenarioId}
+              constants={modelConstants}
+              indicator={indicator}
+              N_max_top={N_max_top}
+              config={sensConfig}
+              setConfig={setSensConfig}
+              heatmapConfig={heatmapConfig}
+              setHeatmapConfig={setHeatmapConfig}
+              chartRef={tornadoRef}
+            />
+          )}
+        </main>
+
+        <footer className="text-[11px] text-slate-500 text-center leading-relaxed">
+          {t("app.footer", { indicator: tl("indicator", indicator), unit: cupUnit(indicator) })}
+          <br />
+          <span className="text-[10px] text-slate-400">{t("app.copyright")}</span>
+        </footer>
+      </div>
+
+      <PrintReport
+        scenarios={scenarios}
+        results={results}
+        comparatorMatrix={comparatorMatrix}
+        indicator={indicator}
+        impacts={impacts}
+        constants={constants}
+        activeSetName={activeSetName}
+        constantsModified={constantsModified}
+        N_max_top={N_max_top}
+        images={report.images}
+        generatedAt={report.generatedAt}
+      />
+    </I18nContext>
   );
 }
@@ -0,0 +1,119 @@
+import { useState, useMemo, useEffect } from "react";
+import { resolveConstants } from "./constants.js";
+import { chartRows, sampleCycles } from "./chart.js";
+import { EMBED_MESSAGE, applyEmbedOptions, embedResult, embedScenarios, parseEmbedUrl } from "./embed.js";
+import { I18nContext, i18nHelpers, unitFactor } from "./i18n.js";
+import { indicatorByKey, indicatorConstants, modelScenario, resolveImpacts } from "./indicators.js";
+import { computeSeries } from "./lca.js";
+import { scenarioDash, updateScenario } from "./scenarios.js";
+import { resolveScenario } from "./validation.js";
+import { scenarioWarnings } from "./warnings.js";
+import CycleChart from "./components/CycleChart.jsx";
+import ScenarioCard from "./components/ScenarioCard.jsx";
+
+/* ====================== Embed: line chart or one scenario card ====================== */
+export default function EmbedApp() {
+  const [initial] = useState(() => parseEmbedUrl(location.search, location.hash));
+  const [config, setConfig] = useState(initial.config);
+  const [errors, setErrors] = useState(initial.errors);
+  const { session, locale, units } = config;
+  const { t, tl, tm, cupUnit } = i18nHelpers(locale, units);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Same derivation as the dashboard: validated inputs of the selected indicator
+  const indicator = indicatorByKey(session.indicator);
+  const { values: constants } = useMemo(() => resolveConstants(session.constantsInput), [session.constantsInput]);
+  const { values: impacts } = useMemo(() => resolveImpacts(session.impactsInput), [session.impactsInput]);
+  const modelConstants = useMemo(
+    () => indicatorConstants(constants, impacts, indicator.key),
+    [constants, impacts, indicator.key]
+  );
+  const scenarios = useMemo(() => embedScenarios(config), [config]);
+  const modelScenarios = useMemo(
+    () => scenarios.map((s) => modelScenario(s, constants, impacts, indicator.key).values),
+    [scenarios, constants, impacts, indicator.key]
+  );
+  const results = useMemo(
+    () => modelScenarios.map((s) => computeSeries(s, modelConstants, session.N_max_top)),
+    [modelScenarios, modelConstants, session.N_max_top]
+  );
+
+  // Only the host page may configure the embed (and only from `origin` when one is set)
+  useEffect(() => {
+    const onMessage = (e) => {
+      if (e.source !== window.parent || e.data?.type !== EMBED_MESSAGE) return;
+      if (config.origin && e.origin !== config.origin) return;
+      const next = applyEmbedOptions(config, e.data);
+      setConfig(next.config);
+      setErrors(next.errors);
+    };
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, [config]);
+
+  // The host hears about the scenarios shown after every change, including edits on the card
+  useEffect(() => {
+    if (window.parent === window) return;
+    window.parent.postMessage(embedResult(config, scenarios, results), config.origin ?? "*");
+  }, [config, scenarios, results]);
+
+  const indicatorTitle = tl("indicatorTitle", { key: indicator.key, label: indicator.title });
+  const title = t("chart.title", { indicator: indicatorTitle, unit: cupUnit(indicator) });
+  const sc = scenarios[0];
+
+  return (
+    <I18nContext value={{ locale, units }}>
+      <main className="p-3 flex flex-col gap-3">
+        {errors.length > 0 && (
+          <p className="rounded-lg border border-amber-300 bg-amber-50 px-3 py-1.5 text-xs text-amber-800">
+            {t("embed.ignored", { errors: errors.map((err) => `${err.key}: ${tm(err.message)}`).join("; ") })}
+          </p>
+        )}
+        {!sc ? (
+          <p className="text-sm text-slate-600">{t("embed.noScenario", { scenario: config.scenario })}</p>
+        ) : config.view === "card" ? (
+          <>
+            <h1 className="sr-only">{t("embed.card", { name: sc.name })}</h1>
+            <ScenarioCard
+              state={sc}
+              setState={(updater) =>
+                // Pinned by id, so renaming a card picked by name keeps it shown
+                setConfig((c) => ({
+                  ...c,
+                  scenario: c.scenario && sc.id,
+                  session: { ...c.session, scenarios: updateScenario(c.session.scenarios, sc.id, updater) },
+                }))
+              }
+              result={results[0]}
+              errors={resolveScenario(sc).errors}
+              warnings={scenarioWarnings(modelScenarios[0], modelConstants, results[0], session.N_max_top)}
+              dash={scenarioDash(session.scenarios.indexOf(sc))}
+              constants={constants}
+              model={{ scenario: modelScenarios[0], constants: modelConstants }}
+              indicator={indicator}
+              N_max_top={session.N_max_top}
+            />
+          </>
+        ) : (
+          <section className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+            <h1 className="font-semibold text-slate-900 text-lg mb-2">{title}</h1>
+            <CycleChart
+              data={chartRows(
+                results.map((res, i) => ({ key: `MUP_${scenarios[i].id}`, data: res.data })),
+                { cycles: sampleCycles(session.N_max_top), scale: unitFactor(units) }
+              )}
+              scenarios={scenarios}
+              results={results}
+              indicator={indicator}
+              title={title}
+              N_max_top={session.N_max_top}
+            />
+          </section>
+        )}
+      </main>
+    </I18nContext>
+  );
+}
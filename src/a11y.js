@@ -0,0 +1,39 @@
+/* ========= Accessibility helpers: slider keys & chart summaries ========= */
+
+// Decimals of a step, so repeated key steps don't pile up floating-point noise (0.1 + 0.2)
+const decimals = (step) => Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+
+/**
+ * Slider value after a key press, or null for keys the slider doesn't handle. Arrows move by `step`,
+ * with Shift by a tenth of it; Page Up / Page Down by `coarse`; Home / End jump to the bounds.
+ */
+export function rangeKeyValue(key, shiftKey, { value, min = 0, max = 1, step = 0.01, coarse = step * 10 }) {
+  const fine = step / 10;
+  const v = Number.isFinite(value) ? value : min;
+  const delta = {
+    ArrowRight: 1,
+    ArrowUp: 1,
+    ArrowLeft: -1,
+    ArrowDown: -1,
+  }[key];
+  let next;
+  if (delta) next = v + delta * (shiftKey ? fine : step);
+  else if (key === "PageUp") next = v + coarse;
+  else if (key === "PageDown") next = v - coarse;
+  else if (key === "Home") next = min;
+  else if (key === "End") next = max;
+  else return null;
+  return Math.min(max, Math.max(min, Number(next.toFixed(decimals(fine)))));
+}
+
+/**
+ * One sentence per scenario for screen readers: where each scenario breaks even (or that it doesn't
+ * within the horizon). `t` is the catalogue lookup of the current locale.
+ */
+export function breakEvenSummary(t, entries, N_max_top) {
+  return entries
+    .map(({ name, breakEven }) =>
+      breakEven ? t("a11y.breakEvenAt", { name, n: breakEven }) : t("a11y.noBreakEven", { name, n: N_max_top })
+    )
+    .join(" ");
+}
@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { breakEvenSummary, rangeKeyValue } from "./a11y.js";
+import { translate } from "./i18n.js";
+
+describe("rangeKeyValue", () => {
+  const slider = { value: 0.98, min: 0, max: 1, step: 0.01 };
+
+  it("moves by the step, by a tenth with Shift and coarsely with Page Up / Down", () => {
+    assert.equal(rangeKeyValue("ArrowRight", false, slider), 0.99);
+    assert.equal(rangeKeyValue("ArrowDown", false, slider), 0.97);
+    assert.equal(rangeKeyValue("ArrowLeft", true, slider), 0.979);
+    assert.equal(rangeKeyValue("PageDown", false, slider), 0.88);
+    assert.equal(rangeKeyValue("PageDown", false, { ...slider, coarse: 0.25 }), 0.73);
+  });
+
+  it("stays within the bounds and jumps to them with Home / End", () => {
+    assert.equal(rangeKeyValue("PageUp", false, slider), 1);
+    assert.equal(rangeKeyValue("Home", false, slider), 0);
+    assert.equal(rangeKeyValue("End", false, { ...slider, min: 0.05 }), 1);
+    assert.equal(rangeKeyValue("ArrowLeft", false, { ...slider, value: NaN, min: 0.05 }), 0.05);
+  });
+
+  it("leaves other keys to the browser", () => {
+    assert.equal(rangeKeyValue("Tab", false, slider), null);
+    assert.equal(rangeKeyValue("Enter", false, slider), null);
+  });
+});
+
+describe("breakEvenSummary", () => {
+  const entries = [
+    { name: "Worst Case", breakEven: null },
+    { name: "Expected Case", breakEven: 35 },
+  ];
+
+  it("describes every scenario's break-even in the locale", () => {
+    assert.equal(
+      breakEvenSummary((key, params) => translate("en", key, params), entries, 50),
+      "Worst Case does not break even within 50 cycles. Expected Case breaks even at N = 35."
+    );
+    assert.match(breakEvenSummary((key, params) => translate("de", key, params), entries, 50), /bei N = 35\.$/);
+  });
+});
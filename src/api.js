@@ -0,0 +1,175 @@
+/* ========= Local JSON API: routes of bin/server.js, kept free of Node so they can be tested directly ========= */
+import { solveBreakEven } from "./breakeven.js";
+import { MAX_CHART_POINTS, sampleCycles } from "./chart.js";
+import { CONSTANT_FIELDS, DEFAULT_CONSTANTS, validateValue } from "./constants.js";
+import { evaluateScenario } from "./lca.js";
+import { MODEL_PARAMS } from "./params.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import {
+  DEFAULT_SENSITIVITY,
+  PERTURBATION_MODES,
+  SENS_KPIS,
+  computeSensitivity,
+  resolveKpi,
+  resolvePerturbation,
+} from "./sensitivity.js";
+import { N_MAX_FIELD, resolveScenario } from "./validation.js";
+
+export const API_ROUTES = [
+  { method: "GET", path: "/api/health", description: "Liveness check" },
+  { method: "GET", path: "/api/defaults", description: "Default constants, scenarios, horizon and sensitivity settings" },
+  { method: "POST", path: "/api/evaluate", description: "Series, break-even and sensitivity of one or more scenarios" },
+];
+
+// Scenarios × horizon (N_max_top, or the tornado's chosen N when longer) per request: bounds the model passes
+// (20 scenarios at the longest horizon) ...
+export const MAX_REQUEST_CYCLES = 2000000;
+// ... and the rows of a "series": "full" answer, which otherwise gets the chart's sample of the cycles
+export const MAX_FULL_SERIES_ROWS = 100000;
+
+/** Error with the HTTP status it is answered with. */
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/** Request constants checked against the Assumptions panel's bounds; other keys are left to evaluateScenario(). */
+function toConstants(raw) {
+  if (!isObject(raw)) throw new ApiError(400, "constants must be an object");
+  const constants = { ...raw };
+  for (const field of CONSTANT_FIELDS) {
+    if (raw[field.key] === undefined) continue;
+    const { value, error } = validateValue(field, raw[field.key]);
+    if (error) throw new ApiError(400, `constant ${field.key}: ${error}`);
+    constants[field.key] = value;
+  }
+  return constants;
+}
+
+/**
+ * Request sensitivity settings over DEFAULT_SENSITIVITY, null for `sensitivity: false`. Unlike the panel,
+ * which falls back to the defaults, an unknown KPI, parameter or perturbation mode is answered with 400.
+ */
+function toSensitivity(raw) {
+  if (raw === false) return null;
+  if (raw != null && !isObject(raw)) throw new ApiError(400, "sensitivity must be an object or false");
+  const sensitivity = { ...DEFAULT_SENSITIVITY, ...raw };
+  if (!SENS_KPIS[sensitivity.kpi]) {
+    throw new ApiError(400, `sensitivity kpi: Unknown KPI "${sensitivity.kpi}" (${Object.keys(SENS_KPIS).join(", ")})`);
+  }
+  const { error } = resolveKpi(sensitivity);
+  if (error) throw new ApiError(400, `sensitivity kpiN: ${error}`);
+  if (!isObject(sensitivity.perturbations)) throw new ApiError(400, "sensitivity perturbations must be an object");
+  for (const [key, draft] of Object.entries(sensitivity.perturbations)) {
+    const param = MODEL_PARAMS.find((p) => p.key === key);
+    if (!param) throw new ApiError(400, `sensitivity perturbations: Unknown parameter "${key}"`);
+    if (!isObject(draft)) throw new ApiError(400, `sensitivity ${key}: Expected { mode, value } or { mode, low, high }`);
+    if (draft.mode !== undefined && !PERTURBATION_MODES[draft.mode]) {
+      const modes = Object.keys(PERTURBATION_MODES).join(", ");
+      throw new ApiError(400, `sensitivity ${key}: Unknown mode "${draft.mode}" (${modes})`);
+    }
+    const { error: perturbationError } = resolvePerturbation(param, 0, draft);
+    if (perturbationError) throw new ApiError(400, `sensitivity ${key}: ${perturbationError}`);
+  }
+  return sensitivity;
+}
+
+/** Transport legs must be a list of objects; their fields are checked with the rest of the scenario. */
+function checkLegs(scenario, name) {
+  if (!isObject(scenario) || scenario.legs == null) return;
+  if (!Array.isArray(scenario.legs) || !scenario.legs.every(isObject)) {
+    throw new ApiError(400, `${name ? `${name}: ` : ""}scenario legs: Expected a list of transport legs`);
+  }
+}
+
+/**
+ * Same request shapes as the CLI: a bare scenario, { scenario, constants?, N_max_top?, sensitivity? } or
+ * { scenarios: [...], ... }; dashboard export bundles (scenarios[].inputs, constants.values) work as well.
+ */
+function toJobs(input) {
+  if (!isObject(input)) throw new ApiError(400, "Expected a JSON object");
+  const { value: N_max_top, error } = validateValue(N_MAX_FIELD, input.N_max_top ?? 50);
+  if (error) throw new ApiError(400, `N_max_top: ${error}`);
+  const constants = toConstants(input.constants?.values ?? input.constants ?? {});
+  const list = Array.isArray(input.scenarios) ? input.scenarios : [input.scenario ?? input];
+  if (!list.length) throw new ApiError(400, "scenarios is empty");
+  if (![undefined, "sampled", "full"].includes(input.series)) throw new ApiError(400, 'series must be "sampled" or "full"');
+  const sensitivity = toSensitivity(input.sensitivity);
+  // The tornado's passes run to the chosen N instead of N_max_top
+  const kpiN = sensitivity?.kpi === "costAtN" ? resolveKpi(sensitivity).kpiN : 0;
+  const [horizon, N] = kpiN > N_max_top ? ["kpiN", kpiN] : ["N_max_top", N_max_top];
+  const limit = input.series === "full" ? MAX_FULL_SERIES_ROWS : MAX_REQUEST_CYCLES;
+  if (list.length * N > limit) {
+    throw new ApiError(400, `${list.length} scenarios × ${horizon} ${N} is over ${limit} cycles per request`);
+  }
+  const jobs = list.map((s, i) => {
+    const name = s?.name ?? (list.length > 1 ? `Scenario ${i + 1}` : "Scenario");
+    const scenario = s && typeof s === "object" ? { ...s, ...(s.inputs ?? {}) } : s;
+    checkLegs(scenario, list.length > 1 && name);
+    return { name, input: { scenario, constants, N_max_top } };
+  });
+  return { jobs, sensitivity };
+}
+
+/**
+ * Evaluates every scenario of a request: the evaluateScenario() result with the closed-form break-even
+ * (`solved`) and, unless `sensitivity: false`, the tornado rows for the given sensitivity settings.
+ * `data` holds the chart's sample of the cycles (with the break-even), every cycle with `series: "full"`.
+ * Invalid scenarios, constants or sensitivity settings and oversized requests are answered with 400.
+ */
+export function evaluateRequest(input) {
+  const { jobs, sensitivity } = toJobs(input);
+  const results = jobs.map(({ name, input: job }) => {
+    let r;
+    try {
+      r = evaluateScenario(job);
+    } catch (err) {
+      throw new ApiError(400, jobs.length > 1 ? `${name}: ${err.message}` : err.message);
+    }
+    const { values } = resolveScenario(job.scenario);
+    if (input.series !== "full") {
+      r.data = sampleCycles(r.N_max_top, MAX_CHART_POINTS, [r.breakEven]).map((N) => r.data[N - 1]);
+    }
+    return {
+      name,
+      ...r,
+      solved: solveBreakEven(values, r.constants),
+      sensitivity: sensitivity && computeSensitivity(values, r.constants, r.N_max_top, sensitivity),
+    };
+  });
+  return Array.isArray(input.scenarios) ? { results } : results[0];
+}
+
+/**
+ * Answers one request: { status, body } with a JSON-serialisable body. `body` is the raw request text.
+ * Unknown paths give 404, known paths with another method 405.
+ */
+export function handleApiRequest({ method, path, body = "" }) {
+  const route = API_ROUTES.find((r) => r.path === path);
+  try {
+    if (path === "/api" || path === "/api/") return { status: 200, body: { routes: API_ROUTES } };
+    if (!route) throw new ApiError(404, `No route ${path}`);
+    if (route.method !== method) throw new ApiError(405, `${path} expects ${route.method}`);
+    if (path === "/api/health") return { status: 200, body: { status: "ok" } };
+    if (path === "/api/defaults") {
+      return {
+        status: 200,
+        body: { constants: DEFAULT_CONSTANTS, scenarios: DEFAULT_SCENARIOS, N_max_top: 50, sensitivity: DEFAULT_SENSITIVITY },
+      };
+    }
+    let input;
+    try {
+      input = JSON.parse(body);
+    } catch (err) {
+      throw new ApiError(400, `Invalid JSON: ${err.message}`);
+    }
+    return { status: 200, body: evaluateRequest(input) };
+  } catch (err) {
+    if (err instanceof ApiError) return { status: err.status, body: { error: err.message } };
+    throw err;
+  }
+}
@@ -0,0 +1,135 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_FULL_SERIES_ROWS, MAX_REQUEST_CYCLES, handleApiRequest } from "./api.js";
+import { solveBreakEven } from "./breakeven.js";
+import { MAX_CHART_POINTS } from "./chart.js";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { computeSeries } from "./lca.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const post = (input) => handleApiRequest({ method: "POST", path: "/api/evaluate", body: JSON.stringify(input) });
+
+describe("handleApiRequest", () => {
+  it("returns the series, break-even and sensitivity of a scenario", () => {
+    const { status, body } = post({ scenario: EXPECTED, N_max_top: 40 });
+    const series = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 40);
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 40);
+    assert.equal(body.breakEven, series.breakEven);
+    assert.equal(body.lastCost_g, series.lastCost_g);
+    assert.deepEqual(body.solved, solveBreakEven(EXPECTED, DEFAULT_CONSTANTS));
+    assert.equal(body.sensitivity.kpi, "costAtNmax");
+    assert.equal(body.sensitivity.base, series.lastCost_g);
+    assert.ok(body.sensitivity.rows.length > 0);
+  });
+
+  it("evaluates a list with shared constants and can skip the sensitivity", () => {
+    const { body } = post({
+      scenarios: [{ name: "A", ...EXPECTED }, { name: "B", inputs: { ...EXPECTED, KM_ONE_WAY: "600" } }],
+      constants: { EF_Al_prim: "10" },
+      sensitivity: false,
+    });
+    assert.deepEqual(
+      body.results.map((r) => [r.name, r.constants.EF_Al_prim, r.sensitivity]),
+      [
+        ["A", 10, null],
+        ["B", 10, null],
+      ]
+    );
+    assert.ok(body.results[1].lastCost_g > body.results[0].lastCost_g);
+  });
+
+  it("samples long series unless the full one is asked for, within a size limit", () => {
+    const sampled = post({ scenario: EXPECTED, N_max_top: 5000, sensitivity: false }).body;
+    const series = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 5000);
+    assert.ok(sampled.data.length <= MAX_CHART_POINTS + 1);
+    assert.deepEqual(sampled.data.at(-1), series.data.at(-1));
+    assert.deepEqual(sampled.data.find((r) => r.cycle === series.breakEven), series.data[series.breakEven - 1]);
+    assert.equal(sampled.lastCost_g, series.lastCost_g);
+    assert.equal(post({ scenario: EXPECTED, N_max_top: 5000, series: "full", sensitivity: false }).body.data.length, 5000);
+
+    const many = Array.from({ length: 3 }, () => EXPECTED);
+    assert.deepEqual(post({ scenarios: many, N_max_top: MAX_FULL_SERIES_ROWS, series: "full" }), {
+      status: 400,
+      body: { error: `3 scenarios × N_max_top ${MAX_FULL_SERIES_ROWS} is over ${MAX_FULL_SERIES_ROWS} cycles per request` },
+    });
+    const tooMany = Array.from({ length: MAX_REQUEST_CYCLES / 100000 + 1 }, () => EXPECTED);
+    assert.equal(post({ scenarios: tooMany, N_max_top: 100000 }).status, 400);
+    assert.equal(post({ scenario: EXPECTED, series: "all" }).status, 400);
+
+    const atN = (kpiN) => ({ kpi: "costAtN", kpiN });
+    assert.deepEqual(post({ scenarios: tooMany, N_max_top: 10, sensitivity: atN(100000) }), {
+      status: 400,
+      body: { error: `${tooMany.length} scenarios × kpiN 100000 is over ${MAX_REQUEST_CYCLES} cycles per request` },
+    });
+  });
+
+  it("answers bad input with 400 and the problem", () => {
+    assert.equal(handleApiRequest({ method: "POST", path: "/api/evaluate", body: "{" }).status, 400);
+    assert.deepEqual(post({ scenario: { ...EXPECTED, p_ret: 2 } }), {
+      status: 400,
+      body: { error: "scenario p_ret: Must be ≤ 1" },
+    });
+    assert.deepEqual(post({ scenario: EXPECTED, N_max_top: 0 }).body, { error: "N_max_top: Must be ≥ 1" });
+    assert.deepEqual(post({ scenario: EXPECTED, constants: { m_Al_mup: 0 } }), {
+      status: 400,
+      body: { error: "constant m_Al_mup: Must be > 0" },
+    });
+    assert.deepEqual(post({ scenario: EXPECTED, constants: { values: { EF_Al_prim: "x" } } }).body, {
+      error: "constant EF_Al_prim: Not a number",
+    });
+    assert.equal(post({ scenario: EXPECTED, constants: [1] }).status, 400);
+    for (const kpiN of [0, "abc", 2.5]) {
+      assert.deepEqual(post({ scenario: EXPECTED, sensitivity: { kpi: "costAtN", kpiN } }), {
+        status: 400,
+        body: { error: "sensitivity kpiN: N must be a whole number ≥ 1" },
+      });
+    }
+    assert.deepEqual(post({ scenario: EXPECTED, sensitivity: { kpi: "costAtN", kpiN: 1e7 } }).body, {
+      error: "sensitivity kpiN: N must be ≤ 100000",
+    });
+  });
+
+  it("answers malformed sensitivity settings and transport legs with readable 400s", () => {
+    const error = (input) => {
+      const { status, body } = post({ scenario: EXPECTED, ...input });
+      assert.equal(status, 400);
+      return body.error;
+    };
+    assert.equal(error({ sensitivity: "x" }), "sensitivity must be an object or false");
+    assert.equal(
+      error({ sensitivity: { kpi: "nope" } }),
+      'sensitivity kpi: Unknown KPI "nope" (costAtNmax, costAtN, breakEven)'
+    );
+    assert.equal(error({ sensitivity: { perturbations: [] } }), "sensitivity perturbations must be an object");
+    assert.equal(
+      error({ sensitivity: { perturbations: { nope: {} } } }),
+      'sensitivity perturbations: Unknown parameter "nope"'
+    );
+    assert.equal(
+      error({ sensitivity: { perturbations: { p_ret: null } } }),
+      "sensitivity p_ret: Expected { mode, value } or { mode, low, high }"
+    );
+    assert.equal(
+      error({ sensitivity: { perturbations: { p_ret: { mode: "x", value: "1" } } } }),
+      'sensitivity p_ret: Unknown mode "x" (percent, delta, range)'
+    );
+    assert.equal(
+      error({ sensitivity: { perturbations: { p_ret: { mode: "range", low: "a", high: "1" } } } }),
+      "sensitivity p_ret: Low and high must be numbers"
+    );
+    assert.equal(error({ scenario: { ...EXPECTED, legs: "x" } }), "scenario legs: Expected a list of transport legs");
+    assert.equal(
+      post({ scenarios: [EXPECTED, { name: "B", ...EXPECTED, legs: [null] }] }).body.error,
+      "B: scenario legs: Expected a list of transport legs"
+    );
+    assert.equal(post({ scenario: EXPECTED, sensitivity: { perturbations: { p_ret: { value: "1" } } } }).status, 200);
+  });
+
+  it("knows its routes and methods", () => {
+    assert.equal(handleApiRequest({ method: "GET", path: "/api/health" }).status, 200);
+    assert.equal(handleApiRequest({ method: "GET", path: "/api/defaults" }).body.constants, DEFAULT_CONSTANTS);
+    assert.equal(handleApiRequest({ method: "GET", path: "/api/evaluate" }).status, 405);
+    assert.equal(handleApiRequest({ method: "GET", path: "/nope" }).status, 404);
+  });
+});
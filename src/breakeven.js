@@ -0,0 +1,186 @@
+/* ========= Break-even solver and goal seek (closed form where possible, bisection otherwise) ========= */
+import { amortisedAt, cycleAt, cycleSums, effectiveUses, modelTerms, toNum } from "./lca.js";
+import { PROFILE_PARAMS, profileTrend } from "./profiles.js";
+import { N_MAX_FIELD } from "./validation.js";
+
+// Cycle-dependent profiles have no closed form; the solver scans as far as the longest horizon before giving up
+export const MAX_SCAN_CYCLES = N_MAX_FIELD.max;
+
+/**
+ * @typedef {Object} BreakEvenSolution
+ * @property {"reached"|"never"} status
+ * @property {number|null} N        First whole cycle with MUP ≤ SUP (same rule as computeSeries), null if never
+ * @property {number|null} exact    Real-valued crossing point, null if never
+ * @property {"cycle"|"asymptote"|"scan"|null} reason  Why it is never reached: one reuse cycle alone costs at
+ *                                  least as much as a single-use cup, the amortised curve levels off above SUP (q < 1),
+ *                                  or (cycle-dependent profiles) not within MAX_SCAN_CYCLES
+ * @property {number} limit_g       Amortised footprint as N → ∞ [g CO₂e/cup]; for profiles where the scan
+ *                                  stopped unless the cycles from there on are solved in closed form
+ */
+
+/**
+ * Break-even N without a horizon. With A = E_start + E_EoL and D = E_SUP − E_cycle the condition
+ * A / U + E_cycle ≤ E_SUP becomes U ≥ A / D, and U = (1 − q^N) / (1 − q) is inverted with a logarithm.
+ * Cycle-dependent profiles are scanned numerically instead; `exact` is then the whole cycle.
+ * @returns {BreakEvenSolution}
+ */
+export function solveBreakEven(params, constants) {
+  const terms = modelTerms(params, constants);
+  if (terms.varying) return scanBreakEven(params.profiles, terms);
+  const { E_cycle, q, E_sup } = terms;
+  const A = terms.E_start + terms.E_EoL;
+  const D = E_sup - E_cycle;
+  const limit = q < 1 ? A * (1 - q) + E_cycle : E_cycle;
+  const never = (reason) => ({ status: "never", N: null, exact: null, reason, limit_g: limit * 1000 });
+
+  if (amortisedAt(terms, 1) <= E_sup) {
+    return { status: "reached", N: 1, exact: 1, reason: null, limit_g: limit * 1000 };
+  }
+  // Past N = 1 the curve only falls towards E_SUP if the start burden is positive and each cycle is cheaper than SUP
+  if (D <= 0) return never("cycle");
+  if (A <= 0) return never("asymptote");
+
+  const U_needed = A / D;
+  if (q < 1 && U_needed * (1 - q) >= 1) return never("asymptote");
+  const exact = q === 1 ? U_needed : Math.log(1 - U_needed * (1 - q)) / Math.log(q);
+
+  // Round to the discrete rule used by the scan, guarding against floating-point error at the crossing
+  let N = Math.max(1, Math.ceil(exact - 1e-9));
+  while (amortisedAt(terms, N) > E_sup) N++;
+  while (N > 1 && amortisedAt(terms, N - 1) <= E_sup) N--;
+  return { status: "reached", N, exact, reason: null, limit_g: limit * 1000 };
+}
+
+/**
+ * Cycles from which the profiles leave E_cycle(k) constant and from which they never lower it. A higher
+ * scrap rate changes E_cycle only through the EoL of dropped capsules, in the direction of its sign.
+ */
+function profileTails(drafts, terms) {
+  let constantFrom = 1;
+  let risingFrom = 1;
+  for (const param of PROFILE_PARAMS) {
+    if (!terms.profiles[param.key]) continue;
+    const trend = profileTrend(drafts[param.key], param, param.scale === "absolute" ? terms[param.key] : 1);
+    constantFrom = Math.max(constantFrom, trend.constantFrom);
+    if (param.key !== "p_scr") risingFrom = Math.max(risingFrom, trend.risingFrom);
+    else if (terms.E_EoL_early !== 0) {
+      risingFrom = Math.max(risingFrom, terms.E_EoL_early > 0 ? trend.risingFrom : trend.fallingFrom);
+    }
+  }
+  return { constantFrom, risingFrom };
+}
+
+/**
+ * Numeric scan with profiles. It stops at the break-even; once the surviving capsules no longer move the
+ * sums; once every further cycle costs at least SUP on its own; or where the profiles turn constant, from
+ * which the rest is the closed form of solveBreakEven() with the running sums as start burden.
+ */
+function scanBreakEven(drafts, terms) {
+  const { E_sup } = terms;
+  const A = terms.E_start + terms.E_EoL;
+  const { constantFrom, risingFrom } = profileTails(drafts, terms);
+  let N = null;
+  let last = null;
+  let reason = "scan";
+  let prev = { U: 0, E_cycle: 0 };
+  let at = { k: 0, S: 1 };
+  cycleSums(terms, Math.min(MAX_SCAN_CYCLES, constantFrom), (k, sums) => {
+    last = (A + sums.E_cycle) / sums.U;
+    const S = sums.U - prev.U;
+    const E_cycle = (sums.E_cycle - prev.E_cycle) / S;
+    const settled =
+      S <= 1e-15 * sums.U && Math.abs(sums.E_cycle - prev.E_cycle) <= 1e-15 * Math.abs(sums.E_cycle);
+    prev = { U: sums.U, E_cycle: sums.E_cycle };
+    at = { k, S };
+    if (last <= E_sup) N = k;
+    else if (k >= risingFrom && E_cycle >= E_sup) reason = "cycle";
+    return N !== null || settled || reason === "cycle";
+  });
+  if (N !== null) return { status: "reached", N, exact: N, reason: null, limit_g: last * 1000 };
+  if (reason === "scan" && at.k === constantFrom) return solveTail(terms, A + prev.E_cycle, prev.U, at);
+  return { status: "never", N: null, exact: null, reason, limit_g: last * 1000 };
+}
+
+/**
+ * Closed form for the cycles after `at.k`, from which q and E_cycle stay constant: with X = A + Σ S·E_cycle and U
+ * so far and s = S_k · q the survival of the next cycle, m more cycles break even when s · u(m) · (E_SUP − E_cycle)
+ * ≥ X − E_SUP · U, with u(m) = (1 − q^m) / (1 − q).
+ */
+function solveTail(terms, X, U, at) {
+  const { q, E_cycle } = cycleAt(terms, at.k);
+  const { E_sup } = terms;
+  const s = at.S * q;
+  const amortised = (m) => (X + s * effectiveUses(m, q) * E_cycle) / (U + s * effectiveUses(m, q));
+  const limit = q < 1 ? (X + (s * E_cycle) / (1 - q)) / (U + s / (1 - q)) : E_cycle;
+  const never = (reason) => ({ status: "never", N: null, exact: null, reason, limit_g: limit * 1000 });
+  if (E_cycle >= E_sup) return never("cycle");
+  if (s <= 0) return never("asymptote");
+  const u = (X - E_sup * U) / (s * (E_sup - E_cycle));
+  if (q < 1 && u * (1 - q) >= 1) return never("asymptote");
+  const exact = q === 1 ? u : Math.log(1 - u * (1 - q)) / Math.log(q);
+  let m = Math.max(1, Math.ceil(exact - 1e-9));
+  while (amortised(m) > E_sup) m++;
+  while (m > 1 && amortised(m - 1) <= E_sup) m--;
+  return { status: "reached", N: at.k + m, exact: at.k + m, reason: null, limit_g: limit * 1000 };
+}
+
+/* ===== Goal seek ===== */
+
+/**
+ * @typedef {Object} GoalSeekTarget
+ * @property {"ok"|"any"|"none"|"unused"} status  "any": break-even at N for every physical value; "none": for no
+ *                                      value; "unused": the input has no effect (KM_ONE_WAY with transport legs)
+ * @property {"min"|"max"} bound         Whether `value` is the lowest or highest value that still breaks even
+ * @property {number|null} value
+ */
+
+const BISECT_STEPS = 60;
+
+/** Threshold of a monotone predicate between lo and hi (fits(lo) !== fits(hi)), approached from hi's side. */
+function bisect(fits, lo, hi) {
+  const fitsHi = fits(hi);
+  for (let i = 0; i < BISECT_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid) === fitsHi) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+/**
+ * Values of p_ret, KM_ONE_WAY and E_manu_mup that make MUP break even exactly at cycle N_target,
+ * each varied on its own with all other inputs held at the scenario's values.
+ * @returns {{ p_ret: GoalSeekTarget, KM_ONE_WAY: GoalSeekTarget, E_manu_mup: GoalSeekTarget }}
+ */
+export function goalSeek(params, constants, N_target) {
+  const terms = modelTerms(params, constants);
+  const { E_sup, T_PER_KM } = terms;
+  const sums = cycleSums(terms, N_target);
+  const A = terms.E_start + terms.E_EoL;
+
+  // E_manu_mup enters E_start linearly: (E_start + E_EoL + Σ S_k·E_cycle(k)) / U ≤ E_SUP
+  const manuRest = A - toNum(params.E_manu_mup, 0);
+  const manuMax = sums.U * E_sup - sums.E_cycle - manuRest;
+  const E_manu_mup =
+    manuMax < 0 ? { status: "none", bound: "max", value: null } : { status: "ok", bound: "max", value: manuMax };
+
+  // Transport adds 2 · T · km · (transport factor of cycle k) to E_cycle(k)
+  const kmSlack = sums.U * E_sup - A - sums.E_clean - sums.E_use - sums.E_EoL_drop;
+  let KM_ONE_WAY;
+  if (terms.usesLegs) KM_ONE_WAY = { status: "unused", bound: "max", value: null };
+  else if (T_PER_KM <= 0) KM_ONE_WAY = { status: kmSlack >= 0 ? "any" : "none", bound: "max", value: null };
+  else if (kmSlack < 0) KM_ONE_WAY = { status: "none", bound: "max", value: null };
+  else KM_ONE_WAY = { status: "ok", bound: "max", value: kmSlack / (2 * T_PER_KM * sums.TF) };
+
+  // p_ret moves q, and the amortised cost is monotone in q: falling for a positive start burden, rising for a net credit.
+  // The terms are rebuilt since the EoL of lost capsules per cycle depends on q as well.
+  const fits = (p) => amortisedAt(modelTerms({ ...params, p_ret: p }, constants), N_target) <= E_sup;
+  const at0 = fits(0);
+  const at1 = fits(1);
+  let p_ret;
+  if (at0 && at1) p_ret = { status: "any", bound: "min", value: null };
+  else if (!at0 && !at1) p_ret = { status: "none", bound: "min", value: null };
+  else p_ret = { status: "ok", bound: at1 ? "min" : "max", value: at1 ? bisect(fits, 0, 1) : bisect(fits, 1, 0) };
+
+  return { p_ret, KM_ONE_WAY, E_manu_mup };
+}
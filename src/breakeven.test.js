@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { N_MAX_FIELD } from "./validation.js";
+import { MAX_SCAN_CYCLES, goalSeek, solveBreakEven } from "./breakeven.js";
+import { amortisedAt, computeSeries, modelTerms, seriesSummary } from "./lca.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const BEST = { E_manu_mup: "0.0006", KM_ONE_WAY: "100", p_ret: 1, p_scr: 0, E_EoL_mup: "-0.0001" };
+const WORST = { E_manu_mup: "0.0010", KM_ONE_WAY: "300", p_ret: 0.95, p_scr: 0.05, E_EoL_mup: "0.0001" };
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+describe("solveBreakEven", () => {
+  it("agrees with the cycle scan for the reference scenarios", () => {
+    assert.equal(solveBreakEven(EXPECTED, DEFAULT_CONSTANTS).N, 35);
+    const best = solveBreakEven(BEST, DEFAULT_CONSTANTS);
+    assert.equal(best.N, 19);
+    close(best.exact, 0.0487248 / 0.00263); // q = 1: U = N = A / D
+  });
+
+  it("agrees with the cycle scan across a grid of scenarios", () => {
+    for (const KM_ONE_WAY of [0, 150, 400, 700])
+      for (const p_ret of [0.85, 0.95, 0.99, 1])
+        for (const E_EoL_mup of [-0.002, 0, 0.002]) {
+          const s = { ...EXPECTED, KM_ONE_WAY, p_ret, E_EoL_mup };
+          const scan = computeSeries(s, DEFAULT_CONSTANTS, 500).breakEven;
+          const solved = solveBreakEven(s, DEFAULT_CONSTANTS);
+          assert.equal(solved.N !== null && solved.N <= 500 ? solved.N : null, scan, JSON.stringify(s));
+        }
+  });
+
+  it("solves break-evens beyond the chart horizon", () => {
+    const s = { ...EXPECTED, p_ret: 1, p_scr: 0, KM_ONE_WAY: "400" };
+    assert.equal(computeSeries(s, DEFAULT_CONSTANTS, 50).breakEven, null);
+    const solved = solveBreakEven(s, DEFAULT_CONSTANTS);
+    assert.equal(solved.status, "reached");
+    assert.equal(solved.N, computeSeries(s, DEFAULT_CONSTANTS, 1000).breakEven);
+    assert.ok(solved.N > 50);
+  });
+
+  it("reports the asymptote when losses keep the curve above SUP", () => {
+    const solved = solveBreakEven(WORST, DEFAULT_CONSTANTS);
+    assert.equal(solved.status, "never");
+    assert.equal(solved.reason, "asymptote");
+    const t = modelTerms(WORST, DEFAULT_CONSTANTS);
+    close(solved.limit_g, ((t.E_start + t.E_EoL) * (1 - t.q) + t.E_cycle) * 1000);
+    close(amortisedAt(t, 100000) * 1000, solved.limit_g, 1e-6);
+  });
+
+  it("reports a per-cycle burden above SUP", () => {
+    const solved = solveBreakEven({ ...BEST, KM_ONE_WAY: "1000" }, DEFAULT_CONSTANTS); // 1 g + 7.4 g per cycle
+    assert.deepEqual([solved.status, solved.reason], ["never", "cycle"]);
+  });
+
+  it("breaks even at N = 1 with a large EoL credit", () => {
+    assert.equal(solveBreakEven({ ...WORST, E_EoL_mup: "-0.06" }, DEFAULT_CONSTANTS).N, 1);
+  });
+});
+
+describe("solveBreakEven with cycle profiles", () => {
+  // Lossless, so the curve keeps falling; SUP just above the per-cycle burden puts the break-even far out
+  const LOSSLESS = { ...EXPECTED, p_ret: 1, p_scr: 0 };
+  const terms = modelTerms(LOSSLESS, DEFAULT_CONSTANTS);
+  const constants = { ...DEFAULT_CONSTANTS, E_single_shot: terms.E_cycle + (terms.E_start + terms.E_EoL) / 39999.5 };
+
+  it("finds break-evens far beyond 10 000 cycles", () => {
+    assert.equal(MAX_SCAN_CYCLES, N_MAX_FIELD.max);
+    const flat = { ...LOSSLESS, profiles: { E_clean: { type: "linear", slope: "0" } } };
+    const solved = solveBreakEven(flat, constants);
+    assert.equal(solved.status, "reached");
+    assert.ok(solved.N > 10000);
+    assert.equal(solved.N, solveBreakEven(LOSSLESS, constants).N);
+    assert.equal(solved.N, seriesSummary(flat, constants, N_MAX_FIELD.max).breakEven);
+  });
+
+  it("solves the cycles after the last table row in closed form, also beyond the scan", () => {
+    const cheaper = { ...LOSSLESS, profiles: { transport: { type: "table", rows: [{ from: "30", value: "0.5" }] } } };
+    const t = modelTerms(cheaper, DEFAULT_CONSTANTS);
+    const E_tail = t.stages.E_clean + t.stages.E_use + 0.5 * (t.stages.E_fw + t.stages.E_rev);
+    for (const uses of [5000, 123456.5]) {
+      const c = { ...DEFAULT_CONSTANTS, E_single_shot: E_tail + (t.E_start + t.E_EoL) / uses };
+      const solved = solveBreakEven(cheaper, c);
+      assert.equal(solved.status, "reached");
+      if (uses < MAX_SCAN_CYCLES) assert.equal(solved.N, seriesSummary(cheaper, c, 10000).breakEven);
+      else assert.ok(solved.N > MAX_SCAN_CYCLES);
+    }
+    const never = solveBreakEven(cheaper, { ...DEFAULT_CONSTANTS, E_single_shot: E_tail });
+    assert.deepEqual([never.status, never.reason], ["never", "cycle"]);
+    close(never.limit_g, E_tail * 1000);
+  });
+
+  it("stops once every further cycle costs more than SUP", () => {
+    const rising = { ...LOSSLESS, profiles: { E_clean: { type: "linear", slope: "0.01" } } };
+    const solved = solveBreakEven(rising, { ...DEFAULT_CONSTANTS, E_single_shot: 0.002 });
+    assert.deepEqual([solved.status, solved.reason], ["never", "cycle"]);
+    assert.ok(solved.limit_g > 2);
+  });
+
+  it("agrees with the series across profile shapes", () => {
+    const profiles = [
+      { p_scr: { type: "linear", slope: "0.0004" } },
+      { p_scr: { type: "exponential", rate: "0.05" } },
+      { E_clean: { type: "linear", slope: "-0.02" } },
+      { transport: { type: "table", rows: [{ from: "10", value: "1.5" }, { from: "40", value: "0.2" }] } },
+    ];
+    for (const base of [EXPECTED, BEST, LOSSLESS]) {
+      for (const p of profiles) {
+        const s = { ...base, profiles: p };
+        const solved = solveBreakEven(s, DEFAULT_CONSTANTS);
+        const scan = seriesSummary(s, DEFAULT_CONSTANTS, 3000).breakEven;
+        assert.equal(solved.N !== null && solved.N <= 3000 ? solved.N : null, scan, JSON.stringify(s));
+      }
+    }
+  });
+
+  it("stops early once losses have settled the curve", () => {
+    const ageing = { ...EXPECTED, profiles: { p_scr: { type: "linear", slope: "0.001" } } };
+    const solved = solveBreakEven(ageing, DEFAULT_CONSTANTS);
+    assert.equal(solved.N, computeSeries(ageing, DEFAULT_CONSTANTS, 100).breakEven);
+    const never = solveBreakEven({ ...WORST, profiles: ageing.profiles }, DEFAULT_CONSTANTS);
+    assert.equal(never.reason, "scan");
+    close(never.limit_g, seriesSummary({ ...WORST, profiles: ageing.profiles }, DEFAULT_CONSTANTS, 5000).lastCost_g);
+  });
+});
+
+describe("goalSeek", () => {
+  const breaksEvenAt = (s, N) => computeSeries(s, DEFAULT_CONSTANTS, N).lastCost_g <= 4.37 + 1e-9;
+
+  it("finds thresholds that land exactly on the target N", () => {
+    const seek = goalSeek(BEST, DEFAULT_CONSTANTS, 25);
+    for (const key of ["KM_ONE_WAY", "E_manu_mup"]) {
+      assert.equal(seek[key].status, "ok");
+      assert.equal(seek[key].bound, "max");
+      assert.ok(breaksEvenAt({ ...BEST, [key]: seek[key].value * (1 - 1e-9) }, 25), key);
+      assert.ok(!breaksEvenAt({ ...BEST, [key]: seek[key].value * 1.001 }, 25), key);
+    }
+    // Best Case already has p_ret = 1 and breaks even at 19, so N = 15 needs other levers
+    assert.equal(goalSeek(BEST, DEFAULT_CONSTANTS, 15).p_ret.status, "none");
+  });
+
+  it("returns the minimum return rate for a positive start burden", () => {
+    const seek = goalSeek(BEST, DEFAULT_CONSTANTS, 30);
+    assert.equal(seek.p_ret.status, "ok");
+    assert.equal(seek.p_ret.bound, "min");
+    assert.ok(breaksEvenAt({ ...BEST, p_ret: seek.p_ret.value }, 30));
+    assert.ok(!breaksEvenAt({ ...BEST, p_ret: seek.p_ret.value - 1e-6 }, 30));
+    assert.equal(solveBreakEven({ ...BEST, p_ret: seek.p_ret.value }, DEFAULT_CONSTANTS).N, 30);
+  });
+
+  it("flags targets no single input can reach", () => {
+    const seek = goalSeek(WORST, DEFAULT_CONSTANTS, 5);
+    assert.equal(seek.KM_ONE_WAY.status, "none");
+    assert.equal(seek.E_manu_mup.status, "none");
+    assert.equal(seek.p_ret.status, "none");
+  });
+
+  it("treats distance as irrelevant when transport has no footprint", () => {
+    const constants = { ...DEFAULT_CONSTANTS, T_FACTOR_PER_100KM: 0 };
+    assert.equal(goalSeek(BEST, constants, 40).KM_ONE_WAY.status, "any");
+    assert.equal(goalSeek(BEST, constants, 2).KM_ONE_WAY.status, "none");
+  });
+});
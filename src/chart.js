@@ -0,0 +1,46 @@
+/* ========= Line chart data: the per-cycle series of all scenarios merged into one row per N ========= */
+
+// More rows than this draw more points than the chart has pixels and slow every redraw down
+export const MAX_CHART_POINTS = 400;
+
+/**
+ * Cycles shown for a horizon of N_max_top: all of them up to `maxPoints`, beyond that an even spread over
+ * 1..N_max plus a logarithmic one for the steep start of the curve, with the `include`d cycles (e.g.
+ * a table row) added. Always ascending, always with 1 and N_max.
+ */
+export function sampleCycles(N_max_top, maxPoints = MAX_CHART_POINTS, include = []) {
+  const extra = include.filter((N) => Number.isInteger(N) && N >= 1 && N <= N_max_top);
+  if (N_max_top <= maxPoints) return Array.from({ length: N_max_top }, (_, i) => i + 1);
+  const half = Math.floor(maxPoints / 2);
+  const set = new Set(extra);
+  for (let i = 0; i < half; i++) {
+    set.add(Math.round(1 + ((N_max_top - 1) * i) / (half - 1)));
+    set.add(Math.round(N_max_top ** (i / (half - 1))));
+  }
+  return Array.from(set).sort((a, b) => a - b);
+}
+
+/**
+ * Rows { cycle, SUP, [key]: MUP } for the line chart in display units (`scale`, see unitFactor) at the
+ * given `cycles` (all by default). `series` are { key, data } with computeSeries() rows, read by index;
+ * Monte Carlo `bands` add MC_band [P5, P95] and MC_P50 where they have a cycle.
+ */
+export function chartRows(series, { cycles = null, bands = null, scale = 1 } = {}) {
+  const longest = series.reduce((n, s) => Math.max(n, s.data.length), 0);
+  const band = new Map(bands?.map((b) => [b.cycle, b]));
+  return (cycles ?? Array.from({ length: longest }, (_, i) => i + 1)).map((cycle) => {
+    const row = { cycle };
+    for (const { key, data } of series) {
+      const r = data[cycle - 1];
+      if (!r) continue;
+      row.SUP ??= r.SUP_g * scale;
+      row[key] = r.MUP_g * scale;
+    }
+    const b = band.get(cycle);
+    if (b) {
+      row.MC_band = [b.p5 * scale, b.p95 * scale];
+      row.MC_P50 = b.p50 * scale;
+    }
+    return row;
+  });
+}
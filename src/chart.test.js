@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_CHART_POINTS, chartRows, sampleCycles } from "./chart.js";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { computeSeries } from "./lca.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+
+describe("sampleCycles", () => {
+  it("keeps every cycle of a short horizon", () => {
+    assert.deepEqual(sampleCycles(5), [1, 2, 3, 4, 5]);
+  });
+
+  it("thins a long horizon to at most the point budget, dense at the start", () => {
+    const cycles = sampleCycles(50000, MAX_CHART_POINTS, [12345, 0, 60000]);
+    assert.ok(cycles.length <= MAX_CHART_POINTS + 1);
+    assert.deepEqual(cycles.slice(0, 5), [1, 2, 3, 4, 5]);
+    assert.equal(cycles[cycles.length - 1], 50000);
+    assert.ok(cycles.includes(12345));
+    assert.ok(cycles.every((N, i) => i === 0 || N > cycles[i - 1]));
+  });
+});
+
+describe("chartRows", () => {
+  it("merges the series by cycle in display units, at the sampled cycles only", () => {
+    const a = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50).data;
+    const b = computeSeries({ ...EXPECTED, KM_ONE_WAY: "300" }, DEFAULT_CONSTANTS, 30).data;
+    const bands = [{ cycle: 40, p5: 1, p50: 2, p95: 3 }];
+    const rows = chartRows(
+      [
+        { key: "MUP_a", data: a },
+        { key: "MUP_b", data: b },
+      ],
+      { cycles: [1, 30, 40], bands, scale: 2 }
+    );
+    assert.deepEqual(rows, [
+      { cycle: 1, SUP: 8.74, MUP_a: a[0].MUP_g * 2, MUP_b: b[0].MUP_g * 2 },
+      { cycle: 30, SUP: 8.74, MUP_a: a[29].MUP_g * 2, MUP_b: b[29].MUP_g * 2 },
+      { cycle: 40, SUP: 8.74, MUP_a: a[39].MUP_g * 2, MC_band: [2, 6], MC_P50: 4 },
+    ]);
+    assert.equal(chartRows([{ key: "MUP_a", data: a }]).length, 50);
+  });
+});
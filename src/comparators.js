@@ -0,0 +1,144 @@
+/* ========= Single-use comparators: library, list operations & break-even matrix ========= */
+import { parseStrict } from "./constants.js";
+import { solveBreakEven } from "./breakeven.js";
+import { DEFAULT_INDICATOR, sanitizeImpacts } from "./indicators.js";
+
+export const COMPARATOR_PALETTE = ["#6b7280", "#a16207", "#be185d", "#4d7c0f", "#1e40af", "#9a3412"];
+// One dash pattern per line so the references stay apart where their colours are close
+export const COMPARATOR_DASHES = ["6 4", "2 3", "10 3 2 3", "12 4", "4 2", "1 4"];
+
+// Illustrative defaults per cup [kg CO₂e]; credit = avoided burden at end of life, subtracted from the footprint.
+// `impacts` holds the same per indicator (see indicators.js), in that indicator's unit.
+const imp = (ced, water, ap, ep_fw, adp) =>
+  Object.fromEntries(Object.entries({ ced, water, ap, ep_fw, adp }).map(([k, footprint]) => [k, { footprint, credit: "0" }]));
+
+export const DEFAULT_COMPARATORS = [
+  {
+    id: "c1",
+    name: "Aluminium capsule",
+    footprint: "0.00437",
+    credit: "0",
+    color: "#6b7280",
+    impacts: imp("0.075", "0.0012", "0.000025", "0.00018", "0.0015"),
+  },
+  {
+    id: "c2",
+    name: "Compostable capsule",
+    footprint: "0.0040",
+    credit: "0",
+    color: "#a16207",
+    impacts: imp("0.0675", "0.0018", "0.00003", "0.00029", "0.00045"),
+  },
+  {
+    id: "c3",
+    name: "Plastic capsule",
+    footprint: "0.0045",
+    credit: "0.0001",
+    color: "#be185d",
+    impacts: imp("0.0825", "0.00096", "0.0000225", "0.00013", "0.0003"),
+  },
+  {
+    id: "c4",
+    name: "Loose coffee",
+    footprint: "0.0015",
+    credit: "0",
+    color: "#4d7c0f",
+    impacts: imp("0.026", "0.0006", "0.0000088", "0.000063", "0.0005"),
+  },
+];
+
+export const COMPARATOR_FIELDS = [
+  { key: "footprint", label: "Footprint", unit: "kg CO₂e/cup", min: 0 },
+  { key: "credit", label: "EoL credit", unit: "kg CO₂e/cup" },
+];
+
+function nextComparatorId(list) {
+  const max = list.reduce((m, c) => Math.max(m, parseInt(String(c.id).slice(1), 10) || 0), 0);
+  return `c${max + 1}`;
+}
+
+export function addComparator(list) {
+  const used = new Set(list.map((c) => c.color.toLowerCase()));
+  const color = COMPARATOR_PALETTE.find((c) => !used.has(c)) ?? COMPARATOR_PALETTE[list.length % COMPARATOR_PALETTE.length];
+  return [...list, { id: nextComparatorId(list), name: `Comparator ${list.length + 1}`, footprint: "0.004", credit: "0", color }];
+}
+
+export function updateComparator(list, id, patch) {
+  return list.map((c) => (c.id === id ? { ...c, ...patch } : c));
+}
+
+export function removeComparator(list, id) {
+  return list.filter((c) => c.id !== id);
+}
+
+/** Net footprint per cup (footprint − credit) and field errors; net is null while a field is invalid. */
+export function resolveComparator(c) {
+  const errors = {};
+  const values = {};
+  for (const f of COMPARATOR_FIELDS) {
+    const n = parseStrict(c[f.key]);
+    if (!Number.isFinite(n)) errors[f.key] = "Not a number";
+    else if (f.min !== undefined && n < f.min) errors[f.key] = `Must be ≥ ${f.min}`;
+    else values[f.key] = n;
+  }
+  return { net: Object.keys(errors).length ? null : values.footprint - values.credit, errors };
+}
+
+/** The comparator with footprint / credit of one indicator; without values it is invalid for that indicator. */
+export function comparatorFor(c, indicatorKey) {
+  if (indicatorKey === DEFAULT_INDICATOR) return c;
+  const v = c.impacts?.[indicatorKey];
+  return { ...c, footprint: v?.footprint ?? "", credit: v?.credit ?? "0" };
+}
+
+/** Patch for one footprint / credit field of the given indicator. */
+export function comparatorPatch(c, indicatorKey, field, value) {
+  if (indicatorKey === DEFAULT_INDICATOR) return { [field]: value };
+  const current = { footprint: "", credit: "0", ...c.impacts?.[indicatorKey] };
+  return { impacts: { ...c.impacts, [indicatorKey]: { ...current, [field]: value } } };
+}
+
+/** Dash pattern of the comparator at `index` in the library. */
+export const comparatorDash = (index) => COMPARATOR_DASHES[index % COMPARATOR_DASHES.length];
+
+/**
+ * Break-even of every scenario against every valid comparator, solved without a horizon by
+ * putting the comparator's net footprint in place of the SUP reference. `mapRows(scenarios, row)` builds
+ * the rows, e.g. through a createListMemo that keeps those of unchanged scenarios.
+ * @returns {{ comparators: {id: string, name: string, color: string, dash: string, net_g: number}[],
+ *   rows: {id: string, name: string, color: string, cells: import("./breakeven.js").BreakEvenSolution[]}[] }}
+ */
+export function breakEvenMatrix(scenarios, constants, comparators, mapRows = (list, row) => list.map(row)) {
+  const valid = comparators
+    .map((c, i) => ({ ...c, net: resolveComparator(c).net, dash: comparatorDash(i) }))
+    .filter((c) => c.net !== null);
+  return {
+    comparators: valid.map((c) => ({ id: c.id, name: c.name, color: c.color, dash: c.dash, net_g: c.net * 1000 })),
+    rows: mapRows(scenarios, (s) => ({
+      id: s.id,
+      name: s.name,
+      color: s.color,
+      cells: valid.map((c) => solveBreakEven(s, { ...constants, E_single_shot: c.net })),
+    })),
+  };
+}
+
+/** Defensive copy of a comparator library from links and imported files. */
+export function sanitizeComparators(raw) {
+  if (!Array.isArray(raw)) return undefined;
+  const list = [];
+  const text = (v, fallback) => (typeof v === "string" || typeof v === "number" ? String(v) : fallback);
+  for (const item of raw) {
+    if (!item || typeof item !== "object") continue;
+    list.push({
+      id: typeof item.id === "string" && !list.some((c) => c.id === item.id) ? item.id : nextComparatorId(list),
+      name: typeof item.name === "string" ? item.name : `Comparator ${list.length + 1}`,
+      footprint: text(item.footprint, ""),
+      credit: text(item.credit, "0"),
+      color: typeof item.color === "string" && /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : COMPARATOR_PALETTE[0],
+    });
+    const impacts = sanitizeImpacts(item.impacts, ["footprint", "credit"]);
+    if (impacts) list.at(-1).impacts = impacts;
+  }
+  return list;
+}
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { DEFAULT_COMPARATORS, addComparator, breakEvenMatrix, resolveComparator, sanitizeComparators } from "./comparators.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+
+describe("breakEvenMatrix", () => {
+  const matrix = breakEvenMatrix(DEFAULT_SCENARIOS, DEFAULT_CONSTANTS, DEFAULT_COMPARATORS);
+  const cell = (scenario, comparator) =>
+    matrix.rows[scenario].cells[matrix.comparators.findIndex((c) => c.id === comparator)];
+
+  it("matches the SUP reference break-even for an identical comparator", () => {
+    assert.equal(cell(1, "c1").N, 35);
+    assert.equal(cell(2, "c1").N, 19);
+  });
+
+  it("subtracts the EoL credit from the footprint", () => {
+    assert.equal(matrix.comparators.find((c) => c.id === "c3").net_g.toFixed(4), "4.4000");
+    assert.ok(cell(1, "c3").N < cell(1, "c1").N);
+  });
+
+  it("reports never when one cycle costs more than the comparator", () => {
+    assert.deepEqual([cell(1, "c4").status, cell(1, "c4").reason], ["never", "cycle"]);
+  });
+
+  it("skips comparators with invalid fields", () => {
+    const list = [...DEFAULT_COMPARATORS, { ...addComparator(DEFAULT_COMPARATORS).at(-1), footprint: "abc" }];
+    const m = breakEvenMatrix(DEFAULT_SCENARIOS, DEFAULT_CONSTANTS, list);
+    assert.equal(m.comparators.length, DEFAULT_COMPARATORS.length);
+    assert.equal(m.rows[0].cells.length, DEFAULT_COMPARATORS.length);
+  });
+});
+
+describe("comparator fields", () => {
+  it("validates footprint and credit", () => {
+    assert.deepEqual(resolveComparator({ footprint: "-1", credit: "x" }).errors, {
+      footprint: "Must be ≥ 0",
+      credit: "Not a number",
+    });
+    assert.equal(resolveComparator({ footprint: "0,004", credit: "0.001" }).net.toFixed(4), "0.0030");
+  });
+
+  it("sanitizes imported libraries", () => {
+    assert.deepEqual(sanitizeComparators([{ id: "c1", footprint: 0.002 }, { id: "c1", name: "B", color: "red" }, null]), [
+      { id: "c1", name: "Comparator 1", footprint: "0.002", credit: "0", color: "#6b7280" },
+      { id: "c2", name: "B", footprint: "", credit: "0", color: "#6b7280" },
+    ]);
+  });
+});
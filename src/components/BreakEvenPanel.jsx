@@ -0,0 +1,147 @@
+import { useMemo, useState } from "react";
+import { MAX_SCAN_CYCLES, goalSeek, solveBreakEven } from "../breakeven.js";
+import { parseStrict } from "../constants.js";
+import { toNum } from "../lca.js";
+import { useI18n } from "../i18n.js";
+
+// `format` gets the value and the i18n helpers
+const TARGETS = [
+  { key: "p_ret", label: "Return rate p_ret", format: (v, i18n) => i18n.pct(v, 1) },
+  { key: "KM_ONE_WAY", label: "One-way distance", format: (v, i18n) => `${i18n.int(v)} km` },
+  { key: "E_manu_mup", label: "Manufacturing MUP", format: (v, i18n, indicator) => `${i18n.prec(v)} ${indicator.unit}` },
+];
+
+function SolvedBreakEven({ solution, N_max_top, E_sup_g, indicator }) {
+  const { t, num, int, cup, cupShort } = useI18n();
+  const unit = cupShort(indicator);
+  if (solution.status === "reached") {
+    return (
+      <span>
+        N = <span className="font-semibold">{solution.N}</span>
+        {solution.exact !== solution.N && (
+          <span className="text-slate-500"> {t("breakEven.exact", { n: num(solution.exact, 1) })}</span>
+        )}
+        {solution.N > N_max_top && <span className="text-amber-700"> {t("breakEven.beyond", { n: N_max_top })}</span>}
+      </span>
+    );
+  }
+  return (
+    <span className="text-red-700">
+      {t("breakEven.never")}{" "}
+      {solution.reason === "cycle" && t("breakEven.neverCycle")}
+      {solution.reason === "asymptote" &&
+        t("breakEven.neverAsymptote", { limit: `${cup(solution.limit_g)} ${unit}`, sup: `${cup(E_sup_g)} ${unit}` })}
+      {solution.reason === "scan" &&
+        t("breakEven.neverScan", { n: int(MAX_SCAN_CYCLES), limit: `${cup(solution.limit_g)} ${unit}` })}
+    </span>
+  );
+}
+
+function TargetRow({ target, result, current, indicator }) {
+  const i18n = useI18n();
+  const { t, tl } = i18n;
+  let text;
+  let meets = null;
+  if (result.status === "unused") {
+    return (
+      <tr className="border-t border-slate-100">
+        <td className="py-1 pr-2 text-slate-700">{tl("target", target)}</td>
+        <td className="py-1 text-slate-500" colSpan={2}>
+          {t("breakEven.unused")}
+        </td>
+      </tr>
+    );
+  }
+  if (result.status === "any") {
+    text = t("breakEven.any");
+    meets = true;
+  } else if (result.status === "none") {
+    text = t("breakEven.unreachable");
+    meets = false;
+  } else {
+    text = `${result.bound === "min" ? "≥" : "≤"} ${target.format(result.value, i18n, indicator)}`;
+    meets = result.bound === "min" ? current >= result.value : current <= result.value;
+  }
+  return (
+    <tr className="border-t border-slate-100">
+      <td className="py-1 pr-2 text-slate-700">{tl("target", target)}</td>
+      <td className="py-1 pr-2 font-semibold tabular-nums text-slate-900">{text}</td>
+      <td className="py-1 tabular-nums text-slate-500" title={meets ? t("breakEven.meets") : t("breakEven.misses")}>
+        {target.format(current, i18n, indicator)} <span className={meets ? "text-emerald-600" : "text-red-600"}>{meets ? "✓" : "✗"}</span>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Solved break-even (no horizon) and goal seek: which single input would make the
+ * scenario break even at a target N, holding everything else fixed.
+ */
+export default function BreakEvenPanel({ scenario, constants, indicator, N_max_top }) {
+  const { t } = useI18n();
+  const [targetInput, setTargetInput] = useState("20");
+  const target = parseStrict(targetInput);
+  const targetError = Number.isInteger(target) && target >= 1 ? null : t("breakEven.targetError");
+
+  const solution = useMemo(() => solveBreakEven(scenario, constants), [scenario, constants]);
+  const seek = useMemo(
+    () => (targetError ? null : goalSeek(scenario, constants, target)),
+    [scenario, constants, target, targetError]
+  );
+
+  return (
+    <details className="mt-4 rounded-xl border border-slate-200 p-3 text-sm">
+      <summary className="cursor-pointer font-medium text-slate-700">{t("breakEven.title")}</summary>
+      <div className="mt-2 text-slate-700">
+        {t("breakEven.solved")}{" "}
+        <SolvedBreakEven
+          solution={solution}
+          N_max_top={N_max_top}
+          E_sup_g={constants.E_single_shot * 1000}
+          indicator={indicator}
+        />
+      </div>
+
+      <div className="mt-3 flex items-center gap-2">
+        <label className="text-slate-700" htmlFor={`be-target-${scenario.id}`}>
+          {t("breakEven.target")}
+        </label>
+        <input
+          id={`be-target-${scenario.id}`}
+          type="text"
+          inputMode="numeric"
+          className={`w-16 rounded border bg-slate-50 p-1 text-sm text-slate-900 ${
+            targetError ? "border-red-400" : "border-slate-300"
+          }`}
+          aria-invalid={targetError ? true : undefined}
+          value={targetInput}
+          onChange={(e) => setTargetInput(e.target.value)}
+        />
+        {targetError && <span className="text-xs text-red-600">{targetError}</span>}
+      </div>
+
+      {seek && (
+        <table className="mt-2 w-full text-xs">
+          <thead>
+            <tr className="text-left uppercase text-slate-500">
+              <th className="py-1 pr-2 font-medium">{t("breakEven.input")}</th>
+              <th className="py-1 pr-2 font-medium">{t("breakEven.needed")}</th>
+              <th className="py-1 font-medium">{t("breakEven.current")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {TARGETS.map((target) => (
+              <TargetRow
+                key={target.key}
+                target={target}
+                result={seek[target.key]}
+                current={toNum(scenario[target.key], 0)}
+                indicator={indicator}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
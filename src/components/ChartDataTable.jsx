@@ -0,0 +1,48 @@
+import { useState } from "react";
+import { useI18n } from "../i18n.js";
+
+/**
+ * The data behind a chart as a table, collapsed under a disclosure. The rows are only built once it is
+ * opened; the first column labels each row. `rows()` returns arrays of display strings.
+ */
+export default function ChartDataTable({ caption, columns, rows }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  return (
+    <details className="mt-2 text-sm" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-xs font-medium text-slate-600 hover:text-slate-900">
+        {t("a11y.showTable")}
+      </summary>
+      {open && (
+        <div className="mt-2 max-h-80 overflow-auto rounded-lg border border-slate-200">
+          <table className="w-full text-xs">
+            <caption className="sr-only">{caption}</caption>
+            <thead className="sticky top-0 bg-slate-50">
+              <tr className="text-left text-slate-500">
+                {columns.map((c, i) => (
+                  <th key={i} scope="col" className={`px-2 py-1 font-medium ${i ? "text-right" : ""}`}>
+                    {c}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows().map(([head, ...cells], j) => (
+                <tr key={j} className="border-t border-slate-100">
+                  <th scope="row" className="px-2 py-1 text-left font-medium text-slate-700">
+                    {head}
+                  </th>
+                  {cells.map((c, i) => (
+                    <td key={i} className="px-2 py-1 text-right tabular-nums">
+                      {c}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </details>
+  );
+}
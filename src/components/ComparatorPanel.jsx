@@ -0,0 +1,172 @@
+import {
+  COMPARATOR_FIELDS,
+  addComparator,
+  comparatorDash,
+  comparatorFor,
+  comparatorPatch,
+  removeComparator,
+  resolveComparator,
+  updateComparator,
+} from "../comparators.js";
+import { indicatorUnit } from "../indicators.js";
+import { useI18n } from "../i18n.js";
+import { scenarioDash } from "../scenarios.js";
+import NumberInput from "./NumberInput.jsx";
+
+const inputCls = "w-28 rounded border bg-slate-50 p-1 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+
+/** Short line in a chart line's colour and dash pattern, for legends next to text. */
+export function Swatch({ color, dash }) {
+  return (
+    <svg width="28" height="8" className="mr-2 inline-block align-middle" aria-hidden="true">
+      <line x1="0" y1="4" x2="28" y2="4" stroke={color} strokeWidth="2" strokeDasharray={dash} />
+    </svg>
+  );
+}
+
+function MatrixCell({ solution, N_max_top }) {
+  const { t } = useI18n();
+  if (solution.status === "never") {
+    return <span className="text-red-600">{t("comparators.never")}</span>;
+  }
+  return (
+    <span className={solution.N > N_max_top ? "text-amber-700" : "text-slate-900"}>
+      {solution.N}
+      {solution.N > N_max_top && <sup title={t("comparators.beyond", { n: N_max_top })}>*</sup>}
+    </span>
+  );
+}
+
+/**
+ * Library of single-use alternatives (footprint minus an optional EoL credit per cup) and the
+ * break-even N of every scenario against each of them. Footprint and credit are edited per indicator.
+ */
+export default function ComparatorPanel({ comparators, setComparators, matrix, indicator, N_max_top }) {
+  const { t, tl, tm, tu, cup, cupShort } = useI18n();
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <h2 className="font-semibold text-slate-900 text-lg mb-1">{t("comparators.title")}</h2>
+      <p className="text-xs text-slate-500 mb-3">{t("comparators.intro")}</p>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 text-sm">
+        <div>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-xs uppercase text-slate-500">
+                <th className="py-1 pr-2 font-medium">{t("comparators.comparator")}</th>
+                {COMPARATOR_FIELDS.map((f) => (
+                  <th key={f.key} className="py-1 pr-2 font-medium">
+                    {tl("comparatorField", f)}{" "}
+                    <span className="normal-case text-slate-400">[{tu(indicatorUnit(f.unit, indicator))}]</span>
+                  </th>
+                ))}
+                <th className="py-1 pr-2 font-medium text-right">{t("comparators.net", { unit: cupShort(indicator) })}</th>
+                <th className="py-1">
+                  <span className="sr-only">{t("comparators.actions")}</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparators.map((c, i) => {
+                const values = comparatorFor(c, indicator.key);
+                const { net, errors } = resolveComparator(values);
+                const set = (patch) => setComparators((list) => updateComparator(list, c.id, patch));
+                return (
+                  <tr key={c.id} className="border-t border-slate-100">
+                    <td className="py-1 pr-2">
+                      <div className="flex items-center">
+                        <Swatch color={c.color} dash={comparatorDash(i)} />
+                        <input
+                          type="text"
+                          value={c.name}
+                          onChange={(e) => set({ name: e.target.value })}
+                          className="min-w-0 flex-1 rounded border border-transparent bg-transparent px-1 text-slate-800 hover:border-slate-200 focus:border-slate-300"
+                          aria-label={t("comparators.name")}
+                        />
+                      </div>
+                    </td>
+                    {COMPARATOR_FIELDS.map((f) => (
+                      <td key={f.key} className="py-1 pr-2">
+                        <NumberInput
+                          className={`${inputCls} ${border(errors[f.key])}`}
+                          aria-label={`${c.name} ${tl("comparatorField", f)}`}
+                          aria-invalid={errors[f.key] ? true : undefined}
+                          title={tm(errors[f.key])}
+                          value={values[f.key]}
+                          onChange={(v) => set(comparatorPatch(c, indicator.key, f.key, v))}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 pr-2 text-right tabular-nums">{net === null ? "–" : cup(net * 1000)}</td>
+                    <td className="py-1 text-right">
+                      <button
+                        type="button"
+                        title={t("comparators.remove")}
+                        aria-label={t("comparators.removeNamed", { name: c.name })}
+                        onClick={() => setComparators((list) => removeComparator(list, c.id))}
+                        className="h-7 w-7 rounded-md border border-slate-200 text-slate-600 hover:bg-slate-100"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            className="mt-2 text-xs font-medium text-emerald-700 hover:underline"
+            onClick={() => setComparators(addComparator)}
+          >
+            {t("comparators.add")}
+          </button>
+        </div>
+
+        <div>
+          <div className="mb-1 text-xs uppercase font-medium text-slate-500">{t("comparators.matrix")}</div>
+          {matrix.comparators.length === 0 ? (
+            <p className="text-xs text-slate-500">{t("comparators.none")}</p>
+          ) : (
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs text-slate-500">
+                  <th className="py-1 pr-2 font-medium">
+                    <span className="sr-only">{t("comparators.scenario")}</span>
+                  </th>
+                  {matrix.comparators.map((c) => (
+                    <th key={c.id} className="py-1 pr-2 font-medium text-right">
+                      {c.name}
+                      <div className="font-normal text-slate-400">
+                        {cup(c.net_g)} {cupShort(indicator)}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.rows.map((row, i) => (
+                  <tr key={row.id} className="border-t border-slate-100">
+                    <th scope="row" className="py-1 pr-2 text-left font-medium" style={{ color: row.color }}>
+                      <Swatch color={row.color} dash={scenarioDash(i)} />
+                      {row.name}
+                    </th>
+                    {row.cells.map((solution, j) => (
+                      <td key={matrix.comparators[j].id} className="py-1 pr-2 text-right tabular-nums">
+                        <MatrixCell solution={solution} N_max_top={N_max_top} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="mt-2 text-[11px] text-slate-500">
+            {t("comparators.note", { n: N_max_top })}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
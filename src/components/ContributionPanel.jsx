@@ -0,0 +1,194 @@
+import { useMemo } from "react";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from "recharts";
+import { sampleCycles } from "../chart.js";
+import { validateValue } from "../constants.js";
+import { STAGES, computeContributions, contributionTable } from "../contributions.js";
+import { useI18n } from "../i18n.js";
+import { N_MAX_FIELD } from "../validation.js";
+import NumberInput from "./NumberInput.jsx";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+// Stacked bars stay readable up to about this many; longer horizons show a sample that keeps the table's N
+const MAX_BARS = 100;
+
+// The table may look past the horizon, but no further than the longest one (profiles step through every cycle)
+const TABLE_N_FIELD = { key: "tableN", min: 1, max: N_MAX_FIELD.max, integer: true };
+
+/**
+ * Stacked per-stage breakdown of one scenario's amortised footprint over N, with the
+ * SUP reference, and a table at a chosen N showing which stage (group) dominates.
+ */
+export default function ContributionPanel({
+  scenarios,
+  scenario,
+  onScenarioChange,
+  constants,
+  indicator,
+  N_max_top,
+  tableN,
+  setTableN,
+}) {
+  const { t, tl, tm, pct, cup, cupValue, cupUnit, cupShort } = useI18n();
+  const fmtPct = (v) => pct(v, 1);
+  const { value: parsedN, error } = validateValue(TABLE_N_FIELD, tableN);
+  const nError = error && tm(error);
+  const N = nError ? N_max_top : parsedN;
+
+  const scale = cupValue(1);
+  const data = useMemo(
+    () =>
+      computeContributions(scenario, constants, N_max_top, sampleCycles(N_max_top, MAX_BARS, [N])).map((row) => ({
+        ...row,
+        ...Object.fromEntries(STAGES.map((s) => [s.key, row[s.key] * scale])),
+      })),
+    [scenario, constants, N_max_top, N, scale]
+  );
+  const table = useMemo(() => contributionTable(scenario, constants, N), [scenario, constants, N]);
+  const top = table.groups[0];
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("contrib.title", { name: scenario.name })}</h2>
+        <div className="ml-auto flex flex-wrap items-center gap-3 text-sm">
+          <select
+            className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+            value={scenario.id}
+            onChange={(e) => onScenarioChange(e.target.value)}
+            aria-label={t("contrib.scenario")}
+          >
+            {scenarios.map((sc) => (
+              <option key={sc.id} value={sc.id}>
+                {sc.name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1 text-slate-700">
+            {t("contrib.tableAt")}
+            <NumberInput
+              inputMode="numeric"
+              className={`w-16 rounded border bg-slate-50 p-1 text-sm text-slate-900 ${
+                nError ? "border-red-400" : "border-slate-300"
+              }`}
+              aria-invalid={nError ? true : undefined}
+              value={tableN}
+              onChange={setTableN}
+            />
+          </label>
+          {nError && <span className="text-xs text-red-600">{nError}</span>}
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">{t("contrib.intro")}</p>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <div className="xl:col-span-2">
+          <div className="w-full h-[360px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data} stackOffset="sign" margin={{ left: 10, right: 20, top: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                <XAxis dataKey="cycle" stroke="#475569" />
+                <YAxis
+                  stroke="#475569"
+                  label={{ value: cupUnit(indicator), angle: -90, position: "insideLeft", fill: "#475569" }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [`${cup(Number(value) / scale)} ${cupShort(indicator)}`, name]}
+                  labelFormatter={(label) => t("contrib.cycle", { n: label })}
+                />
+                <Legend />
+                {STAGES.map((s) => (
+                  <Bar
+                    key={s.key}
+                    dataKey={s.key}
+                    name={tl("stage", s)}
+                    stackId="stages"
+                    fill={s.color}
+                    isAnimationActive={false}
+                  />
+                ))}
+                <ReferenceLine
+                  y={table.SUP_g * scale}
+                  stroke="#f97316"
+                  strokeDasharray="6 4"
+                  label={{ value: "SUP", fill: "#f97316", position: "right", fontSize: 11 }}
+                />
+                {N <= N_max_top && <ReferenceLine x={N} stroke="#0f172a" strokeDasharray="2 3" />}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartDataTable
+            caption={t("contrib.title", { name: scenario.name })}
+            columns={["N", ...STAGES.map((s) => tl("stage", s)), t("contrib.total"), "SUP"]}
+            rows={() =>
+              data.map((row) => [
+                row.cycle,
+                ...STAGES.map((s) => cup(row[s.key] / scale)),
+                cup(row.MUP_g),
+                cup(row.SUP_g),
+              ])
+            }
+          />
+        </div>
+
+        <div className="text-sm">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-xs uppercase text-slate-500">
+                <th className="py-1 pr-2 font-medium">{t("contrib.stageAt", { n: N })}</th>
+                <th className="py-1 pr-2 font-medium text-right">{cupShort(indicator)}</th>
+                <th className="py-1 font-medium text-right">{t("contrib.share")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.map((r) => (
+                <tr key={r.key} className="border-t border-slate-100">
+                  <td className="py-1 pr-2 text-slate-700">
+                    <span
+                      className="mr-2 inline-block h-2.5 w-2.5 rounded-sm align-middle"
+                      style={{ backgroundColor: STAGES.find((s) => s.key === r.key).color }}
+                    />
+                    {tl("stage", r)}
+                  </td>
+                  <td className="py-1 pr-2 text-right tabular-nums">{cup(r.g)}</td>
+                  <td className="py-1 text-right tabular-nums text-slate-500">{fmtPct(r.share)}</td>
+                </tr>
+              ))}
+              <tr className="border-t-2 border-slate-300 font-semibold">
+                <td className="py-1 pr-2">{t("contrib.total")}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{cup(table.total)}</td>
+                <td className="py-1 text-right tabular-nums text-slate-500">
+                  {table.total <= table.SUP_g ? "≤" : ">"} SUP {cup(table.SUP_g)}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          <table className="mt-4 w-full">
+            <thead>
+              <tr className="text-left text-xs uppercase text-slate-500">
+                <th className="py-1 pr-2 font-medium">{t("contrib.byGroup")}</th>
+                <th className="py-1 pr-2 font-medium text-right">{cupShort(indicator)}</th>
+                <th className="py-1 font-medium text-right">{t("contrib.share")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.groups.map((g) => (
+                <tr key={g.group} className="border-t border-slate-100">
+                  <td className="py-1 pr-2 text-slate-700">{tl("group", { key: g.group, label: g.group })}</td>
+                  <td className="py-1 pr-2 text-right tabular-nums">{cup(g.g)}</td>
+                  <td className="py-1 text-right tabular-nums text-slate-500">{fmtPct(g.share)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {top && top.g > 0 && (
+            <p className="mt-2 text-xs text-slate-600">
+              <span className="font-semibold">{tl("group", { key: top.group, label: top.group })}</span>{" "}
+              {t("contrib.dominates", { n: N, share: fmtPct(top.share) })}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import { useId } from "react";
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from "recharts";
+import { breakEvenSummary } from "../a11y.js";
+import { useI18n } from "../i18n.js";
+import { scenarioDash } from "../scenarios.js";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+/**
+ * Amortised footprint per cup over N for every scenario against SUP (rows from chartRows, possibly
+ * only a sample of the cycles, hence the numeric N axis), with the break-even points, a screen-reader summary and the data table. Optional: a Monte Carlo `band`
+ * ({ name, color } of the scenario behind MC_band / MC_P50), `overlays` ({ key, name, color, dash }) and
+ * horizontal `references` ({ id, y, name, color, dash }) in display units.
+ */
+export default function CycleChart({
+  data,
+  scenarios,
+  results,
+  indicator,
+  title,
+  N_max_top,
+  chartRef,
+  band = null,
+  overlays = [],
+  references = [],
+}) {
+  const { t, num, cupUnit } = useI18n();
+  const summaryId = useId();
+  const summary = breakEvenSummary(
+    t,
+    scenarios.map((sc, i) => ({ name: sc.name, breakEven: results[i].breakEven })),
+    N_max_top
+  );
+  const tableSeries = [
+    ...scenarios.map((sc) => ({ label: sc.name, key: `MUP_${sc.id}` })),
+    { label: t("chart.sup"), key: "SUP" },
+    ...(band
+      ? [
+          { label: `${band.name} P5`, value: (row) => row.MC_band?.[0] },
+          { label: `${band.name} P50`, key: "MC_P50" },
+          { label: `${band.name} P95`, value: (row) => row.MC_band?.[1] },
+        ]
+      : []),
+    ...overlays.map((o) => ({ label: o.name, key: o.key })),
+  ];
+
+  return (
+    <figure aria-label={title} aria-describedby={summaryId}>
+      <div className="w-full h-96" ref={chartRef}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} title={title} desc={summary}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+            <XAxis
+              dataKey="cycle"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              allowDecimals={false}
+              label={{
+                value: t("chart.xAxis"),
+                position: "insideBottomRight",
+                offset: -5,
+                style: { fill: "#475569", fontSize: 12 },
+              }}
+              stroke="#475569"
+            />
+            <YAxis
+              label={{
+                value: cupUnit(indicator),
+                angle: -90,
+                position: "insideLeft",
+                style: { fill: "#475569", fontSize: 12 },
+              }}
+              stroke="#475569"
+            />
+            <Tooltip
+              formatter={(value, name) => [Array.isArray(value) ? value.map((v) => num(v)).join(" – ") : num(value), name]}
+              labelFormatter={(label) => `N = ${label}`}
+            />
+            <Legend iconType="plainline" />
+
+            {scenarios.map((sc, i) => (
+              <Line
+                key={sc.id}
+                type="monotone"
+                dataKey={`MUP_${sc.id}`}
+                stroke={sc.color}
+                strokeDasharray={scenarioDash(i)}
+                strokeWidth={2}
+                dot={false}
+                name={sc.name}
+              />
+            ))}
+
+            <Line type="monotone" dataKey="SUP" stroke="#6b7280" strokeDasharray="5 5" strokeWidth={2} dot={false} name={t("chart.sup")} />
+
+            {band && (
+              <Area
+                type="monotone"
+                dataKey="MC_band"
+                stroke="none"
+                fill={band.color}
+                fillOpacity={0.15}
+                isAnimationActive={false}
+                name={`${band.name} P5–P95`}
+              />
+            )}
+            {band && (
+              <Line
+                type="monotone"
+                dataKey="MC_P50"
+                stroke={band.color}
+                strokeDasharray="2 4"
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+                name={`${band.name} P50`}
+              />
+            )}
+
+            {overlays.map((o) => (
+              <Line
+                key={o.key}
+                type="monotone"
+                dataKey={o.key}
+                stroke={o.color}
+                strokeDasharray={o.dash}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+                name={o.name}
+              />
+            ))}
+
+            {references.map((r) => (
+              <ReferenceLine
+                key={r.id}
+                y={r.y}
+                stroke={r.color}
+                strokeDasharray={r.dash}
+                ifOverflow="extendDomain"
+                label={{ value: r.name, fill: r.color, position: "insideBottomRight", fontSize: 11 }}
+              />
+            ))}
+
+            {scenarios.map((sc, i) =>
+              results[i].breakEven ? (
+                <ReferenceLine
+                  key={sc.id}
+                  x={results[i].breakEven}
+                  stroke={sc.color}
+                  strokeDasharray="3 3"
+                  label={{ value: `${sc.name} N=${results[i].breakEven}`, fill: sc.color, position: "top", fontSize: 11 }}
+                />
+              ) : null
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <p id={summaryId} className="sr-only">
+        {summary}
+      </p>
+      <ChartDataTable
+        caption={title}
+        columns={["N", ...tableSeries.map((c) => c.label)]}
+        rows={() =>
+          data.map((row) => [
+            row.cycle,
+            ...tableSeries.map((c) => {
+              const v = c.value ? c.value(row) : row[c.key];
+              return v === undefined ? "–" : num(v);
+            }),
+          ])
+        }
+      />
+    </figure>
+  );
+}
@@ -0,0 +1,209 @@
+import { useState } from "react";
+import { DIFF_COLORS } from "../diff.js";
+import { useI18n } from "../i18n.js";
+
+const selectCls = "rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900";
+
+function SnapshotList({ snapshots, onSave, onRestore, onDelete }) {
+  const { t, date } = useI18n();
+  const [name, setName] = useState("");
+  const trimmed = name.trim();
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <input
+          type="text"
+          placeholder={t("diff.snapshotName")}
+          className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-slate-900 w-64"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          className="rounded-lg border border-emerald-500 px-3 py-1.5 font-medium text-emerald-700 hover:bg-emerald-50 disabled:opacity-40"
+          disabled={!trimmed}
+          onClick={() => {
+            onSave(trimmed);
+            setName("");
+          }}
+        >
+          {t("diff.saveSnapshot")}
+        </button>
+      </div>
+      {snapshots.length === 0 ? (
+        <p className="text-xs text-slate-500">{t("diff.noSnapshots")}</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {snapshots.map((s) => (
+            <li key={s.id} className="flex items-center gap-3 py-1">
+              <span className="font-medium text-slate-800">{s.name}</span>
+              <span className="text-xs text-slate-400">
+                {s.createdAt ? date(new Date(s.createdAt)) : ""} · {t("diff.scenarioCount", { n: s.model.scenarios.length })}
+              </span>
+              <button className="ml-auto text-xs font-medium text-emerald-700 hover:underline" onClick={() => onRestore(s.id)}>
+                {t("diff.restore")}
+              </button>
+              <button className="text-xs font-medium text-red-600 hover:underline" onClick={() => onDelete(s.id)}>
+                {t("common.delete")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function SidePicker({ side, label, sources, value, onChange }) {
+  const { t } = useI18n();
+  const source = sources.find((s) => s.id === value.source) ?? sources[0];
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-semibold" style={{ color: DIFF_COLORS[side] }}>
+        {label}
+      </span>
+      <select
+        className={selectCls}
+        value={source.id}
+        onChange={(e) => onChange({ ...value, source: e.target.value })}
+        aria-label={t("diff.source", { side: label })}
+      >
+        {sources.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.name}
+          </option>
+        ))}
+      </select>
+      <select
+        className={selectCls}
+        value={value.scenario}
+        onChange={(e) => onChange({ ...value, scenario: e.target.value })}
+        aria-label={t("diff.scenario", { side: label })}
+      >
+        {source.model.scenarios.map((sc) => (
+          <option key={sc.id} value={sc.id}>
+            {sc.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * Named snapshots of the whole model and a diff of two scenarios, each from the current model or
+ * a snapshot: changed parameters, the resulting change in break-even and cost, optional chart overlay.
+ */
+export default function DiffPanel({
+  snapshots,
+  onSaveSnapshot,
+  onRestoreSnapshot,
+  onDeleteSnapshot,
+  sources,
+  config,
+  setConfig,
+  diff,
+  indicator,
+  N_max_top,
+}) {
+  const { t, tl, tu, prec, cup, cupShort } = useI18n();
+  const params = config.changedOnly ? diff.params.filter((p) => p.changed) : diff.params;
+  const fmtValue = (v) => (v === undefined || v === null || v === "" ? "—" : typeof v === "number" ? prec(v, 4) : v);
+  const fmtKpi = (k, v) => (v === null ? `> ${N_max_top}` : k.key === "breakEven" ? v : `${cup(v)} ${cupShort(indicator)}`);
+  const signed = (v, text) => `${v > 0 ? "+" : v < 0 ? "−" : "±"}${text}`;
+  const fmtDelta = (k, v) =>
+    v === null ? "—" : k.key === "breakEven" ? signed(v, Math.abs(v)) : `${signed(v, cup(Math.abs(v)))} ${cupShort(indicator)}`;
+  // Leg and profile rows are labelled in diff.js; scenario and constant fields share the field catalogue
+  const paramLabel = (p) => {
+    const leg = /^leg(\d+)$/.exec(p.key);
+    if (leg) return t("diff.leg", { n: leg[1] });
+    if (p.key.startsWith("profile_")) return t("diff.profile", { label: tl("profile", { key: p.key.slice(8), label: p.label }) });
+    return tl("field", p);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <h2 className="font-semibold text-slate-900 text-lg mb-1">{t("diff.title")}</h2>
+      <p className="text-xs text-slate-500 mb-3">{t("diff.intro")}</p>
+
+      <SnapshotList snapshots={snapshots} onSave={onSaveSnapshot} onRestore={onRestoreSnapshot} onDelete={onDeleteSnapshot} />
+
+      <div className="mt-4 flex flex-wrap items-center gap-x-6 gap-y-2">
+        <SidePicker side="a" label="A" sources={sources} value={config.a} onChange={(a) => setConfig((c) => ({ ...c, a }))} />
+        <SidePicker side="b" label="B" sources={sources} value={config.b} onChange={(b) => setConfig((c) => ({ ...c, b }))} />
+        <label className="flex items-center gap-1 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={config.overlay}
+            onChange={(e) => setConfig((c) => ({ ...c, overlay: e.target.checked }))}
+          />
+          {t("diff.overlay")}
+        </label>
+        <label className="flex items-center gap-1 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={config.changedOnly}
+            onChange={(e) => setConfig((c) => ({ ...c, changedOnly: e.target.checked }))}
+          />
+          {t("diff.changedOnly")}
+        </label>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 xl:grid-cols-2 gap-6 text-sm">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-xs uppercase text-slate-500">
+              <th className="py-1 pr-2 font-medium">{t("diff.parameter")}</th>
+              <th className="py-1 pr-2 font-medium">A</th>
+              <th className="py-1 font-medium">B</th>
+            </tr>
+          </thead>
+          <tbody>
+            {params.map((p) => (
+              <tr key={p.key} className={`border-t border-slate-100 ${p.changed ? "bg-amber-50" : ""}`}>
+                <td className="py-1 pr-2 text-slate-700">
+                  {paramLabel(p)} {p.unit && <span className="text-[11px] text-slate-400">[{tu(p.unit)}]</span>}
+                </td>
+                <td className="py-1 pr-2 tabular-nums">{fmtValue(p.a)}</td>
+                <td className={`py-1 tabular-nums ${p.changed ? "font-semibold text-slate-900" : ""}`}>{fmtValue(p.b)}</td>
+              </tr>
+            ))}
+            {params.length === 0 && (
+              <tr>
+                <td colSpan={3} className="py-2 text-xs text-slate-500">
+                  {t("diff.noChanges")}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <table className="w-full self-start">
+          <thead>
+            <tr className="text-left text-xs uppercase text-slate-500">
+              <th className="py-1 pr-2 font-medium">{t("diff.result")}</th>
+              <th className="py-1 pr-2 font-medium text-right">A</th>
+              <th className="py-1 pr-2 font-medium text-right">B</th>
+              <th className="py-1 font-medium text-right">Δ (B − A)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.kpis.map((k) => (
+              <tr key={k.key} className="border-t border-slate-100">
+                <td className="py-1 pr-2 text-slate-700">{tl("diffKpi", k)}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{fmtKpi(k, k.a)}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{fmtKpi(k, k.b)}</td>
+                <td
+                  className={`py-1 text-right tabular-nums ${
+                    k.delta < 0 ? "text-emerald-700" : k.delta > 0 ? "text-red-600" : "text-slate-500"
+                  }`}
+                >
+                  {fmtDelta(k, k.delta)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
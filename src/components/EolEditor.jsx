@@ -0,0 +1,84 @@
+import { DEFAULT_EOL, EOL_FIELDS, EOL_METHODS, eolFieldUsed } from "../eol.js";
+import { useI18n } from "../i18n.js";
+import NumberInput from "./NumberInput.jsx";
+import { ShareSlider } from "./TransportEditor.jsx";
+
+const inputCls = "w-full rounded border bg-slate-50 p-1 text-sm text-slate-900";
+
+/**
+ * Per-scenario end-of-life sub-model: allocation approach, recycled content and the recycling rates of
+ * retired and of lost or scrapped capsules. The per-capsule figures come from the model result, in the
+ * indicator's milli-unit like the transport legs.
+ */
+export default function EolEditor({ eol, setEol, errors = {}, result, indicator, warning, onUseNetValue }) {
+  const { t, tl, tm, num, input } = useI18n();
+  const set = (patch) => setEol((e) => ({ ...e, ...patch }));
+  const fields = EOL_FIELDS.filter((f) => eolFieldUsed(f, eol.method));
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between">
+        <span className="font-medium text-slate-700">{t("eol.title")}</span>
+        <button type="button" className="text-xs text-slate-500 underline hover:text-slate-800" onClick={onUseNetValue}>
+          {t("eol.net")}
+        </button>
+      </div>
+      <p className="mt-1 text-[11px] text-slate-400">{t("eol.intro")}</p>
+
+      <div className="mt-2 grid grid-cols-2 gap-2 rounded-lg border border-slate-200 p-2">
+        <label className="col-span-2 flex flex-col text-xs text-slate-500">
+          {t("eol.method")}
+          <select
+            className={`${inputCls} border-slate-300`}
+            value={eol.method}
+            onChange={(e) => set({ method: e.target.value })}
+          >
+            {Object.entries(EOL_METHODS).map(([key, m]) => (
+              <option key={key} value={key}>
+                {tl("eolMethod", { key, label: m.label })}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fields.map((f) =>
+          f.kind === "prob" ? (
+            <div key={f.key} className="col-span-2">
+              <ShareSlider label={tl("field", f)} value={eol[f.key]} min={0} set={(v) => set({ [f.key]: v })} />
+            </div>
+          ) : (
+            <label key={f.key} className="flex flex-col text-xs text-slate-500">
+              {tl("field", f)}
+              <NumberInput
+                className={`${inputCls} ${errors[f.key] ? "border-red-400" : "border-slate-300"}`}
+                aria-invalid={errors[f.key] ? true : undefined}
+                title={errors[f.key] && t("eol.invalid", { error: tm(errors[f.key]), value: input(DEFAULT_EOL[f.key]) })}
+                value={eol[f.key]}
+                onChange={(v) => set({ [f.key]: v })}
+              />
+            </label>
+          )
+        )}
+      </div>
+
+      <div className="mt-1 text-right text-xs text-slate-500">
+        {Object.keys(errors).length ? (
+          <span className="text-red-600">
+            {Object.entries(errors).map(([key, error]) => (
+              <span key={key} className="block">
+                {key}: {t("eol.invalid", { error: tm(error), value: input(DEFAULT_EOL[key]) })}
+              </span>
+            ))}
+          </span>
+        ) : (
+          result?.eol &&
+          t("eol.summary", {
+            mat: num(result.eol.E_mat_g),
+            ret: num(result.eol.E_EoL_g),
+            drop: num(result.eol.E_EoL_drop_g),
+            unit: indicator.short,
+          })
+        )}
+      </div>
+      {warning && <div className="mt-1 text-[11px] text-amber-700">{warning}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { useI18n } from "../i18n.js";
+
+function Item({ onClick, disabled, children, hint }) {
+  return (
+    <button
+      type="button"
+      disabled={disabled}
+      onClick={(e) => {
+        e.currentTarget.closest("details")?.removeAttribute("open");
+        onClick();
+      }}
+      className="block w-full px-3 py-1.5 text-left text-sm text-slate-700 hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-40"
+      title={disabled ? hint : undefined}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function ExportMenu({ onCsv, onJson, onChart, tornadoAvailable, onPrint }) {
+  const { t } = useI18n();
+  const tornadoHint = t("export.tornadoHint");
+  return (
+    <details className="relative">
+      <summary className="cursor-pointer list-none rounded-lg border border-slate-300 bg-white px-3 py-1 text-sm font-medium text-slate-700 hover:bg-slate-50">
+        {t("export.menu")}
+      </summary>
+      <div className="absolute right-0 z-20 mt-1 w-60 rounded-xl border border-slate-200 bg-white py-1 shadow-lg">
+        <div className="px-3 pt-1 text-[11px] font-medium uppercase text-slate-400">{t("export.data")}</div>
+        <Item onClick={onCsv}>{t("export.csv")}</Item>
+        <Item onClick={onJson}>{t("export.json")}</Item>
+        <div className="px-3 pt-2 text-[11px] font-medium uppercase text-slate-400">{t("export.charts")}</div>
+        <Item onClick={() => onChart("line", "png")}>{t("export.line", { format: "PNG" })}</Item>
+        <Item onClick={() => onChart("line", "svg")}>{t("export.line", { format: "SVG" })}</Item>
+        <Item onClick={() => onChart("tornado", "png")} disabled={!tornadoAvailable} hint={tornadoHint}>
+          {t("export.tornado", { format: "PNG" })}
+        </Item>
+        <Item onClick={() => onChart("tornado", "svg")} disabled={!tornadoAvailable} hint={tornadoHint}>
+          {t("export.tornado", { format: "SVG" })}
+        </Item>
+        <div className="px-3 pt-2 text-[11px] font-medium uppercase text-slate-400">{t("export.report")}</div>
+        <Item onClick={onPrint}>{t("export.print")}</Item>
+      </div>
+    </details>
+  );
+}
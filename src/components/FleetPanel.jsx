@@ -0,0 +1,224 @@
+import { useMemo } from "react";
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { FLEET_FIELDS, resolveFleet } from "../fleet.js";
+import { useI18n } from "../i18n.js";
+import { useWorkerTask } from "../useWorkerTask.js";
+import NumberInput from "./NumberInput.jsx";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+function Stat({ label, value, sub }) {
+  return (
+    <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
+      <div className="text-slate-500 text-xs uppercase font-medium">{label}</div>
+      <div className="text-xl font-semibold text-slate-900">{value}</div>
+      {sub && <div className="text-[11px] text-slate-500">{sub}</div>}
+    </div>
+  );
+}
+
+/**
+ * System-level view of one scenario: the capsule pool needed for an annual demand, simulated month
+ * by month with top-up purchases, and its total emissions against serving the same cups with SUP.
+ */
+export default function FleetPanel({
+  scenarios,
+  scenario,
+  onScenarioChange,
+  constants,
+  indicator,
+  N_max_top,
+  input,
+  setInput,
+}) {
+  const { t, tl, tm, tu, int: fmtInt, prec, pct, cup, cupUnit } = useI18n();
+  const { values, errors } = useMemo(() => resolveFleet(input), [input]);
+  const fleetArgs = useMemo(() => [scenario, constants, N_max_top, values], [scenario, constants, N_max_top, values]);
+  const task = useWorkerTask("fleet", fleetArgs);
+  const sim = task.result;
+  // Settings behind the simulation shown, which lags the fields while the next one is computing
+  const years = task.args?.[3].years ?? values.years;
+  const totals = sim?.totals;
+  const saves = totals?.savings_kg >= 0;
+  // Fleet totals are in the indicator's base unit (kg CO₂e), whatever the per-cup display unit
+  const fmtTotal = (v) => `${Math.abs(v) >= 100 ? fmtInt(v) : prec(v)} ${indicator.unit}`;
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200" aria-busy={task.pending}>
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("fleet.title", { name: scenario.name })}</h2>
+        <select
+          className="ml-auto rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+          value={scenario.id}
+          onChange={(e) => onScenarioChange(e.target.value)}
+          aria-label={t("fleet.scenario")}
+        >
+          {scenarios.map((sc) => (
+            <option key={sc.id} value={sc.id}>
+              {sc.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">{t("fleet.intro", { n: N_max_top })}</p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm mb-4">
+        {FLEET_FIELDS.map((f) => (
+          <label key={f.key} className="flex flex-col text-slate-700">
+            <span>
+              {tl("fleetField", f)} <span className="text-[11px] text-slate-400">[{tu(f.unit)}]</span>
+            </span>
+            <NumberInput
+              className={`mt-1 rounded-lg border bg-slate-50 p-2 text-slate-900 ${
+                errors[f.key] ? "border-red-400" : "border-slate-300"
+              }`}
+              aria-invalid={errors[f.key] ? true : undefined}
+              value={input[f.key]}
+              onChange={(v) => setInput((s) => ({ ...s, [f.key]: v }))}
+            />
+            {errors[f.key] && <span className="mt-0.5 text-xs text-red-600">{tm(errors[f.key])}</span>}
+          </label>
+        ))}
+      </div>
+
+      {task.error && <p className="text-xs text-red-600 mb-2">{t("common.failed", { error: task.error })}</p>}
+      {!sim ? (
+        <p className="text-sm text-slate-500">{t("common.computing")}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 text-sm mb-4">
+            <Stat
+              label={t("fleet.size")}
+              value={t("fleet.capsules", { n: fmtInt(sim.fleetSize) })}
+              sub={t("fleet.initialPurchase")}
+            />
+            <Stat
+              label={t("fleet.topUps")}
+              value={t("fleet.capsules", { n: fmtInt(totals.topUps) })}
+              sub={t("fleet.perYear", { n: fmtInt(totals.topUps / years) })}
+            />
+            <Stat
+              label={t("fleet.mupTotal")}
+              value={fmtTotal(totals.MUP_kg)}
+              sub={`${cup(totals.perCup_g)} ${cupUnit(indicator)}`}
+            />
+            <Stat
+              label={t("fleet.supBaseline")}
+              value={fmtTotal(totals.SUP_kg)}
+              sub={t("fleet.cups", { n: fmtInt(totals.cups) })}
+            />
+            <Stat
+              label={saves ? t("fleet.savings") : t("fleet.extra")}
+              value={fmtTotal(Math.abs(totals.savings_kg))}
+              sub={
+                totals.paybackMonth
+                  ? t("fleet.ahead", { share: pct(totals.savingsShare, 1), month: totals.paybackMonth })
+                  : t("fleet.neverAhead", { share: pct(totals.savingsShare, 1), years })
+              }
+            />
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+            <div className="xl:col-span-2">
+              <div className="w-full h-[340px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={sim.months} margin={{ left: 10, right: 10, top: 10, bottom: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                    <XAxis dataKey="month" stroke="#475569" />
+                    <YAxis
+                      yAxisId="kg"
+                      stroke="#475569"
+                      label={{
+                        value: t("fleet.cumulative", { unit: indicator.unit }),
+                        angle: -90,
+                        position: "insideLeft",
+                        fill: "#475569",
+                      }}
+                    />
+                    <YAxis
+                      yAxisId="capsules"
+                      orientation="right"
+                      stroke="#94a3b8"
+                      label={{ value: t("fleet.boughtAxis"), angle: 90, position: "insideRight", fill: "#94a3b8" }}
+                    />
+                    <Tooltip
+                      formatter={(value, name, item) => [
+                        item.dataKey === "purchased" ? fmtInt(value) : fmtTotal(value),
+                        name,
+                      ]}
+                      labelFormatter={(label) => t("fleet.month", { n: label })}
+                    />
+                    <Legend />
+                    <Bar
+                      yAxisId="capsules"
+                      dataKey="purchased"
+                      name={t("fleet.bought")}
+                      fill="#cbd5e1"
+                      isAnimationActive={false}
+                    />
+                    <Line
+                      yAxisId="kg"
+                      type="monotone"
+                      dataKey="cumMUP_kg"
+                      name={scenario.name}
+                      stroke={scenario.color}
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                    <Line
+                      yAxisId="kg"
+                      type="monotone"
+                      dataKey="cumSUP_kg"
+                      name={t("fleet.supBaseline")}
+                      stroke="#6b7280"
+                      strokeDasharray="5 5"
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <ChartDataTable
+                caption={t("fleet.title", { name: scenario.name })}
+                columns={[t("fleet.monthColumn"), t("fleet.bought"), scenario.name, t("fleet.supBaseline")]}
+                rows={() =>
+                  sim.months.map((m) => [m.month, fmtInt(m.purchased), fmtTotal(m.cumMUP_kg), fmtTotal(m.cumSUP_kg)])
+                }
+              />
+            </div>
+
+            <div className="text-sm">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-slate-500">
+                    <th className="py-1 pr-2 font-medium">{t("fleet.year")}</th>
+                    <th className="py-1 pr-2 font-medium text-right">{t("fleet.boughtShort")}</th>
+                    <th className="py-1 pr-2 font-medium text-right">MUP</th>
+                    <th className="py-1 pr-2 font-medium text-right">SUP</th>
+                    <th className="py-1 font-medium text-right">{t("fleet.saved")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sim.years.map((y) => (
+                    <tr key={y.year} className="border-t border-slate-100">
+                      <td className="py-1 pr-2 text-slate-700">{y.year}</td>
+                      <td className="py-1 pr-2 text-right tabular-nums">{fmtInt(y.purchased)}</td>
+                      <td className="py-1 pr-2 text-right tabular-nums">{fmtTotal(y.MUP_kg)}</td>
+                      <td className="py-1 pr-2 text-right tabular-nums">{fmtTotal(y.SUP_kg)}</td>
+                      <td
+                        className={`py-1 text-right tabular-nums ${y.savings_kg >= 0 ? "text-emerald-700" : "text-red-600"}`}
+                      >
+                        {fmtTotal(y.savings_kg)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
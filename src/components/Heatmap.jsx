@@ -0,0 +1,138 @@
+import { useI18n } from "../i18n.js";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+// Viridis: even in lightness, so it reads the same with colour-vision deficiencies
+const STOPS = [
+  [253, 231, 37], // yellow: low KPI (good)
+  [33, 145, 140], // teal
+  [68, 1, 84], // purple: high KPI (bad)
+];
+
+function heatColor(t) {
+  const x = Math.min(1, Math.max(0, t)) * (STOPS.length - 1);
+  const i = Math.min(STOPS.length - 2, Math.floor(x));
+  const f = x - i;
+  const c = STOPS[i].map((v, k) => Math.round(v + (STOPS[i + 1][k] - v) * f));
+  return `rgb(${c.join(",")})`;
+}
+
+/**
+ * SVG heatmap for computeHeatmap() output. Cells without a value (e.g. no break-even
+ * within the horizon) are grey; the current scenario is marked with a ring.
+ */
+export default function Heatmap({
+  map,
+  valueLabel,
+  formatValue,
+  nullLabel,
+  formatUnit = (unit) => unit,
+}) {
+  const { t: tr, tl, prec } = useI18n();
+  const fmtTick = (v) => prec(v);
+  const fmtValue = formatValue ?? fmtTick;
+  const xLabel = tl("field", map.xParam);
+  const yLabel = tl("field", map.yParam);
+  const W = 640;
+  const H = 400;
+  const m = { left: 70, right: 100, top: 10, bottom: 46 };
+  const pw = W - m.left - m.right;
+  const ph = H - m.top - m.bottom;
+  const nx = map.xs.length;
+  const ny = map.ys.length;
+  const cw = pw / nx;
+  const ch = ph / ny;
+  const span = map.max !== null && map.max > map.min ? map.max - map.min : 1;
+  const t = (v) => (map.min === null ? 0 : (v - map.min) / span);
+
+  const xRange = [map.xs[0], map.xs[nx - 1]];
+  const yRange = [map.ys[0], map.ys[ny - 1]];
+  const px = (x) => m.left + cw / 2 + ((x - xRange[0]) / (xRange[1] - xRange[0] || 1)) * (pw - cw);
+  const py = (y) => m.top + ph - ch / 2 - ((y - yRange[0]) / (yRange[1] - yRange[0] || 1)) * (ph - ch);
+  const inRange = (v, r) => v >= Math.min(...r) && v <= Math.max(...r);
+  const tickIdx = (n) => [...new Set([0, Math.floor((n - 1) / 2), n - 1])];
+
+  const label = tr("heatmap.label", { value: valueLabel });
+  const cell = (v) => (v === null ? nullLabel ?? tr("heatmap.notReached") : fmtValue(v));
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={label}>
+        <rect width={W} height={H} fill="#ffffff" />
+        {map.values.map((row, j) =>
+          row.map((v, i) => (
+            <rect
+              key={`${i}-${j}`}
+              x={m.left + i * cw}
+              y={m.top + ph - (j + 1) * ch}
+              width={cw + 0.5}
+              height={ch + 0.5}
+              fill={v === null ? "#e2e8f0" : heatColor(t(v))}
+            >
+              <title>
+                {`${xLabel} = ${fmtTick(map.xs[i])}, ${yLabel} = ${fmtTick(map.ys[j])}: ${cell(v)}`}
+              </title>
+            </rect>
+          ))
+        )}
+
+        {inRange(map.current.x, xRange) && inRange(map.current.y, yRange) && (
+          <g>
+            <title>{tr("heatmap.current")}</title>
+            <circle cx={px(map.current.x)} cy={py(map.current.y)} r={7} fill="none" stroke="#ffffff" strokeWidth={4} />
+            <circle cx={px(map.current.x)} cy={py(map.current.y)} r={7} fill="none" stroke="#0f172a" strokeWidth={2} />
+          </g>
+        )}
+
+        {/* Axes */}
+        {tickIdx(nx).map((i) => (
+          <text key={`x${i}`} x={m.left + (i + 0.5) * cw} y={m.top + ph + 16} fontSize={11} textAnchor="middle" fill="#475569">
+            {fmtTick(map.xs[i])}
+          </text>
+        ))}
+        <text x={m.left + pw / 2} y={H - 8} fontSize={12} textAnchor="middle" fill="#475569">
+          {xLabel} [{formatUnit(map.xParam.unit)}]
+        </text>
+        {tickIdx(ny).map((j) => (
+          <text key={`y${j}`} x={m.left - 6} y={m.top + ph - (j + 0.5) * ch + 4} fontSize={11} textAnchor="end" fill="#475569">
+            {fmtTick(map.ys[j])}
+          </text>
+        ))}
+        <text
+          x={14}
+          y={m.top + ph / 2}
+          fontSize={12}
+          textAnchor="middle"
+          fill="#475569"
+          transform={`rotate(-90 14 ${m.top + ph / 2})`}
+        >
+          {yLabel} [{formatUnit(map.yParam.unit)}]
+        </text>
+
+        {/* Legend */}
+        <defs>
+          <linearGradient id="heat-legend" x1="0" y1="1" x2="0" y2="0">
+            {[0, 0.5, 1].map((o) => (
+              <stop key={o} offset={o} stopColor={heatColor(o)} />
+            ))}
+          </linearGradient>
+        </defs>
+        <rect x={W - m.right + 20} y={m.top} width={14} height={ph - 40} fill="url(#heat-legend)" />
+        <text x={W - m.right + 40} y={m.top + 10} fontSize={11} fill="#475569">
+          {map.max !== null ? fmtValue(map.max) : "-"}
+        </text>
+        <text x={W - m.right + 40} y={m.top + ph - 42} fontSize={11} fill="#475569">
+          {map.min !== null ? fmtValue(map.min) : "-"}
+        </text>
+        <rect x={W - m.right + 20} y={m.top + ph - 24} width={14} height={14} fill="#e2e8f0" />
+        <text x={W - m.right + 40} y={m.top + ph - 13} fontSize={11} fill="#475569">
+          {nullLabel ?? tr("heatmap.notReached")}
+        </text>
+      </svg>
+      <ChartDataTable
+        caption={label}
+        columns={[`${yLabel} \\ ${xLabel}`, ...map.xs.map(fmtTick)]}
+        rows={() => map.ys.map((y, j) => [fmtTick(y), ...map.values[j].map(cell)]).reverse()}
+      />
+    </>
+  );
+}
@@ -0,0 +1,121 @@
+import { CONSTANT_FIELDS } from "../constants.js";
+import { SCENARIO_FIELDS } from "../scenarios.js";
+import {
+  DEFAULT_IMPACTS,
+  DEFAULT_SCENARIO_IMPACTS,
+  IMPACT_CONSTANT_KEYS,
+  IMPACT_SCENARIO_KEYS,
+  indicatorUnit,
+  scenarioImpact,
+  toImpactsInput,
+} from "../indicators.js";
+import { useI18n } from "../i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+const inputCls = "w-full rounded-lg border bg-slate-50 p-1.5 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+
+/**
+ * Inputs of a non-climate indicator: the impact-carrying constants and each scenario's
+ * manufacturing and end-of-life values. Mass, distances and rates are shared with climate change.
+ */
+export default function ImpactFactorsPanel({
+  indicator,
+  input,
+  setInput,
+  errors,
+  scenarios,
+  scenarioErrors,
+  onScenarioImpact,
+}) {
+  const { t, tl, tm, tu, input: localeInput } = useI18n();
+  const fields = IMPACT_CONSTANT_KEYS.map((key) => CONSTANT_FIELDS.find((f) => f.key === key));
+  const scenarioFields = IMPACT_SCENARIO_KEYS.map((key) => SCENARIO_FIELDS.find((f) => f.key === key));
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex flex-wrap items-center gap-3 mb-1">
+        <h2 className="font-semibold text-slate-900 text-lg">
+          {t("impacts.title", { indicator: tl("indicator", indicator) })}
+        </h2>
+        <button
+          className="ml-auto rounded-lg border border-slate-300 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50"
+          onClick={() => setInput((s) => ({ ...s, [indicator.key]: toImpactsInput()[indicator.key] }))}
+        >
+          {t("common.resetDefaults")}
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">{t("impacts.intro", { unit: indicator.unit })}</p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm">
+        {fields.map((f) => {
+          const error = errors?.[f.key];
+          return (
+            <label key={f.key} className="flex flex-col text-slate-700">
+              {tl("field", f)} [{tu(indicatorUnit(f.unit, indicator))}]
+              <NumberInput
+                className={`mt-1 ${inputCls} ${border(error)}`}
+                aria-invalid={error ? true : undefined}
+                value={input[f.key]}
+                onChange={(v) => setInput((s) => ({ ...s, [indicator.key]: { ...s[indicator.key], [f.key]: v } }))}
+              />
+              {error && (
+                <span className="mt-0.5 text-xs text-red-600">
+                  {t("common.usingDefault", { error: tm(error), value: localeInput(DEFAULT_IMPACTS[indicator.key][f.key]) })}
+                </span>
+              )}
+            </label>
+          );
+        })}
+      </div>
+
+      <table className="mt-4 w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase text-slate-500">
+            <th className="py-1 pr-2 font-medium">{t("common.scenario")}</th>
+            {scenarioFields.map((f) => (
+              <th key={f.key} className="py-1 pr-2 font-medium">
+                {tl("field", f)}{" "}
+                <span className="normal-case text-slate-400">[{tu(indicatorUnit(f.unit, indicator))}]</span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {scenarios.map((sc, i) => (
+            <tr key={sc.id} className="border-t border-slate-100">
+              <td className="py-1 pr-2 font-medium" style={{ color: sc.color }}>
+                {sc.name}
+              </td>
+              {scenarioFields.map((f) => {
+                const error = scenarioErrors[i]?.[f.key];
+                const modelled = f.key === "E_EoL_mup" && !!sc.eol;
+                return (
+                  <td key={f.key} className="py-1 pr-2">
+                    <NumberInput
+                      className={`${inputCls} ${border(error)} disabled:opacity-50`}
+                      aria-label={`${sc.name} ${tl("field", f)}`}
+                      disabled={modelled}
+                      title={modelled ? t("impacts.fromEolModel") : undefined}
+                      aria-invalid={error ? true : undefined}
+                      value={scenarioImpact(sc, indicator.key, f.key)}
+                      onChange={(v) => onScenarioImpact(sc.id, f.key, v)}
+                    />
+                    {error && (
+                      <span className="mt-0.5 block text-xs text-red-600">
+                        {t("common.usingDefault", {
+                          error: tm(error),
+                          value: localeInput(DEFAULT_SCENARIO_IMPACTS[indicator.key][f.key]),
+                        })}
+                      </span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
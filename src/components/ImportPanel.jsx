@@ -0,0 +1,240 @@
+import { useMemo, useState } from "react";
+import { CONSTANT_FIELDS } from "../constants.js";
+import { IMPORT_COLUMNS, analyzeCsv, analyzeJson, guessMapping, readImportFile } from "../importer.js";
+import { useI18n } from "../i18n.js";
+
+function MappingRow({ headers, mapping, setMapping }) {
+  const { t, tl } = useI18n();
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-2 text-xs mb-3">
+      {IMPORT_COLUMNS.map((col) => (
+        <label key={col.key} className="flex flex-col gap-1 text-slate-500">
+          {tl("field", col)}
+          <select
+            className="rounded border border-slate-300 bg-slate-50 p-1 text-sm text-slate-900"
+            value={mapping[col.key] ?? ""}
+            onChange={(e) =>
+              setMapping((m) => ({ ...m, [col.key]: e.target.value === "" ? null : Number(e.target.value) }))
+            }
+          >
+            <option value="">{t("import.notMapped")}</option>
+            {headers.map((h, i) => (
+              <option key={i} value={i}>
+                {h || t("import.column", { n: i + 1 })}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default function ImportPanel({ onApply, onClose }) {
+  const { t, tl, tm, tu, input } = useI18n();
+  const [file, setFile] = useState(null); // { name, kind, rows?, data? }
+  const [mapping, setMapping] = useState({});
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [replace, setReplace] = useState(false);
+  const [useConstants, setUseConstants] = useState(true);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const analysis = useMemo(() => {
+    if (!file) return null;
+    try {
+      return file.kind === "csv" ? analyzeCsv(file.rows, mapping) : analyzeJson(file.data);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [file, mapping]);
+
+  const load = async (f) => {
+    if (!f) return;
+    setError(null);
+    try {
+      const parsed = await readImportFile(f);
+      setFile({ name: f.name, ...parsed });
+      setMapping(parsed.kind === "csv" ? guessMapping(parsed.rows[0]) : {});
+      setExcluded(new Set());
+    } catch (err) {
+      setFile(null);
+      setError(err.message);
+    }
+  };
+
+  const records = analysis?.records ?? [];
+  const isValid = (r) => Object.keys(r.errors).length === 0;
+  const included = records.map((r, i) => isValid(r) && !excluded.has(i));
+  const invalidCount = records.filter((r) => !isValid(r)).length;
+  const constants = analysis?.constants;
+  const constantsOk = constants?.found && Object.keys(constants.errors).length === 0;
+  const applyCount = included.filter(Boolean).length;
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center gap-3 mb-3">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("import.title")}</h2>
+        <button className="ml-auto text-sm text-slate-500 hover:text-slate-800" onClick={onClose}>
+          {t("common.close")}
+        </button>
+      </div>
+
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          load(e.dataTransfer.files?.[0]);
+        }}
+        className={`flex cursor-pointer flex-col items-center justify-center rounded-xl border-2 border-dashed p-6 text-sm ${
+          dragging ? "border-emerald-500 bg-emerald-50 text-emerald-700" : "border-slate-300 text-slate-500"
+        }`}
+      >
+        <span className="font-medium">{t("import.drop")}</span>
+        <span className="text-xs mt-1">{t("import.help")}</span>
+        <input
+          type="file"
+          accept=".csv,.json,.txt,text/csv,application/json"
+          className="hidden"
+          onChange={(e) => {
+            load(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+
+      {(error || analysis?.error) && <p className="text-sm text-red-600 mt-3">{tm(error || analysis.error)}</p>}
+
+      {analysis && !analysis.error && (
+        <div className="mt-4">
+          <p className="text-sm text-slate-700 mb-2">
+            <span className="font-medium">{file.name}</span> — {t(records.length === 1 ? "import.foundOne" : "import.found", { n: records.length })}
+            {invalidCount > 0 && <span className="text-red-600">{t("import.invalid", { n: invalidCount })}</span>}.
+          </p>
+
+          {file.kind === "csv" && <MappingRow headers={file.rows[0]} mapping={mapping} setMapping={setMapping} />}
+
+          {analysis.warnings.map((w) => (
+            <p key={w} className="text-xs text-amber-600 mb-1">
+              {tm(w)}
+            </p>
+          ))}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs uppercase text-slate-500">
+                  <th className="py-1 pr-2 font-medium">{t("import.use")}</th>
+                  {IMPORT_COLUMNS.map((c) => (
+                    <th key={c.key} className="py-1 pr-3 font-medium">
+                      {tl("field", c)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {records.map((r, i) => (
+                  <tr key={i} className={`border-t border-slate-100 ${isValid(r) ? "" : "bg-red-50/60"}`}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="checkbox"
+                        checked={included[i]}
+                        disabled={!isValid(r)}
+                        aria-label={t("import.row", { n: i + 1 })}
+                        onChange={() =>
+                          setExcluded((ex) => {
+                            const next = new Set(ex);
+                            if (next.has(i)) next.delete(i);
+                            else next.add(i);
+                            return next;
+                          })
+                        }
+                      />
+                    </td>
+                    {IMPORT_COLUMNS.map((c) => (
+                      <td key={c.key} className="py-1 pr-3 align-top tabular-nums">
+                        {r.errors[c.key] ? (
+                          <span className="text-red-600 text-xs">{tm(r.errors[c.key])}</span>
+                        ) : (
+                          <span title={tm(r.notes[c.key])} className={r.notes[c.key] ? "text-amber-700" : undefined}>
+                            {c.key === "color" && r.values.color ? (
+                              <span
+                                className="inline-block h-3 w-3 rounded-full align-middle"
+                                style={{ backgroundColor: r.values.color }}
+                              />
+                            ) : (
+                              c.key === "KM_ONE_WAY" && r.values.legs
+                                ? t("import.legs")
+                                : c.key === "name" || r.values[c.key] === undefined
+                                  ? String(r.values[c.key] ?? "—")
+                                  : input(r.values[c.key])
+                            )}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {constants?.found && (
+            <div className="mt-3 rounded-xl border border-slate-200 bg-slate-50 p-3 text-sm">
+              <label className="flex items-center gap-2 font-medium text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={useConstants && constantsOk}
+                  disabled={!constantsOk}
+                  onChange={(e) => setUseConstants(e.target.checked)}
+                />
+                {t("import.applyConstants")}
+              </label>
+              <ul className="mt-1 text-xs text-slate-600">
+                {CONSTANT_FIELDS.filter((f) => constants.values[f.key] || constants.errors[f.key]).map((f) => (
+                  <li key={f.key}>
+                    {tl("field", f)}:{" "}
+                    {constants.errors[f.key] ? (
+                      <span className="text-red-600">{tm(constants.errors[f.key])}</span>
+                    ) : (
+                      `${input(constants.values[f.key])} ${tu(f.unit)}`
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="radio" checked={!replace} onChange={() => setReplace(false)} />
+              {t("import.add")}
+            </label>
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="radio" checked={replace} onChange={() => setReplace(true)} />
+              {t("import.replace")}
+            </label>
+            <button
+              className="ml-auto rounded-lg bg-emerald-600 px-3 py-1.5 font-medium text-white hover:bg-emerald-700 disabled:opacity-40"
+              disabled={applyCount === 0 && !(useConstants && constantsOk)}
+              onClick={() =>
+                onApply({
+                  scenarios: records.filter((_, i) => included[i]).map((r) => r.values),
+                  constants: useConstants && constantsOk ? constants.values : null,
+                  replace,
+                })
+              }
+            >
+              {t(applyCount === 1 ? "import.applyOne" : "import.apply", { n: applyCount })}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
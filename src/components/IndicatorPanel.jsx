@@ -0,0 +1,110 @@
+import { useMemo, useState } from "react";
+import { RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { INDICATORS, compareIndicators } from "../indicators.js";
+import { useI18n } from "../i18n.js";
+import { createListMemo } from "../memo.js";
+
+/**
+ * Every scenario against SUP on all indicators at N_max, normalised so SUP = 100 %: points inside
+ * the SUP ring are indicators where the MUP is better.
+ */
+export default function IndicatorPanel({ scenarios, constants, impacts, N_max_top, selectedKey, onSelect }) {
+  const { t, tl, prec, pct, cupValue, cupUnit } = useI18n();
+  const fmt = (v) => prec(cupValue(v));
+  const [rowMemo] = useState(createListMemo);
+  const rows = useMemo(
+    () => rowMemo(scenarios, [constants, impacts, N_max_top], (s) => compareIndicators(s, constants, impacts, N_max_top)),
+    [rowMemo, scenarios, constants, impacts, N_max_top]
+  );
+  const indicators = rows[0] ?? [];
+  const data = indicators.map((ind, j) => ({
+    indicator: tl("indicatorTitle", { key: ind.key, label: ind.title }),
+    SUP: 100,
+    ...Object.fromEntries(scenarios.map((s, i) => [s.id, rows[i][j].ratio === null ? null : rows[i][j].ratio * 100])),
+  }));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <h2 className="font-semibold text-slate-900 text-lg mb-1">{t("indicators.title", { n: N_max_top })}</h2>
+      <p className="text-xs text-slate-500 mb-3">{t("indicators.intro")}</p>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <div className="w-full h-[360px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <RadarChart data={data} outerRadius="75%">
+              <PolarGrid stroke="#cbd5e1" />
+              <PolarAngleAxis dataKey="indicator" tick={{ fill: "#475569", fontSize: 12 }} />
+              <PolarRadiusAxis angle={90} tick={{ fill: "#94a3b8", fontSize: 10 }} tickFormatter={(v) => `${v}%`} />
+              <Tooltip formatter={(value, name) => [t("indicators.ofSup", { share: pct(value / 100) }), name]} />
+              <Legend />
+              <Radar
+                dataKey="SUP"
+                name="SUP"
+                stroke="#6b7280"
+                strokeDasharray="5 5"
+                fill="none"
+                isAnimationActive={false}
+              />
+              {scenarios.map((s) => (
+                <Radar
+                  key={s.id}
+                  dataKey={s.id}
+                  name={s.name}
+                  stroke={s.color}
+                  fill={s.color}
+                  fillOpacity={0.1}
+                  isAnimationActive={false}
+                />
+              ))}
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="overflow-x-auto text-sm">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-xs uppercase text-slate-500">
+                <th className="py-1 pr-2 font-medium">{t("indicators.indicator")}</th>
+                <th className="py-1 pr-2 font-medium text-right">SUP</th>
+                {scenarios.map((s) => (
+                  <th key={s.id} className="py-1 pr-2 font-medium text-right" style={{ color: s.color }}>
+                    {s.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {indicators.map((ind, j) => (
+                <tr key={ind.key} className={`border-t border-slate-100 ${ind.key === selectedKey ? "bg-emerald-50" : ""}`}>
+                  <td className="py-1 pr-2">
+                    <button
+                      type="button"
+                      className="text-left text-slate-700 hover:underline"
+                      aria-pressed={ind.key === selectedKey}
+                      onClick={() => onSelect(ind.key)}
+                    >
+                      {tl("indicator", ind)}{" "}
+                      <span className="text-[11px] text-slate-400">[{cupUnit(INDICATORS.find((i) => i.key === ind.key))}]</span>
+                    </button>
+                  </td>
+                  <td className="py-1 pr-2 text-right tabular-nums">{fmt(ind.SUP)}</td>
+                  {scenarios.map((s, i) => {
+                    const r = rows[i][j];
+                    return (
+                      <td key={s.id} className="py-1 pr-2 text-right tabular-nums">
+                        {fmt(r.MUP)}{" "}
+                        <span className={r.ratio !== null && r.ratio <= 1 ? "text-emerald-700" : "text-red-600"}>
+                          ({pct(r.ratio)})
+                        </span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { DISTRIBUTIONS, MC_PARAMS, initialParams } from "../montecarlo.js";
+import { useI18n } from "../i18n.js";
+import NumberInput from "./NumberInput.jsx";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+// Canonical text for distribution parameters (shown in the locale by NumberInput)
+function fmt(v) {
+  if (!Number.isFinite(v)) return "";
+  return String(Number(v.toPrecision(4)));
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
+      <div className="text-slate-500 text-xs uppercase font-medium">{label}</div>
+      <div className="text-xl font-semibold text-slate-900">{value}</div>
+    </div>
+  );
+}
+
+function DistributionRow({ param, base, dist, draft, error, setDraft }) {
+  const { t, tl, tm, prec } = useI18n();
+  const names = DISTRIBUTIONS[dist.type]?.params ?? [];
+  return (
+    <tr className="border-t border-slate-100 align-top">
+      <td className="py-1.5 pr-3 font-medium text-slate-700 whitespace-nowrap">
+        {tl("field", param)}
+        {param.source === "constants" && <span className="ml-1 text-[10px] text-slate-400">{t("mc.constant")}</span>}
+      </td>
+      <td className="py-1.5 pr-3 text-slate-500 tabular-nums">{Number.isFinite(base) ? prec(base, 4) : ""}</td>
+      <td className="py-1.5 pr-3">
+        <select
+          className="rounded border border-slate-300 bg-slate-50 p-1 text-slate-900"
+          value={dist.type}
+          aria-label={t("mc.distributionOf", { label: tl("field", param) })}
+          onChange={(e) => {
+            const type = e.target.value;
+            const params = Object.fromEntries(
+              Object.entries(initialParams(type, param, base)).map(([k, v]) => [k, fmt(v)])
+            );
+            setDraft({ type, params });
+          }}
+        >
+          {Object.entries(DISTRIBUTIONS).map(([type, d]) => (
+            <option key={type} value={type}>
+              {tl("distribution", { key: type, label: d.label })}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className="py-1.5">
+        <div className="flex flex-wrap gap-2">
+          {names.map((name) => (
+            <label key={name} className="flex items-center gap-1 text-xs text-slate-500">
+              {name}
+              <NumberInput
+                className={`w-24 rounded border bg-slate-50 p-1 text-sm text-slate-900 ${
+                  error ? "border-red-400" : "border-slate-300"
+                }`}
+                value={draft ? draft.params[name] ?? "" : fmt(dist.params[name])}
+                onChange={(v) => {
+                  const current = draft ?? {
+                    type: dist.type,
+                    params: Object.fromEntries(names.map((n) => [n, fmt(dist.params[n])])),
+                  };
+                  setDraft({ ...current, params: { ...current.params, [name]: v } });
+                }}
+              />
+            </label>
+          ))}
+        </div>
+        {error && <div className="text-[11px] text-red-600 mt-1">{tm(error)}</div>}
+      </td>
+    </tr>
+  );
+}
+
+export default function MonteCarloPanel({
+  scenarios,
+  scenarioId,
+  onScenarioChange,
+  settings,
+  setSettings,
+  overrides,
+  setOverrides,
+  built,
+  mc,
+  N_max_top,
+  indicator,
+}) {
+  const { t, tm, int, cup, cupShort, pct: fmtPercent } = useI18n();
+  const { job, bases, errors } = built;
+  const hasErrors = Object.keys(errors).length > 0;
+  const result = mc.result;
+  const stale = result && result.key !== built.key;
+  const pct = (v) => fmtPercent(v, 1);
+  const lastBand = result?.bands[result.bands.length - 1];
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("mc.title")}</h2>
+        <select
+          className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+          value={scenarioId}
+          onChange={(e) => onScenarioChange(e.target.value)}
+          aria-label={t("mc.scenario")}
+        >
+          {scenarios.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+
+        <div className="ml-auto flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center gap-1 text-slate-700">
+            {t("mc.samples")}
+            <NumberInput
+              inputMode="numeric"
+              className={`w-20 rounded-lg border bg-slate-50 p-1.5 text-slate-900 ${
+                errors.samples ? "border-red-400" : "border-slate-300"
+              }`}
+              value={settings.samples}
+              onChange={(samples) => setSettings((s) => ({ ...s, samples }))}
+            />
+          </label>
+          <label className="flex items-center gap-1 text-slate-700">
+            {t("mc.seed")}
+            <NumberInput
+              inputMode="numeric"
+              className={`w-20 rounded-lg border bg-slate-50 p-1.5 text-slate-900 ${
+                errors.seed ? "border-red-400" : "border-slate-300"
+              }`}
+              value={settings.seed}
+              onChange={(seed) => setSettings((s) => ({ ...s, seed }))}
+            />
+          </label>
+          <button
+            className="rounded-lg border border-slate-300 px-3 py-1.5 font-medium text-slate-700 hover:bg-slate-50"
+            onClick={() => setOverrides({})}
+          >
+            {t("mc.reset")}
+          </button>
+          {mc.running ? (
+            <button
+              className="rounded-lg border border-red-300 px-3 py-1.5 font-medium text-red-600 hover:bg-red-50"
+              onClick={mc.cancel}
+            >
+              {t("mc.cancel", { progress: fmtPercent(mc.progress) })}
+            </button>
+          ) : (
+            <button
+              className="rounded-lg bg-emerald-600 px-3 py-1.5 font-medium text-white hover:bg-emerald-700 disabled:opacity-40"
+              disabled={hasErrors}
+              onClick={() => mc.run(job, built.key)}
+            >
+              {t("mc.run")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {(errors.samples || errors.seed) && (
+        <p className="text-xs text-red-600 mb-2">{tm(errors.samples || errors.seed)}</p>
+      )}
+      {mc.error && <p className="text-xs text-red-600 mb-2">{t("mc.failed", { error: mc.error })}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase text-slate-500">
+              <th className="py-1 pr-3 font-medium">{t("mc.input")}</th>
+              <th className="py-1 pr-3 font-medium">{t("mc.base")}</th>
+              <th className="py-1 pr-3 font-medium">{t("mc.distribution")}</th>
+              <th className="py-1 font-medium">{t("mc.parameters")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MC_PARAMS.map((p) => (
+              <DistributionRow
+                key={p.key}
+                param={p}
+                base={bases[p.key]}
+                dist={job.distributions[p.key]}
+                draft={overrides[p.key]}
+                error={errors[p.key]}
+                setDraft={(d) => setOverrides((o) => ({ ...o, [p.key]: d }))}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-[11px] text-slate-400 mt-2">{t("mc.note")}</p>
+
+      {result && (
+        <div className="mt-4">
+          {stale && (
+            <p className="text-xs font-medium text-amber-600 mb-2">{t("mc.stale")}</p>
+          )}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 text-sm">
+            <Stat label={t("mc.pBeats", { n: result.N_max_top })} value={pct(result.pBeatsSup)} />
+            <Stat label={t("mc.pBreakEven")} value={pct(result.pBreakEven)} />
+            <Stat
+              label={t("mc.medianBreakEven")}
+              value={result.breakEven.median !== null ? Math.round(result.breakEven.median) : "-"}
+            />
+            <Stat
+              label={t("mc.band", { n: result.N_max_top })}
+              value={`${cup(lastBand.p5)}–${cup(lastBand.p95)} ${cupShort(indicator)}`}
+            />
+          </div>
+
+          <h3 className="font-semibold text-slate-900 mt-4 mb-1">{t("mc.histogram")}</h3>
+          <p className="text-xs text-slate-500 mb-2">
+            {t("mc.summary", {
+              samples: int(result.samples),
+              seed: result.seed,
+              none: int(result.breakEven.none),
+              n: result.N_max_top,
+            })}
+          </p>
+          <div className="w-full h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={result.breakEven.hist} margin={{ left: 0, right: 10, top: 5, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                <XAxis dataKey="label" stroke="#475569" />
+                <YAxis allowDecimals={false} stroke="#475569" />
+                <Tooltip formatter={(value) => [int(value), t("mc.samples")]} labelFormatter={(l) => `N = ${l}`} />
+                <Bar dataKey="count" name={t("mc.samples")} fill="#0072b2" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartDataTable
+            caption={t("mc.histogram")}
+            columns={["N", t("mc.samples")]}
+            rows={() => result.breakEven.hist.map((b) => [b.label, int(b.count)])}
+          />
+        </div>
+      )}
+      {!result && (
+        <p className="text-xs text-slate-500 mt-3">{t("mc.hint", { n: N_max_top })}</p>
+      )}
+    </div>
+  );
+}
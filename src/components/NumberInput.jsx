@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { fromLocaleInput, toLocaleInput, useI18n } from "../i18n.js";
+
+/**
+ * Text input for a number in the current locale. The stored value stays canonical ("1234.5");
+ * while the field has focus the text is kept as typed, so separators can be entered freely.
+ * The text is applied on Enter or when the field is left; Escape goes back to the applied value.
+ */
+export default function NumberInput({ value, onChange, onFocus, onBlur, onKeyDown, inputMode = "decimal", ...props }) {
+  const { locale } = useI18n();
+  const [draft, setDraft] = useState(null);
+  const applied = toLocaleInput(value, locale);
+  // Unchanged text is not applied again, so leaving a field doesn't add an undo step
+  const commit = (text) => {
+    if (text !== null && text !== applied) onChange(fromLocaleInput(text, locale));
+  };
+  return (
+    <input
+      type="text"
+      inputMode={inputMode}
+      {...props}
+      value={draft ?? applied}
+      onFocus={(e) => {
+        setDraft(applied);
+        onFocus?.(e);
+      }}
+      onChange={(e) => setDraft(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit(draft);
+        else if (e.key === "Escape") setDraft(applied);
+        onKeyDown?.(e);
+      }}
+      onBlur={(e) => {
+        commit(draft);
+        setDraft(null);
+        onBlur?.(e);
+      }}
+    />
+  );
+}
@@ -0,0 +1,241 @@
+import { CONSTANT_FIELDS } from "../constants.js";
+import { EOL_METHODS, describeEol } from "../eol.js";
+import { compareIndicators } from "../indicators.js";
+import { PROFILE_PARAMS, activeProfiles, describeProfile } from "../profiles.js";
+import { LEG_DIRECTIONS, TRANSPORT_MODES } from "../transport.js";
+import { SCENARIO_FIELDS } from "../scenarios.js";
+import { useI18n } from "../i18n.js";
+
+function Table({ head, rows }) {
+  return (
+    <table className="w-full border-collapse text-sm mb-6">
+      <thead>
+        <tr>
+          {head.map((h) => (
+            <th key={h} className="border-b-2 border-slate-400 py-1 pr-3 text-left font-semibold">
+              {h}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => (
+          <tr key={i} className="border-b border-slate-200">
+            {r.map((c, j) => (
+              <td key={j} className="py-1 pr-3 align-top">
+                {c}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/** Print-only stakeholder report (hidden on screen, replaces the dashboard when printing). */
+export default function PrintReport({
+  scenarios,
+  results,
+  comparatorMatrix,
+  indicator,
+  impacts,
+  constants,
+  activeSetName,
+  constantsModified,
+  N_max_top,
+  images,
+  generatedAt,
+}) {
+  const { t, tl, tu, num, prec, pct, input, date, cup, cupShort, cupUnit } = useI18n();
+  const u = cupShort(indicator);
+  const fmtG = (v) => (Number.isFinite(v) ? cup(v) : "-");
+  const field = (key) => {
+    const f = SCENARIO_FIELDS.find((x) => x.key === key);
+    return f.kind === "prob" ? tl("field", f) : `${tl("field", f)} [${tu(f.unit)}]`;
+  };
+  const indicatorTitle = tl("indicatorTitle", { key: indicator.key, label: indicator.title });
+  return (
+    <article className="hidden print:block text-slate-900 text-left">
+      <h1 className="text-2xl font-bold mb-1">{t("report.title", { indicator: indicatorTitle })}</h1>
+      <p className="text-xs text-slate-500 mb-6">
+        {t("report.generated", {
+          date: generatedAt ? date(generatedAt) : "",
+          n: N_max_top,
+          indicator: tl("indicator", indicator),
+          unit: cupUnit(indicator),
+        })}
+      </p>
+
+      <h2 className="text-lg font-semibold mb-2">{t("report.results")}</h2>
+      <Table
+        head={[
+          t("common.scenario"),
+          t("report.survival"),
+          t("report.perCycle", { unit: u }),
+          t("report.transport", { unit: u }),
+          t("report.start", { unit: u }),
+          t("report.atN", { n: N_max_top, unit: u }),
+          t("report.breakEven"),
+        ]}
+        rows={scenarios.map((s, i) => [
+          s.name,
+          num(results[i].q, 4),
+          fmtG(results[i].E_cycle_g),
+          `${fmtG(results[i].E_fw_g)} / ${fmtG(results[i].E_rev_g)}`,
+          fmtG(results[i].firstCost_g),
+          fmtG(results[i].lastCost_g),
+          results[i].breakEven ? `N = ${results[i].breakEven}` : t("report.noneWithin", { n: N_max_top }),
+        ])}
+      />
+
+      {comparatorMatrix?.comparators.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">{t("report.byComparator")}</h2>
+          <Table
+            head={[t("common.scenario"), ...comparatorMatrix.comparators.map((c) => `${c.name} (${fmtG(c.net_g)} ${u})`)]}
+            rows={comparatorMatrix.rows.map((row) => [
+              row.name,
+              ...row.cells.map((sol) => (sol.status === "never" ? t("comparators.never") : `N = ${sol.N}`)),
+            ])}
+          />
+        </>
+      )}
+
+      <h2 className="text-lg font-semibold mb-2">{t("report.allIndicators", { n: N_max_top })}</h2>
+      <Table
+        head={[
+          t("common.scenario"),
+          t("report.indicator"),
+          t("report.mupPerCup"),
+          t("report.supPerCup"),
+          "MUP / SUP",
+          t("report.breakEven"),
+        ]}
+        rows={scenarios.flatMap((s) =>
+          compareIndicators(s, constants, impacts, N_max_top).map((r) => [
+            s.name,
+            `${tl("indicator", r)} [${r.cupUnit}]`,
+            prec(r.MUP),
+            prec(r.SUP),
+            r.ratio === null ? "-" : pct(r.ratio),
+            r.breakEven.status === "reached" ? `N = ${r.breakEven.N}` : t("comparators.never"),
+          ])
+        )}
+      />
+
+      {images?.line && (
+        <figure className="mb-6 break-inside-avoid">
+          <img src={images.line} alt={t("report.lineAlt", { indicator: indicatorTitle })} className="w-full" />
+          <figcaption className="text-xs text-slate-500">
+            {t("report.lineCaption", { indicator: tl("indicator", indicator), unit: cupUnit(indicator) })}
+          </figcaption>
+        </figure>
+      )}
+
+      <h2 className="text-lg font-semibold mb-2">{t("report.assumptions")}</h2>
+      <Table
+        head={[
+          t("common.scenario"),
+          field("E_manu_mup"),
+          field("KM_ONE_WAY"),
+          field("p_ret"),
+          field("p_scr"),
+          field("E_EoL_mup"),
+          t("report.cycleDependent"),
+        ]}
+        rows={scenarios.map((s) => [
+          s.name,
+          input(s.E_manu_mup),
+          s.legs?.length ? t("report.legs") : input(s.KM_ONE_WAY),
+          input(s.p_ret),
+          input(s.p_scr),
+          s.eol ? t("report.eolModelled") : input(s.E_EoL_mup),
+          PROFILE_PARAMS.filter((p) => activeProfiles(s.profiles)[p.key])
+            .map((p) => describeProfile(s.profiles[p.key], p))
+            .join("; ") || "—",
+        ])}
+      />
+
+      {scenarios.some((s) => s.legs?.length) && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">{t("transport.title")}</h2>
+          <Table
+            head={[
+              t("common.scenario"),
+              t("report.leg"),
+              t("report.direction"),
+              t("transport.vehicle"),
+              t("transport.distance"),
+              t("report.ef"),
+              t("transport.load"),
+              t("transport.backhaul"),
+              t("report.perCycle", { unit: indicator.short }),
+            ]}
+            rows={scenarios.flatMap((s, i) =>
+              (s.legs ?? []).map((l, j) => [
+                s.name,
+                l.name,
+                tl("direction", { key: l.direction, label: LEG_DIRECTIONS[l.direction] }),
+                tl("mode", { key: l.mode, label: TRANSPORT_MODES[l.mode]?.label ?? l.mode }),
+                input(l.distance),
+                input(l.EF),
+                pct(l.load),
+                pct(l.backhaul),
+                Number.isFinite(results[i].transport[j]?.E_g) ? num(results[i].transport[j].E_g) : "-",
+              ])
+            )}
+          />
+        </>
+      )}
+
+      {scenarios.some((s) => s.eol) && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">{t("eol.title")}</h2>
+          <Table
+            head={[
+              t("common.scenario"),
+              t("report.eolMethodology"),
+              t("report.eolMaterial", { unit: indicator.short }),
+              t("report.eolRetired", { unit: indicator.short }),
+              t("report.eolDropped", { unit: indicator.short }),
+            ]}
+            rows={scenarios.flatMap((s, i) =>
+              s.eol
+                ? [
+                    [
+                      s.name,
+                      describeEol(s.eol, (key) => tl("eolMethod", { key, label: EOL_METHODS[key].label })),
+                      num(results[i].eol.E_mat_g),
+                      num(results[i].eol.E_EoL_g),
+                      num(results[i].eol.E_EoL_drop_g),
+                    ],
+                  ]
+                : []
+            )}
+          />
+        </>
+      )}
+
+      <h2 className="text-lg font-semibold mb-2">
+        {t(constantsModified ? "report.constantsModified" : "report.constants", { name: activeSetName })}
+      </h2>
+      <Table
+        head={[t("report.constant"), t("report.value"), t("report.unit")]}
+        rows={CONSTANT_FIELDS.map((f) => [`${tl("field", f)} (${f.key})`, input(constants[f.key]), tu(f.unit)])}
+      />
+
+      {images?.tornado && (
+        <figure className="mb-6 break-inside-avoid">
+          <img src={images.tornado} alt={t("report.tornadoAlt")} className="w-full" />
+          <figcaption className="text-xs text-slate-500">{t("report.tornadoCaption")}</figcaption>
+        </figure>
+      )}
+
+      <h2 className="text-lg font-semibold mb-2">{t("report.method")}</h2>
+      <p className="text-sm mb-6 leading-relaxed">{t("report.methodText")}</p>
+
+      <p className="text-[10px] text-slate-400">{t("app.copyright")}</p>
+    </article>
+  );
+}
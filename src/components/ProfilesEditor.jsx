@@ -0,0 +1,154 @@
+import { DEFAULT_PROFILE, PROFILE_PARAMS, PROFILE_TYPES, profileValue, resolveProfile } from "../profiles.js";
+import { toNum } from "../lca.js";
+import { useI18n } from "../i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+const inputCls = "rounded border bg-slate-50 p-1 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+
+function TableRows({ draft, errors, set }) {
+  const { t, tm } = useI18n();
+  const rows = draft.rows ?? [];
+  const setRows = (next) => set({ rows: next });
+  return (
+    <div className="flex flex-col gap-1">
+      {rows.map((r, i) => (
+        <div key={i} className="flex items-center gap-1 text-xs text-slate-500">
+          {t("profiles.from")}
+          <NumberInput
+            inputMode="numeric"
+            className={`${inputCls} w-14 ${border(errors[`from${i}`])}`}
+            title={tm(errors[`from${i}`])}
+            aria-label={t("profiles.rowFrom", { n: i + 1 })}
+            value={r.from}
+            onChange={(from) => setRows(rows.map((x, j) => (j === i ? { ...x, from } : x)))}
+          />
+          {t("profiles.value")}
+          <NumberInput
+            className={`${inputCls} w-20 ${border(errors[`value${i}`])}`}
+            title={tm(errors[`value${i}`])}
+            aria-label={t("profiles.rowValue", { n: i + 1 })}
+            value={r.value}
+            onChange={(value) => setRows(rows.map((x, j) => (j === i ? { ...x, value } : x)))}
+          />
+          <button
+            type="button"
+            className="px-1 text-slate-400 hover:text-slate-700"
+            aria-label={t("profiles.removeRow", { n: i + 1 })}
+            onClick={() => setRows(rows.filter((_, j) => j !== i))}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="self-start text-xs font-medium text-emerald-700 hover:underline"
+        onClick={() => setRows([...rows, { from: String((toNum(rows.at(-1)?.from, 0) || 0) + 10), value: "" }])}
+      >
+        {t("profiles.addRow")}
+      </button>
+    </div>
+  );
+}
+
+function ProfileRow({ param, draft, base, N_max_top, set }) {
+  const { t, tl, tm, tu, prec } = useI18n();
+  const { profile, errors } = resolveProfile(draft, param);
+  const valid = !Object.keys(errors).length;
+  const at = (k) => Math.min(param.max ?? Infinity, Math.max(param.min, profileValue(profile, base, k)));
+  return (
+    <div className="border-t border-slate-100 py-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-slate-700">
+          {tl("profile", param)} <span className="text-[11px] text-slate-400">({tu(param.unit)})</span>
+        </span>
+        <select
+          className={`${inputCls} ${border(false)}`}
+          value={draft.type}
+          aria-label={t("profiles.type", { label: tl("profile", param) })}
+          onChange={(e) => set({ type: e.target.value })}
+        >
+          {Object.entries(PROFILE_TYPES).map(([k, label]) => (
+            <option key={k} value={k}>
+              {tl("profileType", { key: k, label })}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {draft.type === "linear" && (
+        <label className="mt-1 flex items-center gap-1 text-xs text-slate-500">
+          {t("profiles.slope")}
+          <NumberInput
+            className={`${inputCls} w-24 ${border(errors.slope)}`}
+            value={draft.slope}
+            onChange={(slope) => set({ slope })}
+          />
+        </label>
+      )}
+      {draft.type === "exponential" && (
+        <label className="mt-1 flex items-center gap-1 text-xs text-slate-500">
+          {t("profiles.rate")}
+          <NumberInput
+            className={`${inputCls} w-24 ${border(errors.rate)}`}
+            value={draft.rate}
+            onChange={(rate) => set({ rate })}
+          />
+        </label>
+      )}
+      {draft.type === "table" && (
+        <div className="mt-1">
+          <TableRows draft={draft} errors={errors} set={set} />
+        </div>
+      )}
+
+      {draft.type !== "constant" && (
+        <div className="mt-1 text-[11px] text-slate-500">
+          {valid ? (
+            `N = 1: ${prec(at(1))} → N = ${N_max_top}: ${prec(at(N_max_top))}`
+          ) : (
+            <span className="text-red-600">{t("profiles.ignored", { error: tm(Object.values(errors)[0]) })}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Per-scenario cycle-dependent parameters. The scrap rate profile gives p_scr itself (starting from
+ * the slider value); cleaning and transport profiles are factors on the base burden.
+ */
+export default function ProfilesEditor({ profiles, setProfiles, scenario, N_max_top }) {
+  const { t } = useI18n();
+  const active = PROFILE_PARAMS.filter((p) => profiles?.[p.key] && profiles[p.key].type !== "constant").length;
+  return (
+    <details className="rounded-xl border border-slate-200 p-3 text-sm">
+      <summary className="cursor-pointer font-medium text-slate-700">
+        {t("profiles.title")}{" "}
+        {active > 0 && <span className="text-emerald-700">{t("profiles.active", { n: active })}</span>}
+      </summary>
+      <p className="mt-1 text-[11px] text-slate-500">{t("profiles.intro")}</p>
+      {PROFILE_PARAMS.map((param) => {
+        const draft = profiles?.[param.key] ?? DEFAULT_PROFILE;
+        return (
+          <ProfileRow
+            key={param.key}
+            param={param}
+            draft={draft}
+            base={param.scale === "absolute" ? toNum(scenario[param.key], 0) : 1}
+            N_max_top={N_max_top}
+            set={(patch) =>
+              setProfiles((current) => {
+                const next = { ...current, [param.key]: { ...(current?.[param.key] ?? DEFAULT_PROFILE), ...patch } };
+                if (next[param.key].type === "constant") delete next[param.key];
+                return next;
+              })
+            }
+          />
+        );
+      })}
+    </details>
+  );
+}
@@ -0,0 +1,27 @@
+import { rangeKeyValue } from "../a11y.js";
+
+/**
+ * Range slider with the same keys in every browser: arrows move by `step` (with Shift by a tenth),
+ * Page Up / Page Down by `coarse`, Home / End to the bounds. The input's own step is the fine one,
+ * so fine values are not snapped back.
+ */
+export default function RangeInput({ value, onChange, min = 0, max = 1, step = 0.01, coarse, ...props }) {
+  const n = Number(value);
+  return (
+    <input
+      type="range"
+      {...props}
+      min={min}
+      max={max}
+      step={step / 10}
+      value={Number.isFinite(n) ? n : min}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      onKeyDown={(e) => {
+        const next = rangeKeyValue(e.key, e.shiftKey, { value: n, min, max, step, coarse });
+        if (next === null) return;
+        e.preventDefault();
+        if (next !== n) onChange(next);
+      }}
+    />
+  );
+}
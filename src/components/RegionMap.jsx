@@ -0,0 +1,121 @@
+import { useI18n } from "../i18n.js";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+// Pale blue / orange: apart with colour-vision deficiencies and light enough for the scenario points on top
+const WIN = "#cfe6f6";
+const LOSE = "#f8dcb4";
+
+/**
+ * SVG region map for a two-parameter computeSweep(): each cell is marked by whether MUP beats SUP at
+ * N_max. The scenarios are drawn as points at their own values of the two inputs.
+ */
+export default function RegionMap({ sweep, scenarios, formatCell, formatUnit = (unit) => unit }) {
+  const { t, tl, prec } = useI18n();
+  const xLabel = tl("field", sweep.xParam);
+  const yLabel = tl("field", sweep.yParam);
+  const W = 640;
+  const H = 400;
+  const m = { left: 70, right: 150, top: 10, bottom: 46 };
+  const pw = W - m.left - m.right;
+  const ph = H - m.top - m.bottom;
+  const nx = sweep.xs.length;
+  const ny = sweep.ys.length;
+  const cw = pw / nx;
+  const ch = ph / ny;
+
+  const xRange = [sweep.xs[0], sweep.xs[nx - 1]];
+  const yRange = [sweep.ys[0], sweep.ys[ny - 1]];
+  const px = (x) => m.left + cw / 2 + ((x - xRange[0]) / (xRange[1] - xRange[0] || 1)) * (pw - cw);
+  const py = (y) => m.top + ph - ch / 2 - ((y - yRange[0]) / (yRange[1] - yRange[0] || 1)) * (ph - ch);
+  const inRange = (v, r) => v >= Math.min(...r) && v <= Math.max(...r);
+  const tickIdx = (n) => [...new Set([0, Math.floor((n - 1) / 2), n - 1])];
+  const base = scenarios.find((s) => s.id === sweep.baseId);
+  const label = t("sweep.mapLabel", { x: xLabel, y: yLabel, name: base?.name ?? "", n: sweep.N_max_top });
+  const outcome = (c) => `${t(c.wins ? "sweep.mupWins" : "sweep.supWins")} · ${formatCell(c)}`;
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={label}>
+        <rect width={W} height={H} fill="#ffffff" />
+        {sweep.grid.map((row, j) =>
+          row.map((c, i) => (
+            <rect
+              key={`${i}-${j}`}
+              x={m.left + i * cw}
+              y={m.top + ph - (j + 1) * ch}
+              width={cw + 0.5}
+              height={ch + 0.5}
+              fill={c.wins ? WIN : LOSE}
+            >
+              <title>{`${xLabel} = ${prec(sweep.xs[i])}, ${yLabel} = ${prec(sweep.ys[j])}: ${outcome(c)}`}</title>
+            </rect>
+          ))
+        )}
+
+        {sweep.points.map((p) => {
+          const s = scenarios.find((x) => x.id === p.id);
+          if (!s || !inRange(p.x, xRange) || !inRange(p.y, yRange)) return null;
+          return (
+            <g key={p.id}>
+              <title>{`${s.name}: ${outcome(p)}`}</title>
+              <circle cx={px(p.x)} cy={py(p.y)} r={6} fill={s.color} stroke="#ffffff" strokeWidth={2} />
+              <text x={px(p.x) + 9} y={py(p.y) + 4} fontSize={11} fill="#0f172a" stroke="#ffffff" strokeWidth={3} paintOrder="stroke">
+                {s.name}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Axes */}
+        {tickIdx(nx).map((i) => (
+          <text key={`x${i}`} x={m.left + (i + 0.5) * cw} y={m.top + ph + 16} fontSize={11} textAnchor="middle" fill="#475569">
+            {prec(sweep.xs[i])}
+          </text>
+        ))}
+        <text x={m.left + pw / 2} y={H - 8} fontSize={12} textAnchor="middle" fill="#475569">
+          {xLabel} [{formatUnit(sweep.xParam.unit)}]
+        </text>
+        {tickIdx(ny).map((j) => (
+          <text key={`y${j}`} x={m.left - 6} y={m.top + ph - (j + 0.5) * ch + 4} fontSize={11} textAnchor="end" fill="#475569">
+            {prec(sweep.ys[j])}
+          </text>
+        ))}
+        <text
+          x={14}
+          y={m.top + ph / 2}
+          fontSize={12}
+          textAnchor="middle"
+          fill="#475569"
+          transform={`rotate(-90 14 ${m.top + ph / 2})`}
+        >
+          {yLabel} [{formatUnit(sweep.yParam.unit)}]
+        </text>
+
+        {/* Legend */}
+        {[
+          [WIN, t("sweep.mupWins")],
+          [LOSE, t("sweep.supWins")],
+        ].map(([fill, text], k) => (
+          <g key={fill}>
+            <rect x={W - m.right + 16} y={m.top + k * 22} width={14} height={14} fill={fill} stroke="#94a3b8" />
+            <text x={W - m.right + 36} y={m.top + k * 22 + 11} fontSize={11} fill="#475569">
+              {text}
+            </text>
+          </g>
+        ))}
+        <text x={W - m.right + 16} y={m.top + 62} fontSize={11} fill="#475569">
+          N = {sweep.N_max_top}
+        </text>
+      </svg>
+      <ChartDataTable
+        caption={label}
+        columns={[`${yLabel} \\ ${xLabel}`, ...sweep.xs.map((x) => prec(x))]}
+        rows={() =>
+          sweep.ys
+            .map((y, j) => [prec(y), ...sweep.grid[j].map((c) => `${c.wins ? "MUP" : "SUP"} (${formatCell(c)})`)])
+            .reverse()
+        }
+      />
+    </>
+  );
+}
@@ -0,0 +1,320 @@
+import { useId } from "react";
+import { DEFAULT_EOL, EOL_METHODS } from "../eol.js";
+import { useI18n } from "../i18n.js";
+import { DEFAULT_SCENARIOS, SCENARIO_FIELDS } from "../scenarios.js";
+import { legsFromSimple } from "../transport.js";
+import BreakEvenPanel from "./BreakEvenPanel.jsx";
+import { Swatch } from "./ComparatorPanel.jsx";
+import EolEditor from "./EolEditor.jsx";
+import NumberInput from "./NumberInput.jsx";
+import ProfilesEditor from "./ProfilesEditor.jsx";
+import RangeInput from "./RangeInput.jsx";
+import TransportEditor from "./TransportEditor.jsx";
+import { WarningText } from "./WarningsPanel.jsx";
+
+/* ===== Reusable UI (also used by the dashboard) ===== */
+export function Num({ label, value, set, placeholder, error, warning }) {
+  const { t } = useI18n();
+  const id = useId();
+  return (
+    <div className="flex flex-col">
+      <label className="font-medium text-slate-700" htmlFor={id}>
+        {label}
+      </label>
+      <NumberInput
+        id={id}
+        placeholder={placeholder}
+        className={`mt-1 rounded-lg border bg-slate-50 p-2 text-slate-900 ${
+          error ? "border-red-400" : "border-slate-300"
+        }`}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={`${id}-note`}
+        value={value}
+        onChange={set}
+      />
+      {error ? (
+        <div id={`${id}-note`} className="text-[11px] text-red-600 mt-1">
+          {error}
+        </div>
+      ) : warning ? (
+        <div id={`${id}-note`} className="text-[11px] text-amber-700 mt-1">
+          {warning}
+        </div>
+      ) : (
+        <div id={`${id}-note`} className="text-[11px] text-slate-400 mt-1">
+          {t("num.hint")}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Probabilities: arrows move by 1 %, Shift + arrows by 0.1 %, Page Up / Down by 10 %
+function Slider({ label, value, set, min = 0, max = 1, step = 0.01, percent = false, error }) {
+  const { t, num, pct } = useI18n();
+  const id = useId();
+  const n = Number(value);
+  const show = (v, digits) => (percent ? pct(v, digits) : num(v, digits));
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between">
+        <label className="font-medium text-slate-700" htmlFor={id}>
+          {label}
+        </label>
+        <span className="text-xs font-semibold text-slate-700 bg-slate-100 rounded px-2 py-0.5" aria-hidden="true">
+          {percent ? pct(n, 1) : num(n)}
+        </span>
+      </div>
+      <RangeInput
+        id={id}
+        min={min}
+        max={max}
+        step={step}
+        value={n}
+        onChange={set}
+        className="mt-2 w-full accent-emerald-600"
+        aria-valuetext={percent ? pct(n, 1) : num(n)}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error ? `${id}-error` : undefined}
+        title={t("slider.keys", { step: show(step), fine: show(step / 10, 1), coarse: show(step * 10) })}
+      />
+      {error && (
+        <div id={`${id}-error`} className="text-[11px] text-red-600 mt-1">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BEBadge({ be, color }) {
+  const { t } = useI18n();
+  return (
+    <div
+      className={`inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-semibold border`}
+      style={{
+        color: be ? color : "#334155",
+        backgroundColor: be ? `${color}20` : "#f1f5f9",
+        borderColor: be ? color : "#e2e8f0",
+      }}
+      title={be ? t("badge.atTitle", { n: be }) : t("badge.noneTitle")}
+    >
+      <span
+        className="inline-block h-2.5 w-2.5 rounded-full"
+        style={{ backgroundColor: be ? color : "#94a3b8" }}
+      />
+      {be ? t("badge.at", { n: be }) : t("badge.none")}
+    </div>
+  );
+}
+
+export function IconButton({ label, onClick, disabled, children }) {
+  return (
+    <button
+      type="button"
+      title={label}
+      aria-label={label}
+      disabled={disabled}
+      onClick={onClick}
+      className="h-7 w-7 rounded-md border border-slate-200 text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Editor and key figures of one scenario. `state` holds the inputs as entered, `model` the validated
+ * inputs of the selected indicator. The move / duplicate / delete buttons are shown only with `onMove`.
+ */
+export default function ScenarioCard({
+  state,
+  setState,
+  result,
+  errors,
+  warnings,
+  dash,
+  constants,
+  model,
+  indicator,
+  N_max_top,
+  isFirst,
+  isLast,
+  canDelete,
+  onMove,
+  onDuplicate,
+  onDelete,
+}) {
+  const { name, color } = state;
+  const { t, tl, tu, tm, pct, input, cup, cupShort } = useI18n();
+  const field = (key) => {
+    const f = SCENARIO_FIELDS.find((x) => x.key === key);
+    return `${tl("field", f)} ${f.kind === "prob" ? "(0–1)" : `[${tu(f.unit)}]`}`;
+  };
+  // Invalid inputs are replaced by the Expected Case value in the model (see resolveScenario)
+  const error = (key) =>
+    errors[key] && t("common.usingDefault", { error: tm(errors[key]), value: input(String(DEFAULT_SCENARIOS[1][key])) });
+  const warning = (key) => {
+    const w = warnings.find((x) => x.field === key);
+    return w && <WarningText warning={w} indicator={indicator} />;
+  };
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="color"
+          value={color}
+          onChange={(e) => setState((s) => ({ ...s, color: e.target.value }))}
+          className="h-7 w-7 shrink-0 cursor-pointer rounded border border-slate-200 bg-white p-0.5"
+          aria-label={t("card.colour", { name })}
+        />
+        <Swatch color={color} dash={dash} />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setState((s) => ({ ...s, name: e.target.value }))}
+          className="min-w-0 flex-1 rounded-md border border-transparent bg-transparent px-1 font-semibold text-lg hover:border-slate-200 focus:border-slate-300"
+          style={{ color }}
+          aria-label={t("card.name")}
+        />
+        {onMove && (
+          <div className="flex shrink-0 items-center gap-1">
+            <IconButton label={t("card.moveLeft")} onClick={() => onMove(-1)} disabled={isFirst}>
+              ←
+            </IconButton>
+            <IconButton label={t("card.moveRight")} onClick={() => onMove(1)} disabled={isLast}>
+              →
+            </IconButton>
+            <IconButton label={t("card.duplicate")} onClick={onDuplicate}>
+              ⧉
+            </IconButton>
+            <IconButton label={t("card.delete")} onClick={onDelete} disabled={!canDelete}>
+              ✕
+            </IconButton>
+          </div>
+        )}
+      </div>
+      <div className="mb-3">
+        <BEBadge be={result?.breakEven} color={color} />
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 text-sm">
+        <Num
+          label={field("E_manu_mup")}
+          value={state.E_manu_mup}
+          set={(v) => setState((s) => ({ ...s, E_manu_mup: v }))}
+          placeholder={t("card.example", { value: input("0.0008") })}
+          error={error("E_manu_mup")}
+        />
+        {state.legs?.length ? (
+          <TransportEditor
+            legs={state.legs}
+            setLegs={(updater) => setState((s) => ({ ...s, legs: updater(s.legs) }))}
+            result={result}
+            indicator={indicator}
+            onUseSingleDistance={() => setState((s) => ({ ...s, legs: [] }))}
+          />
+        ) : (
+          <div className="flex flex-col">
+            <Num
+              label={field("KM_ONE_WAY")}
+              value={state.KM_ONE_WAY}
+              set={(v) => setState((s) => ({ ...s, KM_ONE_WAY: v }))}
+              placeholder={t("card.example", { value: input("250") })}
+              error={error("KM_ONE_WAY")}
+            />
+            <button
+              type="button"
+              className="self-start text-xs text-slate-500 underline hover:text-slate-800"
+              onClick={() =>
+                setState((s) => ({ ...s, legs: legsFromSimple(s.KM_ONE_WAY, constants.T_FACTOR_PER_100KM) }))
+              }
+            >
+              {t("card.splitLegs")}
+            </button>
+          </div>
+        )}
+        <Slider
+          label={field("p_ret")}
+          value={state.p_ret}
+          set={(v) => setState((s) => ({ ...s, p_ret: v }))}
+          percent
+          error={error("p_ret")}
+        />
+        <Slider
+          label={field("p_scr")}
+          value={state.p_scr}
+          set={(v) => setState((s) => ({ ...s, p_scr: v }))}
+          percent
+          error={error("p_scr")}
+        />
+        {state.eol ? (
+          <EolEditor
+            eol={state.eol}
+            setEol={(updater) => setState((s) => ({ ...s, eol: updater(s.eol) }))}
+            errors={errors.eol}
+            result={result}
+            indicator={indicator}
+            warning={warning("E_EoL_mup")}
+            onUseNetValue={() => setState((s) => ({ ...s, eol: undefined }))}
+          />
+        ) : (
+          <div className="flex flex-col">
+            <Num
+              label={field("E_EoL_mup")}
+              value={state.E_EoL_mup}
+              set={(v) => setState((s) => ({ ...s, E_EoL_mup: v }))}
+              placeholder={t("card.example", { value: input("-0.0015") })}
+              error={error("E_EoL_mup")}
+              warning={warning("E_EoL_mup")}
+            />
+            <button
+              type="button"
+              className="self-start text-xs text-slate-500 underline hover:text-slate-800"
+              onClick={() => setState((s) => ({ ...s, eol: { ...DEFAULT_EOL } }))}
+            >
+              {t("card.modelEol")}
+            </button>
+          </div>
+        )}
+        <ProfilesEditor
+          profiles={state.profiles}
+          setProfiles={(updater) => setState((s) => ({ ...s, profiles: updater(s.profiles) }))}
+          scenario={state}
+          N_max_top={N_max_top}
+        />
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 text-sm mt-4">
+        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
+          <div className="text-slate-500 text-xs uppercase font-medium">{t("card.survival")}</div>
+          <div className="text-xl font-semibold text-slate-900">
+            {pct(model.scenario.p_ret * (1 - model.scenario.p_scr), 1)}
+          </div>
+        </div>
+        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
+          <div className="text-slate-500 text-xs uppercase font-medium">{t("card.start")}</div>
+          <div className="text-xl font-semibold text-slate-900">
+            {result ? cup(result.firstCost_g) : "-"} {cupShort(indicator)}
+          </div>
+        </div>
+        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
+          <div className="text-slate-500 text-xs uppercase font-medium">{t("card.atN", { n: N_max_top })}</div>
+          <div className="text-xl font-semibold text-slate-900">
+            {result ? cup(result.lastCost_g) : "-"} {cupShort(indicator)}
+          </div>
+        </div>
+      </div>
+
+      <p className="mt-2 text-xs text-slate-500">
+        {t("card.eolMethod", {
+          method: model.scenario.eol
+            ? tl("eolMethod", { key: model.scenario.eol.method, label: EOL_METHODS[model.scenario.eol.method].label })
+            : t("card.eolNet"),
+        })}
+      </p>
+
+      <BreakEvenPanel scenario={model.scenario} constants={model.constants} indicator={indicator} N_max_top={N_max_top} />
+    </section>
+  );
+}
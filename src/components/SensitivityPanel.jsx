@@ -0,0 +1,421 @@
+import { useId, useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { MODEL_PARAMS } from "../params.js";
+import {
+  PERTURBATION_MODES,
+  SENS_KPIS,
+  baseValue,
+  defaultPerturbation,
+  resolveHeatmap,
+  resolveKpi,
+} from "../sensitivity.js";
+import Heatmap from "./Heatmap.jsx";
+import { indicatorUnit } from "../indicators.js";
+import { useI18n } from "../i18n.js";
+import { useWorkerTask } from "../useWorkerTask.js";
+import NumberInput from "./NumberInput.jsx";
+import ChartDataTable from "./ChartDataTable.jsx";
+
+const inputCls = "rounded border bg-slate-50 p-1 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+// Canonical text for perturbation drafts (shown in the locale by NumberInput)
+const fmt = (v) => String(Number(v.toPrecision(4)));
+// KPI unit in the selected indicator and display unit (SENS_KPIS carries the climate one)
+const kpiUnit = (kpi, indicator, i18n) => (kpi === "breakEven" ? i18n.tu(SENS_KPIS[kpi].unit) : i18n.cupUnit(indicator));
+
+function KpiPicker({ kpi, kpiN, error, onChange, label }) {
+  const { tl, tm } = useI18n();
+  const id = useId();
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <label className="text-slate-700" htmlFor={id}>
+        {label}
+      </label>
+      <select
+        id={id}
+        className={`${inputCls} border-slate-300`}
+        value={kpi}
+        onChange={(e) => onChange({ kpi: e.target.value })}
+      >
+        {Object.entries(SENS_KPIS).map(([k, v]) => (
+          <option key={k} value={k}>
+            {tl("kpi", { key: k, label: v.label })}
+          </option>
+        ))}
+      </select>
+      {kpi === "costAtN" && (
+        <label className="flex items-center gap-1 text-slate-700">
+          N =
+          <NumberInput
+            inputMode="numeric"
+            className={`${inputCls} w-16 ${border(error)}`}
+            value={kpiN}
+            onChange={(v) => onChange({ kpiN: v })}
+          />
+        </label>
+      )}
+      {error && <span className="text-xs text-red-600">{tm(error)}</span>}
+    </div>
+  );
+}
+
+function PerturbationTable({ scenario, constants, indicator, perturbations, errors, setPerturbation }) {
+  const { t, tl, tm, tu, prec } = useI18n();
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs uppercase text-slate-500">
+          <th className="py-1 pr-3 font-medium">{t("sensitivity.parameter")}</th>
+          <th className="py-1 pr-3 font-medium">{t("sensitivity.base")}</th>
+          <th className="py-1 pr-3 font-medium">{t("sensitivity.perturbation")}</th>
+          <th className="py-1 font-medium">{t("sensitivity.values")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {MODEL_PARAMS.map((p) => {
+          const draft = perturbations[p.key] ?? defaultPerturbation(p);
+          const base = baseValue(p, scenario, constants);
+          const set = (patch) => setPerturbation(p.key, { ...draft, ...patch });
+          return (
+            <tr key={p.key} className="border-t border-slate-100 align-top">
+              <td className="py-1.5 pr-3 font-medium text-slate-700 whitespace-nowrap">
+                {tl("field", p)}
+                {p.source === "constants" && <span className="ml-1 text-[10px] text-slate-400">{t("mc.constant")}</span>}
+              </td>
+              <td className="py-1.5 pr-3 text-slate-500 tabular-nums">{prec(base, 4)}</td>
+              <td className="py-1.5 pr-3">
+                <select
+                  className={`${inputCls} border-slate-300`}
+                  value={draft.mode}
+                  aria-label={t("sensitivity.perturbationOf", { label: tl("field", p) })}
+                  onChange={(e) => {
+                    const mode = e.target.value;
+                    if (mode === "range") set({ mode, low: fmt(base * 0.9), high: fmt(base * 1.1) });
+                    else set({ mode, value: mode === "percent" ? "10" : fmt(Math.abs(base) * 0.1 || 0.01) });
+                  }}
+                >
+                  {Object.entries(PERTURBATION_MODES).map(([k, label]) => (
+                    <option key={k} value={k}>
+                      {tl("perturbation", { key: k, label })}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1.5">
+                {draft.mode === "range" ? (
+                  <div className="flex gap-2">
+                    {["low", "high"].map((k) => (
+                      <label key={k} className="flex items-center gap-1 text-xs text-slate-500">
+                        {t(`sensitivity.${k}`)}
+                        <NumberInput
+                          className={`${inputCls} w-24 ${border(errors[p.key])}`}
+                          value={draft[k] ?? ""}
+                          onChange={(v) => set({ [k]: v })}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                ) : (
+                  <label className="flex items-center gap-1 text-xs text-slate-500">
+                    ±
+                    <NumberInput
+                      className={`${inputCls} w-24 ${border(errors[p.key])}`}
+                      value={draft.value ?? ""}
+                      onChange={(v) => set({ value: v })}
+                    />
+                    {draft.mode === "percent" ? "%" : tu(indicatorUnit(p.unit, indicator))}
+                  </label>
+                )}
+                {errors[p.key] && <div className="text-[11px] text-red-600 mt-1">{tm(errors[p.key])}</div>}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+function HeatmapSection({ scenario, constants, indicator, N_max_top, config, setConfig }) {
+  const i18n = useI18n();
+  const { t, tl, tm, tu, cup, cupShort } = i18n;
+  const { spec, errors } = useMemo(() => resolveHeatmap(config), [config]);
+  const kpiState = useMemo(() => resolveKpi(config), [config]);
+  const hasErrors = Object.keys(errors).length > 0 || !!kpiState.error;
+
+  const heatmapArgs = useMemo(
+    () => (hasErrors ? null : [scenario, constants, N_max_top, spec, kpiState.kpi, kpiState.kpiN]),
+    [hasErrors, scenario, constants, N_max_top, spec, kpiState]
+  );
+  const task = useWorkerTask("heatmap", heatmapArgs);
+  const map = task.result;
+  // Labelled by the KPI behind the map shown, which lags the picker while the next map is computing
+  const mapKpi = task.args?.[4] ?? kpiState.kpi;
+
+  const axisControls = (axis) => (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium text-slate-700 uppercase text-xs">{axis}</span>
+      <select
+        className={`${inputCls} ${border(errors[`${axis}Key`])}`}
+        aria-label={t("sensitivity.axisParam", { axis })}
+        value={config[`${axis}Key`]}
+        onChange={(e) => setConfig((c) => ({ ...c, [`${axis}Key`]: e.target.value }))}
+      >
+        {MODEL_PARAMS.map((p) => (
+          <option key={p.key} value={p.key}>
+            {tl("field", p)}
+          </option>
+        ))}
+      </select>
+      {["Min", "Max"].map((k) => (
+        <label key={k} className="flex items-center gap-1 text-xs text-slate-500">
+          {t(`sensitivity.${k.toLowerCase()}`)}
+          <NumberInput
+            className={`${inputCls} w-20 ${border(errors[`${axis}${k}`])}`}
+            value={config[`${axis}${k}`]}
+            onChange={(v) => setConfig((c) => ({ ...c, [`${axis}${k}`]: v }))}
+          />
+        </label>
+      ))}
+    </div>
+  );
+
+  const unit = kpiUnit(mapKpi, indicator, i18n);
+  const isBE = mapKpi === "breakEven";
+  return (
+    <div className="mt-6" aria-busy={task.pending}>
+      <h3 className="font-semibold text-slate-900 mb-2">{t("sensitivity.heatmap")}</h3>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-3">
+        {axisControls("x")}
+        {axisControls("y")}
+        <label className="flex items-center gap-1 text-sm text-slate-700">
+          {t("sensitivity.steps")}
+          <NumberInput
+            inputMode="numeric"
+            className={`${inputCls} w-14 ${border(errors.steps)}`}
+            value={config.steps}
+            onChange={(steps) => setConfig((c) => ({ ...c, steps }))}
+          />
+        </label>
+        <KpiPicker
+          label={t("sensitivity.colourBy")}
+          kpi={config.kpi}
+          kpiN={config.kpiN}
+          error={kpiState.error}
+          onChange={(patch) => setConfig((c) => ({ ...c, ...patch }))}
+        />
+      </div>
+      {task.error && <p className="text-xs text-red-600 mb-2">{t("common.failed", { error: task.error })}</p>}
+      {hasErrors ? (
+        <p className="text-xs text-red-600">{tm(Object.values(errors)[0] ?? kpiState.error)}</p>
+      ) : !map ? (
+        <p className="text-sm text-slate-500">{t("common.computing")}</p>
+      ) : (
+        <div className="max-w-3xl">
+          <Heatmap
+            map={map}
+            valueLabel={`${tl("kpi", { key: mapKpi, label: SENS_KPIS[mapKpi].label })} (${unit})`}
+            formatValue={(v) => (isBE ? `N = ${v}` : `${cup(v)} ${cupShort(indicator)}`)}
+            formatUnit={(u) => tu(indicatorUnit(u, indicator))}
+            nullLabel={`> N_max (${N_max_top})`}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function SensitivityPanel({
+  scenarios,
+  scenario,
+  onScenarioChange,
+  constants,
+  indicator,
+  N_max_top,
+  config,
+  setConfig,
+  heatmapConfig,
+  setHeatmapConfig,
+  chartRef,
+}) {
+  const i18n = useI18n();
+  const { t, tl, prec, int, cup, cupShort } = i18n;
+  const [showSettings, setShowSettings] = useState(false);
+  const kpiState = resolveKpi(config);
+  const sensitivityArgs = useMemo(() => [scenario, constants, N_max_top, config], [scenario, constants, N_max_top, config]);
+  const task = useWorkerTask("sensitivity", sensitivityArgs);
+  const sensitivity = task.result;
+  const { kpi, kpiN } = sensitivity ?? kpiState;
+  const isBE = kpi === "breakEven";
+  const kpiLabel =
+    kpi === "costAtN" ? t("sensitivity.costAt", { n: kpiN }) : tl("kpi", { key: kpi, label: SENS_KPIS[kpi].label });
+  const fmtKpi = (v) => (isBE ? int(v) : `${cup(v)} ${cupShort(indicator)}`);
+  const fmtChange = (v, capped) => (capped ? t("sensitivity.notReached", { n: N_max_top }) : `${fmtKpi(v)} Δ`);
+  const rowLabel = (r) => `${tl("field", { key: r.key, label: r.name })} (${r.perturbation})`;
+  const title = t("sensitivity.title", {
+    name: scenario.name,
+    kpi: kpiLabel,
+    unit: kpiUnit(kpi, indicator, i18n),
+  });
+  // Rows are sorted by impact, so the first one is the widest bar
+  const top = sensitivity?.rows[0];
+  const summary =
+    top &&
+    t("a11y.tornado", {
+      param: rowLabel(top),
+      low: fmtChange(top.Low, top.lowCapped),
+      high: fmtChange(top.High, top.highCapped),
+    });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200" aria-busy={task.pending}>
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h2 className="font-semibold text-slate-900 text-lg">{title}</h2>
+        <div className="ml-auto flex flex-wrap items-center gap-3">
+          <select
+            className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+            value={scenario.id}
+            onChange={(e) => onScenarioChange(e.target.value)}
+            aria-label={t("sensitivity.scenario")}
+          >
+            {scenarios.map((sc) => (
+              <option key={sc.id} value={sc.id}>
+                {sc.name}
+              </option>
+            ))}
+          </select>
+          <KpiPicker
+            label={t("sensitivity.kpi")}
+            kpi={config.kpi}
+            kpiN={config.kpiN}
+            error={kpiState.error}
+            onChange={(patch) => setConfig((c) => ({ ...c, ...patch }))}
+          />
+          <button
+            className="rounded-lg border border-slate-300 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50"
+            onClick={() => setShowSettings((v) => !v)}
+            aria-expanded={showSettings}
+          >
+            {showSettings ? t("sensitivity.hide") : t("sensitivity.edit")}
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <div className="mb-4 rounded-xl border border-slate-200 p-3 overflow-x-auto">
+          <PerturbationTable
+            scenario={scenario}
+            constants={constants}
+            indicator={indicator}
+            perturbations={config.perturbations}
+            errors={sensitivity?.errors ?? {}}
+            setPerturbation={(key, draft) =>
+              setConfig((c) => ({ ...c, perturbations: { ...c.perturbations, [key]: draft } }))
+            }
+          />
+          <button
+            className="mt-2 text-xs font-medium text-slate-500 underline"
+            onClick={() => setConfig((c) => ({ ...c, perturbations: {} }))}
+          >
+            {t("sensitivity.resetAll")}
+          </button>
+        </div>
+      )}
+
+      {task.error && <p className="text-xs text-red-600 mb-2">{t("common.failed", { error: task.error })}</p>}
+      {!sensitivity ? (
+        <p className="text-sm text-slate-500 mb-3">{t("common.computing")}</p>
+      ) : sensitivity.base === null ? (
+        <p className="text-sm text-amber-700 mb-3">{t("sensitivity.noBase", { name: scenario.name, n: N_max_top })}</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500 mb-3">
+            {t("sensitivity.bars", { base: fmtKpi(sensitivity.base) })}
+            {isBE && ` ${t("sensitivity.beyond", { n: N_max_top + 1 })}`}
+          </p>
+
+          <figure aria-label={title} aria-describedby="tornado-summary">
+            <div className="w-full" style={{ height: Math.max(320, sensitivity.rows.length * 28 + 60) }} ref={chartRef}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart
+                  data={sensitivity.rows}
+                  layout="vertical"
+                  margin={{ left: 20, right: 20, top: 10, bottom: 10 }}
+                  title={title}
+                  desc={summary}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                  <XAxis
+                    type="number"
+                    tickFormatter={(v) => (isBE ? `${v}` : `${cup(v, 1)} ${cupShort(indicator)}`)}
+                    stroke="#475569"
+                  />
+                  <YAxis
+                    type="category"
+                    dataKey={rowLabel}
+                    width={260}
+                    stroke="#475569"
+                  />
+                  <Tooltip
+                    formatter={(value, name, item) => {
+                      const r = item.payload;
+                      const isLow = item.dataKey === "Low";
+                      const input = prec(isLow ? r.low : r.high, 4);
+                      const change = fmtChange(Number(value), isLow ? r.lowCapped : r.highCapped);
+                      return [t("sensitivity.atInput", { change, input }), name];
+                    }}
+                  />
+                  <Legend />
+                  <ReferenceLine x={0} stroke="#64748b" />
+                  <Bar dataKey="Low" name={t("sensitivity.lowBar")} fill="#d55e00" isAnimationActive={false} />
+                  <Bar dataKey="High" name={t("sensitivity.highBar")} fill="#0072b2" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <p id="tornado-summary" className="sr-only">
+              {summary}
+            </p>
+            <ChartDataTable
+              caption={title}
+              columns={[
+                t("sensitivity.parameter"),
+                `${t("sensitivity.lowBar")}: ${t("sensitivity.input")}`,
+                `${t("sensitivity.lowBar")}: Δ`,
+                `${t("sensitivity.highBar")}: ${t("sensitivity.input")}`,
+                `${t("sensitivity.highBar")}: Δ`,
+              ]}
+              rows={() =>
+                sensitivity.rows.map((r) => [
+                  rowLabel(r),
+                  prec(r.low, 4),
+                  fmtChange(r.Low, r.lowCapped),
+                  prec(r.high, 4),
+                  fmtChange(r.High, r.highCapped),
+                ])
+              }
+            />
+          </figure>
+        </>
+      )}
+
+      <HeatmapSection
+        scenario={scenario}
+        constants={constants}
+        indicator={indicator}
+        N_max_top={N_max_top}
+        config={heatmapConfig}
+        setConfig={setHeatmapConfig}
+      />
+    </div>
+  );
+}
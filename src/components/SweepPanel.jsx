@@ -0,0 +1,232 @@
+import { useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceDot, ReferenceLine, ResponsiveContainer } from "recharts";
+import { MODEL_PARAMS } from "../params.js";
+import { SWEEP_KPIS, resolveSweep, winShare } from "../sweep.js";
+import { indicatorUnit } from "../indicators.js";
+import { scenarioDash } from "../scenarios.js";
+import { useI18n } from "../i18n.js";
+import { useWorkerTask } from "../useWorkerTask.js";
+import NumberInput from "./NumberInput.jsx";
+import ChartDataTable from "./ChartDataTable.jsx";
+import RegionMap from "./RegionMap.jsx";
+
+const inputCls = "rounded border bg-slate-50 p-1 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+const buttonCls = "rounded-lg border border-slate-300 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50";
+
+/**
+ * Sweep of one or two model inputs over a range. One input: break-even N or savings at N_max for every
+ * scenario as lines; two inputs: a region map of where MUP beats SUP for one scenario, with all
+ * scenarios as points. Computed in a worker; the chart shows the last result until the next one is in.
+ */
+export default function SweepPanel({ scenarios, base, onBaseChange, constants, indicator, N_max_top, config, setConfig, onExport }) {
+  const { t, tl, tm, tu, prec, pct, int: fmtInt, cup, cupValue, cupShort } = useI18n();
+  const { spec, errors } = useMemo(() => resolveSweep(config), [config]);
+  const hasErrors = Object.keys(errors).length > 0;
+  const sweepArgs = useMemo(
+    () => (hasErrors ? null : [scenarios, base, constants, N_max_top, spec]),
+    [hasErrors, scenarios, base, constants, N_max_top, spec]
+  );
+  const task = useWorkerTask("sweep", sweepArgs);
+  const sweep = hasErrors ? null : task.result;
+  // The scenarios behind the result shown, one run behind the inputs while the next is computing
+  const swept = task.args?.[0] ?? scenarios;
+
+  const isBE = spec.kpi === "breakEven";
+  const scale = cupValue(1);
+  const kpiValue = (c) => (isBE ? c.breakEven : c.savings_g * scale);
+  const fmtBE = (c) => (c.breakEven === null ? t("sweep.notReached", { n: N_max_top }) : `N = ${fmtInt(c.breakEven)}`);
+  const fmtSavings = (c) => `${cup(c.savings_g)} ${cupShort(indicator)}`;
+  const fmtKpi = (c) => (isBE ? fmtBE(c) : fmtSavings(c));
+  const fmtCell = (c) => `${fmtBE(c)}, ${t("sweep.savings")} ${fmtSavings(c)}`;
+  const kpiLabel = isBE ? t("sweep.breakEven") : t("sweep.savingsAt", { n: N_max_top, unit: cupShort(indicator) });
+  const paramUnit = (p) => tu(indicatorUnit(p.unit, indicator));
+  const lineLabel = sweep && t("sweep.lineLabel", { kpi: kpiLabel, x: tl("field", sweep.xParam) });
+
+  // One row per x with a column per scenario for the line chart
+  const data = useMemo(
+    () =>
+      sweep?.lines &&
+      sweep.xs.map((x, k) => {
+        const row = { x };
+        swept.forEach((s, i) => {
+          const c = sweep.lines[i][k];
+          row[s.id] = isBE ? c.breakEven : c.savings_g * scale;
+        });
+        return row;
+      }),
+    [sweep, swept, isBE, scale]
+  );
+
+  const axisControls = (axis, optional) => (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium text-slate-700 uppercase text-xs">{axis}</span>
+      <select
+        className={`${inputCls} ${border(errors[`${axis}Key`])}`}
+        aria-label={t("sweep.axisParam", { axis })}
+        value={config[`${axis}Key`]}
+        onChange={(e) => setConfig((c) => ({ ...c, [`${axis}Key`]: e.target.value }))}
+      >
+        {optional && <option value="">{t("sweep.none")}</option>}
+        {MODEL_PARAMS.map((p) => (
+          <option key={p.key} value={p.key}>
+            {tl("field", p)}
+          </option>
+        ))}
+      </select>
+      {(!optional || config[`${axis}Key`]) &&
+        ["Min", "Max"].map((k) => (
+          <label key={k} className="flex items-center gap-1 text-xs text-slate-500">
+            {t(`sweep.${k.toLowerCase()}`)}
+            <NumberInput
+              className={`${inputCls} w-20 ${border(errors[`${axis}${k}`])}`}
+              aria-invalid={errors[`${axis}${k}`] ? true : undefined}
+              value={config[`${axis}${k}`]}
+              onChange={(v) => setConfig((c) => ({ ...c, [`${axis}${k}`]: v }))}
+            />
+          </label>
+        ))}
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200" aria-busy={task.pending}>
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <h2 className="font-semibold text-slate-900 text-lg">{t("sweep.title")}</h2>
+        <div className="ml-auto flex flex-wrap items-center gap-2">
+          {spec.yKey && (
+            <select
+              className="rounded-lg border border-slate-300 bg-slate-50 p-1.5 text-sm text-slate-900"
+              value={base.id}
+              onChange={(e) => onBaseChange(e.target.value)}
+              aria-label={t("sweep.base")}
+            >
+              {scenarios.map((sc) => (
+                <option key={sc.id} value={sc.id}>
+                  {sc.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button className={buttonCls} disabled={!sweep} onClick={() => onExport(sweep, "csv")}>
+            {t("sweep.exportCsv")}
+          </button>
+          <button className={buttonCls} disabled={!sweep} onClick={() => onExport(sweep, "json")}>
+            {t("sweep.exportJson")}
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">{t(spec.yKey ? "sweep.introMap" : "sweep.introLines", { n: N_max_top })}</p>
+
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-3">
+        {axisControls("x", false)}
+        {axisControls("y", true)}
+        <label className="flex items-center gap-1 text-sm text-slate-700">
+          {t("sweep.steps")}
+          <NumberInput
+            inputMode="numeric"
+            className={`${inputCls} w-14 ${border(errors.steps)}`}
+            aria-invalid={errors.steps ? true : undefined}
+            value={config.steps}
+            onChange={(steps) => setConfig((c) => ({ ...c, steps }))}
+          />
+        </label>
+        {!spec.yKey && (
+          <label className="flex items-center gap-1 text-sm text-slate-700">
+            {t("sweep.show")}
+            <select
+              className={`${inputCls} ${border(false)}`}
+              value={spec.kpi}
+              onChange={(e) => setConfig((c) => ({ ...c, kpi: e.target.value }))}
+            >
+              {Object.entries(SWEEP_KPIS).map(([key, k]) => (
+                <option key={key} value={key}>
+                  {tl("sweepKpi", { key, label: k.label })}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {task.error && <p className="text-xs text-red-600 mb-2">{t("common.failed", { error: task.error })}</p>}
+      {hasErrors ? (
+        <p className="text-xs text-red-600">{tm(Object.values(errors)[0])}</p>
+      ) : !sweep ? (
+        <p className="text-sm text-slate-500">{t("common.computing")}</p>
+      ) : sweep.yParam ? (
+        <div className="max-w-3xl">
+          <RegionMap sweep={sweep} scenarios={swept} formatCell={fmtCell} formatUnit={paramUnit} />
+        </div>
+      ) : (
+        <figure aria-label={lineLabel}>
+          <div className="w-full h-[340px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={data}
+                margin={{ left: 10, right: 20, top: 10, bottom: 20 }}
+                title={lineLabel}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                <XAxis
+                  dataKey="x"
+                  type="number"
+                  domain={[sweep.xs[0], sweep.xs.at(-1)]}
+                  tickFormatter={(v) => prec(v)}
+                  stroke="#475569"
+                  label={{
+                    value: `${tl("field", sweep.xParam)} [${paramUnit(sweep.xParam)}]`,
+                    position: "insideBottom",
+                    offset: -10,
+                    fill: "#475569",
+                  }}
+                />
+                <YAxis
+                  stroke="#475569"
+                  allowDecimals={!isBE}
+                  label={{ value: kpiLabel, angle: -90, position: "insideLeft", fill: "#475569" }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [isBE ? `N = ${fmtInt(value)}` : `${prec(value)} ${cupShort(indicator)}`, name]}
+                  labelFormatter={(x) => `${tl("field", sweep.xParam)} = ${prec(x)}`}
+                />
+                <Legend verticalAlign="top" iconType="plainline" />
+                {!isBE && <ReferenceLine y={0} stroke="#475569" />}
+                {swept.map((s, i) => (
+                  <Line
+                    key={s.id}
+                    dataKey={s.id}
+                    name={s.name}
+                    stroke={s.color}
+                    strokeDasharray={scenarioDash(i)}
+                    strokeWidth={2}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {sweep.points.map((p) => {
+                  const s = swept.find((x) => x.id === p.id);
+                  const y = kpiValue(p);
+                  if (y === null || p.x < sweep.xs[0] || p.x > sweep.xs.at(-1)) return null;
+                  return <ReferenceDot key={p.id} x={p.x} y={y} r={5} fill={s.color} stroke="#ffffff" strokeWidth={2} />;
+                })}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartDataTable
+            caption={lineLabel}
+            columns={[tl("field", sweep.xParam), ...swept.map((s) => s.name)]}
+            rows={() => sweep.xs.map((x, k) => [prec(x), ...sweep.lines.map((cells) => fmtKpi(cells[k]))])}
+          />
+        </figure>
+      )}
+
+      {sweep && (
+        <p className="mt-2 text-xs text-slate-500">
+          {t("sweep.share", { share: pct(winShare(sweep)), n: N_max_top })}{" "}
+          {!sweep.yParam && t("sweep.note")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { LEG_DIRECTIONS, TRANSPORT_MODES, addLeg, removeLeg, setLegMode, updateLeg, validateLeg } from "../transport.js";
+import { useI18n } from "../i18n.js";
+import NumberInput from "./NumberInput.jsx";
+import RangeInput from "./RangeInput.jsx";
+
+const inputCls = "w-full rounded border bg-slate-50 p-1 text-sm text-slate-900";
+const border = (err) => (err ? "border-red-400" : "border-slate-300");
+
+export function ShareSlider({ label, value, min, set }) {
+  const { t, pct } = useI18n();
+  return (
+    <label className="flex flex-col text-xs text-slate-500">
+      <span className="flex justify-between">
+        {label}
+        <span className="font-semibold text-slate-700">{pct(value, 1)}</span>
+      </span>
+      <RangeInput
+        min={min}
+        max={1}
+        step={0.05}
+        coarse={0.25}
+        value={value}
+        onChange={set}
+        aria-valuetext={pct(value, 1)}
+        title={t("slider.keys", { step: pct(0.05), fine: pct(0.005, 1), coarse: pct(0.25) })}
+        className="mt-1 w-full accent-emerald-600"
+      />
+    </label>
+  );
+}
+
+// Leg burdens are per capsule and cycle, so they stay in the indicator's milli-unit
+function LegEditor({ leg, burden_g, unit, errors, set, setMode, onRemove }) {
+  const { t, tl, tm, num } = useI18n();
+  return (
+    <li className="rounded-lg border border-slate-200 p-2">
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={leg.name}
+          onChange={(e) => set({ name: e.target.value })}
+          className="min-w-0 flex-1 rounded border border-transparent bg-transparent px-1 font-medium text-slate-800 hover:border-slate-200 focus:border-slate-300"
+          aria-label={t("transport.legName")}
+        />
+        <select
+          className={`${inputCls} w-auto ${border(false)}`}
+          value={leg.direction}
+          onChange={(e) => set({ direction: e.target.value })}
+          aria-label={t("transport.direction", { name: leg.name })}
+        >
+          {Object.entries(LEG_DIRECTIONS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {tl("direction", { key: k, label })}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          title={t("transport.removeLeg")}
+          aria-label={t("transport.remove", { name: leg.name })}
+          onClick={onRemove}
+          className="h-7 w-7 shrink-0 rounded-md border border-slate-200 text-slate-600 hover:bg-slate-100"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="mt-2 grid grid-cols-2 gap-2">
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("transport.vehicle")}
+          <select className={`${inputCls} ${border(false)}`} value={leg.mode} onChange={(e) => setMode(e.target.value)}>
+            {Object.entries(TRANSPORT_MODES).map(([k, m]) => (
+              <option key={k} value={k}>
+                {tl("mode", { key: k, label: m.label })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("transport.distance")}
+          <NumberInput
+            className={`${inputCls} ${border(errors.distance)}`}
+            aria-invalid={errors.distance ? true : undefined}
+            title={tm(errors.distance)}
+            value={leg.distance}
+            onChange={(distance) => set({ distance })}
+          />
+        </label>
+        <label className="col-span-2 flex flex-col text-xs text-slate-500">
+          {t("transport.ef")}
+          <NumberInput
+            className={`${inputCls} ${border(errors.EF)}`}
+            aria-invalid={errors.EF ? true : undefined}
+            title={tm(errors.EF)}
+            value={leg.EF}
+            onChange={(EF) => set({ EF })}
+          />
+        </label>
+        <ShareSlider label={t("transport.load")} value={leg.load} min={0.05} set={(load) => set({ load })} />
+        <ShareSlider label={t("transport.backhaul")} value={leg.backhaul} min={0} set={(backhaul) => set({ backhaul })} />
+      </div>
+
+      <div className="mt-1 text-right text-xs text-slate-500">
+        {Object.keys(errors).length ? (
+          <span className="text-red-600">{t("transport.ignored", { error: tm(Object.values(errors)[0]) })}</span>
+        ) : (
+          <>
+            <span className="font-semibold text-slate-700">
+              {num(burden_g)} {unit}
+            </span>{" "}
+            {t("transport.perCapsuleCycle")}
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Per-scenario list of transport legs. E_fw / E_rev are the sums of the forward and reverse
+ * legs; the per-leg figures come from the model result so they match the chart.
+ */
+export default function TransportEditor({ legs, setLegs, result, indicator, onUseSingleDistance }) {
+  const { t, num } = useI18n();
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between">
+        <span className="font-medium text-slate-700">{t("transport.title")}</span>
+        <button type="button" className="text-xs text-slate-500 underline hover:text-slate-800" onClick={onUseSingleDistance}>
+          {t("transport.single")}
+        </button>
+      </div>
+      <ul className="mt-1 flex flex-col gap-2">
+        {legs.map((leg, i) => (
+          <LegEditor
+            key={leg.id}
+            leg={leg}
+            burden_g={result?.transport[i]?.E_g ?? 0}
+            unit={indicator.short}
+            errors={validateLeg(leg)}
+            set={(patch) => setLegs((list) => updateLeg(list, leg.id, patch))}
+            setMode={(mode) => setLegs((list) => setLegMode(list, leg.id, mode))}
+            onRemove={() => setLegs((list) => removeLeg(list, leg.id))}
+          />
+        ))}
+      </ul>
+      <div className="mt-2 flex items-center justify-between text-xs">
+        <button type="button" className="font-medium text-emerald-700 hover:underline" onClick={() => setLegs(addLeg)}>
+          {t("transport.addLeg")}
+        </button>
+        {result && (
+          <span className="text-slate-500">
+            {t("transport.summary", {
+              fw: `${num(result.E_fw_g)} ${indicator.short}`,
+              rev: `${num(result.E_rev_g)} ${indicator.short}`,
+            })}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useI18n } from "../i18n.js";
+
+/** Message of one plausibility warning (see warnings.js), with its numbers in the display units. */
+export function WarningText({ warning, indicator }) {
+  const { t, tu, prec, num, pct, cup, cupShort } = useI18n();
+  const v = warning.values;
+  const params = {
+    eolCredit: () => ({
+      credit: `${prec(v.credit)} ${tu(indicator.unit)}`,
+      material: `${prec(v.material)} ${tu(indicator.unit)}`,
+    }),
+    negativeTotal: () => ({ n: v.N, value: `${cup(v.value_g)} ${cupShort(indicator)}` }),
+    plateau: () => ({ uses: num(v.uses, 1), q: pct(v.q, 1), n: v.N }),
+  }[warning.code]?.();
+  return t(`warnings.${warning.code}`, params);
+}
+
+/**
+ * Results worth a second look although every input is valid: break-even at N = 1, negative
+ * footprints per cup, an EoL credit above the material burden, or a pool used up long before N_max.
+ */
+export default function WarningsPanel({ warnings, scenarios, indicator }) {
+  const { t } = useI18n();
+  if (!warnings.length) return null;
+
+  return (
+    <section className="rounded-2xl border border-amber-300 bg-amber-50 p-4" aria-live="polite">
+      <h2 className="font-semibold text-amber-900 text-lg mb-2">{t("warnings.title", { n: warnings.length })}</h2>
+      <ul className="flex flex-col gap-1 text-sm text-amber-900">
+        {warnings.map((w) => {
+          const sc = scenarios.find((s) => s.id === w.scenarioId);
+          return (
+            <li key={`${w.scenarioId}:${w.code}`} className="flex items-start gap-2">
+              <span className="mt-1.5 inline-block h-2.5 w-2.5 shrink-0 rounded-full" style={{ backgroundColor: sc?.color }} />
+              <span>
+                <span className="font-semibold">{sc?.name}:</span> <WarningText warning={w} indicator={indicator} />
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,10 @@
+import { runTask } from "./tasks.js";
+
+self.onmessage = (e) => {
+  const { id, task, args } = e.data;
+  try {
+    self.postMessage({ id, type: "done", result: runTask(task, args) });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,109 @@
+/* ========= Model constants: defaults, field metadata, validation & named sets ========= */
+
+export const DEFAULT_CONSTANTS = {
+  m_Al_mup: 0.00324,
+  EF_Al_prim: 14.77,
+  EF_Al_sec: 0.6,
+  EF_disposal: 0.02,
+  E_fw_init: 0.00037,
+  E_single_shot: 0.00437,
+  E_use: 0.0,
+  E_clean: 0.001,
+  T_FACTOR_PER_100KM: 0.00037,
+};
+
+export const DEFAULT_SET_NAME = "Default (Primary Al)";
+
+// Display order, labels, units and bounds for the Assumptions panel & footer
+export const CONSTANT_FIELDS = [
+  { key: "m_Al_mup", label: "Capsule mass", short: "mass", unit: "kg", min: 0, exclusiveMin: true },
+  { key: "EF_Al_prim", label: "Aluminium emission factor", short: "Al EF", unit: "kg CO₂e/kg", min: 0 },
+  { key: "EF_Al_sec", label: "Secondary aluminium factor", short: "sec. Al EF", unit: "kg CO₂e/kg", min: 0 },
+  { key: "EF_disposal", label: "Disposal factor", short: "disposal", unit: "kg CO₂e/kg", min: 0 },
+  { key: "E_fw_init", label: "Initial logistics", short: "initial logistics", unit: "kg CO₂e/capsule", min: 0 },
+  { key: "E_single_shot", label: "SUP reference", short: "SUP reference", unit: "kg CO₂e/cup", min: 0 },
+  { key: "E_clean", label: "Cleaning + refill", short: "cleaning+refill", unit: "kg CO₂e/cycle", min: 0 },
+  { key: "E_use", label: "Use phase", short: "use phase", unit: "kg CO₂e/cycle", min: 0 },
+  {
+    key: "T_FACTOR_PER_100KM",
+    label: "Transport factor",
+    short: "transport",
+    unit: "kg CO₂e/100 km",
+    min: 0,
+  },
+];
+
+/** Strict number parse for user input ("" and "12abc" are invalid, "0,5" is accepted). */
+export function parseStrict(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  if (typeof v !== "string") return NaN;
+  const s = v.replace(",", ".").trim();
+  if (s === "") return NaN;
+  return Number(s);
+}
+
+/**
+ * One input checked against its field's bounds (min / exclusiveMin / max / integer): { value, error },
+ * `value` null when invalid.
+ */
+export function validateValue(field, raw) {
+  const n = parseStrict(raw);
+  if (!Number.isFinite(n)) return { value: null, error: "Not a number" };
+  if (field.integer && !Number.isInteger(n)) return { value: null, error: "Must be a whole number" };
+  if (field.min !== undefined && (field.exclusiveMin ? n <= field.min : n < field.min)) {
+    return { value: null, error: field.exclusiveMin ? `Must be > ${field.min}` : `Must be ≥ ${field.min}` };
+  }
+  if (field.max !== undefined && n > field.max) return { value: null, error: `Must be ≤ ${field.max}` };
+  return { value: n, error: null };
+}
+
+/**
+ * Turn the (string) editor state into numeric constants.
+ * Invalid fields fall back to the default value and are reported in `errors`.
+ */
+export function resolveConstants(input) {
+  const values = { ...DEFAULT_CONSTANTS };
+  const errors = {};
+  for (const field of CONSTANT_FIELDS) {
+    const { value, error } = validateValue(field, input?.[field.key] ?? DEFAULT_CONSTANTS[field.key]);
+    if (error) errors[field.key] = error;
+    else values[field.key] = value;
+  }
+  return { values, errors };
+}
+
+/** Editor state (strings) for a numeric constants object. */
+export function toConstantsInput(values) {
+  const out = {};
+  for (const field of CONSTANT_FIELDS) {
+    out[field.key] = String(values?.[field.key] ?? DEFAULT_CONSTANTS[field.key]);
+  }
+  return out;
+}
+
+/** One-line summary used by the chart footer, e.g. "mass 0.00324 kg · Al EF 14.77 kg CO₂e/kg · …" */
+export function describeConstants(values) {
+  return CONSTANT_FIELDS.map((f) => `${f.short} ${values[f.key]} ${f.unit}`).join(" · ");
+}
+
+/* ===== Named sets (persisted in localStorage) ===== */
+const SETS_STORAGE_KEY = "mup-dashboard:constant-sets";
+
+export function loadConstantSets() {
+  try {
+    const raw = globalThis.localStorage?.getItem(SETS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((s) => s && typeof s.name === "string" && s.values && typeof s.values === "object");
+  } catch {
+    return [];
+  }
+}
+
+export function saveConstantSets(sets) {
+  try {
+    globalThis.localStorage?.setItem(SETS_STORAGE_KEY, JSON.stringify(sets));
+  } catch {
+    // storage full or unavailable (private mode) – sets stay in memory only
+  }
+}
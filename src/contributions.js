@@ -0,0 +1,64 @@
+/* ========= Contribution analysis: amortised footprint split by life-cycle stage ========= */
+import { cycleSums, modelTerms } from "./lca.js";
+
+// once: spread over the effective uses (E / U_eff); cycle: paid on every use (survival-weighted mean with profiles)
+export const STAGES = [
+  { key: "E_mat_mup", label: "Material (aluminium)", group: "Material", kind: "once", color: "#64748b" },
+  { key: "E_manu_mup", label: "Manufacturing", group: "Manufacturing", kind: "once", color: "#a855f7" },
+  { key: "E_fw_init", label: "Initial logistics", group: "Logistics", kind: "once", color: "#f59e0b" },
+  { key: "E_fw", label: "Forward transport", group: "Logistics", kind: "cycle", color: "#fb923c" },
+  { key: "E_rev", label: "Reverse transport", group: "Logistics", kind: "cycle", color: "#fdba74" },
+  { key: "E_clean", label: "Cleaning + refill", group: "Washing", kind: "cycle", color: "#0ea5e9" },
+  { key: "E_use", label: "Use phase", group: "Use", kind: "cycle", color: "#14b8a6" },
+  { key: "E_EoL_mup", label: "End of life", group: "End of life", kind: "once", color: "#84cc16" },
+  { key: "E_EoL_drop", label: "EoL of lost & scrapped capsules", group: "End of life", kind: "cycle", color: "#bef264" },
+];
+
+function stageValues(terms, sums) {
+  return Object.fromEntries(
+    STAGES.map((s) => [s.key, ((s.kind === "once" ? terms.stages[s.key] : sums[s.key]) / sums.U || 0) * 1000])
+  );
+}
+
+/**
+ * Per-cycle rows { cycle, <stage key>: g, MUP_g, SUP_g } whose stages add up to computeSeries' MUP_g, for
+ * every N up to N_max_top or only the ascending `cycles` given (see sampleCycles).
+ */
+export function computeContributions(params, constants, N_max_top, cycles = null) {
+  const terms = modelTerms(params, constants);
+  const row = (N, sums) => {
+    const values = stageValues(terms, sums);
+    const MUP_g = STAGES.reduce((sum, s) => sum + values[s.key], 0);
+    return { cycle: N, ...values, MUP_g, SUP_g: terms.E_sup * 1000 };
+  };
+  const wanted = cycles ?? Array.from({ length: N_max_top }, (_, i) => i + 1);
+  if (!terms.varying) return wanted.map((N) => row(N, cycleSums(terms, N)));
+  const rows = [];
+  cycleSums(terms, wanted[wanted.length - 1] ?? 0, (N, sums) => {
+    if (N === wanted[rows.length]) rows.push(row(N, sums));
+  });
+  return rows;
+}
+
+/**
+ * Stage table at one N: rows { key, label, group, g, share } plus the same per group, largest first.
+ * Shares are of the net total, so an EoL credit shows as a negative share.
+ */
+export function contributionTable(params, constants, N) {
+  const terms = modelTerms(params, constants);
+  const values = stageValues(terms, cycleSums(terms, N));
+  const total = STAGES.reduce((sum, s) => sum + values[s.key], 0);
+  const share = (g) => (total !== 0 ? g / total : 0);
+
+  const rows = STAGES.map((s) => ({ key: s.key, label: s.label, group: s.group, g: values[s.key], share: share(values[s.key]) }));
+  const groups = [];
+  for (const r of rows) {
+    const g = groups.find((x) => x.group === r.group);
+    if (g) g.g += r.g;
+    else groups.push({ group: r.group, g: r.g });
+  }
+  groups.forEach((g) => (g.share = share(g.g)));
+  groups.sort((a, b) => b.g - a.g);
+
+  return { N, total, SUP_g: terms.E_sup * 1000, rows, groups };
+}
@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { STAGES, computeContributions, contributionTable } from "./contributions.js";
+import { computeSeries } from "./lca.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const BEST = { E_manu_mup: "0.0006", KM_ONE_WAY: "100", p_ret: 1, p_scr: 0, E_EoL_mup: "-0.0001" };
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+describe("computeContributions", () => {
+  it("stages add up to the amortised total at every N", () => {
+    for (const s of [EXPECTED, BEST]) {
+      const series = computeSeries(s, DEFAULT_CONSTANTS, 50).data;
+      computeContributions(s, DEFAULT_CONSTANTS, 50).forEach((row, i) => {
+        close(STAGES.reduce((sum, st) => sum + row[st.key], 0), series[i].MUP_g);
+        close(row.MUP_g, series[i].MUP_g);
+      });
+    }
+  });
+
+  it("spreads one-time burdens and keeps per-cycle burdens flat", () => {
+    const rows = computeContributions(BEST, DEFAULT_CONSTANTS, 10); // q = 1, so U_eff = N
+    close(rows[0].E_mat_mup, 47.8548);
+    close(rows[9].E_mat_mup, 4.78548);
+    close(rows[9].E_EoL_mup, -0.01);
+    close(rows[0].E_clean, rows[9].E_clean);
+    close(rows[9].E_fw, 0.37);
+  });
+
+  it("computes only the cycles asked for", () => {
+    const aged = { ...EXPECTED, profiles: { p_scr: { type: "linear", slope: "0.002" } } };
+    for (const s of [EXPECTED, aged]) {
+      const all = computeContributions(s, DEFAULT_CONSTANTS, 60);
+      const cycles = [1, 7, 30, 60];
+      assert.deepEqual(computeContributions(s, DEFAULT_CONSTANTS, 60, cycles), cycles.map((N) => all[N - 1]));
+    }
+  });
+});
+
+describe("contributionTable", () => {
+  it("names the dominant group at the chosen N", () => {
+    const early = contributionTable(EXPECTED, DEFAULT_CONSTANTS, 1);
+    assert.equal(early.groups[0].group, "Material");
+    const late = contributionTable(BEST, DEFAULT_CONSTANTS, 200); // material spread thin, 1 g washing per cycle
+    assert.equal(late.groups[0].group, "Washing");
+    close(
+      late.groups.reduce((sum, g) => sum + g.share, 0),
+      1
+    );
+    close(late.total, computeSeries(BEST, DEFAULT_CONSTANTS, 200).lastCost_g);
+  });
+
+  it("gives credits a negative share", () => {
+    const t = contributionTable(BEST, DEFAULT_CONSTANTS, 5);
+    const eol = t.rows.find((r) => r.key === "E_EoL_mup");
+    assert.ok(eol.g < 0 && eol.share < 0);
+  });
+});
@@ -0,0 +1,79 @@
+/* ========= Diff of two scenarios, each taken from the current model or a snapshot ========= */
+import { CONSTANT_FIELDS, parseStrict, resolveConstants } from "./constants.js";
+import { SCENARIO_FIELDS } from "./scenarios.js";
+import { describeEol } from "./eol.js";
+import { PROFILE_PARAMS, describeProfile } from "./profiles.js";
+import { TRANSPORT_MODES } from "./transport.js";
+import { computeSeries } from "./lca.js";
+import { indicatorConstants, indicatorScenario, indicatorUnit, modelScenario, resolveImpacts } from "./indicators.js";
+
+// Overlay lines of side A and B in the cycle chart
+export const DIFF_COLORS = { a: "#334155", b: "#7c3aed" };
+
+export const DIFF_KPIS = [
+  { key: "breakEven", label: "Break-even N" },
+  { key: "firstCost_g", label: "Cost at N = 1" },
+  { key: "lastCost_g", label: "Cost at N_max" },
+];
+
+/**
+ * One side of a diff: the scenario (by id, else the model's first) with the model's constants, both
+ * projected on the indicator, and its series over the shared horizon.
+ */
+export function resolveSide(model, scenarioId, indicator, N_max_top) {
+  const raw = model.scenarios.find((s) => s.id === scenarioId) ?? model.scenarios[0];
+  const climate = resolveConstants(model.constantsInput).values;
+  const impacts = resolveImpacts(model.impactsInput).values;
+  const scenario = indicatorScenario(raw, climate, impacts, indicator.key);
+  const constants = indicatorConstants(climate, impacts, indicator.key);
+  const { values } = modelScenario(raw, climate, impacts, indicator.key);
+  return { raw, scenario, constants, result: computeSeries(values, constants, N_max_top) };
+}
+
+// Numbers compare by value ("0.0010" = "0.001"), anything else as text
+function same(a, b) {
+  const x = parseStrict(a);
+  const y = parseStrict(b);
+  return Number.isFinite(x) && Number.isFinite(y) ? x === y : String(a ?? "") === String(b ?? "");
+}
+
+const describeLeg = (l) =>
+  l ? `${l.name} · ${l.distance} km · ${TRANSPORT_MODES[l.mode]?.label ?? l.mode} · EF ${Number(Number(l.EF).toPrecision(4))}` : "—";
+
+const legKey = (l) => (l ? JSON.stringify([l.name, l.direction, l.mode, l.distance, Number(l.EF), l.load, l.backhaul]) : "");
+
+/**
+ * Parameter-by-parameter comparison and KPI changes (b − a) of two resolved sides.
+ * Parameter rows are { key, label, unit, a, b, changed }; KPI rows { key, label, a, b, delta }.
+ */
+export function diffSides(a, b, indicator) {
+  const params = [];
+  const push = (key, label, unit, va, vb, changed = !same(va, vb)) => params.push({ key, label, unit, a: va, b: vb, changed });
+
+  for (const f of SCENARIO_FIELDS) {
+    push(f.key, f.label, indicatorUnit(f.unit, indicator), a.scenario[f.key], b.scenario[f.key]);
+  }
+  const legCount = Math.max(a.scenario.legs?.length ?? 0, b.scenario.legs?.length ?? 0);
+  for (let i = 0; i < legCount; i++) {
+    const la = a.scenario.legs?.[i];
+    const lb = b.scenario.legs?.[i];
+    push(`leg${i + 1}`, `Transport leg ${i + 1}`, "", describeLeg(la), describeLeg(lb), legKey(la) !== legKey(lb));
+  }
+  for (const p of PROFILE_PARAMS) {
+    const da = a.scenario.profiles?.[p.key];
+    const db = b.scenario.profiles?.[p.key];
+    const text = (d) => (d && d.type !== "constant" ? describeProfile(d, p) : "constant");
+    push(`profile_${p.key}`, `${p.label} profile`, "", text(da), text(db));
+  }
+  push("eol", "End-of-life model", "", describeEol(a.scenario.eol), describeEol(b.scenario.eol));
+  for (const f of CONSTANT_FIELDS) {
+    push(f.key, f.label, indicatorUnit(f.unit, indicator), a.constants[f.key], b.constants[f.key]);
+  }
+
+  const kpis = DIFF_KPIS.map((k) => {
+    const va = a.result[k.key];
+    const vb = b.result[k.key];
+    return { ...k, a: va, b: vb, delta: va === null || vb === null ? null : vb - va };
+  });
+  return { params, kpis };
+}
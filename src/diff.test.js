@@ -0,0 +1,41 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffSides, resolveSide } from "./diff.js";
+import { indicatorByKey } from "./indicators.js";
+import { pickModel } from "./history.js";
+import { defaultSession } from "./session.js";
+
+const gwp = indicatorByKey("gwp");
+const model = pickModel(defaultSession());
+
+describe("scenario diff", () => {
+  it("lists changed parameters and KPI deltas of two scenarios", () => {
+    const a = resolveSide(model, "s2", gwp, 50);
+    const b = resolveSide(model, "s3", gwp, 50);
+    const { params, kpis } = diffSides(a, b, gwp);
+    const changed = params.filter((p) => p.changed).map((p) => p.key);
+    assert.deepEqual(changed, ["E_manu_mup", "KM_ONE_WAY", "p_ret", "p_scr", "E_EoL_mup"]);
+    const be = kpis.find((k) => k.key === "breakEven");
+    assert.deepEqual([be.a, be.b, be.delta], [35, 19, -16]);
+    const last = kpis.find((k) => k.key === "lastCost_g");
+    assert.ok(Math.abs(last.delta - (b.result.lastCost_g - a.result.lastCost_g)) < 1e-12);
+  });
+
+  it("compares a scenario with its snapshot, constants included", () => {
+    const edited = {
+      ...model,
+      constantsInput: { ...model.constantsInput, E_clean: "0.0015" },
+      scenarios: model.scenarios.map((s) => (s.id === "s2" ? { ...s, E_manu_mup: "0.00080" } : s)),
+    };
+    const { params, kpis } = diffSides(resolveSide(model, "s2", gwp, 50), resolveSide(edited, "s2", gwp, 50), gwp);
+    assert.deepEqual(params.filter((p) => p.changed).map((p) => p.key), ["E_clean"]);
+    assert.ok(kpis.every((k) => k.delta === null || k.delta > 0));
+  });
+
+  it("falls back to the first scenario and reports no break-even as null", () => {
+    const side = resolveSide(model, "missing", gwp, 5);
+    assert.equal(side.raw.id, "s1");
+    const { kpis } = diffSides(side, resolveSide(model, "s2", gwp, 5), gwp);
+    assert.equal(kpis[0].delta, null);
+  });
+});
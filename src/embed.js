@@ -0,0 +1,107 @@
+/* ========= Embed mode: the line chart or one scenario card, set up by URL parameters or postMessage ========= */
+import { validateValue } from "./constants.js";
+import { DEFAULT_LOCALE, DEFAULT_UNITS, LOCALES, UNIT_BASES, UNIT_MASSES } from "./i18n.js";
+import { INDICATORS } from "./indicators.js";
+import { analyzeJson } from "./importer.js";
+import { appendScenarios } from "./scenarios.js";
+import { decodeSession, defaultSession } from "./session.js";
+import { N_MAX_FIELD } from "./validation.js";
+
+export const EMBED_VIEWS = ["chart", "card"];
+
+// postMessage types: the host configures the embed, which answers with its results after every change
+export const EMBED_MESSAGE = "mup:embed";
+export const EMBED_RESULT = "mup:result";
+
+/**
+ * Embed state: the view, the scenario shown (id or name; the chart shows all without one, the card the first),
+ * language and units, the host origin messages are exchanged with (null = any) and the model as a session.
+ */
+export function defaultEmbed() {
+  return { view: "chart", scenario: null, locale: DEFAULT_LOCALE, units: DEFAULT_UNITS, origin: null, session: defaultSession() };
+}
+
+/**
+ * Applies embed options (URL parameters or the fields of a message): view, scenario, lang, mass, basis, n,
+ * indicator, link (a shared dashboard link or its encoded part), and from messages `scenarios` and `constants`
+ * in the JSON import format. Invalid options are left out and reported: { config, errors: [{ key, message }] }.
+ */
+export function applyEmbedOptions(config, options) {
+  const next = { ...config, session: { ...config.session } };
+  const errors = [];
+  const check = (key, ok, message) => {
+    const v = options[key];
+    if (v === undefined || v === null) return false;
+    if (ok(v)) return true;
+    errors.push({ key, message });
+    return false;
+  };
+
+  // A full model first, so the single options below apply on top of it
+  if (check("link", (v) => typeof v === "string", "Not a link")) {
+    try {
+      next.session = decodeSession(options.link.replace(/^.*#s=/, ""));
+    } catch (err) {
+      errors.push({ key: "link", message: err.message });
+    }
+  }
+  if (check("scenarios", Array.isArray, "Expected an array of scenarios")) {
+    const { records, constants } = analyzeJson({ scenarios: options.scenarios, constants: options.constants });
+    const bad = records.findIndex((r) => Object.keys(r.errors).length);
+    if (bad >= 0) {
+      const [key, message] = Object.entries(records[bad].errors)[0];
+      errors.push({ key: `scenarios[${bad}].${key}`, message });
+    } else if (records.length) {
+      next.session.scenarios = appendScenarios([], records.map((r) => r.values), { replace: true });
+      next.session.constantsInput = { ...next.session.constantsInput, ...constants.values };
+    }
+  }
+
+  if (check("view", (v) => EMBED_VIEWS.includes(v), "Unknown view")) next.view = options.view;
+  if (options.scenario !== undefined) next.scenario = options.scenario === "" ? null : String(options.scenario);
+  if (check("lang", (v) => !!LOCALES[v], "Unknown language")) next.locale = options.lang;
+  if (check("mass", (v) => UNIT_MASSES.includes(v), "Unknown unit")) next.units = { ...next.units, mass: options.mass };
+  if (check("basis", (v) => UNIT_BASES.includes(Number(v)), "Unknown unit")) {
+    next.units = { ...next.units, basis: Number(options.basis) };
+  }
+  if (check("indicator", (v) => INDICATORS.some((i) => i.key === v), "Unknown indicator")) {
+    next.session.indicator = options.indicator;
+  }
+  if (options.n !== undefined) {
+    const { value, error } = validateValue(N_MAX_FIELD, options.n);
+    if (error) errors.push({ key: "n", message: error });
+    else next.session.N_max_top = value;
+  }
+  return { config: next, errors };
+}
+
+/** Embed state from the page URL: ?view=card&scenario=s2&lang=de&n=100&origin=https://host#s=<shared link>. */
+export function parseEmbedUrl(search, hash = "") {
+  const params = Object.fromEntries(new URLSearchParams(search));
+  const { origin, ...options } = params;
+  if (hash.startsWith("#s=")) options.link = hash;
+  return applyEmbedOptions({ ...defaultEmbed(), origin: origin || null }, options);
+}
+
+/** Scenarios the embed shows: the one named by `config.scenario` (all for the chart without one), else none. */
+export function embedScenarios(config) {
+  const list = config.session.scenarios;
+  if (config.scenario === null) return config.view === "card" ? list.slice(0, 1) : list;
+  return list.filter((s) => s.id === config.scenario || s.name === config.scenario).slice(0, 1);
+}
+
+/** Message sent to the host after every change: the inputs and key figures of the scenarios shown. */
+export function embedResult(config, scenarios, results) {
+  return {
+    type: EMBED_RESULT,
+    view: config.view,
+    indicator: config.session.indicator,
+    N_max_top: config.session.N_max_top,
+    scenarios: scenarios.map((s, i) => ({
+      scenario: s,
+      breakEven: results[i].breakEven,
+      firstCost_g: results[i].firstCost_g,
+      lastCost_g: results[i].lastCost_g,
+    })),
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { EMBED_RESULT, applyEmbedOptions, defaultEmbed, embedResult, embedScenarios, parseEmbedUrl } from "./embed.js";
+import { computeSeries } from "./lca.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { defaultSession, encodeSession } from "./session.js";
+
+describe("parseEmbedUrl", () => {
+  it("reads the view, scenario, language, units and horizon", () => {
+    const { config, errors } = parseEmbedUrl("?view=card&scenario=s3&lang=de&mass=base&basis=1000&n=80&origin=https://host");
+    assert.deepEqual(errors, []);
+    assert.equal(config.view, "card");
+    assert.equal(config.locale, "de");
+    assert.deepEqual(config.units, { mass: "base", basis: 1000 });
+    assert.equal(config.session.N_max_top, 80);
+    assert.equal(config.origin, "https://host");
+    assert.deepEqual(embedScenarios(config), [DEFAULT_SCENARIOS[2]]);
+  });
+
+  it("takes the model from a shared dashboard link and reports what it ignores", () => {
+    const link = encodeSession({ ...defaultSession(), N_max_top: 120, scenarios: DEFAULT_SCENARIOS.slice(0, 2) });
+    const { config, errors } = parseEmbedUrl("?view=table&n=500000", `#s=${link}`);
+    assert.equal(config.view, "chart");
+    assert.equal(config.session.N_max_top, 120);
+    assert.equal(embedScenarios(config).length, 2);
+    assert.deepEqual(errors, [
+      { key: "view", message: "Unknown view" },
+      { key: "n", message: "Must be ≤ 100000" },
+    ]);
+  });
+});
+
+describe("applyEmbedOptions", () => {
+  it("replaces the scenarios from a message in the JSON import format", () => {
+    const { config, errors } = applyEmbedOptions(defaultEmbed(), {
+      type: "mup:embed",
+      scenarios: [{ name: "Tray", E_manu_mup: 0.001, KM_ONE_WAY: 80, p_ret: 0.97, p_scr: 0.02, E_EoL_mup: 0 }],
+      constants: { EF_Al_prim: 9 },
+      scenario: "Tray",
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      embedScenarios(config).map((s) => [s.id, s.name, s.KM_ONE_WAY]),
+      [["s1", "Tray", "80"]]
+    );
+    assert.equal(config.session.constantsInput.EF_Al_prim, "9");
+  });
+
+  it("keeps the model when a scenario in the message is invalid", () => {
+    const { config, errors } = applyEmbedOptions(defaultEmbed(), { scenarios: [{ name: "Bad", p_ret: 3 }] });
+    assert.equal(config.session.scenarios, defaultSession().scenarios);
+    assert.equal(errors[0].key, "scenarios[0].E_manu_mup");
+  });
+});
+
+describe("embedResult", () => {
+  it("reports the inputs and key figures of the scenarios shown", () => {
+    const config = defaultEmbed();
+    const [s] = embedScenarios({ ...config, view: "card" });
+    const r = computeSeries(s, DEFAULT_CONSTANTS, 50);
+    const message = embedResult(config, [s], [r]);
+    assert.equal(message.type, EMBED_RESULT);
+    assert.deepEqual(message.scenarios[0], { scenario: s, breakEven: r.breakEven, firstCost_g: r.firstCost_g, lastCost_g: r.lastCost_g });
+  });
+});
@@ -0,0 +1,97 @@
+/* ========= End-of-life sub-model: recycled content, recycling routes & allocation (cut-off, avoided burden, CFF) ========= */
+import { validateValue } from "./constants.js";
+
+/**
+ * Allocation approaches as the factor A of the Circular Footprint Formula (PEF): the share of the recycling burden and
+ * benefit kept by the supplier of recycled material. Cut-off is A = 1, avoided burden A = 0; CFF takes A as entered
+ * (0.2 for aluminium in PEF).
+ */
+export const EOL_METHODS = {
+  cutoff: { label: "Cut-off (100:0)", A: 1 },
+  avoided: { label: "Avoided burden (0:100)", A: 0 },
+  cff: { label: "Circular Footprint Formula", A: null },
+};
+
+// Shares are numbers (sliders), A and Q strings, like scenarios; `methods` limits a field to some approaches
+export const EOL_FIELDS = [
+  { key: "R1", label: "Recycled content R1", unit: "0–1", kind: "prob", min: 0, max: 1 },
+  { key: "R2", label: "Recycling rate at end of life R2", unit: "0–1", kind: "prob", min: 0, max: 1 },
+  { key: "R2_drop", label: "Recycling rate of lost & scrapped capsules", unit: "0–1", kind: "prob", min: 0, max: 1 },
+  { key: "A", label: "Allocation factor A", unit: "0–1", kind: "number", min: 0, max: 1, methods: ["cff"] },
+  { key: "Q", label: "Quality ratio Qs/Qp", unit: "0–1", kind: "number", min: 0, max: 1, methods: ["avoided", "cff"] },
+];
+
+// Capsules collected by the operator are mostly recycled; those lost in households much less often
+export const DEFAULT_EOL = { method: "cutoff", R1: 0, R2: 0.9, R2_drop: 0.3, A: "0.2", Q: "1" };
+
+export const eolFieldUsed = (field, method) => !field.methods || field.methods.includes(method);
+
+/** Field errors of an EoL sub-model ({} when valid); fields the method doesn't use are not checked. */
+export function validateEol(eol) {
+  const errors = {};
+  if (!EOL_METHODS[eol.method]) errors.method = "Unknown method";
+  for (const f of EOL_FIELDS) {
+    if (!eolFieldUsed(f, eol.method)) continue;
+    const { error } = validateValue(f, eol[f.key]);
+    if (error) errors[f.key] = error;
+  }
+  return errors;
+}
+
+/** Numeric sub-model: invalid fields fall back to DEFAULT_EOL and are reported in `errors`. */
+export function resolveEol(eol) {
+  const errors = validateEol(eol);
+  const values = { method: errors.method ? DEFAULT_EOL.method : eol.method };
+  for (const f of EOL_FIELDS) {
+    values[f.key] = validateValue(f, errors[f.key] || eol[f.key] === undefined ? DEFAULT_EOL[f.key] : eol[f.key]).value;
+  }
+  return { values, errors };
+}
+
+/** Defensive copy from links and imported files; undefined when there is no usable sub-model. */
+export function sanitizeEol(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return undefined;
+  const share = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+  const text = (v, fallback) => (typeof v === "string" || typeof v === "number" ? String(v) : fallback);
+  return {
+    method: EOL_METHODS[raw.method] ? raw.method : DEFAULT_EOL.method,
+    R1: share(raw.R1, DEFAULT_EOL.R1),
+    R2: share(raw.R2, DEFAULT_EOL.R2),
+    R2_drop: share(raw.R2_drop, DEFAULT_EOL.R2_drop),
+    A: text(raw.A, DEFAULT_EOL.A),
+    Q: text(raw.Q, DEFAULT_EOL.Q),
+  };
+}
+
+/**
+ * Material and end-of-life burdens per capsule [kg CO₂e] from a resolved sub-model, with E_v = EF_Al_prim,
+ * E_rec = EF_Al_sec (recycled aluminium, also the recycling process at end of life) and E_D = EF_disposal per kg:
+ *   material = m · [(1 − R1) · E_v + R1 · (A · E_rec + (1 − A) · E_v · Q)]
+ *   EoL(R2)  = m · [(1 − A) · R2 · (E_rec − E_v · Q) + (1 − R2) · E_D]
+ * `E_EoL` is the route of capsules reaching N_max, `E_EoL_drop` that of capsules lost or scrapped on the way.
+ * @returns {{ A: number, E_mat: number, E_EoL: number, E_EoL_drop: number }}
+ */
+export function eolTerms(eol, constants) {
+  const { m_Al_mup: m, EF_Al_prim: E_v, EF_Al_sec: E_rec, EF_disposal: E_D } = constants;
+  const A = EOL_METHODS[eol.method]?.A ?? eol.A;
+  const route = (R2) => m * ((1 - A) * R2 * (E_rec - E_v * eol.Q) + (1 - R2) * E_D);
+  return {
+    A,
+    E_mat: m * ((1 - eol.R1) * E_v + eol.R1 * (A * E_rec + (1 - A) * E_v * eol.Q)),
+    E_EoL: route(eol.R2),
+    E_EoL_drop: route(eol.R2_drop),
+  };
+}
+
+/**
+ * One-line methodology for exports and the report, e.g. "Cut-off (100:0), R1 = 0.5, R2 = 0.9, R2,drop = 0.3";
+ * `methodLabel(key)` localises the approach.
+ */
+export function describeEol(eol, methodLabel = (key) => EOL_METHODS[key].label) {
+  if (!eol) return "Net EoL balance as entered";
+  const { values } = resolveEol(eol);
+  const parts = [methodLabel(values.method), `R1 = ${values.R1}`, `R2 = ${values.R2}`, `R2,drop = ${values.R2_drop}`];
+  if (values.method === "cff") parts.push(`A = ${values.A}`);
+  if (values.method !== "cutoff") parts.push(`Q = ${values.Q}`);
+  return parts.join(", ");
+}
@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { computeContributions } from "./contributions.js";
+import { DEFAULT_EOL, describeEol, eolTerms, resolveEol, sanitizeEol } from "./eol.js";
+import { amortisedAt, computeSeries, effectiveUses, modelTerms } from "./lca.js";
+import { describeErrors, resolveScenario } from "./validation.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const { m_Al_mup: m, EF_Al_prim: E_v, EF_Al_sec: E_rec, EF_disposal: E_D } = DEFAULT_CONSTANTS;
+
+const close = (actual, expected, tol = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+describe("eolTerms", () => {
+  const eol = { ...DEFAULT_EOL, R1: 0.5, R2: 0.9, A: 0.2, Q: 1 };
+
+  it("cut-off charges recycled content at the secondary factor and gives no credit", () => {
+    const r = eolTerms({ ...eol, method: "cutoff" }, DEFAULT_CONSTANTS);
+    close(r.E_mat, m * (0.5 * E_v + 0.5 * E_rec));
+    close(r.E_EoL, m * 0.1 * E_D);
+  });
+
+  it("avoided burden charges primary material and credits recycling at end of life", () => {
+    const r = eolTerms({ ...eol, method: "avoided" }, DEFAULT_CONSTANTS);
+    close(r.E_mat, m * E_v);
+    close(r.E_EoL, m * (0.9 * (E_rec - E_v) + 0.1 * E_D));
+    assert.ok(r.E_EoL < 0);
+  });
+
+  it("CFF splits burden and credit by A, between the two", () => {
+    const cutoff = eolTerms({ ...eol, method: "cutoff" }, DEFAULT_CONSTANTS);
+    const avoided = eolTerms({ ...eol, method: "avoided" }, DEFAULT_CONSTANTS);
+    const cff = eolTerms({ ...eol, method: "cff" }, DEFAULT_CONSTANTS);
+    close(cff.E_EoL, 0.8 * avoided.E_EoL + 0.2 * cutoff.E_EoL);
+    close(cff.E_mat, 0.8 * avoided.E_mat + 0.2 * cutoff.E_mat);
+    close(cff.E_EoL_drop, m * (0.8 * 0.3 * (E_rec - E_v) + 0.7 * E_D));
+  });
+});
+
+describe("EoL sub-model in the model", () => {
+  it("matches a net EoL balance when lost capsules take the same route", () => {
+    const eol = { ...DEFAULT_EOL, method: "avoided", R2_drop: DEFAULT_EOL.R2 };
+    const { E_EoL } = eolTerms(resolveEol(eol).values, DEFAULT_CONSTANTS);
+    const net = computeSeries({ ...EXPECTED, E_EoL_mup: E_EoL }, DEFAULT_CONSTANTS, 50);
+    const modelled = computeSeries({ ...EXPECTED, eol }, DEFAULT_CONSTANTS, 50);
+    close(modelled.lastCost_g, net.lastCost_g, 1e-9);
+    assert.equal(modelled.breakEven, net.breakEven);
+  });
+
+  it("charges capsules lost before N their own route: E_EoL + (1 − q^N) · (E_drop − E_EoL)", () => {
+    const eol = { ...DEFAULT_EOL, method: "avoided" };
+    const terms = modelTerms({ ...EXPECTED, eol }, DEFAULT_CONSTANTS);
+    const base = modelTerms({ ...EXPECTED, E_EoL_mup: 0 }, DEFAULT_CONSTANTS);
+    const { E_EoL, E_EoL_drop } = eolTerms(resolveEol(eol).values, DEFAULT_CONSTANTS);
+    const N = 30;
+    const U = effectiveUses(N, terms.q);
+    const total = terms.E_start + U * base.E_cycle + E_EoL + (1 - terms.q ** N) * (E_EoL_drop - E_EoL);
+    close(amortisedAt(terms, N), total / U);
+  });
+
+  it("shows lost & scrapped capsules as their own stage", () => {
+    const rows = computeContributions({ ...EXPECTED, eol: DEFAULT_EOL }, DEFAULT_CONSTANTS, 50);
+    const series = computeSeries({ ...EXPECTED, eol: DEFAULT_EOL }, DEFAULT_CONSTANTS, 50);
+    assert.ok(rows[49].E_EoL_drop > 0); // lost capsules are recycled less often than retired ones
+    close(rows[49].MUP_g, series.data[49].MUP_g, 1e-9);
+  });
+
+  it("is validated with the scenario and falls back field by field", () => {
+    const { values, errors } = resolveScenario({ ...EXPECTED, E_EoL_mup: "x", eol: { ...DEFAULT_EOL, method: "cff", A: "2" } });
+    assert.deepEqual(errors, { eol: { A: "Must be ≤ 1" } });
+    assert.equal(values.eol.A, 0.2);
+    assert.equal(describeErrors(errors), "eol A: Must be ≤ 1");
+  });
+});
+
+describe("sanitizeEol / describeEol", () => {
+  it("clamps shares and drops unknown methods", () => {
+    assert.deepEqual(sanitizeEol({ method: "x", R1: 2, R2: -1, R2_drop: "0.5", A: 0.3 }), {
+      ...DEFAULT_EOL,
+      R1: 1,
+      R2: 0,
+      A: "0.3",
+    });
+    assert.equal(sanitizeEol(null), undefined);
+  });
+
+  it("names the approach and only the parameters it uses", () => {
+    assert.equal(describeEol(DEFAULT_EOL), "Cut-off (100:0), R1 = 0, R2 = 0.9, R2,drop = 0.3");
+    assert.equal(
+      describeEol({ ...DEFAULT_EOL, method: "cff" }),
+      "Circular Footprint Formula, R1 = 0, R2 = 0.9, R2,drop = 0.3, A = 0.2, Q = 1"
+    );
+    assert.equal(describeEol(undefined), "Net EoL balance as entered");
+  });
+});
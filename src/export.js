@@ -0,0 +1,255 @@
+/* ========= Exports: CSV / JSON bundles and chart images ========= */
+import { CONSTANT_FIELDS } from "./constants.js";
+import { describeEol, sanitizeEol } from "./eol.js";
+import { PROFILE_PARAMS, describeProfile, sanitizeProfiles } from "./profiles.js";
+import { computeSensitivity } from "./sensitivity.js";
+import { sweepRows } from "./sweep.js";
+import { INDICATORS, compareIndicators, indicatorConstants, modelScenario, resolveImpacts } from "./indicators.js";
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/** Per-cycle table: cycle, SUP and one MUP column per scenario, per cup in the indicator's cupUnit (g CO₂e by default). */
+export function buildCyclesCsv(scenarios, results, indicator = INDICATORS[0]) {
+  const u = indicator.short;
+  const header = ["cycle", `SUP_${u}`, ...scenarios.map((s) => `MUP_${u} ${s.name}`)];
+  const rows = (results[0]?.data ?? []).map((row, i) => [
+    row.cycle,
+    row.SUP_g,
+    ...results.map((r) => r.data[i]?.MUP_g),
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+/** Sweep results, one row per scenario and grid point; per-cup values in the indicator's cupUnit. */
+export function buildSweepCsv(sweep, scenarios, indicator = INDICATORS[0]) {
+  const u = indicator.short;
+  const keys = [sweep.xParam.key, ...(sweep.yParam ? [sweep.yParam.key] : [])];
+  const header = ["scenario", ...keys, "breakEven", `MUP_${u}`, `SUP_${u}`, `savings_${u}`, "MUP_wins"];
+  const rows = sweepRows(sweep, scenarios).map((r) => [
+    r.scenario,
+    ...keys.map((k) => r[k]),
+    r.breakEven,
+    r.MUP_g,
+    r.SUP_g,
+    r.savings_g,
+    r.wins ? 1 : 0,
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+/** The sweep with its settings, so it can be re-run; `*_g` fields hold the indicator's cupUnit. */
+export function buildSweepJson(sweep, scenarios, indicator = INDICATORS[0]) {
+  const axis = (param, values) => param && { key: param.key, unit: param.unit, min: values[0], max: values.at(-1), steps: values.length };
+  return {
+    generatedAt: new Date().toISOString(),
+    indicator: { key: indicator.key, label: indicator.label, unit: indicator.unit, cupUnit: indicator.cupUnit },
+    N_max_top: sweep.N_max_top,
+    x: axis(sweep.xParam, sweep.xs),
+    y: axis(sweep.yParam, sweep.ys),
+    // Two parameters are swept on this scenario only; one parameter on every scenario
+    baseScenario: sweep.grid ? scenarios.find((s) => s.id === sweep.baseId)?.name ?? null : null,
+    scenarios: sweep.points.map((p) => ({ name: scenarios.find((s) => s.id === p.id)?.name ?? p.id, ...p })),
+    rows: sweepRows(sweep, scenarios),
+  };
+}
+
+/** The model formula a scenario is evaluated with, following its cycle profiles and EoL sub-model. */
+function describeModel(indicator, profiles, eol) {
+  const parts = [`Amortised ${indicator.label} per cup = (E_start + Σ S_k · E_cycle(k) + E_EoL) / U_eff`];
+  if (profiles) {
+    const trends = PROFILE_PARAMS.filter((p) => profiles[p.key]).map((p) => describeProfile(profiles[p.key], p));
+    parts.push(
+      "U_eff = Σ S_k over k = 1..N, S_1 = 1, S_k+1 = S_k · q_k, q_k = p_ret · (1 − p_scr(k))",
+      `profiles: ${trends.join(", ")}`
+    );
+  } else {
+    parts.push("U_eff = (1 − q^N) / (1 − q) (U_eff = N when q = 1), q = p_ret · (1 − p_scr)");
+  }
+  parts.push(
+    eol
+      ? `EoL sub-model: ${describeEol(eol)}; lost and scrapped capsules add (1 − q) · (E_EoL,drop − E_EoL) to E_cycle`
+      : "E_EoL = E_EoL_mup (net EoL balance as entered)"
+  );
+  return parts.join("; ");
+}
+
+/** Everything needed to reproduce and audit the numbers shown on screen. */
+export function buildJsonBundle({
+  scenarios,
+  results,
+  constants,
+  activeSetName,
+  N_max_top,
+  sensitivityConfig,
+  comparators,
+  matrix,
+  indicator = INDICATORS[0],
+  impacts = resolveImpacts().values,
+}) {
+  const modelConstants = indicatorConstants(constants, impacts, indicator.key);
+  const models = scenarios.map((s) => describeModel(indicator, sanitizeProfiles(s.profiles), sanitizeEol(s.eol)));
+  return {
+    generatedAt: new Date().toISOString(),
+    // Shared by all scenarios, or per scenario when their profiles or EoL sub-models differ
+    model: new Set(models).size === 1 ? models[0] : "Per scenario, see scenarios[].model",
+    N_max_top,
+    // results, comparators and sensitivity are in this indicator; `*_g` fields hold its cupUnit
+    indicator: { key: indicator.key, label: indicator.label, unit: indicator.unit, cupUnit: indicator.cupUnit },
+    impacts,
+    constants: {
+      set: activeSetName,
+      values: constants,
+      units: Object.fromEntries(CONSTANT_FIELDS.map((f) => [f.key, f.unit])),
+    },
+    // Footprint and EoL credit per cup as entered (climate; other indicators in `impacts`); net_g for the valid ones
+    comparators: (comparators ?? []).map((c) => ({
+      id: c.id,
+      name: c.name,
+      footprint: c.footprint,
+      credit: c.credit,
+      ...(c.impacts ? { impacts: c.impacts } : {}),
+      net_g: matrix?.comparators.find((m) => m.id === c.id)?.net_g ?? null,
+    })),
+    scenarios: scenarios.map((s, i) => {
+      const r = results[i];
+      const model = modelScenario(s, constants, impacts, indicator.key).values;
+      const sens = computeSensitivity(model, modelConstants, N_max_top, sensitivityConfig);
+      const profiles = sanitizeProfiles(s.profiles);
+      const eol = sanitizeEol(s.eol);
+      return {
+        id: s.id,
+        name: s.name,
+        color: s.color,
+        model: models[i],
+        inputs: {
+          E_manu_mup: s.E_manu_mup,
+          KM_ONE_WAY: s.KM_ONE_WAY,
+          p_ret: s.p_ret,
+          p_scr: s.p_scr,
+          E_EoL_mup: s.E_EoL_mup,
+          ...(s.legs?.length ? { legs: s.legs } : {}),
+          ...(profiles ? { profiles } : {}),
+          ...(s.impacts ? { impacts: s.impacts } : {}),
+          ...(eol ? { eol } : {}),
+        },
+        results: {
+          q: r.q,
+          E_cycle_g: r.E_cycle_g,
+          firstCost_g: r.firstCost_g,
+          lastCost_g: r.lastCost_g,
+          breakEven: r.breakEven,
+          E_fw_g: r.E_fw_g,
+          E_rev_g: r.E_rev_g,
+          transport: r.transport,
+          // Allocation approach and, with the sub-model, per-capsule material and EoL routes [g]
+          eol: { methodology: describeEol(eol), ...r.eol },
+          // Solved without a horizon; N may lie beyond N_max_top
+          breakEvenByComparator: Object.fromEntries(
+            (matrix?.comparators ?? []).map((c, j) => {
+              const { status, N, exact } = matrix.rows[i].cells[j];
+              return [c.id, { status, N, exact }];
+            })
+          ),
+          series: r.data,
+        },
+        // MUP vs SUP per cup at N_max for every indicator
+        indicators: compareIndicators(s, constants, impacts, N_max_top).map(({ key, MUP, SUP, ratio, breakEven }) => ({
+          key,
+          MUP,
+          SUP,
+          ratio,
+          breakEven: breakEven.status === "reached" ? breakEven.N : null,
+        })),
+        sensitivity: { kpi: sens.kpi, kpiN: sens.kpiN, base: sens.base, rows: sens.rows },
+      };
+    }),
+  };
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadText(filename, text, mime) {
+  downloadBlob(filename, new Blob([text], { type: `${mime};charset=utf-8` }));
+}
+
+/* ===== Chart images (from the Recharts <svg> inside a container element) ===== */
+
+/** Standalone SVG markup with a white background and inlined text styling. */
+export function serializeChartSvg(container) {
+  const svg = container?.querySelector("svg.recharts-surface");
+  if (!svg) return null;
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", Math.round(width));
+  clone.setAttribute("height", Math.round(height));
+  clone.setAttribute("style", "font-family: system-ui, Arial, sans-serif; font-size: 12px;");
+
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#ffffff");
+  clone.insertBefore(bg, clone.firstChild);
+
+  // The legend is HTML outside the <svg>; append it as plain text so exported charts stay readable
+  const legend = container.querySelector(".recharts-legend-wrapper");
+  if (legend) {
+    const items = [...legend.querySelectorAll(".recharts-legend-item")];
+    const extra = 20 * Math.ceil(items.length / 4);
+    clone.setAttribute("height", Math.round(height) + extra);
+    items.forEach((item, i) => {
+      const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+      text.setAttribute("x", 20 + (i % 4) * (width / 4));
+      text.setAttribute("y", Math.round(height) + 14 + 20 * Math.floor(i / 4));
+      const color = item.querySelector("path, line, rect")?.getAttribute("fill");
+      const stroke = item.querySelector("path, line, rect")?.getAttribute("stroke");
+      text.setAttribute("fill", stroke && stroke !== "none" ? stroke : color || "#334155");
+      text.textContent = `■ ${item.textContent}`;
+      clone.appendChild(text);
+    });
+  }
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export function svgToPngBlob(svgText, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }));
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.width * scale;
+      canvas.height = img.height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render chart image"));
+    };
+    img.src = url;
+  });
+}
+
+export function svgToDataUrl(svgText) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+}
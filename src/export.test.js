@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { DEFAULT_EOL } from "./eol.js";
+import { buildCyclesCsv, buildJsonBundle, toCsv } from "./export.js";
+import { INDICATORS } from "./indicators.js";
+import { computeSeries } from "./lca.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+
+const [WORST, EXPECTED] = DEFAULT_SCENARIOS;
+const AGEING = { ...EXPECTED, id: "age", name: "Ageing", profiles: { p_scr: { type: "linear", slope: "0.002" } } };
+const CFF = { ...EXPECTED, id: "cff", name: "CFF", eol: { ...DEFAULT_EOL, method: "cff" } };
+
+const bundle = (scenarios) =>
+  buildJsonBundle({
+    scenarios,
+    results: scenarios.map((s) => computeSeries(s, DEFAULT_CONSTANTS, 20)),
+    constants: DEFAULT_CONSTANTS,
+    activeSetName: "Default",
+    N_max_top: 20,
+  });
+
+describe("toCsv", () => {
+  it("quotes cells with separators, quotes and line breaks", () => {
+    assert.equal(toCsv([["a", 'say "hi"', "x;y", null], [1, "two\nlines"]]), 'a,"say ""hi""","x;y",\n1,"two\nlines"\n');
+  });
+});
+
+describe("buildCyclesCsv", () => {
+  it("writes a header with the cup unit and a row per cycle", () => {
+    const results = [WORST, EXPECTED].map((s) => computeSeries(s, DEFAULT_CONSTANTS, 3));
+    const [header, first, ...rest] = buildCyclesCsv([WORST, EXPECTED], results).trimEnd().split("\n");
+    assert.equal(header, `cycle,SUP_g,MUP_g ${WORST.name},MUP_g ${EXPECTED.name}`);
+    assert.equal(first, [1, results[0].data[0].SUP_g, results[0].data[0].MUP_g, results[1].data[0].MUP_g].join(","));
+    assert.equal(rest.length, 2);
+  });
+
+  it("names the indicator's unit", () => {
+    const water = INDICATORS.find((i) => i.key === "water");
+    const csv = buildCyclesCsv([EXPECTED], [computeSeries(EXPECTED, DEFAULT_CONSTANTS, 1)], water);
+    assert.equal(csv.split("\n")[0], `cycle,SUP_L,MUP_L ${EXPECTED.name}`);
+  });
+});
+
+describe("buildJsonBundle", () => {
+  it("carries inputs, results, constants with units and the sensitivity of every scenario", () => {
+    const b = bundle([EXPECTED]);
+    assert.equal(b.N_max_top, 20);
+    assert.equal(b.indicator.key, "gwp");
+    assert.equal(b.constants.set, "Default");
+    assert.deepEqual(b.constants.values, DEFAULT_CONSTANTS);
+    assert.equal(Object.keys(b.constants.units).length, Object.keys(DEFAULT_CONSTANTS).length);
+    const [s] = b.scenarios;
+    assert.equal(s.inputs.KM_ONE_WAY, EXPECTED.KM_ONE_WAY);
+    assert.equal(s.results.series.length, 20);
+    assert.equal(s.results.breakEven, computeSeries(EXPECTED, DEFAULT_CONSTANTS, 20).breakEven);
+    assert.ok(s.sensitivity.rows.length > 0);
+    assert.equal(s.indicators.length, INDICATORS.length);
+  });
+
+  it("describes the closed form without profiles or EoL sub-model", () => {
+    const b = bundle([WORST, EXPECTED]);
+    assert.match(b.model, /U_eff = \(1 − q\^N\) \/ \(1 − q\)/);
+    assert.match(b.model, /net EoL balance as entered/);
+    assert.equal(b.scenarios[0].model, b.model);
+  });
+
+  it("describes cycle profiles and the EoL method per scenario", () => {
+    const b = bundle([EXPECTED, AGEING, CFF]);
+    assert.equal(b.model, "Per scenario, see scenarios[].model");
+    const [plain, ageing, cff] = b.scenarios.map((s) => s.model);
+    assert.doesNotMatch(ageing, /1 − q\^N/);
+    assert.match(ageing, /q_k = p_ret · \(1 − p_scr\(k\)\)/);
+    assert.match(ageing, /profiles: p_scr linear \+0\.002\/cycle/);
+    assert.match(cff, /EoL sub-model: .*A = 0\.2/);
+    assert.match(plain, /1 − q\^N/);
+  });
+});
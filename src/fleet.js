@@ -0,0 +1,183 @@
+/* ========= Fleet / system view: month-by-month capsule pool over a multi-year horizon ========= */
+import { parseStrict, validateValue } from "./constants.js";
+import { cycleAt, modelTerms } from "./lca.js";
+
+export const DAYS_PER_YEAR = 365.25;
+
+// The simulation takes a sub-step per turnaround of the pool, so the shortest circulation time bounds its work
+// (at most 31 sub-steps a month, each over at most N_max cohorts)
+export const FLEET_FIELDS = [
+  { key: "annualDemand", label: "Annual demand", unit: "cups / year", min: 0, exclusiveMin: true, max: 1e9 },
+  { key: "circulationDays", label: "Circulation time", unit: "days", min: 1, max: DAYS_PER_YEAR },
+  { key: "bufferPct", label: "Safety stock", unit: "% of pool", min: 0, max: 1000 },
+  { key: "years", label: "Horizon", unit: "years", min: 1, max: 30, integer: true },
+];
+
+export const DEFAULT_FLEET = { annualDemand: "100000", circulationDays: "14", bufferPct: "10", years: "5" };
+
+// Emission groups of the simulation, in stacking order
+export const FLEET_STAGES = [
+  { key: "production_kg", label: "Capsule purchases" },
+  { key: "washing_kg", label: "Washing" },
+  { key: "transport_kg", label: "Transport" },
+  { key: "use_kg", label: "Use phase" },
+  { key: "eol_kg", label: "End of life" },
+];
+
+/** Numeric fleet settings: { values, errors }; invalid fields fall back to DEFAULT_FLEET. */
+export function resolveFleet(input) {
+  const values = {};
+  const errors = {};
+  for (const f of FLEET_FIELDS) {
+    const { value, error } = validateValue(f, input?.[f.key]);
+    if (error) errors[f.key] = error;
+    values[f.key] = error ? parseStrict(DEFAULT_FLEET[f.key]) : value;
+  }
+  return { values, errors };
+}
+
+/** Capsules needed to serve the demand over one circulation time, plus the safety stock. */
+export function fleetSize({ annualDemand, circulationDays, bufferPct }) {
+  return Math.ceil((annualDemand / DAYS_PER_YEAR) * circulationDays * (1 + bufferPct / 100));
+}
+
+/**
+ * Expected-value simulation of the capsule pool. The pool is bought in month 1; every cup served
+ * uses one capsule (mixed uniformly over its age), which then comes back with the scenario's
+ * survival rate q_k or is lost. Capsules reaching N_max uses are retired; losses and retirements
+ * are replaced by top-up purchases at the start of the next step. Per use, washing and transport are
+ * charged as in the per-cup model; E_start at purchase and E_EoL when a capsule leaves the pool. The
+ * capsules still in the pool at the horizon (`remaining`) are disposed of in the last month, so every
+ * capsule bought carries its EoL.
+ * @returns {{ fleetSize: number, months: Object[], years: Object[], totals: Object }}  kg CO₂e
+ */
+export function simulateFleet(scenario, constants, N_max_top, settings) {
+  const terms = modelTerms(scenario, constants);
+  const pool = fleetSize(settings);
+  const cupsPerMonth = settings.annualDemand / 12;
+  // Several sub-steps when a capsule turns around more than once a month, so no one is used twice per step
+  const steps = Math.max(1, Math.ceil(cupsPerMonth / pool));
+  const share = cupsPerMonth / steps / pool;
+  const cycles = [];
+
+  // cohorts[j]: capsules in the pool with j completed uses; only lo..reach - 1 are non-empty. Ages holding a
+  // negligible share of the pool are dropped, so the work follows the ages in use rather than N_max
+  let cohorts = new Float64Array(N_max_top);
+  let next = new Float64Array(N_max_top);
+  cohorts[0] = pool;
+  const negligible = pool * 1e-12;
+  let lo = 0;
+  let reach = 1;
+  let pending = 0; // replacements bought at the start of the next step
+
+  const months = [];
+  let cumMUP = 0;
+  let cumSUP = 0;
+  for (let m = 1; m <= settings.years * 12; m++) {
+    const row = {
+      month: m,
+      year: Math.ceil(m / 12),
+      cups: cupsPerMonth,
+      purchased: m === 1 ? pool : 0,
+      lost: 0,
+      retired: 0,
+      remaining: 0,
+    };
+    FLEET_STAGES.forEach((s) => (row[s.key] = 0));
+    row.production_kg = row.purchased * terms.E_start;
+
+    for (let step = 0; step < steps; step++) {
+      cohorts[0] += pending;
+      if (pending > 0) lo = 0;
+      row.purchased += pending;
+      row.production_kg += pending * terms.E_start;
+
+      // Per-age sums in locals, added to the row once per step (the loop runs over every age in use)
+      let lost = 0;
+      let washing = 0;
+      let transport = 0;
+      let use = 0;
+      for (let j = lo; j < Math.min(reach, N_max_top - 1); j++) {
+        const count = cohorts[j];
+        const used = count * share;
+        const c = (cycles[j] ??= cycleAt(terms, j + 1));
+        const back = used * c.q;
+        next[j] += count - used;
+        next[j + 1] += back;
+        lost += used - back;
+        washing += used * c.E_clean;
+        transport += used * (c.E_fw + c.E_rev);
+        use += used * c.E_use;
+      }
+      // Capsules at their last technical cycle retire after it, whether or not they come back
+      let retired = 0;
+      if (reach === N_max_top) {
+        const j = N_max_top - 1;
+        const count = cohorts[j];
+        const used = count * share;
+        const c = (cycles[j] ??= cycleAt(terms, j + 1));
+        retired = used * c.q;
+        next[j] += count - used;
+        lost += used - retired;
+        washing += used * c.E_clean;
+        transport += used * (c.E_fw + c.E_rev);
+        use += used * c.E_use;
+      }
+      const out = lost + retired;
+      row.lost += lost;
+      row.retired += retired;
+      // Lost and scrapped capsules take their own EoL route (E_EoL_early is 0 without an EoL sub-model)
+      row.eol_kg += lost * (terms.E_EoL + terms.E_EoL_early) + retired * terms.E_EoL;
+      row.washing_kg += washing;
+      row.transport_kg += transport;
+      row.use_kg += use;
+      reach = Math.min(N_max_top, reach + 1);
+      [cohorts, next] = [next, cohorts];
+      next.fill(0, 0, reach);
+      while (reach > lo + 1 && cohorts[reach - 1] < negligible) cohorts[--reach] = 0;
+      while (lo < reach - 1 && cohorts[lo] < negligible) cohorts[lo++] = 0;
+      pending = out;
+    }
+    if (m === settings.years * 12) {
+      row.remaining = cohorts.reduce((sum, n) => sum + n, 0);
+      row.eol_kg += row.remaining * terms.E_EoL;
+    }
+
+    row.MUP_kg = FLEET_STAGES.reduce((sum, s) => sum + row[s.key], 0);
+    row.SUP_kg = cupsPerMonth * terms.E_sup;
+    cumMUP += row.MUP_kg;
+    cumSUP += row.SUP_kg;
+    row.cumMUP_kg = cumMUP;
+    row.cumSUP_kg = cumSUP;
+    row.savings_kg = cumSUP - cumMUP;
+    months.push(row);
+  }
+
+  const years = [];
+  for (const row of months) {
+    let y = years[row.year - 1];
+    if (!y) years.push((y = { year: row.year, cups: 0, purchased: 0, MUP_kg: 0, SUP_kg: 0 }));
+    y.cups += row.cups;
+    y.purchased += row.purchased;
+    y.MUP_kg += row.MUP_kg;
+    y.SUP_kg += row.SUP_kg;
+  }
+  years.forEach((y) => (y.savings_kg = y.SUP_kg - y.MUP_kg));
+
+  const sum = (key) => months.reduce((s, r) => s + r[key], 0);
+  const cups = sum("cups");
+  const totals = {
+    cups,
+    purchased: sum("purchased"),
+    topUps: sum("purchased") - pool,
+    remaining: months.at(-1).remaining,
+    MUP_kg: cumMUP,
+    SUP_kg: cumSUP,
+    savings_kg: cumSUP - cumMUP,
+    savingsShare: cumSUP > 0 ? (cumSUP - cumMUP) / cumSUP : 0,
+    perCup_g: cups > 0 ? (cumMUP / cups) * 1000 : 0,
+    // First month in which the cumulative MUP emissions are at or below the all-SUP baseline
+    paybackMonth: months.find((r) => r.savings_kg >= 0)?.month ?? null,
+  };
+  return { fleetSize: pool, months, years, totals };
+}
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { fleetSize, resolveFleet, simulateFleet } from "./fleet.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const SETTINGS = { annualDemand: 120000, circulationDays: 14, bufferPct: 10, years: 3 };
+
+const close = (actual, expected, tol = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)), `expected ${expected}, got ${actual}`);
+
+describe("fleetSize", () => {
+  it("covers one circulation time of demand plus the safety stock", () => {
+    assert.equal(fleetSize({ annualDemand: 36525, circulationDays: 10, bufferPct: 0 }), 1000);
+    assert.equal(fleetSize({ annualDemand: 36525, circulationDays: 10, bufferPct: 10 }), 1100);
+  });
+});
+
+describe("simulateFleet", () => {
+  it("replaces exactly the expected losses each month", () => {
+    const r = simulateFleet(EXPECTED, DEFAULT_CONSTANTS, 10000, SETTINGS);
+    const q = 0.98 * 0.99;
+    assert.equal(r.months.length, 36);
+    r.months.forEach((m) => close(m.lost, 10000 * (1 - q)));
+    // Losses of a month's last step are bought at the start of the next one
+    const lost = r.months.reduce((s, m) => s + m.lost, 0);
+    assert.ok(r.totals.topUps < lost && r.totals.topUps > lost - 10000 * (1 - q));
+    assert.equal(r.months[0].retired, 0);
+  });
+
+  it("charges purchases once and every cup's cycle burden", () => {
+    const lossless = { ...EXPECTED, p_ret: 1, p_scr: 0 };
+    const r = simulateFleet(lossless, DEFAULT_CONSTANTS, 10000, SETTINGS);
+    const E_start = 0.0478548 + 0.0008 + 0.00037;
+    const E_cycle = 0.001 + 2 * 0.0000037 * 150;
+    assert.equal(r.totals.topUps, 0);
+    close(r.totals.MUP_kg, r.fleetSize * E_start + 360000 * E_cycle);
+    close(r.totals.SUP_kg, 360000 * 0.00437);
+    close(r.totals.savings_kg, r.totals.SUP_kg - r.totals.MUP_kg);
+    assert.equal(r.totals.paybackMonth, Math.ceil((r.fleetSize * E_start) / (10000 * (0.00437 - E_cycle))));
+  });
+
+  it("retires capsules at the end of their technical life", () => {
+    const lossless = { ...EXPECTED, p_ret: 1, p_scr: 0 };
+    const r = simulateFleet(lossless, DEFAULT_CONSTANTS, 5, SETTINGS);
+    assert.ok(r.totals.topUps > 0);
+    assert.ok(r.months.some((m) => m.retired > 0));
+    assert.equal(r.months.reduce((s, m) => s + m.lost, 0), 0);
+  });
+
+  it("charges every capsule bought its EoL, including the pool left at the horizon", () => {
+    const withEol = { ...EXPECTED, E_EoL_mup: "0.0002" };
+    const r = simulateFleet(withEol, DEFAULT_CONSTANTS, 50, SETTINGS);
+    const eol = r.months.reduce((s, m) => s + m.eol_kg, 0);
+    const left = r.months.reduce((s, m) => s + m.lost + m.retired, 0);
+    assert.ok(r.totals.remaining > 0.9 * r.fleetSize && r.totals.remaining <= r.fleetSize);
+    // Every capsule bought leaves once: lost, retired or left over at the horizon
+    close(left + r.totals.remaining, r.totals.purchased);
+    close(eol, r.totals.purchased * 0.0002);
+    const last = r.months.at(-1);
+    close(last.eol_kg, (last.lost + last.retired + last.remaining) * 0.0002);
+  });
+
+  it("adds up months into years", () => {
+    const r = simulateFleet(EXPECTED, DEFAULT_CONSTANTS, 50, SETTINGS);
+    assert.equal(r.years.length, 3);
+    close(r.years.reduce((s, y) => s + y.MUP_kg, 0), r.totals.MUP_kg);
+    close(r.years[1].cups, 120000);
+  });
+});
+
+describe("resolveFleet", () => {
+  it("reports invalid fields and falls back to the defaults", () => {
+    const { values, errors } = resolveFleet({ annualDemand: "0", circulationDays: "7", bufferPct: "-1", years: "2.5" });
+    assert.deepEqual(Object.keys(errors).sort(), ["annualDemand", "bufferPct", "years"]);
+    assert.equal(values.circulationDays, 7);
+    assert.equal(values.years, 5);
+  });
+
+  it("keeps the circulation time to at least a day and the demand finite", () => {
+    const { values, errors } = resolveFleet({ annualDemand: "1e12", circulationDays: "0.5", bufferPct: "10", years: "30" });
+    assert.deepEqual(errors, { annualDemand: "Must be ≤ 1000000000", circulationDays: "Must be ≥ 1" });
+    assert.equal(values.circulationDays, 14);
+    assert.equal(values.years, 30);
+  });
+});
@@ -0,0 +1,104 @@
+/* ========= Model history: undo / redo stack & named snapshots ========= */
+import { decodeSession, defaultSession, encodeSession } from "./session.js";
+
+// State covered by undo / redo and snapshots; UI toggles and the selected indicator are not model edits
+export const MODEL_KEYS = ["scenarios", "constantsInput", "activeSetName", "comparators", "impactsInput", "N_max_top"];
+
+export const HISTORY_LIMIT = 100;
+// Edits closer together than this (keystrokes in one field, a slider drag) form one undo step
+export const COALESCE_MS = 800;
+
+export const EMPTY_HISTORY = { past: [], future: [], lastEditAt: null };
+
+/** The model part of a session-like object. */
+export const pickModel = (state) => Object.fromEntries(MODEL_KEYS.map((k) => [k, state[k]]));
+
+/**
+ * Records `model`, the state before an edit, as an undo step and drops the redo branch. `now = null`
+ * records a discrete step (restoring a snapshot) that is never merged with neighbouring edits.
+ */
+export function recordEdit(history, model, now) {
+  if (now !== null && history.lastEditAt !== null && now - history.lastEditAt < COALESCE_MS) {
+    return { ...history, future: [], lastEditAt: now };
+  }
+  return { past: [...history.past, model].slice(-HISTORY_LIMIT), future: [], lastEditAt: now };
+}
+
+/** One step back: { history, model } with the model to restore, or null when there is nothing to undo. */
+export function undo(history, current) {
+  if (!history.past.length) return null;
+  return {
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future], lastEditAt: null },
+    model: history.past.at(-1),
+  };
+}
+
+/** One step forward again; null when nothing was undone since the last edit. */
+export function redo(history, current) {
+  if (!history.future.length) return null;
+  return {
+    history: { past: [...history.past, current], future: history.future.slice(1), lastEditAt: null },
+    model: history.future[0],
+  };
+}
+
+// Inputs the browser keeps its own text undo for; sliders, checkboxes and buttons use the model history
+const TEXT_INPUT_TYPES = new Set(["text", "number", "search", "email", "url", "tel", "password"]);
+
+/** Whether undo / redo keys on this event target belong to the browser's text editing. */
+export function isTextEntry(target) {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === "TEXTAREA") return true;
+  return target.tagName === "INPUT" && TEXT_INPUT_TYPES.has(target.type);
+}
+
+/* ===== Named snapshots (persisted in localStorage, encoded like share links) ===== */
+const SNAPSHOTS_STORAGE_KEY = "mup-dashboard:snapshots";
+
+function nextSnapshotId(list) {
+  const max = list.reduce((m, s) => Math.max(m, parseInt(String(s.id).slice(1), 10) || 0), 0);
+  return `h${max + 1}`;
+}
+
+/** Saved snapshots; entries whose data no longer decodes are dropped. */
+export function loadSnapshots() {
+  try {
+    const raw = globalThis.localStorage?.getItem(SNAPSHOTS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) return [];
+    const list = [];
+    for (const s of parsed) {
+      if (!s || typeof s.name !== "string" || typeof s.data !== "string") continue;
+      try {
+        list.push({ id: String(s.id), name: s.name, createdAt: String(s.createdAt ?? ""), model: pickModel(decodeSession(s.data)) });
+      } catch {
+        // written by a newer version or corrupted – skip it
+      }
+    }
+    return list;
+  } catch {
+    return [];
+  }
+}
+
+export function saveSnapshots(list) {
+  const stored = list.map((s) => ({
+    id: s.id,
+    name: s.name,
+    createdAt: s.createdAt,
+    data: encodeSession({ ...defaultSession(), ...s.model }),
+  }));
+  try {
+    globalThis.localStorage?.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(stored));
+  } catch {
+    // storage full or unavailable (private mode) – snapshots stay in memory only
+  }
+}
+
+export function addSnapshot(list, name, model, now = new Date()) {
+  return [...list, { id: nextSnapshotId(list), name, createdAt: now.toISOString(), model: pickModel(model) }];
+}
+
+export function removeSnapshot(list, id) {
+  return list.filter((s) => s.id !== id);
+}
@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  COALESCE_MS,
+  EMPTY_HISTORY,
+  HISTORY_LIMIT,
+  addSnapshot,
+  isTextEntry,
+  pickModel,
+  recordEdit,
+  redo,
+  removeSnapshot,
+  undo,
+} from "./history.js";
+import { defaultSession } from "./session.js";
+
+const m = (n) => ({ ...pickModel(defaultSession()), N_max_top: n });
+
+describe("isTextEntry", () => {
+  it("leaves text fields to the browser and sliders to the app", () => {
+    assert.equal(isTextEntry({ tagName: "INPUT", type: "text" }), true);
+    assert.equal(isTextEntry({ tagName: "INPUT", type: "number" }), true);
+    assert.equal(isTextEntry({ tagName: "TEXTAREA" }), true);
+    assert.equal(isTextEntry({ tagName: "DIV", isContentEditable: true }), true);
+    assert.equal(isTextEntry({ tagName: "INPUT", type: "range" }), false);
+    assert.equal(isTextEntry({ tagName: "INPUT", type: "checkbox" }), false);
+    assert.equal(isTextEntry({ tagName: "BUTTON" }), false);
+    assert.equal(isTextEntry(null), false);
+  });
+});
+
+describe("undo / redo", () => {
+  it("steps back and forward through edits", () => {
+    let h = recordEdit(EMPTY_HISTORY, m(1), 0);
+    h = recordEdit(h, m(2), COALESCE_MS);
+    const back = undo(h, m(3));
+    assert.equal(back.model.N_max_top, 2);
+    const back2 = undo(back.history, back.model);
+    assert.equal(back2.model.N_max_top, 1);
+    assert.equal(undo(back2.history, back2.model), null);
+    const fwd = redo(back2.history, back2.model);
+    assert.equal(fwd.model.N_max_top, 2);
+    assert.equal(redo(fwd.history, fwd.model).model.N_max_top, 3);
+  });
+
+  it("merges quick successive edits into one step", () => {
+    let h = recordEdit(EMPTY_HISTORY, m(1), 0);
+    h = recordEdit(h, m(2), COALESCE_MS - 1);
+    h = recordEdit(h, m(3), 2 * COALESCE_MS - 2);
+    assert.deepEqual(h.past.map((x) => x.N_max_top), [1]);
+    h = recordEdit(h, m(4), null);
+    h = recordEdit(h, m(5), null);
+    assert.deepEqual(h.past.map((x) => x.N_max_top), [1, 4, 5]);
+  });
+
+  it("drops the redo branch on a new edit and caps the stack", () => {
+    let h = recordEdit(EMPTY_HISTORY, m(1), null);
+    h = undo(h, m(2)).history;
+    assert.equal(h.future.length, 1);
+    h = recordEdit(h, m(1), 0);
+    assert.equal(h.future.length, 0);
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) h = recordEdit(h, m(i), null);
+    assert.equal(h.past.length, HISTORY_LIMIT);
+    assert.equal(h.past.at(-1).N_max_top, HISTORY_LIMIT + 4);
+  });
+});
+
+describe("snapshots", () => {
+  it("keep only the model part of the state", () => {
+    const list = addSnapshot([], "Before", { ...defaultSession(), showSensitivity: true }, new Date(0));
+    assert.deepEqual(Object.keys(list[0].model).sort(), Object.keys(pickModel(defaultSession())).sort());
+    assert.equal(list[0].createdAt, "1970-01-01T00:00:00.000Z");
+    const two = addSnapshot(list, "After", defaultSession());
+    assert.deepEqual(two.map((s) => s.id), ["h1", "h2"]);
+    assert.deepEqual(removeSnapshot(two, "h1").map((s) => s.name), ["After"]);
+  });
+});
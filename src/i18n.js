@@ -0,0 +1,177 @@
+/* ========= Internationalisation: catalogues, locale numbers & display units ========= */
+import { createContext, useContext } from "react";
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+
+export const LOCALES = {
+  en: { label: "English", tag: "en-GB", decimal: ".", group: ",", catalog: en },
+  de: { label: "Deutsch", tag: "de-DE", decimal: ",", group: ".", catalog: de },
+};
+export const DEFAULT_LOCALE = "en";
+
+// Per-cup results are computed in milli-units (g CO₂e); "base" shows the indicator unit (kg CO₂e)
+export const UNIT_MASSES = ["milli", "base"];
+export const UNIT_BASES = [1, 1000];
+export const DEFAULT_UNITS = { mass: "milli", basis: 1 };
+
+/** Catalogue string at a dotted path, with {placeholders} filled; falls back to English, then `fallback`. */
+export function translate(locale, key, params, fallback = key) {
+  const lookup = (catalog) => key.split(".").reduce((node, part) => node?.[part], catalog);
+  let text = lookup(LOCALES[locale]?.catalog);
+  if (typeof text !== "string") text = lookup(en);
+  if (typeof text !== "string") text = fallback;
+  return params ? text.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m)) : text;
+}
+
+/**
+ * Message produced by a domain module in English ("Must be ≥ 0"): its numbers and "quoted" values are lifted
+ * out and the pattern ("Must be ≥ {0}") looked up under `messages`; unknown messages are returned unchanged.
+ */
+export function translateMessage(locale, message) {
+  if (typeof message !== "string" || locale === DEFAULT_LOCALE) return message;
+  const numbers = [];
+  const pattern = message.replace(/"[^"]*"|[-−]?\d+(?:\.\d+)?/g, (n) => `{${numbers.push(n) - 1}}`);
+  const text = LOCALES[locale]?.catalog.messages?.[pattern];
+  return typeof text === "string" ? text.replace(/\{(\d+)\}/g, (m, i) => numbers[i] ?? m) : message;
+}
+
+/** Unit with its words translated ("kg CO₂e/capsule" → "kg CO₂e/Kapsel") via the catalogue's `unitWords`. */
+export function translateUnit(locale, unit) {
+  const words = LOCALES[locale]?.catalog.unitWords;
+  if (typeof unit !== "string" || !words) return unit;
+  return unit.replace(/[A-Za-z]{2,}/g, (w) => words[w] ?? w);
+}
+
+/* ===== Numbers ===== */
+const formatters = new Map();
+function formatter(locale, options) {
+  const id = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(id)) formatters.set(id, new Intl.NumberFormat(LOCALES[locale]?.tag ?? "en-GB", options));
+  return formatters.get(id);
+}
+
+/** Fixed number of decimals with locale separators; "–" for missing values. */
+export function formatNumber(v, locale, digits = 2) {
+  if (!Number.isFinite(v)) return "–";
+  return formatter(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+}
+
+/** Significant digits (for values spanning orders of magnitude), trailing zeros dropped. */
+export function formatPrecision(v, locale, precision = 3) {
+  if (!Number.isFinite(v)) return "–";
+  return formatter(locale, { maximumSignificantDigits: precision }).format(v);
+}
+
+/** Share as a percentage ("12%", de "12 %"). */
+export function formatPercent(v, locale, digits = 0) {
+  if (!Number.isFinite(v)) return "–";
+  return formatter(locale, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+}
+
+/**
+ * Number typed in the given locale. Grouping separators are accepted where they group whole
+ * thousands; a lone "," (en) or "." (de) is read as the decimal separator.
+ */
+export function parseLocaleNumber(text, locale) {
+  const canonical = toCanonicalNumber(text, locale);
+  return canonical === null ? NaN : Number(canonical);
+}
+
+// "1.234,5" (de) → "1234.5"; null when the text is not a number in that locale
+function toCanonicalNumber(text, locale) {
+  const { decimal, group } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  let s = String(text ?? "").replace(/[\s\u00a0\u202f']/g, "");
+  if (s === "") return null;
+  const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${group}\\d{3})+(\\${decimal}\\d*)?$`);
+  if (grouped.test(s)) s = s.split(group).join("");
+  else if (s.includes(group) && !s.includes(decimal)) s = s.replace(group, decimal);
+  s = s.replace(decimal, ".");
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s) ? s : null;
+}
+
+/** Editor text → stored value: numbers in canonical form ("0.5"), anything else unchanged so it is reported. */
+export function fromLocaleInput(text, locale) {
+  return toCanonicalNumber(text, locale) ?? String(text).trim();
+}
+
+/** Stored value → editor text in the locale, keeping the digits as entered ("0.0010" → "0,0010"). */
+export function toLocaleInput(value, locale) {
+  const s = String(value ?? "");
+  const m = /^(-?)(\d+)(?:\.(\d+))?$/.exec(s.trim());
+  if (!m) return s;
+  const { decimal, group } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  const int = m[2].length > 4 ? m[2].replace(/\B(?=(\d{3})+$)/g, group) : m[2];
+  return `${m[1]}${int}${m[3] !== undefined ? decimal + m[3] : ""}`;
+}
+
+/* ===== Display units for per-cup results ===== */
+
+/** Factor from the model's per-cup milli-units to the chosen display unit. */
+export const unitFactor = (units) => (units.basis === 1000 ? 1000 : 1) / (units.mass === "base" ? 1000 : 1);
+
+/** Unit label, e.g. "kg CO₂e / 1000 cups" (`short`: "kg / 1000", per cup just "kg"). */
+export function displayUnit(indicator, units, locale, short = false) {
+  const mass = units.mass === "base" ? (short ? indicator.baseShort : indicator.unit) : short ? indicator.short : indicator.cupUnit;
+  if (short) return units.basis === 1000 ? `${mass} / 1000` : mass;
+  return `${mass} / ${translate(locale, units.basis === 1000 ? "units.perThousand" : "units.perCup")}`;
+}
+
+/* ===== React glue ===== */
+export const I18nContext = createContext({ locale: DEFAULT_LOCALE, units: DEFAULT_UNITS });
+
+/**
+ * Translation and formatting helpers for a locale and display units. `cup` formats a per-cup model
+ * value (milli-units) in the display unit, shifting the decimals with the scale.
+ */
+export function i18nHelpers(locale, units) {
+  const factor = unitFactor(units);
+  const shift = Math.round(Math.log10(factor));
+  return {
+    locale,
+    units,
+    t: (key, params) => translate(locale, key, params),
+    // Label of a field / option defined in a domain module, e.g. tl("field", { key, label })
+    tl: (ns, item) => translate(locale, `${ns}.${item.key}`, null, item.label),
+    tm: (message) => translateMessage(locale, message),
+    tu: (unit) => translateUnit(locale, unit),
+    num: (v, digits = 2) => formatNumber(v, locale, digits),
+    prec: (v, precision = 3) => formatPrecision(v, locale, precision),
+    int: (v) => formatNumber(v, locale, 0),
+    pct: (v, digits = 0) => formatPercent(v, locale, digits),
+    input: (v) => toLocaleInput(v, locale),
+    cupValue: (v) => v * factor,
+    cup: (v, digits = 2) => formatNumber(v * factor, locale, Math.max(0, digits - shift)),
+    cupUnit: (indicator) => displayUnit(indicator, units, locale),
+    cupShort: (indicator) => displayUnit(indicator, units, locale, true),
+    date: (d) => d.toLocaleString(LOCALES[locale]?.tag),
+  };
+}
+
+export function useI18n() {
+  const { locale, units } = useContext(I18nContext);
+  return i18nHelpers(locale, units);
+}
+
+/* ===== Preferences (locale, units) in localStorage ===== */
+const PREFS_STORAGE_KEY = "mup-dashboard:prefs";
+
+export function loadPrefs() {
+  const lang = globalThis.navigator?.language?.slice(0, 2);
+  const prefs = { locale: LOCALES[lang] ? lang : DEFAULT_LOCALE, units: DEFAULT_UNITS };
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(PREFS_STORAGE_KEY) ?? "null");
+    if (LOCALES[stored?.locale]) prefs.locale = stored.locale;
+    if (UNIT_MASSES.includes(stored?.units?.mass) && UNIT_BASES.includes(stored?.units?.basis)) prefs.units = stored.units;
+  } catch {
+    // corrupt preferences – use the defaults
+  }
+  return prefs;
+}
+
+export function savePrefs(prefs) {
+  try {
+    globalThis.localStorage?.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+  } catch {
+    // storage unavailable – preferences last for this visit only
+  }
+}
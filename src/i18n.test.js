@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LOCALES,
+  displayUnit,
+  formatNumber,
+  formatPercent,
+  fromLocaleInput,
+  i18nHelpers,
+  parseLocaleNumber,
+  toLocaleInput,
+  translate,
+  translateMessage,
+  translateUnit,
+  unitFactor,
+} from "./i18n.js";
+import { INDICATORS } from "./indicators.js";
+
+const gwp = INDICATORS.find((i) => i.key === "gwp");
+
+describe("catalogues", () => {
+  it("fills placeholders and falls back to English, then to the given text", () => {
+    assert.equal(translate("de", "badge.at", { n: 12 }), "Break-even N=12");
+    assert.equal(translate("en", "fleet.capsules", { n: "1,000" }), "1,000 capsules");
+    assert.equal(translate("de", "field.p_ret"), "Rücklaufquote p_ret");
+    assert.equal(translate("en", "field.p_ret", null, "Return rate"), "Return rate");
+    assert.equal(translate("fr", "common.delete"), "Delete");
+  });
+
+  it("translates domain messages by their numeric pattern", () => {
+    assert.equal(translateMessage("de", "Must be ≥ 0.5"), "Muss ≥ 0.5 sein");
+    assert.equal(translateMessage("de", "Must be between 0 and 1"), "Muss zwischen 0 und 1 liegen");
+    assert.equal(translateMessage("de", "Something new"), "Something new");
+    assert.equal(translateMessage("de", '"12abc" is not a number'), '"12abc" ist keine Zahl');
+    assert.equal(
+      translateMessage("de", 'Column "T_FACTOR_PER_100KM" differs between rows; using the first value "0.5".'),
+      'Spalte "T_FACTOR_PER_100KM" unterscheidet sich zwischen den Zeilen; der erste Wert "0.5" wird verwendet.'
+    );
+    assert.equal(translateMessage("en", "Must be ≥ 0"), "Must be ≥ 0");
+  });
+
+  it("translates words inside units", () => {
+    assert.equal(translateUnit("de", "kg CO₂e/capsule"), "kg CO₂e/Kapsel");
+    assert.equal(translateUnit("de", "kg"), "kg");
+    assert.equal(translateUnit("en", "cups / year"), "cups / year");
+  });
+
+  it("has a German string for every English one", () => {
+    const flat = (o, p = "") => Object.entries(o).flatMap(([k, v]) => (typeof v === "object" ? flat(v, `${p}${k}.`) : [p + k]));
+    const de = new Set(flat(LOCALES.de.catalog));
+    assert.deepEqual(flat(LOCALES.en.catalog).filter((k) => !de.has(k)), []);
+  });
+});
+
+describe("locale numbers", () => {
+  it("formats with the locale's separators", () => {
+    assert.equal(formatNumber(1234.5, "en"), "1,234.50");
+    assert.equal(formatNumber(1234.5, "de"), "1.234,50");
+    assert.equal(formatNumber(NaN, "de"), "–");
+    assert.equal(formatPercent(0.125, "de").replace(/\s/, " "), "13 %");
+  });
+
+  it("parses typed numbers, with or without grouping", () => {
+    assert.equal(parseLocaleNumber("1.234,5", "de"), 1234.5);
+    assert.equal(parseLocaleNumber("0,0008", "de"), 0.0008);
+    assert.equal(parseLocaleNumber("1,234.5", "en"), 1234.5);
+    assert.equal(parseLocaleNumber("0,5", "en"), 0.5);
+    assert.equal(parseLocaleNumber("-2e-3", "en"), -0.002);
+    assert.ok(Number.isNaN(parseLocaleNumber("abc", "de")));
+    assert.ok(Number.isNaN(parseLocaleNumber("", "en")));
+  });
+
+  it("round-trips editor text to canonical stored strings", () => {
+    assert.equal(fromLocaleInput("0,0010", "de"), "0.0010");
+    assert.equal(fromLocaleInput("12 000", "en"), "12000");
+    assert.equal(fromLocaleInput(" x ", "de"), "x");
+    assert.equal(toLocaleInput("0.0010", "de"), "0,0010");
+    assert.equal(toLocaleInput("12000", "de"), "12.000");
+    assert.equal(toLocaleInput("1000", "de"), "1000");
+    assert.equal(toLocaleInput("abc", "de"), "abc");
+    assert.equal(fromLocaleInput(toLocaleInput("12345.678", "de"), "de"), "12345.678");
+  });
+});
+
+describe("display units", () => {
+  it("scales per-cup milli-units to the chosen mass and basis", () => {
+    assert.equal(unitFactor({ mass: "milli", basis: 1 }), 1);
+    assert.equal(unitFactor({ mass: "base", basis: 1 }), 0.001);
+    assert.equal(unitFactor({ mass: "base", basis: 1000 }), 1);
+    assert.equal(unitFactor({ mass: "milli", basis: 1000 }), 1000);
+  });
+
+  it("labels the unit in the locale", () => {
+    assert.equal(displayUnit(gwp, { mass: "base", basis: 1000 }, "de"), "kg CO₂e / 1000 Tassen");
+    assert.equal(displayUnit(gwp, { mass: "milli", basis: 1 }, "en", true), gwp.short);
+    assert.equal(displayUnit(gwp, { mass: "base", basis: 1000 }, "en", true), "kg / 1000");
+  });
+
+  it("keeps significant decimals when the scale shifts", () => {
+    const { cup } = i18nHelpers("en", { mass: "base", basis: 1 });
+    assert.equal(cup(12.345), "0.01235");
+    assert.equal(i18nHelpers("de", { mass: "milli", basis: 1000 }).cup(12.345), "12.345");
+  });
+});
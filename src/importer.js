@@ -0,0 +1,257 @@
+/* ========= Import scenarios (and optional constants) from CSV / JSON files ========= */
+import { CONSTANT_FIELDS, parseStrict, validateValue } from "./constants.js";
+import { sanitizeEol } from "./eol.js";
+import { SCENARIO_FIELDS } from "./scenarios.js";
+import { sanitizeProfiles } from "./profiles.js";
+import { LEG_FIELDS, sanitizeLegs, validateLeg } from "./transport.js";
+
+// Lower-cased header aliases used to guess the column mapping
+const ALIASES = {
+  name: ["name", "scenario", "site", "label"],
+  color: ["color", "colour"],
+  E_manu_mup: ["e_manu_mup", "manufacturing", "manufacturing mup", "e_manu"],
+  KM_ONE_WAY: ["km_one_way", "distance", "one-way distance", "one way distance", "km"],
+  p_ret: ["p_ret", "return rate", "return", "returnrate"],
+  p_scr: ["p_scr", "scrap rate", "scrap", "scraprate"],
+  E_EoL_mup: ["e_eol_mup", "eol", "net eol", "net eol balance", "end of life"],
+};
+
+export const IMPORT_COLUMNS = [
+  { key: "name", label: "Name", kind: "text" },
+  { key: "color", label: "Colour", kind: "color" },
+  ...SCENARIO_FIELDS,
+];
+
+/* ===== CSV parsing ===== */
+
+/** Detects "," / ";" / tab from the header line (";" is common in German spreadsheets). */
+function detectDelimiter(firstLine) {
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/** RFC 4180-ish parser: quoted fields, doubled quotes, CRLF. Blank lines are skipped. */
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] ?? "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+function normalizeHeader(h) {
+  return String(h)
+    .toLowerCase()
+    .replace(/\[.*?\]|\(.*?\)/g, "")
+    .replace(/[_\s]+/g, " ")
+    .trim();
+}
+
+/** Grams are recognised from a "[g …]" / "(g …)" unit in the header and converted to kg. */
+function headerUnitScale(header) {
+  return /[[(]\s*g\b/i.test(String(header)) ? 0.001 : 1;
+}
+
+export function guessMapping(headers) {
+  const mapping = {};
+  const norm = headers.map(normalizeHeader);
+  const raw = headers.map((h) => String(h).trim().toLowerCase());
+  for (const col of IMPORT_COLUMNS) {
+    const aliases = ALIASES[col.key];
+    let idx = raw.indexOf(col.key.toLowerCase());
+    if (idx < 0) idx = norm.findIndex((h) => aliases.includes(h) || aliases.includes(h.replace(/ /g, "_")));
+    mapping[col.key] = idx >= 0 ? idx : null;
+  }
+  return mapping;
+}
+
+/* ===== Cell validation ===== */
+
+/** Returns { value, error, note } for one cell of a scenario column. */
+export function validateCell(col, raw, scale = 1) {
+  const text = raw === null || raw === undefined ? "" : String(raw).trim();
+
+  if (col.kind === "text") return { value: text, error: null };
+  if (col.kind === "color") {
+    if (text === "") return { value: null, error: null };
+    return /^#[0-9a-f]{6}$/i.test(text) ? { value: text, error: null } : { value: null, error: "Not a #rrggbb colour" };
+  }
+  if (text === "") return { value: null, error: "Missing value" };
+
+  let n;
+  let note = null;
+  if (col.kind === "prob" && text.endsWith("%")) {
+    n = parseStrict(text.slice(0, -1));
+    if (Number.isFinite(n)) {
+      n /= 100;
+      note = `${text} read as ${n}`;
+    }
+  } else {
+    n = parseStrict(text);
+  }
+  if (!Number.isFinite(n)) return { value: null, error: `"${text}" is not a number` };
+  if (scale !== 1) {
+    n *= scale;
+    note = `converted from g: ${n}`;
+  }
+
+  if (col.kind === "prob" && (n < 0 || n > 1)) {
+    const hint = n > 1 && n <= 100 ? " (percentages need a % sign)" : "";
+    return { value: null, error: `Must be between 0 and 1${hint}` };
+  }
+  if (col.min !== undefined && n < col.min) {
+    return { value: null, error: col.key === "KM_ONE_WAY" ? "Distance cannot be negative" : `Must be ≥ ${col.min}` };
+  }
+
+  // Match scenario state: sliders hold numbers, text inputs hold strings
+  return { value: col.kind === "prob" ? n : String(n), error: null, note };
+}
+
+function validateRecord(get, scaleOf) {
+  const values = {};
+  const errors = {};
+  const notes = {};
+  for (const col of IMPORT_COLUMNS) {
+    const raw = get(col.key);
+    if (raw === undefined) {
+      if (col.kind === "text" || col.kind === "color") continue;
+      errors[col.key] = "Column not mapped";
+      continue;
+    }
+    const { value, error, note } = validateCell(col, raw, scaleOf(col.key));
+    if (error) errors[col.key] = error;
+    else if (value !== null) values[col.key] = value;
+    if (note) notes[col.key] = note;
+  }
+  return { values, errors, notes };
+}
+
+function validateConstants(source) {
+  const values = {};
+  const errors = {};
+  for (const f of CONSTANT_FIELDS) {
+    if (source[f.key] === undefined || source[f.key] === "") continue;
+    // Same bounds as the Assumptions panel, so an imported set never holds a value it would reject
+    const { value, error } = validateValue(f, source[f.key]);
+    if (error) errors[f.key] = Number.isFinite(parseStrict(source[f.key])) ? error : `"${source[f.key]}" is not a number`;
+    else values[f.key] = String(value);
+  }
+  return { values, errors, found: Object.keys(values).length + Object.keys(errors).length > 0 };
+}
+
+/** Transport legs replace the single distance, so KM_ONE_WAY becomes optional; leg errors show in its column. */
+function withLegs(record, rawLegs) {
+  const legs = sanitizeLegs(rawLegs);
+  const { values, errors, notes } = record;
+  if (errors.KM_ONE_WAY === "Column not mapped") delete errors.KM_ONE_WAY;
+  const legErrors = legs.flatMap((leg, i) =>
+    Object.entries(validateLeg(leg)).map(([key, msg]) => `Leg ${i + 1} ${LEG_FIELDS.find((f) => f.key === key).label}: ${msg}`)
+  );
+  if (legErrors.length) errors.KM_ONE_WAY = legErrors.join("; ");
+  else notes.KM_ONE_WAY = `${legs.length} transport legs (distance not used)`;
+  return { values: { ...values, legs }, errors, notes };
+}
+
+/* ===== File level ===== */
+
+/**
+ * CSV: one scenario per row. Columns named after a constant (e.g. EF_Al_prim) are read
+ * from the first row that has them and applied as constants.
+ */
+export function analyzeCsv(rows, mapping) {
+  const [headers = [], ...body] = rows;
+  const scales = Object.fromEntries(
+    IMPORT_COLUMNS.map((c) => [c.key, mapping[c.key] !== null ? headerUnitScale(headers[mapping[c.key]]) : 1])
+  );
+
+  const records = body.map((cells) =>
+    validateRecord(
+      (key) => (mapping[key] === null || mapping[key] === undefined ? undefined : cells[mapping[key]] ?? ""),
+      (key) => scales[key]
+    )
+  );
+
+  const constantSource = {};
+  const warnings = [];
+  for (const f of CONSTANT_FIELDS) {
+    const idx = headers.findIndex((h) => String(h).trim() === f.key);
+    if (idx < 0) continue;
+    const cells = body.map((r) => (r[idx] ?? "").trim()).filter((c) => c !== "");
+    if (!cells.length) continue;
+    constantSource[f.key] = cells[0];
+    if (cells.some((c) => c !== cells[0])) {
+      warnings.push(`Column "${f.key}" differs between rows; using the first value "${cells[0]}".`);
+    }
+  }
+  return { records, constants: validateConstants(constantSource), warnings };
+}
+
+/**
+ * JSON: an array of scenarios, { scenarios, constants }, or this dashboard's own
+ * export bundle (scenarios[].inputs, constants.values).
+ */
+export function analyzeJson(data) {
+  const list = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(list)) throw new Error('Expected an array of scenarios or an object with a "scenarios" array');
+
+  const records = list.map((item) => {
+    const src = item && typeof item === "object" ? { ...item, ...(item.inputs ?? {}) } : {};
+    const record = validateRecord((key) => src[key], () => 1);
+    const profiles = sanitizeProfiles(src.profiles);
+    if (profiles) record.values.profiles = profiles;
+    const eol = sanitizeEol(src.eol);
+    if (eol) record.values.eol = eol;
+    return Array.isArray(src.legs) && src.legs.length ? withLegs(record, src.legs) : record;
+  });
+
+  const c = data?.constants?.values ?? data?.constants ?? {};
+  return { records, constants: validateConstants(c && typeof c === "object" ? c : {}), warnings: [] };
+}
+
+/** Reads a File and returns { kind, rows?, data? } ready for analysis. */
+export async function readImportFile(file) {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || file.type === "application/json" || /^\s*[[{]/.test(text);
+  if (isJson) {
+    try {
+      return { kind: "json", data: JSON.parse(text) };
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+  const rows = parseCsv(text);
+  if (rows.length < 2) throw new Error("CSV needs a header row and at least one data row");
+  return { kind: "csv", rows };
+}
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeCsv, analyzeJson, guessMapping, parseCsv } from "./importer.js";
+
+const HEADER = "Scenario;Manufacturing [g CO₂e];Distance (km);Return rate;Scrap;Net EoL";
+
+describe("parseCsv", () => {
+  it("reads quoted cells with doubled quotes, separators and line breaks", () => {
+    const rows = parseCsv('name,note\r\n"Site ""A"", north","two\nlines"\r\n\r\nB,x\r\n');
+    assert.deepEqual(rows, [["name", "note"], ['Site "A", north', "two\nlines"], ["B", "x"]]);
+  });
+
+  it("detects semicolon-separated files", () => {
+    assert.deepEqual(parseCsv(`${HEADER}\n"Köln; Depot";0,8;150;95%;0.01;0`)[1], ["Köln; Depot", "0,8", "150", "95%", "0.01", "0"]);
+  });
+});
+
+describe("guessMapping", () => {
+  it("maps alias headers, ignoring units, case and underscores", () => {
+    const mapping = guessMapping(parseCsv(HEADER)[0]);
+    assert.deepEqual(mapping, { name: 0, color: null, E_manu_mup: 1, KM_ONE_WAY: 2, p_ret: 3, p_scr: 4, E_EoL_mup: 5 });
+    assert.equal(guessMapping(["P_RET", "one_way_distance"]).KM_ONE_WAY, 1);
+  });
+});
+
+describe("analyzeCsv", () => {
+  const analyze = (text) => {
+    const rows = parseCsv(text);
+    return analyzeCsv(rows, guessMapping(rows[0]));
+  };
+
+  it("converts grams to kg and reads percentages as shares", () => {
+    const { records } = analyze(`${HEADER}\nKöln;0,8;150;85%;0.01;0`);
+    const [{ values, errors, notes }] = records;
+    assert.deepEqual(errors, {});
+    assert.equal(values.E_manu_mup, "0.0008");
+    assert.equal(values.p_ret, 0.85);
+    assert.equal(values.KM_ONE_WAY, "150");
+    assert.match(notes.E_manu_mup, /converted from g/);
+    assert.equal(notes.p_ret, "85% read as 0.85");
+  });
+
+  it("rejects out-of-range cells and shares without a % sign", () => {
+    const [{ values, errors }] = analyze(`${HEADER}\nX;0.8;-5;85;150;0`).records;
+    assert.deepEqual(errors, {
+      KM_ONE_WAY: "Distance cannot be negative",
+      p_ret: "Must be between 0 and 1 (percentages need a % sign)",
+      p_scr: "Must be between 0 and 1",
+    });
+    assert.equal(values.p_ret, undefined);
+  });
+
+  it("reads constant columns from the first row and checks their bounds", () => {
+    const { constants, warnings } = analyze(
+      "name,p_ret,EF_Al_prim,m_Al_mup,E_clean\nA,0.9,9.5,0,abc\nB,0.9,10,0.003,0.001"
+    );
+    assert.deepEqual(constants.values, { EF_Al_prim: "9.5" });
+    assert.deepEqual(constants.errors, { m_Al_mup: "Must be > 0", E_clean: '"abc" is not a number' });
+    assert.equal(constants.found, true);
+    assert.deepEqual(warnings, [
+      'Column "m_Al_mup" differs between rows; using the first value "0".',
+      'Column "EF_Al_prim" differs between rows; using the first value "9.5".',
+      'Column "E_clean" differs between rows; using the first value "abc".',
+    ]);
+  });
+});
+
+describe("analyzeJson", () => {
+  it("reads the dashboard's own bundle and rejects out-of-range constants", () => {
+    const { records, constants } = analyzeJson({
+      scenarios: [{ name: "A", inputs: { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0" } }],
+      constants: { values: { EF_Al_prim: -1, E_single_shot: 0.005 } },
+    });
+    assert.deepEqual(records[0].errors, {});
+    assert.equal(records[0].values.name, "A");
+    assert.deepEqual(constants.values, { E_single_shot: "0.005" });
+    assert.deepEqual(constants.errors, { EF_Al_prim: "Must be ≥ 0" });
+  });
+
+  it("rejects files without a scenario list", () => {
+    assert.throws(() => analyzeJson({ rows: [] }), /"scenarios" array/);
+  });
+});
@@ -0,0 +1,165 @@
+/* ========= Impact indicators: climate change plus energy, water and EF 3.1 categories ========= */
+import { parseStrict } from "./constants.js";
+import { seriesSummary } from "./lca.js";
+import { solveBreakEven } from "./breakeven.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { resolveScenario } from "./validation.js";
+
+/**
+ * `unit` is the unit of the inputs (constants, manufacturing, EoL); per-cup results are shown in
+ * `cupUnit` = unit / 1000, so the *_g result fields hold milli-units for every indicator (`short` / `baseShort`
+ * abbreviate cupUnit / unit).
+ */
+export const INDICATORS = [
+  { key: "gwp", label: "Climate change", title: "CO₂", unit: "kg CO₂e", cupUnit: "g CO₂e", short: "g", baseShort: "kg" },
+  { key: "ced", label: "Cumulative energy demand", title: "Energy", unit: "MJ", cupUnit: "kJ", short: "kJ", baseShort: "MJ" },
+  { key: "water", label: "Water use", title: "Water", unit: "m³", cupUnit: "L", short: "L", baseShort: "m³" },
+  { key: "ap", label: "Acidification (EF 3.1)", title: "Acidification", unit: "mol H⁺ eq", cupUnit: "mmol H⁺ eq", short: "mmol", baseShort: "mol" },
+  { key: "ep_fw", label: "Freshwater eutrophication (EF 3.1)", title: "Eutrophication", unit: "g P eq", cupUnit: "mg P eq", short: "mg", baseShort: "g" },
+  { key: "adp", label: "Resource use, minerals and metals (EF 3.1)", title: "Resource use", unit: "mg Sb eq", cupUnit: "µg Sb eq", short: "µg", baseShort: "mg" },
+];
+
+export const DEFAULT_INDICATOR = "gwp";
+
+export const indicatorByKey = (key) => INDICATORS.find((i) => i.key === key) ?? INDICATORS[0];
+
+/** Field unit with the climate unit swapped for the indicator's, e.g. "kg CO₂e/cycle" → "MJ/cycle". */
+export const indicatorUnit = (unit, indicator) => unit?.replace("kg CO₂e", indicator.unit);
+
+// Constants that carry an impact (the capsule mass does not); climate values stay in the constants panel
+export const IMPACT_CONSTANT_KEYS = [
+  "EF_Al_prim",
+  "EF_Al_sec",
+  "EF_disposal",
+  "E_fw_init",
+  "E_single_shot",
+  "E_clean",
+  "E_use",
+  "T_FACTOR_PER_100KM",
+];
+export const IMPACT_SCENARIO_KEYS = ["E_manu_mup", "E_EoL_mup"];
+
+// Illustrative placeholders per indicator (in its `unit`); replace them with values from your LCA database
+export const DEFAULT_IMPACTS = {
+  ced: { EF_Al_prim: 190, EF_Al_sec: 9, EF_disposal: 0.15, E_fw_init: 0.0055, E_single_shot: 0.075, E_clean: 0.018, E_use: 0, T_FACTOR_PER_100KM: 0.0055 },
+  water: { EF_Al_prim: 0.12, EF_Al_sec: 0.004, EF_disposal: 0.00005, E_fw_init: 0.00001, E_single_shot: 0.0012, E_clean: 0.0006, E_use: 0, T_FACTOR_PER_100KM: 0.00001 },
+  ap: { EF_Al_prim: 0.09, EF_Al_sec: 0.004, EF_disposal: 0.0001, E_fw_init: 0.0000015, E_single_shot: 0.000025, E_clean: 0.000004, E_use: 0, T_FACTOR_PER_100KM: 0.0000015 },
+  ep_fw: { EF_Al_prim: 0.6, EF_Al_sec: 0.03, EF_disposal: 0.002, E_fw_init: 0.000005, E_single_shot: 0.00018, E_clean: 0.00004, E_use: 0, T_FACTOR_PER_100KM: 0.000005 },
+  adp: { EF_Al_prim: 4, EF_Al_sec: 0.5, EF_disposal: 0.01, E_fw_init: 0.0001, E_single_shot: 0.0015, E_clean: 0.0002, E_use: 0, T_FACTOR_PER_100KM: 0.0001 },
+};
+
+// Manufacturing and EoL for scenarios without their own values for an indicator
+export const DEFAULT_SCENARIO_IMPACTS = {
+  ced: { E_manu_mup: "0.012", E_EoL_mup: "0" },
+  water: { E_manu_mup: "0.0002", E_EoL_mup: "0" },
+  ap: { E_manu_mup: "0.000005", E_EoL_mup: "0" },
+  ep_fw: { E_manu_mup: "0.00005", E_EoL_mup: "0" },
+  adp: { E_manu_mup: "0.0003", E_EoL_mup: "0" },
+};
+
+/** Editor state (strings) for the non-climate impact constants. */
+export function toImpactsInput(values = DEFAULT_IMPACTS) {
+  return Object.fromEntries(
+    Object.keys(DEFAULT_IMPACTS).map((ind) => [
+      ind,
+      Object.fromEntries(IMPACT_CONSTANT_KEYS.map((k) => [k, String(values?.[ind]?.[k] ?? DEFAULT_IMPACTS[ind][k])])),
+    ])
+  );
+}
+
+/** Numeric impact constants per indicator; invalid fields fall back to the defaults and are reported. */
+export function resolveImpacts(input) {
+  const values = {};
+  const errors = {};
+  for (const ind of Object.keys(DEFAULT_IMPACTS)) {
+    values[ind] = { ...DEFAULT_IMPACTS[ind] };
+    for (const key of IMPACT_CONSTANT_KEYS) {
+      const n = parseStrict(input?.[ind]?.[key] ?? DEFAULT_IMPACTS[ind][key]);
+      const error = !Number.isFinite(n) ? "Not a number" : n < 0 ? "Must be ≥ 0" : null;
+      if (error) (errors[ind] ??= {})[key] = error;
+      else values[ind][key] = n;
+    }
+  }
+  return { values, errors };
+}
+
+/** Constants for one indicator: the climate constants with the impact-carrying ones replaced. */
+export function indicatorConstants(constants, impacts, key) {
+  return key === DEFAULT_INDICATOR || !impacts[key] ? constants : { ...constants, ...impacts[key] };
+}
+
+/** Manufacturing / EoL value of a scenario for an indicator (string, as entered). */
+export function scenarioImpact(scenario, key, field) {
+  if (key === DEFAULT_INDICATOR) return scenario[field];
+  return scenario.impacts?.[key]?.[field] ?? DEFAULT_SCENARIO_IMPACTS[key]?.[field] ?? "0";
+}
+
+/**
+ * Scenario inputs for one indicator. Transport legs carry a single (climate) emission factor; for
+ * other indicators it is scaled by the ratio of the indicator's transport factor to the climate one.
+ */
+export function indicatorScenario(scenario, constants, impacts, key) {
+  if (key === DEFAULT_INDICATOR || !impacts[key]) return scenario;
+  const out = { ...scenario };
+  for (const field of IMPACT_SCENARIO_KEYS) out[field] = scenarioImpact(scenario, key, field);
+  if (scenario.legs?.length) {
+    const ratio = constants.T_FACTOR_PER_100KM > 0 ? impacts[key].T_FACTOR_PER_100KM / constants.T_FACTOR_PER_100KM : 0;
+    out.legs = scenario.legs.map((l) => ({ ...l, EF: parseStrict(l.EF) * ratio }));
+  }
+  return out;
+}
+
+/**
+ * Validated model inputs of a scenario for an indicator: { values, errors } of resolveScenario on the
+ * projection, with invalid fields falling back to the Expected Case and the indicator's defaults.
+ */
+export function modelScenario(scenario, constants, impacts, key) {
+  const defaults = { ...DEFAULT_SCENARIOS[1], ...DEFAULT_SCENARIO_IMPACTS[key] };
+  return resolveScenario(indicatorScenario(scenario, constants, impacts, key), defaults);
+}
+
+/** Copy of a scenario with one manufacturing / EoL value changed for an indicator. */
+export function setScenarioImpact(scenario, key, field, value) {
+  if (key === DEFAULT_INDICATOR) return { ...scenario, [field]: value };
+  const current = { ...DEFAULT_SCENARIO_IMPACTS[key], ...scenario.impacts?.[key] };
+  return { ...scenario, impacts: { ...scenario.impacts, [key]: { ...current, [field]: value } } };
+}
+
+/**
+ * MUP against SUP for every indicator at N: { key, label, cupUnit, MUP, SUP, ratio, breakEven }, per-cup
+ * values in milli-units. `ratio` = MUP / SUP is what the radar chart normalises on (SUP = 1).
+ */
+export function compareIndicators(scenario, constants, impacts, N) {
+  return INDICATORS.map((ind) => {
+    const c = indicatorConstants(constants, impacts, ind.key);
+    const s = modelScenario(scenario, constants, impacts, ind.key).values;
+    const MUP = seriesSummary(s, c, N).lastCost_g;
+    const SUP = c.E_single_shot * 1000;
+    return {
+      key: ind.key,
+      label: ind.label,
+      title: ind.title,
+      cupUnit: ind.cupUnit,
+      MUP,
+      SUP,
+      ratio: SUP > 0 ? MUP / SUP : null,
+      breakEven: solveBreakEven(s, c),
+    };
+  });
+}
+
+/** Defensive copy of per-indicator values ({ [indicator]: { [field]: string } }) from links and files. */
+export function sanitizeImpacts(raw, fields) {
+  if (!raw || typeof raw !== "object") return undefined;
+  const out = {};
+  for (const ind of Object.keys(DEFAULT_IMPACTS)) {
+    const entry = raw[ind];
+    if (!entry || typeof entry !== "object") continue;
+    const values = {};
+    for (const f of fields) {
+      if (typeof entry[f] === "string" || typeof entry[f] === "number") values[f] = String(entry[f]);
+    }
+    if (Object.keys(values).length) out[ind] = values;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { computeSeries } from "./lca.js";
+import { solveBreakEven } from "./breakeven.js";
+import { legsFromSimple } from "./transport.js";
+import { DEFAULT_COMPARATORS, comparatorFor, comparatorPatch, resolveComparator } from "./comparators.js";
+import {
+  DEFAULT_IMPACTS,
+  compareIndicators,
+  indicatorConstants,
+  indicatorScenario,
+  resolveImpacts,
+  setScenarioImpact,
+  toImpactsInput,
+} from "./indicators.js";
+
+const impacts = resolveImpacts(toImpactsInput()).values;
+const expected = DEFAULT_SCENARIOS[1];
+
+describe("indicator projection", () => {
+  it("leaves climate change untouched", () => {
+    assert.equal(indicatorConstants(DEFAULT_CONSTANTS, impacts, "gwp"), DEFAULT_CONSTANTS);
+    assert.equal(indicatorScenario(expected, DEFAULT_CONSTANTS, impacts, "gwp"), expected);
+  });
+
+  it("computes energy demand from the indicator's constants and scenario defaults", () => {
+    const c = indicatorConstants(DEFAULT_CONSTANTS, impacts, "ced");
+    const s = indicatorScenario(expected, DEFAULT_CONSTANTS, impacts, "ced");
+    const ced = DEFAULT_IMPACTS.ced;
+    const E_start = DEFAULT_CONSTANTS.m_Al_mup * ced.EF_Al_prim + 0.012 + ced.E_fw_init;
+    const E_cycle = ced.E_clean + ced.E_use + 2 * ced.T_FACTOR_PER_100KM * 1.5;
+    assert.equal(c.m_Al_mup, DEFAULT_CONSTANTS.m_Al_mup);
+    assert.ok(Math.abs(computeSeries(s, c, 1).firstCost_g - (E_start + E_cycle) * 1000) < 1e-9);
+    assert.equal(solveBreakEven(s, c).N, 21);
+  });
+
+  it("scales transport legs by the ratio of transport factors", () => {
+    const withLegs = { ...expected, legs: legsFromSimple("150", DEFAULT_CONSTANTS.T_FACTOR_PER_100KM) };
+    const s = indicatorScenario(withLegs, DEFAULT_CONSTANTS, impacts, "ced");
+    const ratio = DEFAULT_IMPACTS.ced.T_FACTOR_PER_100KM / DEFAULT_CONSTANTS.T_FACTOR_PER_100KM;
+    assert.ok(Math.abs(s.legs[0].EF - Number(withLegs.legs[0].EF) * ratio) < 1e-12);
+    const c = indicatorConstants(DEFAULT_CONSTANTS, impacts, "ced");
+    const simple = indicatorScenario(expected, DEFAULT_CONSTANTS, impacts, "ced");
+    assert.ok(Math.abs(computeSeries(s, c, 10).lastCost_g - computeSeries(simple, c, 10).lastCost_g) < 1e-9);
+  });
+
+  it("uses scenario values where set", () => {
+    const s = setScenarioImpact(expected, "water", "E_manu_mup", "0.001");
+    assert.deepEqual(s.impacts.water, { E_manu_mup: "0.001", E_EoL_mup: "0" });
+    assert.equal(indicatorScenario(s, DEFAULT_CONSTANTS, impacts, "water").E_manu_mup, "0.001");
+    assert.equal(setScenarioImpact(expected, "gwp", "E_manu_mup", "0.001").E_manu_mup, "0.001");
+  });
+});
+
+describe("resolveImpacts", () => {
+  it("falls back to the defaults for invalid fields", () => {
+    const input = toImpactsInput();
+    input.ap.E_clean = "x";
+    input.adp.EF_Al_prim = "-1";
+    const { values, errors } = resolveImpacts(input);
+    assert.deepEqual(errors, { ap: { E_clean: "Not a number" }, adp: { EF_Al_prim: "Must be ≥ 0" } });
+    assert.equal(values.ap.E_clean, DEFAULT_IMPACTS.ap.E_clean);
+  });
+});
+
+describe("compareIndicators", () => {
+  it("reports every indicator with MUP / SUP at N", () => {
+    const rows = compareIndicators(expected, DEFAULT_CONSTANTS, impacts, 60);
+    assert.equal(rows.length, 6);
+    const gwp = rows.find((r) => r.key === "gwp");
+    assert.equal(gwp.MUP, computeSeries(expected, DEFAULT_CONSTANTS, 60).lastCost_g);
+    assert.equal(gwp.ratio, gwp.MUP / gwp.SUP);
+    assert.equal(gwp.breakEven.N, 35);
+  });
+});
+
+describe("comparators per indicator", () => {
+  it("reads and patches the indicator's footprint", () => {
+    const c = DEFAULT_COMPARATORS[0];
+    assert.equal(resolveComparator(comparatorFor(c, "ced")).net, 0.075);
+    const patched = { ...c, ...comparatorPatch(c, "ced", "credit", "0.005") };
+    assert.ok(Math.abs(resolveComparator(comparatorFor(patched, "ced")).net - 0.07) < 1e-12);
+    assert.equal(patched.footprint, c.footprint);
+  });
+
+  it("is invalid for indicators without values", () => {
+    const { impacts: _unused, ...bare } = DEFAULT_COMPARATORS[0];
+    assert.equal(resolveComparator(comparatorFor(bare, "water")).net, null);
+    assert.equal(resolveComparator(comparatorFor(bare, "gwp")).net, 0.00437);
+  });
+});
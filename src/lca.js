@@ -0,0 +1,352 @@
+/* ========= LCA model (pure & headless: shared by the UI, the Monte Carlo worker and the CLI) ========= */
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { eolTerms, resolveEol } from "./eol.js";
+import { compileProfiles } from "./profiles.js";
+import { describeErrors, resolveScenario } from "./validation.js";
+
+/**
+ * Scenario inputs. Text fields may arrive as strings from the UI; they are coerced with toNum(), which is
+ * lenient ("12abc" → 12, "x" → 0), so callers validate them with resolveScenario() (validation.js) first.
+ * @typedef {Object} ScenarioInput
+ * @property {number|string} E_manu_mup  Manufacturing burden per MUP capsule [kg CO₂e]
+ * @property {number|string} KM_ONE_WAY  One-way transport distance [km]
+ * @property {number|string} p_ret       Return rate, clamped to 0–1
+ * @property {number|string} p_scr       Scrap rate of returned capsules, clamped to 0–1
+ * @property {number|string} E_EoL_mup   Net end-of-life balance per capsule [kg CO₂e], negative = credit
+ * @property {Object} [eol]              End-of-life sub-model (see eol.js); when present it replaces E_EoL_mup and the
+ *                                       primary-aluminium material burden
+ * @property {TransportLeg[]} [legs]     Transport legs; when present they replace KM_ONE_WAY · T_FACTOR_PER_100KM
+ * @property {Object} [profiles]         Cycle-dependent p_scr, E_clean and transport factor (see profiles.js)
+ */
+
+/**
+ * One transport leg (see transport.js). Burden per capsule = distance / 100 · EF / load · (1 − backhaul).
+ * @typedef {Object} TransportLeg
+ * @property {string} id
+ * @property {string} name
+ * @property {"fw"|"rev"} direction      Counted in E_fw (filler → store) or E_rev (store → filler)
+ * @property {number|string} distance    [km]
+ * @property {number|string} EF          Per capsule and 100 km at full load [kg CO₂e]
+ * @property {number|string} load        Load utilisation, 0–1
+ * @property {number|string} backhaul    Share carried on return runs that happen anyway, 0–1
+ */
+
+/**
+ * Model constants (see DEFAULT_CONSTANTS in constants.js).
+ * @typedef {Object} Constants
+ * @property {number} m_Al_mup            Capsule mass [kg]
+ * @property {number} EF_Al_prim          Aluminium emission factor [kg CO₂e/kg]
+ * @property {number} EF_Al_sec           Secondary aluminium, incl. remelting [kg CO₂e/kg]
+ * @property {number} EF_disposal         Disposal of aluminium not recycled [kg CO₂e/kg]
+ * @property {number} E_fw_init           Initial logistics per capsule [kg CO₂e]
+ * @property {number} E_single_shot       SUP reference per cup [kg CO₂e]
+ * @property {number} E_use               Use phase per cycle [kg CO₂e]
+ * @property {number} E_clean             Cleaning + refill per cycle [kg CO₂e]
+ * @property {number} T_FACTOR_PER_100KM  Transport per capsule and 100 km [kg CO₂e]
+ */
+
+/**
+ * @typedef {Object} SeriesResult
+ * @property {{cycle: number, MUP_g: number, SUP_g: number}[]} data  One row per N = 1..N_max_top [g CO₂e/cup]
+ * @property {number} q              Survival rate per cycle, p_ret · (1 − p_scr)
+ * @property {number} E_cycle_g      Burden of one reuse cycle [g CO₂e]
+ * @property {number} firstCost_g    Amortised footprint at N = 1 [g CO₂e/cup]
+ * @property {number} lastCost_g     Amortised footprint at N = N_max_top [g CO₂e/cup]
+ * @property {number|null} breakEven First N with MUP ≤ SUP, null if not reached within N_max_top
+ * @property {number} E_fw_g         Forward transport per cycle [g CO₂e]
+ * @property {number} E_rev_g        Reverse transport per cycle [g CO₂e]
+ * @property {{id: string, name: string, direction: string, E_g: number}[]} transport  Per-leg breakdown [g CO₂e/cycle]
+ * @property {boolean} varying       Cycle-dependent profiles are active; q, E_cycle_g and the transport figures
+ *                                   then describe the first cycle
+ * @property {{A: number, E_mat_g: number, E_EoL_g: number, E_EoL_drop_g: number}|null} eol  Per-capsule material and
+ *                                   EoL routes of the EoL sub-model [g CO₂e], null for a net EoL balance
+ */
+
+export function toNum(v, fallback = 0) {
+  const n = typeof v === "string" ? parseFloat(v) : v;
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/** Expected number of uses of a capsule over N technical cycles: Σ q^k, k = 0..N−1. */
+export function effectiveUses(N, q) {
+  if (q === 1) return N;
+  return (1 - q ** N) / (1 - q);
+}
+
+const MIN_LOAD = 0.01;
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/** Burden of one transport leg per capsule and trip [kg CO₂e]. */
+export function legBurden(leg) {
+  const load = Math.max(MIN_LOAD, clamp01(toNum(leg.load, 1)));
+  const backhaul = clamp01(toNum(leg.backhaul, 0));
+  return ((toNum(leg.distance, 0) / 100) * toNum(leg.EF, 0) * (1 - backhaul)) / load;
+}
+
+/**
+ * Lifetime terms of one scenario [kg CO₂e]: amortised(N) = (E_start + U·E_cycle + E_EoL) / U.
+ * With an EoL sub-model, E_EoL is the route of capsules retired at N_max; capsules lost or scrapped in a cycle
+ * take their own route instead, which adds (1 − q) · E_EoL_early per cycle (the E_EoL_drop stage).
+ * @param {ScenarioInput} params
+ * @param {Constants} constants
+ * @returns {{ E_start: number, E_cycle: number, E_EoL: number, q: number, E_sup: number, T_PER_KM: number,
+ *   E_EoL_early: number, eol: Object|null, E_fw: number, E_rev: number, usesLegs: boolean, transport: {id: string, name: string, direction: string, E: number}[],
+ *   stages: Record<string, number>, p_ret: number, p_scr: number, profiles: Object, varying: boolean }}
+ */
+export function modelTerms(params, constants) {
+  const {
+    m_Al_mup,
+    EF_Al_prim,
+    E_fw_init,
+    E_single_shot,
+    E_use,
+    E_clean,
+    T_FACTOR_PER_100KM,
+  } = constants;
+
+  // Safe coerce (allow string states)
+  const E_manu_mup = toNum(params.E_manu_mup, 0);
+  const KM_ONE_WAY = toNum(params.KM_ONE_WAY, 0);
+  const p_ret = clamp01(toNum(params.p_ret, 0));
+  const p_scr = clamp01(toNum(params.p_scr, 0));
+  const E_EoL_mup = toNum(params.E_EoL_mup, 0);
+
+  const T_FACTOR_PER_KM = T_FACTOR_PER_100KM / 100.0;
+  const usesLegs = Array.isArray(params.legs) && params.legs.length > 0;
+  const transport = usesLegs
+    ? params.legs.map((l) => ({ id: l.id, name: l.name, direction: l.direction, E: legBurden(l) }))
+    : [
+        { id: "fw", name: "Forward", direction: "fw", E: T_FACTOR_PER_KM * KM_ONE_WAY },
+        { id: "rev", name: "Reverse", direction: "rev", E: T_FACTOR_PER_KM * KM_ONE_WAY },
+      ];
+  const sumDirection = (dir) => transport.reduce((sum, l) => (l.direction === dir ? sum + l.E : sum), 0);
+  const E_fw = sumDirection("fw");
+  const E_rev = sumDirection("rev");
+
+  const eol = params.eol ? eolTerms(resolveEol(params.eol).values, constants) : null;
+  const E_mat_mup = eol ? eol.E_mat : m_Al_mup * EF_Al_prim;
+  const E_EoL = eol ? eol.E_EoL : E_EoL_mup;
+  const E_EoL_early = eol ? eol.E_EoL_drop - eol.E_EoL : 0;
+  const q = p_ret * (1 - p_scr);
+  const E_EoL_drop = (1 - q) * E_EoL_early;
+  const profiles = compileProfiles(params.profiles);
+  return {
+    E_start: E_mat_mup + E_manu_mup + E_fw_init,
+    E_cycle: E_clean + E_fw + E_use + E_rev + E_EoL_drop,
+    E_EoL,
+    E_EoL_early,
+    eol,
+    q,
+    E_sup: E_single_shot,
+    T_PER_KM: T_FACTOR_PER_KM,
+    E_fw,
+    E_rev,
+    usesLegs,
+    transport,
+    // Life-cycle stages before aggregation (see contributions.js)
+    stages: { E_mat_mup, E_manu_mup, E_fw_init, E_clean, E_fw, E_use, E_rev, E_EoL_mup: E_EoL, E_EoL_drop },
+    p_ret,
+    p_scr,
+    profiles,
+    varying: Object.values(profiles).some(Boolean),
+  };
+}
+
+/** Survival rate and per-cycle burdens of cycle k (1-based) under the scenario's profiles. */
+export function cycleAt(terms, k) {
+  const { profiles, stages } = terms;
+  const p_scr = profiles.p_scr ? profiles.p_scr(terms.p_scr, k) : terms.p_scr;
+  const tf = profiles.transport ? profiles.transport(1, k) : 1;
+  const E_clean = profiles.E_clean ? stages.E_clean * profiles.E_clean(1, k) : stages.E_clean;
+  const E_fw = stages.E_fw * tf;
+  const E_rev = stages.E_rev * tf;
+  const q = terms.p_ret * (1 - p_scr);
+  const E_EoL_drop = (1 - q) * terms.E_EoL_early;
+  return {
+    q,
+    tf,
+    E_clean,
+    E_fw,
+    E_use: stages.E_use,
+    E_rev,
+    E_EoL_drop,
+    E_cycle: E_clean + E_fw + stages.E_use + E_rev + E_EoL_drop,
+  };
+}
+
+/**
+ * Survival-weighted sums over cycles 1..N: U = Σ S_k and Σ S_k · E(k) for each per-cycle stage,
+ * with S_1 = 1 and S_k+1 = S_k · q_k. TF = Σ S_k · transport factor. Without profiles this is the
+ * closed form U = (1 − q^N) / (1 − q); `onCycle(N, sums)` sees the running sums of the numeric path and
+ * ends it early by returning true.
+ */
+export function cycleSums(terms, N, onCycle) {
+  if (!terms.varying) {
+    const U = effectiveUses(N, terms.q);
+    const { E_clean, E_fw, E_use, E_rev, E_EoL_drop } = terms.stages;
+    return {
+      U,
+      TF: U,
+      E_clean: U * E_clean,
+      E_fw: U * E_fw,
+      E_use: U * E_use,
+      E_rev: U * E_rev,
+      E_EoL_drop: U * E_EoL_drop,
+      E_cycle: U * terms.E_cycle,
+    };
+  }
+  const sums = { U: 0, TF: 0, E_clean: 0, E_fw: 0, E_use: 0, E_rev: 0, E_EoL_drop: 0, E_cycle: 0 };
+  let S = 1;
+  for (let k = 1; k <= N; k++) {
+    const c = cycleAt(terms, k);
+    sums.U += S;
+    sums.TF += S * c.tf;
+    sums.E_clean += S * c.E_clean;
+    sums.E_fw += S * c.E_fw;
+    sums.E_use += S * c.E_use;
+    sums.E_rev += S * c.E_rev;
+    sums.E_EoL_drop += S * c.E_EoL_drop;
+    sums.E_cycle += S * c.E_cycle;
+    S *= c.q;
+    if (onCycle?.(k, sums) === true) break;
+  }
+  return sums;
+}
+
+/** Amortised footprint per cup [kg CO₂e] after N technical cycles. */
+export function amortisedAt(terms, N) {
+  if (terms.varying) {
+    const sums = cycleSums(terms, N);
+    return (terms.E_start + sums.E_cycle + terms.E_EoL) / sums.U;
+  }
+  const U = effectiveUses(N, terms.q);
+  return (terms.E_start + U * terms.E_cycle + terms.E_EoL) / U;
+}
+
+/**
+ * Amortised footprint per cup [kg CO₂e] at each of the ascending `cycles`: closed form per cycle, or one
+ * numeric pass up to the last of them when parameters vary by cycle.
+ */
+export function amortisedAtCycles(terms, cycles) {
+  if (!terms.varying) return cycles.map((N) => amortisedAt(terms, N));
+  const out = [];
+  cycleSums(terms, cycles[cycles.length - 1] ?? 0, (N, sums) => {
+    if (N === cycles[out.length]) out.push((terms.E_start + sums.E_cycle + terms.E_EoL) / sums.U);
+  });
+  return out;
+}
+
+/**
+ * Key figures of computeSeries() without building the series [g CO₂e/cup]. The closed form is monotone in N,
+ * so the first N at or below SUP is a binary search; with profiles it takes one pass over the cycles.
+ * @returns {{ firstCost_g: number, lastCost_g: number, SUP_g: number, breakEven: number|null }}
+ */
+export function seriesSummary(params, constants, N_max_top) {
+  const terms = modelTerms(params, constants);
+  const E_sup = terms.E_sup;
+  let first;
+  let last;
+  let breakEven = null;
+  if (terms.varying) {
+    cycleSums(terms, N_max_top, (N, sums) => {
+      last = (terms.E_start + sums.E_cycle + terms.E_EoL) / sums.U;
+      if (N === 1) first = last;
+      if (breakEven === null && last <= E_sup) breakEven = N;
+    });
+  } else {
+    first = amortisedAt(terms, 1);
+    last = amortisedAt(terms, N_max_top);
+    if (first <= E_sup) breakEven = 1;
+    else if (last <= E_sup) {
+      // Falling curve: amortisedAt(lo) > SUP ≥ amortisedAt(hi)
+      let lo = 1;
+      let hi = N_max_top;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (amortisedAt(terms, mid) <= E_sup) hi = mid;
+        else lo = mid;
+      }
+      breakEven = hi;
+    }
+  }
+  return { firstCost_g: first * 1000, lastCost_g: last * 1000, SUP_g: E_sup * 1000, breakEven };
+}
+
+/**
+ * Amortised CO₂e per cup for every N up to N_max_top.
+ * @param {ScenarioInput} params
+ * @param {Constants} constants
+ * @param {number} N_max_top
+ * @returns {SeriesResult}
+ */
+export function computeSeries(params, constants, N_max_top) {
+  const terms = modelTerms(params, constants);
+  const { E_sup: E_single_shot } = terms;
+  const { E_cycle, q } = terms.varying ? cycleAt(terms, 1) : terms;
+
+  const data = [];
+  let firstCost = null;
+  let lastCost = null;
+  let breakEven = null;
+
+  // Closed form per N, or one numeric pass over the cycles when parameters vary by cycle
+  const amortised = [];
+  if (terms.varying) {
+    cycleSums(terms, N_max_top, (N, sums) => amortised.push((terms.E_start + sums.E_cycle + terms.E_EoL) / sums.U));
+  }
+
+  for (let N = 1; N <= N_max_top; N++) {
+    const amort = terms.varying ? amortised[N - 1] : amortisedAt(terms, N); // kg
+
+    if (firstCost === null) firstCost = amort;
+    lastCost = amort;
+
+    data.push({
+      cycle: N,
+      MUP_g: amort * 1000, // g
+      SUP_g: E_single_shot * 1000,
+    });
+
+    if (breakEven === null && amort <= E_single_shot) {
+      breakEven = N;
+    }
+  }
+
+  return {
+    data,
+    q,
+    E_cycle_g: E_cycle * 1000,
+    firstCost_g: firstCost * 1000,
+    lastCost_g: lastCost * 1000,
+    breakEven,
+    E_fw_g: terms.E_fw * 1000,
+    E_rev_g: terms.E_rev * 1000,
+    transport: terms.transport.map(({ E, ...leg }) => ({ ...leg, E_g: E * 1000 })),
+    varying: terms.varying,
+    eol: terms.eol && {
+      A: terms.eol.A,
+      E_mat_g: terms.eol.E_mat * 1000,
+      E_EoL_g: terms.eol.E_EoL * 1000,
+      E_EoL_drop_g: terms.eol.E_EoL_drop * 1000,
+    },
+  };
+}
+
+/**
+ * Headless entry point (CLI, scripts): missing constants fall back to the defaults; invalid scenario
+ * inputs throw.
+ * @param {{ scenario: ScenarioInput, constants?: Partial<Constants>, N_max_top?: number }} input
+ * @returns {SeriesResult & { N_max_top: number, constants: Constants }}
+ */
+export function evaluateScenario({ scenario, constants = {}, N_max_top = 50 }) {
+  if (!scenario || typeof scenario !== "object") throw new TypeError("scenario must be an object");
+  if (!Number.isInteger(N_max_top) || N_max_top < 1) throw new RangeError("N_max_top must be an integer ≥ 1");
+  const merged = { ...DEFAULT_CONSTANTS, ...constants };
+  for (const [key, v] of Object.entries(merged)) {
+    if (!Number.isFinite(v)) throw new TypeError(`constant ${key} must be a finite number`);
+  }
+  const { values, errors } = resolveScenario(scenario);
+  const problem = describeErrors(errors);
+  if (problem) throw new TypeError(`scenario ${problem}`);
+  return { N_max_top, constants: merged, ...computeSeries(values, merged, N_max_top) };
+}
@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { amortisedAtCycles, computeSeries, effectiveUses, evaluateScenario, modelTerms, seriesSummary, toNum } from "./lca.js";
+
+// Reference scenarios (dashboard defaults); expected values derived by hand from the Python model:
+//   E_mat = 0.00324 kg · 14.77 = 0.0478548 kg, T = 0.00037 kg / 100 km
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const BEST = { E_manu_mup: "0.0006", KM_ONE_WAY: "100", p_ret: 1, p_scr: 0, E_EoL_mup: "-0.0001" };
+const WORST = { E_manu_mup: "0.0010", KM_ONE_WAY: "300", p_ret: 0.95, p_scr: 0.05, E_EoL_mup: "0.0001" };
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+describe("effectiveUses", () => {
+  it("is N when every capsule survives (q = 1)", () => {
+    assert.equal(effectiveUses(7, 1), 7);
+  });
+
+  it("equals the geometric sum of survival probabilities", () => {
+    for (const q of [0, 0.5, 0.9702]) {
+      let sum = 0;
+      for (let k = 0; k < 12; k++) sum += q ** k;
+      close(effectiveUses(12, q), sum);
+    }
+  });
+
+  it("is a single use when q = 0", () => {
+    assert.equal(effectiveUses(1, 0), 1);
+    assert.equal(effectiveUses(30, 0), 1);
+  });
+});
+
+describe("computeSeries", () => {
+  it("matches the reference values for the Expected Case", () => {
+    const r = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50);
+    close(r.q, 0.9702);
+    close(r.E_cycle_g, 2.11); // 1 g cleaning + 2 · 0.555 g transport
+    close(r.firstCost_g, 51.1348); // E_start 49.0248 g + one cycle
+    close(r.data[1].MUP_g, ((0.0490248 + 1.9702 * 0.00211) / 1.9702) * 1000);
+    close(r.lastCost_g, 3.983779188462039, 1e-9);
+    assert.equal(r.breakEven, 35);
+    assert.equal(r.data.length, 50);
+    assert.deepEqual(r.data[0], { cycle: 1, MUP_g: r.firstCost_g, SUP_g: 4.37 });
+  });
+
+  it("uses U_eff = N in the q === 1 branch (Best Case)", () => {
+    const r = computeSeries(BEST, DEFAULT_CONSTANTS, 50);
+    assert.equal(r.q, 1);
+    // amortised = (E_start + E_EoL) / N + E_cycle = 0.0487248 / N + 0.00174
+    for (const N of [1, 10, 50]) close(r.data[N - 1].MUP_g, (0.0487248 / N + 0.00174) * 1000);
+    // 0.0487248 / N + 0.00174 <= 0.00437  ⇔  N >= 18.53
+    assert.equal(r.breakEven, 19);
+  });
+
+  it("reports no break-even when it lies beyond the horizon (Worst Case)", () => {
+    const r = computeSeries(WORST, DEFAULT_CONSTANTS, 50);
+    close(r.q, 0.9025);
+    assert.equal(r.breakEven, null);
+    close(r.lastCost_g, 8.0578, 1e-3);
+  });
+
+  it("is flat when every returned capsule is scrapped (p_scr = 1)", () => {
+    const r = computeSeries({ ...EXPECTED, p_scr: 1 }, DEFAULT_CONSTANTS, 20);
+    assert.equal(r.q, 0);
+    for (const row of r.data) close(row.MUP_g, 51.1348);
+    assert.equal(r.breakEven, null);
+  });
+
+  it("breaks even at N = 1 when the EoL credit outweighs the start burden", () => {
+    const r = computeSeries({ ...BEST, E_EoL_mup: "-0.05" }, DEFAULT_CONSTANTS, 10);
+    close(r.firstCost_g, (0.0488248 + 0.00174 - 0.05) * 1000);
+    assert.equal(r.breakEven, 1);
+  });
+
+  it("passes negative per-cup totals through unchanged", () => {
+    const r = computeSeries({ ...BEST, E_EoL_mup: -0.1 }, DEFAULT_CONSTANTS, 3);
+    assert.ok(r.firstCost_g < 0);
+    close(r.data[2].MUP_g, ((0.0488248 - 0.1) / 3 + 0.00174) * 1000);
+  });
+
+  it("treats numeric strings and numbers alike and clamps probabilities", () => {
+    const asNumbers = computeSeries({ E_manu_mup: 0.0008, KM_ONE_WAY: 150, p_ret: 0.98, p_scr: 0.01, E_EoL_mup: 0 }, DEFAULT_CONSTANTS, 10);
+    assert.deepEqual(computeSeries(EXPECTED, DEFAULT_CONSTANTS, 10), asNumbers);
+    assert.equal(computeSeries({ ...EXPECTED, p_ret: 1.5, p_scr: -0.2 }, DEFAULT_CONSTANTS, 1).q, 1);
+  });
+});
+
+describe("seriesSummary", () => {
+  it("gives the key figures of computeSeries without the series", () => {
+    const aged = { ...EXPECTED, profiles: { p_scr: { type: "linear", slope: "0.002" } } };
+    const credit = { ...BEST, E_EoL_mup: "-0.05" };
+    for (const s of [EXPECTED, BEST, WORST, aged, credit, { ...EXPECTED, p_scr: 1 }]) {
+      for (const N of [1, 34, 35, 50, 2000]) {
+        const r = computeSeries(s, DEFAULT_CONSTANTS, N);
+        assert.deepEqual(seriesSummary(s, DEFAULT_CONSTANTS, N), {
+          firstCost_g: r.firstCost_g,
+          lastCost_g: r.lastCost_g,
+          SUP_g: r.data[0].SUP_g,
+          breakEven: r.breakEven,
+        });
+      }
+    }
+  });
+
+  it("reads the amortised curve at chosen cycles only", () => {
+    const aged = { ...EXPECTED, profiles: { E_clean: { type: "exponential", rate: "-0.03" } } };
+    for (const s of [EXPECTED, aged]) {
+      const { data } = computeSeries(s, DEFAULT_CONSTANTS, 40);
+      const cycles = [1, 2, 17, 40];
+      assert.deepEqual(
+        amortisedAtCycles(modelTerms(s, DEFAULT_CONSTANTS), cycles).map((v) => v * 1000),
+        cycles.map((N) => data[N - 1].MUP_g)
+      );
+    }
+  });
+});
+
+describe("toNum", () => {
+  it("falls back for non-numeric input and keeps parseFloat semantics", () => {
+    assert.equal(toNum("abc", 7), 7);
+    assert.equal(toNum("", 0), 0);
+    assert.equal(toNum("0.5kg"), 0.5);
+    assert.equal(toNum(Infinity, 1), 1);
+  });
+});
+
+describe("evaluateScenario", () => {
+  it("merges partial constants with the defaults", () => {
+    const r = evaluateScenario({ scenario: BEST, constants: { EF_Al_prim: 0 }, N_max_top: 1 });
+    assert.equal(r.constants.m_Al_mup, DEFAULT_CONSTANTS.m_Al_mup);
+    close(r.firstCost_g, (0.0006 + 0.00037 - 0.0001 + 0.00174) * 1000);
+  });
+
+  it("rejects invalid horizons and constants", () => {
+    assert.throws(() => evaluateScenario({ scenario: BEST, N_max_top: 0 }), RangeError);
+    assert.throws(() => evaluateScenario({ scenario: BEST, constants: { E_clean: "x" } }), TypeError);
+    assert.throws(() => evaluateScenario({}), TypeError);
+  });
+
+  it("rejects scenario inputs that are not numbers instead of reading them as 0", () => {
+    assert.throws(() => evaluateScenario({ scenario: { ...BEST, KM_ONE_WAY: "far" } }), /scenario KM_ONE_WAY: Not a number/);
+    assert.throws(() => evaluateScenario({ scenario: { ...BEST, p_scr: 2 } }), TypeError);
+  });
+});
@@ -0,0 +1,610 @@
+/* ========= German catalogue ========= */
+export default {
+  common: {
+    scenario: "Szenario",
+    delete: "Löschen",
+    close: "Schließen",
+    dismiss: "Ausblenden",
+    resetDefaults: "Auf Standardwerte zurücksetzen",
+    defaultValue: "Standard {value}",
+    usingDefault: "{error} — Standardwert {value} wird verwendet",
+    computing: "Wird berechnet …",
+    failed: "Berechnung fehlgeschlagen: {error}",
+  },
+  units: {
+    perCup: "Tasse",
+    perThousand: "1000 Tassen",
+  },
+  app: {
+    title: "{indicator} pro Tasse: Einweg (SUP) vs. Mehrweg (MUP) — {n} Szenarien",
+    indicator: "Wirkungsindikator",
+    units: "Ergebniseinheit",
+    language: "Sprache",
+    uncertainty: "Unsicherheit",
+    uncertaintyToggle: "Monte-Carlo-Unsicherheitsanalyse ein-/ausschalten",
+    sensitivity: "Sensitivitätsanalyse",
+    sensitivityToggle: "Sensitivitätsanalyse ein-/ausschalten",
+    undo: "Rückgängig (Strg+Z)",
+    redo: "Wiederholen (Strg+Umschalt+Z)",
+    import: "Importieren",
+    copyLink: "Link kopieren",
+    linkCopied: "Link kopiert ✓",
+    copyPrompt: "Diesen Link kopieren:",
+    breakEvenShown: "Break-even (falls vorhanden) im Diagramm markiert",
+    exportFailed: "Export fehlgeschlagen: {error}",
+    sessionFallback: "Stattdessen wird die zuletzt gespeicherte Sitzung (bzw. die Standardwerte) angezeigt.",
+    addScenario: "+ Szenario hinzufügen",
+    footer: "Modell auf Basis der Python-Ökobilanzrechnung. Alle Werte pro Tasse; {indicator} in {unit}.",
+    copyright:
+      "© Geistiges Eigentum von Maximilian Kühn, Cornelius Hauber, Henri Calaminus und Christopher-Lund Seureau.",
+  },
+  num: {
+    hint: "Mit Enter oder beim Verlassen des Felds übernehmen.",
+  },
+  slider: {
+    keys: "Pfeiltasten ±{step}, mit Umschalt ±{fine}, Bild auf / Bild ab ±{coarse}, Pos1 / Ende zu den Grenzen",
+  },
+  badge: {
+    at: "Break-even N={n}",
+    atTitle: "Break-even bei Zyklus N={n}",
+    none: "Kein Break-even",
+    noneTitle: "Kein Break-even innerhalb des Horizonts",
+  },
+  card: {
+    colour: "Farbe von {name}",
+    name: "Szenarioname",
+    moveLeft: "Nach links",
+    moveRight: "Nach rechts",
+    duplicate: "Szenario duplizieren",
+    delete: "Szenario löschen",
+    example: "z. B. {value}",
+    splitLegs: "In Transportabschnitte aufteilen (Fahrzeug, Auslastung, Rückfracht)",
+    modelEol: "Lebensende modellieren (Recycling, Allokation)",
+    eolMethod: "EoL-Allokation: {method}",
+    eolNet: "Nettobilanz wie eingegeben",
+    survival: "Überlebensrate",
+    start: "Start (N=1)",
+    atN: "Bei N = {n}",
+  },
+  assumptions: {
+    title: "Annahmen",
+    activeSet: "Aktiver Konstantensatz",
+    defaultSet: "Standard (Primär-Al)",
+    fromLink: "{name} (aus Link)",
+    modified: "geändert",
+    saveAs: "Speichern als … (z. B. Sekundär-Al)",
+    saveSet: "Satz speichern",
+    deleteSet: "Satz löschen",
+  },
+  chart: {
+    title: "{indicator} pro Tasse über Nutzungszyklen ({unit})",
+    nMax: "Maximale technische Zyklen N_max",
+    nMaxKept: "{error} – N_max = {n} bleibt",
+    xAxis: "Max. technische Zyklen (N_max)",
+    sup: "SUP-Referenz",
+    constants: "Konstanten ({name})",
+    constantsModified: "Konstanten ({name}, geändert)",
+  },
+  breakEven: {
+    title: "Break-even-Analyse",
+    solved: "Berechneter Break-even:",
+    exact: "(exakt {n})",
+    beyond: "– jenseits N_max = {n}",
+    never: "Nie –",
+    neverCycle: "schon ein einzelner Mehrwegzyklus kostet mehr als eine Einwegtasse",
+    neverAsymptote: "die Kurve flacht bei {limit} > {sup} SUP ab",
+    neverScan: "nicht innerhalb von {n} Zyklen (dort {limit})",
+    target: "Break-even bis N =",
+    targetError: "Ganze Zahl ≥ 1",
+    input: "Eingabe (allein)",
+    needed: "Erforderlich",
+    current: "Aktuell",
+    unused: "nicht verwendet (Transportabschnitte)",
+    any: "jeder Wert",
+    unreachable: "nicht erreichbar",
+    meets: "Aktueller Wert erfüllt das Ziel",
+    misses: "Aktueller Wert verfehlt das Ziel",
+  },
+  transport: {
+    title: "Transportabschnitte",
+    single: "Einzelne Distanz verwenden",
+    addLeg: "+ Abschnitt hinzufügen",
+    legName: "Name des Abschnitts",
+    direction: "Richtung von {name}",
+    removeLeg: "Abschnitt entfernen",
+    remove: "{name} entfernen",
+    vehicle: "Fahrzeug",
+    distance: "Distanz [km]",
+    ef: "Emissionsfaktor [kg CO₂e/Kapsel · 100 km, volle Auslastung]",
+    load: "Auslastung",
+    backhaul: "Rückfrachtanteil",
+    perCapsuleCycle: "pro Kapsel und Zyklus",
+    summary: "E_fw {fw} · E_rev {rev} pro Zyklus",
+    ignored: "{error} – Abschnitt wird bis zur Korrektur ignoriert",
+  },
+  eol: {
+    title: "Lebensende-Modell",
+    net: "Einzelnen Nettowert verwenden",
+    method: "Allokation",
+    intro:
+      "Der Rezyklatanteil bestimmt die Materiallast; die Recyclingquoten bestimmen das Lebensende der bei N_max ausgemusterten Kapseln und der unterwegs verlorenen oder ausgesonderten. E_rec und E_D sind die Faktoren für Sekundäraluminium und Beseitigung in den Annahmen.",
+    invalid: "{error} — verwende {value}",
+    summary: "Material {mat} · ausgemustert {ret} · verloren & Ausschuss {drop} {unit} pro Kapsel",
+  },
+  profiles: {
+    title: "Zyklusabhängige Parameter",
+    active: "({n} aktiv)",
+    intro:
+      "Ausschussquote: Wert pro Zyklus. Reinigung und Transport: Faktor auf die Grundlast (1 = unverändert). Sobald ein Profil aktiv ist, werden die Zyklen numerisch summiert.",
+    type: "Profil {label}",
+    slope: "Änderung pro Zyklus",
+    rate: "Rate pro Zyklus (−0,02 = −2 %)",
+    from: "ab N =",
+    value: "Wert",
+    rowFrom: "Zeile {n}, erster Zyklus",
+    rowValue: "Zeile {n}, Wert",
+    removeRow: "Zeile {n} entfernen",
+    addRow: "+ Zeile",
+    ignored: "{error} – Profil wird bis zur Korrektur ignoriert",
+  },
+  comparators: {
+    title: "Einweg-Vergleichsprodukte",
+    intro:
+      "Jedes Vergleichsprodukt erscheint als Referenzlinie im Diagramm oben. Netto = Fußabdruck − EoL-Gutschrift. Die Standardwerte sind beispielhaft; ersetzen Sie sie durch eigene Daten.",
+    comparator: "Vergleichsprodukt",
+    net: "Netto [{unit}]",
+    name: "Name des Vergleichsprodukts",
+    remove: "Vergleichsprodukt entfernen",
+    removeNamed: "{name} entfernen",
+    add: "+ Vergleichsprodukt hinzufügen",
+    matrix: "Break-even N (Szenario × Vergleichsprodukt)",
+    none: "Kein gültiges Vergleichsprodukt.",
+    never: "nie",
+    beyond: "jenseits N_max = {n}",
+    note: "* jenseits N_max = {n}. „nie“: Das Szenario fällt bei keinem N unter das Vergleichsprodukt.",
+    actions: "Aktionen",
+    scenario: "Szenario",
+  },
+  indicators: {
+    title: "Vergleich aller Indikatoren bei N = {n}",
+    intro:
+      "Fußabdruck der Mehrwegtasse als Anteil von SUP je Indikator (SUP = 100 %). Ein Klick auf einen Indikator in der Tabelle zeigt ihn in den übrigen Diagrammen.",
+    indicator: "Indikator",
+    ofSup: "{share} von SUP",
+  },
+  impacts: {
+    title: "Wirkungsfaktoren — {indicator}",
+    intro:
+      "Werte in {unit}. Die Standardwerte sind Platzhalter; Transportabschnitte skalieren ihren Emissionsfaktor mit dem Transportfaktor dieses Indikators relativ zum Klimafaktor.",
+    fromEolModel: "Wird vom Lebensende-Modell des Szenarios berechnet",
+  },
+  diff: {
+    title: "Momentaufnahmen & Vergleich",
+    intro:
+      "Rückgängig / Wiederholen (Strg+Z, Strg+Umschalt+Z) durchläuft jede Szenario- und Konstantenänderung dieser Sitzung. Momentaufnahmen werden in diesem Browser gespeichert.",
+    currentModel: "Aktuelles Modell",
+    snapshotName: "Name der Momentaufnahme (z. B. Vor dem Workshop)",
+    saveSnapshot: "Momentaufnahme speichern",
+    noSnapshots: "Noch keine Momentaufnahmen. Eine Momentaufnahme enthält alle Szenarien, Konstanten und Vergleichsprodukte.",
+    scenarioCount: "{n} Szenarien",
+    restore: "Wiederherstellen",
+    source: "Quelle {side}",
+    scenario: "Szenario {side}",
+    overlay: "Im Diagramm einblenden",
+    changedOnly: "Nur Änderungen",
+    parameter: "Parameter",
+    result: "Ergebnis",
+    noChanges: "Kein Parameter unterscheidet sich.",
+    leg: "Transportabschnitt {n}",
+    profile: "Profil {label}",
+  },
+  contrib: {
+    title: "Beitrag nach Lebenszyklusphase ({name})",
+    scenario: "Szenario für die Beitragsanalyse",
+    tableAt: "Tabelle bei N =",
+    intro:
+      "Einmalige Lasten (Material, Herstellung, Erstlogistik, Entsorgung) werden auf die effektiven Nutzungen verteilt; Lasten pro Zyklus bleiben konstant. Gutschriften erscheinen unterhalb von null.",
+    cycle: "Zyklus N = {n}",
+    stageAt: "Phase bei N = {n}",
+    share: "Anteil",
+    total: "MUP gesamt",
+    byGroup: "Nach Gruppe",
+    dominates: "dominiert bei N = {n} mit {share} des Fußabdrucks.",
+  },
+  fleet: {
+    title: "Flotten- / Systemsicht ({name})",
+    scenario: "Szenario für die Flottensicht",
+    intro:
+      "Rücklauf- und Ausschussquote stammen aus der Szenariokarte, die technische Lebensdauer aus N_max ({n} Zyklen). Der Bestand wird in Monat 1 gekauft; Verluste und ausgemusterte Kapseln werden nachgekauft. Kapseln, die am Ende des Zeitraums noch im Bestand sind, werden im letzten Monat mit ihrem Lebensende belastet.",
+    size: "Flottengröße",
+    capsules: "{n} Kapseln",
+    initialPurchase: "Erstbeschaffung",
+    topUps: "Nachkäufe",
+    perYear: "≈ {n} pro Jahr",
+    mupTotal: "MUP gesamt",
+    supBaseline: "Nur-SUP-Referenz",
+    cups: "{n} Tassen",
+    savings: "Einsparung",
+    extra: "Mehremissionen",
+    ahead: "{share} · im Vorteil ab Monat {month}",
+    neverAhead: "{share} · innerhalb von {years} Jahren nie im Vorteil",
+    cumulative: "kumuliert {unit}",
+    boughtAxis: "gekaufte Kapseln",
+    bought: "Gekaufte Kapseln",
+    month: "Monat {n}",
+    year: "Jahr",
+    boughtShort: "Gekauft",
+    saved: "Eingespart",
+    monthColumn: "Monat",
+  },
+  mc: {
+    title: "Unsicherheit (Monte Carlo)",
+    scenario: "Szenario für Monte Carlo",
+    samples: "Stichproben",
+    seed: "Startwert",
+    reset: "Verteilungen zurücksetzen",
+    cancel: "Abbrechen ({progress})",
+    run: "Simulation starten",
+    failed: "Simulation fehlgeschlagen: {error}",
+    input: "Eingabe",
+    base: "Basis",
+    distribution: "Verteilung",
+    parameters: "Parameter",
+    constant: "(Konstante)",
+    distributionOf: "Verteilung von {label}",
+    note: "Nicht angepasste Szenarioeingaben sind dreiecksverteilt mit ±10 % um den aktuellen Wert. Lognormal verwendet Median und geometrische Standardabweichung. Stichproben werden auf physikalische Grenzen beschnitten (Wahrscheinlichkeiten 0–1, nicht-negative Massen und Distanzen).",
+    stale: "Eingaben seit dem letzten Lauf geändert — die Ergebnisse unten sind veraltet und die Bänder ausgeblendet. Zum Aktualisieren erneut starten.",
+    pBeats: "P(MUP ≤ SUP bei N={n})",
+    pBreakEven: "P(Break-even im Horizont)",
+    medianBreakEven: "Median Break-even N (falls erreicht)",
+    band: "P5–P95 bei N={n}",
+    histogram: "Verteilung des Break-even N",
+    summary: "{samples} Stichproben, Startwert {seed}. {none} Stichproben erreichen keinen Break-even bis N_max = {n}.",
+    hint: "Simulation starten, um P5/P50/P95-Bänder im Diagramm oben zu sehen (N_max = {n}).",
+  },
+  sensitivity: {
+    title: "Sensitivität — Einfluss auf MUP ({name}): {kpi} ({unit})",
+    scenario: "Szenario für die Sensitivitätsanalyse",
+    kpi: "Kennzahl",
+    costAt: "Wert bei N = {n}",
+    edit: "Variationen bearbeiten",
+    hide: "Variationen ausblenden",
+    resetAll: "Alle Variationen zurücksetzen",
+    parameter: "Parameter",
+    base: "Basis",
+    perturbation: "Variation",
+    perturbationOf: "Variation von {label}",
+    values: "Werte",
+    low: "niedrig",
+    high: "hoch",
+    min: "min",
+    max: "max",
+    noBase:
+      "{name} erreicht bis N_max = {n} keinen Break-even, daher fehlt ein Basiswert zum Vergleich. N_max erhöhen oder eine andere Kennzahl wählen.",
+    bars: "Balken zeigen die Änderung gegenüber der Basis ({base}). Niedrig = Parameter auf dem niedrigen Wert, Hoch = auf dem hohen Wert.",
+    beyond: "Ein Break-even jenseits des Horizonts wird bei N_max + 1 = {n} gezeichnet.",
+    notReached: "nicht erreicht (> {n})",
+    atInput: "{change} bei Eingabe {input}",
+    lowBar: "Niedrig",
+    highBar: "Hoch",
+    heatmap: "Heatmap zweier Parameter",
+    steps: "Schritte",
+    colourBy: "Färben nach",
+    axisParam: "Parameter auf der {axis}-Achse",
+    input: "Eingabe",
+  },
+  warnings: {
+    title: "Plausibilitätswarnungen ({n})",
+    eolCredit: "Die EoL-Gutschrift ({credit}) ist größer als die Materiallast der Kapsel ({material}).",
+    breakEvenAtOne:
+      "Break-even bei N = 1: Schon eine einzige Nutzung schlägt SUP. Fehlende Lasten oder eine zu große Gutschrift prüfen.",
+    negativeTotal: "Der Fußabdruck pro Tasse ist ab N = {n} negativ ({value}).",
+    plateau:
+      "Bei einer Überlebensrate von {q} wird eine Kapsel bis N_max = {n} nur ≈ {uses}-mal genutzt; U_eff flacht ab und weitere Zyklen ändern wenig.",
+  },
+  heatmap: {
+    label: "Heatmap von {value}",
+    current: "Aktuelles Szenario",
+    notReached: "nicht erreicht",
+  },
+  sweep: {
+    title: "Parameterstudie — wann gewinnt Mehrweg?",
+    introLines:
+      "Berechnet das Modell für jedes Szenario an jedem Schritt des Bereichs, alle anderen Eingaben mit den Werten des Szenarios. Punkte markieren die eigenen Werte der Szenarien.",
+    introMap:
+      "Berechnet das Modell in jeder Zelle des Rasters für das gewählte Szenario und markiert, wo MUP bei N = {n} höchstens so hoch wie SUP liegt. Die Punkte sind alle Szenarien bei ihren eigenen Werten; ihre übrigen Eingaben können abweichen.",
+    axisParam: "Variierter Parameter auf der {axis}-Achse",
+    none: "— keiner (Liniendiagramm)",
+    min: "von",
+    max: "bis",
+    steps: "Schritte",
+    show: "Anzeige",
+    base: "Szenario für die Bereichskarte",
+    exportCsv: "CSV exportieren",
+    exportJson: "JSON exportieren",
+    breakEven: "Break-even N",
+    savings: "Einsparung",
+    savingsAt: "Einsparung bei N = {n} [{unit}]",
+    notReached: "kein Break-even (> {n})",
+    mupWins: "MUP gewinnt",
+    supWins: "SUP gewinnt",
+    mapLabel: "Bereichskarte von {x} und {y} für {name}: wo MUP bei N = {n} besser als SUP ist",
+    lineLabel: "{kpi} über {x}",
+    share: "MUP schlägt SUP bei N = {n} in {share} der berechneten Punkte.",
+    note: "Einsparung ist SUP minus MUP pro Tasse; ohne Break-even hat die Linie eine Lücke.",
+  },
+  import: {
+    title: "Szenarien importieren",
+    drop: "CSV- oder JSON-Datei hier ablegen oder zum Auswählen klicken",
+    help: "Ein Szenario pro Zeile/Eintrag. Spalten: name, E_manu_mup, KM_ONE_WAY, p_ret, p_scr, E_EoL_mup (optional: Farbe und Konstanten wie EF_Al_prim). JSON-Einträge können statt KM_ONE_WAY Transportabschnitte enthalten.",
+    found: "{n} Szenarien gefunden",
+    foundOne: "1 Szenario gefunden",
+    invalid: ", {n} fehlerhaft (übersprungen)",
+    notMapped: "— nicht zugeordnet —",
+    column: "Spalte {n}",
+    use: "Übernehmen",
+    row: "Zeile {n} importieren",
+    legs: "Abschnitte",
+    applyConstants: "Konstanten aus der Datei übernehmen",
+    add: "Zu den aktuellen Szenarien hinzufügen",
+    replace: "Aktuelle Szenarien ersetzen",
+    apply: "{n} Szenarien importieren",
+    applyOne: "1 Szenario importieren",
+  },
+  export: {
+    menu: "Export ▾",
+    data: "Daten",
+    csv: "CSV pro Zyklus (alle Szenarien + SUP)",
+    json: "JSON-Paket (Eingaben, Konstanten, Ergebnisse)",
+    charts: "Diagramme",
+    line: "Liniendiagramm ({format})",
+    tornado: "Tornado-Diagramm ({format})",
+    tornadoHint: "Sensitivitätsanalyse einschalten, um das Tornado-Diagramm zu exportieren",
+    report: "Bericht",
+    print: "Drucken / als PDF speichern …",
+  },
+  report: {
+    title: "{indicator} pro Tasse: Einweg (SUP) vs. Mehrweg (MUP)",
+    generated: "Bericht erstellt am {date} · Horizont N_max = {n} Zyklen · {indicator}, alle Werte in {unit}",
+    results: "Ergebnisse",
+    survival: "Überlebensrate q",
+    perCycle: "Last pro Zyklus [{unit}]",
+    transport: "Transport hin / zurück [{unit}]",
+    start: "Start N=1 [{unit}]",
+    atN: "Bei N={n} [{unit}]",
+    breakEven: "Break-even",
+    noneWithin: "keiner bis {n}",
+    byComparator: "Break-even je Vergleichsprodukt",
+    allIndicators: "Alle Indikatoren bei N = {n}",
+    indicator: "Indikator",
+    mupPerCup: "MUP / Tasse",
+    supPerCup: "SUP / Tasse",
+    lineAlt: "{indicator} pro Tasse über Nutzungszyklen",
+    lineCaption: "{indicator} pro Tasse über Nutzungszyklen ({unit}).",
+    assumptions: "Szenarioannahmen",
+    eolModelled: "EoL-Modell",
+    eolMethodology: "Methodik",
+    eolMaterial: "Material [{unit}]",
+    eolRetired: "EoL ausgemustert [{unit}]",
+    eolDropped: "EoL verloren & Ausschuss [{unit}]",
+    cycleDependent: "Zyklusabhängig",
+    legs: "Transportabschnitte",
+    leg: "Abschnitt",
+    direction: "Richtung",
+    ef: "EF [kg CO₂e/Kapsel·100 km]",
+    constants: "Modellkonstanten — {name}",
+    constantsModified: "Modellkonstanten — {name} (geändert)",
+    constant: "Konstante",
+    value: "Wert",
+    unit: "Einheit",
+    tornadoAlt: "Tornado-Diagramm der Sensitivität",
+    tornadoCaption: "Ein-Faktor-Sensitivität für das gewählte Szenario und die gewählte Kennzahl.",
+    method: "Methode",
+    methodText:
+      "Fußabdruck pro Tasse nach N technischen Zyklen = (E_start + U_eff · E_cycle + E_EoL) / U_eff, mit E_start = Masse · Al-EF + Herstellung + Erstlogistik, E_cycle = Reinigung + Nutzung + Hin- und Rücktransport (+ (1 − q) · EoL verlorener und ausgesonderter Kapseln mit dem EoL-Modell), Überlebensrate q = p_ret · (1 − p_scr) und erwarteten Nutzungen U_eff = (1 − q^N) / (1 − q) (U_eff = N für q = 1). Der Break-even ist das erste N, bei dem der MUP-Fußabdruck die SUP-Referenz erreicht oder unterschreitet.",
+  },
+
+  /* ===== Labels of items defined in the domain modules, by key ===== */
+  field: {
+    name: "Name",
+    color: "Farbe",
+    E_manu_mup: "Herstellung MUP",
+    KM_ONE_WAY: "Transportdistanz (einfach)",
+    p_ret: "Rücklaufquote p_ret",
+    p_scr: "Ausschussquote p_scr",
+    E_EoL_mup: "Netto-EoL-Bilanz",
+    R1: "Rezyklatanteil R1",
+    R2: "Recyclingquote am Lebensende R2",
+    R2_drop: "Recyclingquote verlorener & ausgesonderter Kapseln",
+    A: "Allokationsfaktor A",
+    Q: "Qualitätsverhältnis Qs/Qp",
+    eol: "Lebensende-Modell",
+    m_Al_mup: "Kapselmasse",
+    EF_Al_prim: "Emissionsfaktor Aluminium",
+    EF_Al_sec: "Faktor Sekundäraluminium",
+    EF_disposal: "Faktor Beseitigung",
+    E_fw_init: "Erstlogistik",
+    E_single_shot: "SUP-Referenz",
+    E_clean: "Reinigung + Befüllung",
+    E_use: "Nutzungsphase",
+    T_FACTOR_PER_100KM: "Transportfaktor",
+  },
+  indicator: {
+    gwp: "Klimawandel",
+    ced: "Kumulierter Energieaufwand",
+    water: "Wassernutzung",
+    ap: "Versauerung (EF 3.1)",
+    ep_fw: "Süßwasser-Eutrophierung (EF 3.1)",
+    adp: "Ressourcennutzung, Mineralien und Metalle (EF 3.1)",
+  },
+  indicatorTitle: {
+    gwp: "CO₂",
+    ced: "Energie",
+    water: "Wasser",
+    ap: "Versauerung",
+    ep_fw: "Eutrophierung",
+    adp: "Ressourcennutzung",
+  },
+  stage: {
+    E_mat_mup: "Material (Aluminium)",
+    E_manu_mup: "Herstellung",
+    E_fw_init: "Erstlogistik",
+    E_fw: "Hintransport",
+    E_rev: "Rücktransport",
+    E_clean: "Reinigung + Befüllung",
+    E_use: "Nutzungsphase",
+    E_EoL_mup: "Entsorgung",
+    E_EoL_drop: "Entsorgung verlorener & ausgesonderter Kapseln",
+  },
+  eolMethod: {
+    cutoff: "Cut-off (100:0)",
+    avoided: "Vermiedene Lasten (0:100)",
+    cff: "Circular Footprint Formula",
+  },
+  group: {
+    Material: "Material",
+    Manufacturing: "Herstellung",
+    Logistics: "Logistik",
+    Washing: "Reinigung",
+    Use: "Nutzung",
+    "End of life": "Entsorgung",
+  },
+  mode: {
+    van: "Transporter",
+    truck: "Lkw",
+    rail: "Bahn",
+    bike: "E-Lastenrad",
+  },
+  direction: {
+    fw: "Hin (E_fw)",
+    rev: "Zurück (E_rev)",
+  },
+  profile: {
+    p_scr: "Ausschussquote p_scr",
+    E_clean: "Reinigung + Befüllung",
+    transport: "Transportfaktor",
+  },
+  profileType: {
+    constant: "Konstant",
+    linear: "Linear",
+    exponential: "Exponentiell",
+    table: "Stückweise Tabelle",
+  },
+  distribution: {
+    fixed: "Fest",
+    uniform: "Gleichverteilt",
+    triangular: "Dreieck",
+    normal: "Normal",
+    lognormal: "Lognormal",
+  },
+  kpi: {
+    costAtNmax: "Wert bei N_max",
+    costAtN: "Wert bei gewähltem N",
+    breakEven: "Break-even N",
+  },
+  sweepKpi: {
+    breakEven: "Break-even N",
+    savings: "Einsparung bei N_max",
+  },
+  perturbation: {
+    percent: "± %",
+    delta: "± absolut",
+    range: "niedrig / hoch",
+  },
+  target: {
+    p_ret: "Rücklaufquote p_ret",
+    KM_ONE_WAY: "Distanz (einfach)",
+    E_manu_mup: "Herstellung MUP",
+  },
+  diffKpi: {
+    breakEven: "Break-even N",
+    firstCost_g: "Wert bei N = 1",
+    lastCost_g: "Wert bei N_max",
+  },
+  comparatorField: {
+    footprint: "Fußabdruck",
+    credit: "EoL-Gutschrift",
+  },
+  fleetField: {
+    annualDemand: "Jahresbedarf",
+    circulationDays: "Umlaufzeit",
+    bufferPct: "Sicherheitsbestand",
+    years: "Horizont",
+  },
+  embed: {
+    ignored: "Einbettungs-Einstellungen ignoriert – {errors}",
+    noScenario: "Kein Szenario „{scenario}“ in diesem Modell.",
+    card: "Szenario {name}",
+  },
+  a11y: {
+    showTable: "Daten als Tabelle anzeigen",
+    breakEvenAt: "{name} erreicht den Break-even bei N = {n}.",
+    noBreakEven: "{name} erreicht den Break-even nicht innerhalb von {n} Zyklen.",
+    tornado: "Größter Einfluss: {param}, {low} beim unteren und {high} beim oberen Wert.",
+  },
+
+  // Words inside unit strings ("kg CO₂e/capsule" → "kg CO₂e/Kapsel")
+  unitWords: {
+    capsule: "Kapsel",
+    cycle: "Zyklus",
+    cycles: "Zyklen",
+    cup: "Tasse",
+    cups: "Tassen",
+    year: "Jahr",
+    years: "Jahre",
+    days: "Tage",
+    pool: "Bestand",
+    of: "vom",
+    base: "Basis",
+  },
+
+  // Validation messages of the domain modules; numbers are lifted out as {0}, {1}, …
+  messages: {
+    "Not a number": "Keine Zahl",
+    "Missing value": "Wert fehlt",
+    "Must be ≥ {0}": "Muss ≥ {0} sein",
+    "Must be > {0}": "Muss > {0} sein",
+    "Must be ≤ {0}": "Muss ≤ {0} sein",
+    "Must be a whole number": "Muss eine ganze Zahl sein",
+    "Must be {0}–{1}": "Muss {0}–{1} sein",
+    "Must be between {0} and {1}": "Muss zwischen {0} und {1} liegen",
+    "Must be between {0} and {1} (percentages need a % sign)":
+      "Muss zwischen {0} und {1} liegen (Prozentwerte brauchen ein %-Zeichen)",
+    "Must be greater than min": "Muss größer als min sein",
+    "N must be a whole number ≥ {0}": "N muss eine ganze Zahl ≥ {0} sein",
+    "N must be ≤ {0}": "N muss ≤ {0} sein",
+    "Cycle must be a whole number ≥ {0}": "Zyklus muss eine ganze Zahl ≥ {0} sein",
+    "Samples must be an integer between {0} and {1}": "Stichproben müssen eine ganze Zahl zwischen {0} und {1} sein",
+    "Seed must be an integer": "Startwert muss eine ganze Zahl sein",
+    "Steps must be {0}–{1}": "Schritte müssen zwischen {0} und {1} liegen",
+    "Pick two different parameters": "Zwei verschiedene Parameter wählen",
+    "Unknown parameter": "Unbekannter Parameter",
+    "Unknown method": "Unbekannte Methode",
+    "Not a link": "Kein Link",
+    "Expected an array of scenarios": "Erwartet wird eine Liste von Szenarien",
+    "Unknown view": "Unbekannte Ansicht",
+    "Unknown language": "Unbekannte Sprache",
+    "Unknown unit": "Unbekannte Einheit",
+    "Unknown indicator": "Unbekannter Indikator",
+    "Low and high must be numbers": "Niedrig und hoch müssen Zahlen sein",
+    "Step must be a number ≥ {0}": "Schritt muss eine Zahl ≥ {0} sein",
+    "All parameters must be numbers": "Alle Parameter müssen Zahlen sein",
+    "Unknown distribution": "Unbekannte Verteilung",
+    "min must be ≤ max": "min muss ≤ max sein",
+    "Requires min ≤ mode ≤ max": "Erfordert min ≤ mode ≤ max",
+    "sd must be ≥ {0}": "sd muss ≥ {0} sein",
+    "median must be > {0}": "median muss > {0} sein",
+    "gsd must be ≥ {0}": "gsd muss ≥ {0} sein",
+    "Add at least one row": "Mindestens eine Zeile hinzufügen",
+    "Column not mapped": "Spalte nicht zugeordnet",
+    "Not a #rrggbb colour": "Keine #rrggbb-Farbe",
+    "Distance cannot be negative": "Distanz darf nicht negativ sein",
+    "{0} is not a number": "{0} ist keine Zahl",
+    "Column {0} differs between rows; using the first value {1}.":
+      "Spalte {0} unterscheidet sich zwischen den Zeilen; der erste Wert {1} wird verwendet.",
+    "{0}% read as {1}": "{0} % gelesen als {1}",
+    "converted from g: {0}": "aus g umgerechnet: {0}",
+    "{0} transport legs (distance not used)": "{0} Transportabschnitte (Distanz nicht verwendet)",
+    "CSV needs a header row and at least one data row": "Die CSV braucht eine Kopfzeile und mindestens eine Datenzeile",
+  },
+};
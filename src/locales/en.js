@@ -0,0 +1,418 @@
+/* ========= English catalogue (reference; other locales fall back to it key by key) ========= */
+// Labels of fields, stages, modes etc. defined in the domain modules are English already and are
+// only listed in the other catalogues.
+export default {
+  common: {
+    scenario: "Scenario",
+    delete: "Delete",
+    close: "Close",
+    dismiss: "Dismiss",
+    resetDefaults: "Reset to defaults",
+    defaultValue: "default {value}",
+    usingDefault: "{error} — using default {value}",
+    computing: "Computing…",
+    failed: "Computation failed: {error}",
+  },
+  units: {
+    perCup: "cup",
+    perThousand: "1000 cups",
+  },
+  app: {
+    title: "{indicator} per Cup: Single-Use (SUP) vs. Multi-Use (MUP) — {n} Scenarios",
+    indicator: "Impact indicator",
+    units: "Result units",
+    language: "Language",
+    uncertainty: "Uncertainty",
+    uncertaintyToggle: "Toggle Monte Carlo uncertainty analysis",
+    sensitivity: "Sensitivity Analysis",
+    sensitivityToggle: "Toggle sensitivity analysis",
+    undo: "Undo (Ctrl+Z)",
+    redo: "Redo (Ctrl+Shift+Z)",
+    import: "Import",
+    copyLink: "Copy link",
+    linkCopied: "Link copied ✓",
+    copyPrompt: "Copy this link:",
+    breakEvenShown: "Break-even (if any) shown in chart",
+    exportFailed: "Export failed: {error}",
+    sessionFallback: "Showing your last saved session (or the defaults) instead.",
+    addScenario: "+ Add scenario",
+    footer: "Model based on Python LCA calculation. All values per cup; {indicator} in {unit}.",
+    copyright:
+      "© Intellectual property of Maximilian Kühn, Cornelius Hauber, Henri Calaminus and Christopher-Lund Seureau.",
+  },
+  num: {
+    hint: "Press Enter or leave the field to apply.",
+  },
+  slider: {
+    keys: "Arrow keys ±{step}, with Shift ±{fine}, Page Up / Page Down ±{coarse}, Home / End to the limits",
+  },
+  badge: {
+    at: "Break-even N={n}",
+    atTitle: "Break-even at cycle N={n}",
+    none: "No break-even",
+    noneTitle: "No break-even within horizon",
+  },
+  card: {
+    colour: "Colour of {name}",
+    name: "Scenario name",
+    moveLeft: "Move left",
+    moveRight: "Move right",
+    duplicate: "Duplicate scenario",
+    delete: "Delete scenario",
+    example: "e.g. {value}",
+    splitLegs: "Split into transport legs (vehicle, load, backhaul)",
+    modelEol: "Model end of life (recycling, allocation)",
+    eolMethod: "EoL allocation: {method}",
+    eolNet: "net balance as entered",
+    survival: "Survival Rate",
+    start: "Start (N=1)",
+    atN: "At N = {n}",
+  },
+  assumptions: {
+    title: "Assumptions",
+    activeSet: "Active constant set",
+    defaultSet: "Default (Primary Al)",
+    fromLink: "{name} (from link)",
+    modified: "modified",
+    saveAs: "Save as… (e.g. Secondary Al)",
+    saveSet: "Save set",
+    deleteSet: "Delete set",
+  },
+  chart: {
+    title: "{indicator} per Cup over Reuse Cycles ({unit})",
+    nMax: "Maximum Technical Cycles N_max",
+    nMaxKept: "{error} – keeping N_max = {n}",
+    xAxis: "Max technical cycles (N_max)",
+    sup: "SUP reference",
+    constants: "Constants ({name})",
+    constantsModified: "Constants ({name}, modified)",
+  },
+  breakEven: {
+    title: "Break-even analysis",
+    solved: "Solved break-even:",
+    exact: "(exact {n})",
+    beyond: "– beyond N_max = {n}",
+    never: "Never –",
+    neverCycle: "one reuse cycle alone costs more than a single-use cup",
+    neverAsymptote: "the curve levels off at {limit} > {sup} SUP",
+    neverScan: "not within {n} cycles ({limit} there)",
+    target: "Break even by N =",
+    targetError: "Whole number ≥ 1",
+    input: "Input (alone)",
+    needed: "Needed",
+    current: "Current",
+    unused: "not used (transport legs)",
+    any: "any value",
+    unreachable: "not reachable",
+    meets: "Current value meets the target",
+    misses: "Current value misses the target",
+  },
+  transport: {
+    title: "Transport legs",
+    single: "Use single distance",
+    addLeg: "+ Add leg",
+    legName: "Leg name",
+    direction: "{name} direction",
+    removeLeg: "Remove leg",
+    remove: "Remove {name}",
+    vehicle: "Vehicle",
+    distance: "Distance [km]",
+    ef: "Emission factor [kg CO₂e/capsule · 100 km, full load]",
+    load: "Load utilisation",
+    backhaul: "Backhaul share",
+    perCapsuleCycle: "per capsule and cycle",
+    summary: "E_fw {fw} · E_rev {rev} per cycle",
+    ignored: "{error} – leg ignored until fixed",
+  },
+  eol: {
+    title: "End-of-life model",
+    net: "Use single net value",
+    method: "Allocation",
+    intro:
+      "Recycled content sets the material burden; the recycling rates set the EoL of capsules retired at N_max and of those lost or scrapped on the way. E_rec and E_D are the secondary aluminium and disposal factors in the assumptions.",
+    invalid: "{error} — using {value}",
+    summary: "Material {mat} · retired {ret} · lost & scrapped {drop} {unit} per capsule",
+  },
+  profiles: {
+    title: "Cycle-dependent parameters",
+    active: "({n} active)",
+    intro:
+      "Scrap rate: value per cycle. Cleaning and transport: factor on the base burden (1 = unchanged). With any profile active the cycles are summed numerically.",
+    type: "{label} profile",
+    slope: "change per cycle",
+    rate: "rate per cycle (−0.02 = −2 %)",
+    from: "from N =",
+    value: "value",
+    rowFrom: "Row {n} first cycle",
+    rowValue: "Row {n} value",
+    removeRow: "Remove row {n}",
+    addRow: "+ Row",
+    ignored: "{error} – profile ignored until fixed",
+  },
+  comparators: {
+    title: "Single-Use Comparators",
+    intro:
+      "Each comparator is drawn as a reference line in the chart above. Net = footprint − EoL credit. The defaults are illustrative; replace them with your own data.",
+    comparator: "Comparator",
+    net: "Net [{unit}]",
+    name: "Comparator name",
+    remove: "Remove comparator",
+    removeNamed: "Remove {name}",
+    add: "+ Add comparator",
+    matrix: "Break-even N (scenario × comparator)",
+    none: "No valid comparator.",
+    never: "never",
+    beyond: "beyond N_max = {n}",
+    note: "* beyond N_max = {n}. “never”: the scenario does not get below the comparator at any N.",
+    actions: "Actions",
+    scenario: "Scenario",
+  },
+  indicators: {
+    title: "Multi-Indicator Comparison at N = {n}",
+    intro:
+      "MUP footprint per cup as a share of SUP for each indicator (SUP = 100 %). Click an indicator in the table to show it in the other charts.",
+    indicator: "Indicator",
+    ofSup: "{share} of SUP",
+  },
+  impacts: {
+    title: "Impact Factors — {indicator}",
+    intro:
+      "Values in {unit}. The defaults are illustrative placeholders; transport legs scale their emission factor by this indicator's transport factor relative to the climate one.",
+    fromEolModel: "Computed by the scenario's end-of-life model",
+  },
+  diff: {
+    title: "Snapshots & Diff",
+    intro:
+      "Undo / redo (Ctrl+Z, Ctrl+Shift+Z) steps through every scenario and constant edit in this session. Snapshots are kept in this browser.",
+    currentModel: "Current model",
+    snapshotName: "Snapshot name (e.g. Before workshop)",
+    saveSnapshot: "Save snapshot",
+    noSnapshots: "No snapshots yet. A snapshot stores all scenarios, constants and comparators.",
+    scenarioCount: "{n} scenarios",
+    restore: "Restore",
+    source: "{side} source",
+    scenario: "{side} scenario",
+    overlay: "Overlay on chart",
+    changedOnly: "Changed only",
+    parameter: "Parameter",
+    result: "Result",
+    noChanges: "No parameter differs.",
+    leg: "Transport leg {n}",
+    profile: "{label} profile",
+  },
+  contrib: {
+    title: "Contribution by Life-Cycle Stage ({name})",
+    scenario: "Scenario for contribution breakdown",
+    tableAt: "Table at N =",
+    intro:
+      "One-time burdens (material, manufacturing, initial logistics, end of life) are spread over the effective uses; per-cycle burdens stay constant. Credits are drawn below zero.",
+    cycle: "Cycle N = {n}",
+    stageAt: "Stage at N = {n}",
+    share: "Share",
+    total: "MUP total",
+    byGroup: "By group",
+    dominates: "dominates at N = {n} with {share} of the footprint.",
+  },
+  fleet: {
+    title: "Fleet / System View ({name})",
+    scenario: "Scenario for fleet view",
+    intro:
+      "Return and scrap rates come from the scenario card, the technical life from N_max ({n} cycles). The pool is bought in month 1; losses and retired capsules are replaced by top-up purchases. Capsules still in the pool at the end of the horizon are charged their end of life in the last month.",
+    size: "Fleet size",
+    capsules: "{n} capsules",
+    initialPurchase: "initial purchase",
+    topUps: "Top-ups",
+    perYear: "≈ {n} per year",
+    mupTotal: "MUP total",
+    supBaseline: "All-SUP baseline",
+    cups: "{n} cups",
+    savings: "Savings",
+    extra: "Extra emissions",
+    ahead: "{share} · ahead from month {month}",
+    neverAhead: "{share} · never ahead within {years} years",
+    cumulative: "cumulative {unit}",
+    boughtAxis: "capsules bought",
+    bought: "Capsules bought",
+    month: "Month {n}",
+    year: "Year",
+    boughtShort: "Bought",
+    saved: "Saved",
+    monthColumn: "Month",
+  },
+  mc: {
+    title: "Uncertainty (Monte Carlo)",
+    scenario: "Scenario for Monte Carlo",
+    samples: "Samples",
+    seed: "Seed",
+    reset: "Reset distributions",
+    cancel: "Cancel ({progress})",
+    run: "Run simulation",
+    failed: "Simulation failed: {error}",
+    input: "Input",
+    base: "Base",
+    distribution: "Distribution",
+    parameters: "Parameters",
+    constant: "(constant)",
+    distributionOf: "{label} distribution",
+    note: "Untouched scenario inputs default to triangular ±10% around the current value. Lognormal uses median and geometric standard deviation. Samples are clipped to physical bounds (probabilities 0–1, non-negative masses and distances).",
+    stale: "Inputs changed since the last run — results below are stale and bands are hidden. Run again to update.",
+    pBeats: "P(MUP ≤ SUP at N={n})",
+    pBreakEven: "P(break-even within horizon)",
+    medianBreakEven: "Median break-even N (if reached)",
+    band: "P5–P95 at N={n}",
+    histogram: "Break-even N distribution",
+    summary: "{samples} samples, seed {seed}. {none} samples reach no break-even within N_max = {n}.",
+    hint: "Run the simulation to see P5/P50/P95 bands in the chart above (N_max = {n}).",
+  },
+  sensitivity: {
+    title: "Sensitivity — Impact on MUP ({name}): {kpi} ({unit})",
+    scenario: "Scenario for sensitivity analysis",
+    kpi: "KPI",
+    costAt: "cost at N = {n}",
+    edit: "Edit perturbations",
+    hide: "Hide perturbations",
+    resetAll: "Reset all perturbations",
+    parameter: "Parameter",
+    base: "Base",
+    perturbation: "Perturbation",
+    perturbationOf: "{label} perturbation",
+    values: "Values",
+    low: "low",
+    high: "high",
+    min: "min",
+    max: "max",
+    noBase:
+      "{name} does not break even within N_max = {n}, so there is no base value to compare against. Increase N_max or pick another KPI.",
+    bars: "Bars show change vs. base ({base}). Low = parameter at its low value, High = at its high value.",
+    beyond: "Break-even beyond the horizon is drawn at N_max + 1 = {n}.",
+    notReached: "not reached (> {n})",
+    atInput: "{change} at input {input}",
+    lowBar: "Low",
+    highBar: "High",
+    heatmap: "Two-parameter heatmap",
+    steps: "Steps",
+    colourBy: "Colour by",
+    axisParam: "Parameter on the {axis} axis",
+    input: "input",
+  },
+  warnings: {
+    title: "Plausibility warnings ({n})",
+    eolCredit: "The EoL credit ({credit}) is larger than the capsule's material burden ({material}).",
+    breakEvenAtOne: "Breaks even at N = 1: a single use already beats SUP. Check for missing burdens or a large credit.",
+    negativeTotal: "The footprint per cup is negative from N = {n} ({value}).",
+    plateau:
+      "With a survival rate of {q} a capsule is used only ≈ {uses} times by N_max = {n}; U_eff levels off and further cycles change little.",
+  },
+  heatmap: {
+    label: "Heatmap of {value}",
+    current: "Current scenario",
+    notReached: "not reached",
+  },
+  sweep: {
+    title: "Parameter sweep — where does reuse win?",
+    introLines:
+      "Runs the model at every step of the range for each scenario, all other inputs at the scenario's values. Dots mark the scenarios' own values.",
+    introMap:
+      "Runs the model on every cell of the grid for the selected scenario and marks where MUP is at or below SUP at N = {n}. Dots are all scenarios at their own values; their other inputs may differ.",
+    axisParam: "Swept parameter on the {axis} axis",
+    none: "— none (line chart)",
+    min: "from",
+    max: "to",
+    steps: "Steps",
+    show: "Show",
+    base: "Scenario for the region map",
+    exportCsv: "Export CSV",
+    exportJson: "Export JSON",
+    breakEven: "Break-even N",
+    savings: "savings",
+    savingsAt: "Savings at N = {n} [{unit}]",
+    notReached: "no break-even (> {n})",
+    mupWins: "MUP wins",
+    supWins: "SUP wins",
+    mapLabel: "Region map of {x} and {y} for {name}: where MUP beats SUP at N = {n}",
+    lineLabel: "{kpi} over {x}",
+    share: "MUP beats SUP at N = {n} in {share} of the swept points.",
+    note: "Savings are SUP minus MUP per cup; without a break-even the line has a gap.",
+  },
+  import: {
+    title: "Import scenarios",
+    drop: "Drop a CSV or JSON file here, or click to choose one",
+    help: "One scenario per row/entry. Columns: name, E_manu_mup, KM_ONE_WAY, p_ret, p_scr, E_EoL_mup (optional: colour and constants such as EF_Al_prim). JSON entries may carry transport legs instead of KM_ONE_WAY.",
+    found: "{n} scenarios found",
+    foundOne: "1 scenario found",
+    invalid: ", {n} with errors (skipped)",
+    notMapped: "— not mapped —",
+    column: "Column {n}",
+    use: "Use",
+    row: "Import row {n}",
+    legs: "legs",
+    applyConstants: "Apply constants from file",
+    add: "Add to current scenarios",
+    replace: "Replace current scenarios",
+    apply: "Import {n} scenarios",
+    applyOne: "Import 1 scenario",
+  },
+  export: {
+    menu: "Export ▾",
+    data: "Data",
+    csv: "Per-cycle CSV (all scenarios + SUP)",
+    json: "JSON bundle (inputs, constants, results)",
+    charts: "Charts",
+    line: "Line chart ({format})",
+    tornado: "Tornado chart ({format})",
+    tornadoHint: "Turn on the sensitivity analysis to export the tornado chart",
+    report: "Report",
+    print: "Print / save as PDF…",
+  },
+  report: {
+    title: "{indicator} per Cup: Single-Use (SUP) vs. Multi-Use (MUP)",
+    generated: "Report generated {date} · horizon N_max = {n} cycles · {indicator}, all values in {unit}",
+    results: "Results",
+    survival: "Survival q",
+    perCycle: "Per-cycle burden [{unit}]",
+    transport: "Transport fw / rev [{unit}]",
+    start: "Start N=1 [{unit}]",
+    atN: "At N={n} [{unit}]",
+    breakEven: "Break-even",
+    noneWithin: "none within {n}",
+    byComparator: "Break-even by comparator",
+    allIndicators: "All indicators at N = {n}",
+    indicator: "Indicator",
+    mupPerCup: "MUP / cup",
+    supPerCup: "SUP / cup",
+    lineAlt: "{indicator} per cup over reuse cycles",
+    lineCaption: "{indicator} per cup over reuse cycles ({unit}).",
+    assumptions: "Scenario assumptions",
+    cycleDependent: "Cycle-dependent",
+    eolModelled: "EoL model",
+    eolMethodology: "Methodology",
+    eolMaterial: "Material [{unit}]",
+    eolRetired: "EoL retired [{unit}]",
+    eolDropped: "EoL lost & scrapped [{unit}]",
+    legs: "transport legs",
+    leg: "Leg",
+    direction: "Direction",
+    ef: "EF [kg CO₂e/capsule·100 km]",
+    constants: "Model constants — {name}",
+    constantsModified: "Model constants — {name} (modified)",
+    constant: "Constant",
+    value: "Value",
+    unit: "Unit",
+    tornadoAlt: "Sensitivity tornado chart",
+    tornadoCaption: "One-at-a-time sensitivity for the selected scenario and KPI.",
+    method: "Method",
+    methodText:
+      "Per-cup footprint after N technical cycles = (E_start + U_eff · E_cycle + E_EoL) / U_eff, with E_start = mass · Al EF + manufacturing + initial logistics, E_cycle = cleaning + use + forward and reverse transport (+ (1 − q) · EoL of lost and scrapped capsules with the EoL model), survival q = p_ret · (1 − p_scr) and expected uses U_eff = (1 − q^N) / (1 − q) (U_eff = N when q = 1). Break-even is the first N where the MUP footprint is at or below the SUP reference.",
+  },
+  embed: {
+    ignored: "Embed settings ignored – {errors}",
+    noScenario: "No scenario \"{scenario}\" in this model.",
+    card: "Scenario {name}",
+  },
+  a11y: {
+    showTable: "Show data as table",
+    breakEvenAt: "{name} breaks even at N = {n}.",
+    noBreakEven: "{name} does not break even within {n} cycles.",
+    tornado: "Largest effect: {param}, {low} at the low and {high} at the high value.",
+  },
+};
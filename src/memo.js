@@ -0,0 +1,23 @@
+/* ========= Per-item memoisation: recompute only the list items that changed ========= */
+
+/**
+ * A mapper `(items, deps, compute(item, index)) => outputs` that remembers its last call: items (by identity)
+ * seen then, with the same `deps`, keep their output, so editing one scenario recomputes that scenario only.
+ * Outputs of items no longer in the list are forgotten.
+ */
+export function createListMemo() {
+  let lastDeps = null;
+  let cache = new Map();
+  return (items, deps, compute) => {
+    const same = lastDeps?.length === deps.length && deps.every((d, i) => Object.is(d, lastDeps[i]));
+    const next = new Map();
+    const outputs = items.map((item, i) => {
+      const out = same && cache.has(item) ? cache.get(item) : compute(item, i);
+      next.set(item, out);
+      return out;
+    });
+    lastDeps = deps;
+    cache = next;
+    return outputs;
+  };
+}
@@ -0,0 +1,21 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createListMemo } from "./memo.js";
+
+describe("createListMemo", () => {
+  it("recomputes only new items, and everything when a dependency changes", () => {
+    const memo = createListMemo();
+    const calls = [];
+    const double = (item) => {
+      calls.push(item.id);
+      return item.v * 2;
+    };
+    const a = { id: "a", v: 1 };
+    const b = { id: "b", v: 2 };
+    assert.deepEqual(memo([a, b], [1], double), [2, 4]);
+    const b2 = { ...b, v: 5 };
+    assert.deepEqual(memo([a, b2], [1], double), [2, 10]);
+    assert.deepEqual(memo([b2, a], [2], double), [10, 2]);
+    assert.deepEqual(calls, ["a", "b", "b", "b", "a"]);
+  });
+});
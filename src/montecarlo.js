@@ -0,0 +1,240 @@
+/* ========= Monte Carlo uncertainty analysis (pure; runs inside a Web Worker) ========= */
+import { amortisedAtCycles, modelTerms, seriesSummary, toNum } from "./lca.js";
+import { sampleCycles } from "./chart.js";
+import { parseStrict } from "./constants.js";
+import { MODEL_PARAMS, clampParam } from "./params.js";
+
+// Uncertain inputs: scenario fields first, then every model constant
+export const MC_PARAMS = MODEL_PARAMS;
+
+export const DISTRIBUTIONS = {
+  fixed: { label: "Fixed", params: [] },
+  uniform: { label: "Uniform", params: ["min", "max"] },
+  triangular: { label: "Triangular", params: ["min", "mode", "max"] },
+  normal: { label: "Normal", params: ["mean", "sd"] },
+  lognormal: { label: "Lognormal", params: ["median", "gsd"] },
+};
+
+/* ===== Seeded PRNG (mulberry32) & samplers ===== */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  // Box–Muller; 1 - u keeps log() away from 0
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function sample(dist, base, rng) {
+  const p = dist.params ?? {};
+  switch (dist.type) {
+    case "uniform":
+      return p.min + (p.max - p.min) * rng();
+    case "triangular": {
+      const { min, mode, max } = p;
+      if (max === min) return min;
+      const u = rng();
+      const f = (mode - min) / (max - min);
+      return u < f
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case "normal":
+      return p.mean + p.sd * standardNormal(rng);
+    case "lognormal":
+      // Parameterised like LCA databases: median & geometric standard deviation
+      return p.median * Math.exp(Math.log(p.gsd) * standardNormal(rng));
+    default:
+      return base;
+  }
+}
+
+/** Returns an error message for an invalid distribution, or null. */
+export function validateDistribution(dist) {
+  const names = DISTRIBUTIONS[dist?.type]?.params;
+  if (!names) return "Unknown distribution";
+  const p = dist.params ?? {};
+  if (names.some((n) => !Number.isFinite(p[n]))) return "All parameters must be numbers";
+  switch (dist.type) {
+    case "uniform":
+      return p.min <= p.max ? null : "min must be ≤ max";
+    case "triangular":
+      return p.min <= p.mode && p.mode <= p.max ? null : "Requires min ≤ mode ≤ max";
+    case "normal":
+      return p.sd >= 0 ? null : "sd must be ≥ 0";
+    case "lognormal":
+      if (!(p.median > 0)) return "median must be > 0";
+      return p.gsd >= 1 ? null : "gsd must be ≥ 1";
+    default:
+      return null;
+  }
+}
+
+/** Default: triangular ±10% around the base value for scenario inputs, constants fixed. */
+export function defaultDistribution(param, base) {
+  if (param.source !== "scenario") return { type: "fixed", params: {} };
+  return { type: "triangular", params: initialParams("triangular", param, base) };
+}
+
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function histogram(values, N_max_top) {
+  const width = Math.max(1, Math.ceil(N_max_top / 40));
+  const bins = [];
+  for (let from = 1; from <= N_max_top; from += width) {
+    const to = Math.min(N_max_top, from + width - 1);
+    bins.push({ label: from === to ? `${from}` : `${from}–${to}`, from, to, count: 0 });
+  }
+  for (const v of values) bins[Math.floor((v - 1) / width)].count++;
+  return bins;
+}
+
+/**
+ * Run `samples` seeded draws through the model.
+ * job: { scenario, constants, N_max_top, distributions: { [key]: {type, params} }, samples, seed }
+ * Returns P5/P50/P95 (g/cup) at the cycles the chart shows (sampleCycles), a break-even histogram and
+ * P(MUP ≤ SUP at N_max).
+ */
+export function runMonteCarlo(job, onProgress) {
+  const { scenario, constants, N_max_top, distributions, samples, seed } = job;
+  const rng = createRng(seed);
+  const N = N_max_top;
+  const cycles = sampleCycles(N);
+  const width = cycles.length;
+
+  const matrix = new Float64Array(samples * width);
+  const breakEvens = [];
+  let beatsSup = 0;
+  const progressEvery = Math.max(1, Math.floor(samples / 20));
+
+  for (let s = 0; s < samples; s++) {
+    const params = { ...scenario };
+    const c = { ...constants };
+    for (const param of MC_PARAMS) {
+      const dist = distributions[param.key];
+      const target = param.source === "scenario" ? params : c;
+      if (!dist || dist.type === "fixed") continue;
+      target[param.key] = clampParam(param, sample(dist, toNum(target[param.key], 0), rng));
+    }
+
+    const amortised = amortisedAtCycles(modelTerms(params, c), cycles);
+    for (let i = 0; i < width; i++) matrix[s * width + i] = amortised[i] * 1000;
+    const res = seriesSummary(params, c, N);
+    if (res.breakEven !== null) breakEvens.push(res.breakEven);
+    if (res.lastCost_g <= c.E_single_shot * 1000) beatsSup++;
+
+    if (onProgress && (s + 1) % progressEvery === 0) onProgress((s + 1) / samples);
+  }
+
+  const column = new Float64Array(samples);
+  const bands = [];
+  for (let i = 0; i < width; i++) {
+    for (let s = 0; s < samples; s++) column[s] = matrix[s * width + i];
+    column.sort();
+    bands.push({
+      cycle: cycles[i],
+      p5: quantile(column, 0.05),
+      p50: quantile(column, 0.5),
+      p95: quantile(column, 0.95),
+    });
+  }
+
+  const sortedBE = Float64Array.from(breakEvens).sort();
+  return {
+    samples,
+    seed,
+    N_max_top: N,
+    bands,
+    breakEven: {
+      hist: histogram(breakEvens, N),
+      none: samples - breakEvens.length,
+      median: sortedBE.length ? quantile(sortedBE, 0.5) : null,
+    },
+    pBreakEven: breakEvens.length / samples,
+    pBeatsSup: beatsSup / samples,
+  };
+}
+
+/** Sensible starting parameters when the user switches a row to `type`. */
+export function initialParams(type, param, base) {
+  const clamp = (v) => clampParam(param, v);
+  const spread = Math.abs(base) * 0.1;
+  switch (type) {
+    case "uniform":
+      return { min: clamp(base - spread), max: clamp(base + spread) };
+    case "triangular":
+      return { min: clamp(base - spread), mode: clamp(base), max: clamp(base + spread) };
+    case "normal":
+      return { mean: base, sd: spread / 2 };
+    case "lognormal":
+      return { median: base > 0 ? base : 1, gsd: 1.1 };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Resolve UI state into a runnable job. `overrides` holds user-edited rows as
+ * { type, params: { name: string } }; untouched rows follow defaultDistribution().
+ * `key` identifies the job so stale results can be detected.
+ */
+export function buildMonteCarloJob({ scenario, constants, N_max_top, overrides, samples, seed }) {
+  const distributions = {};
+  const errors = {};
+  const bases = {};
+
+  for (const param of MC_PARAMS) {
+    const base = toNum(param.source === "scenario" ? scenario[param.key] : constants[param.key], 0);
+    bases[param.key] = base;
+    const draft = overrides[param.key];
+    const dist = draft
+      ? {
+          type: draft.type,
+          params: Object.fromEntries(Object.entries(draft.params).map(([k, v]) => [k, parseStrict(v)])),
+        }
+      : defaultDistribution(param, base);
+    const err = validateDistribution(dist);
+    if (err) errors[param.key] = err;
+    distributions[param.key] = dist;
+  }
+
+  const nSamples = parseStrict(samples);
+  if (!Number.isInteger(nSamples) || nSamples < 100 || nSamples > 20000) {
+    errors.samples = "Samples must be an integer between 100 and 20000";
+  }
+  const nSeed = parseStrict(seed);
+  if (!Number.isInteger(nSeed)) errors.seed = "Seed must be an integer";
+
+  const job = {
+    scenario: {
+      E_manu_mup: bases.E_manu_mup,
+      KM_ONE_WAY: bases.KM_ONE_WAY,
+      p_ret: bases.p_ret,
+      p_scr: bases.p_scr,
+      E_EoL_mup: bases.E_EoL_mup,
+      ...(scenario.legs?.length ? { legs: scenario.legs } : {}),
+      ...(scenario.profiles ? { profiles: scenario.profiles } : {}),
+      ...(scenario.eol ? { eol: scenario.eol } : {}),
+    },
+    constants,
+    N_max_top,
+    distributions,
+    samples: nSamples,
+    seed: nSeed,
+  };
+  return { job, bases, errors, key: JSON.stringify(job) };
+}
@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { computeSeries } from "./lca.js";
+import { buildMonteCarloJob, createRng, runMonteCarlo } from "./montecarlo.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { legsFromSimple } from "./transport.js";
+
+const EXPECTED = DEFAULT_SCENARIOS[1];
+
+const job = (scenario, overrides = {}, seed = "42") =>
+  buildMonteCarloJob({ scenario, constants: DEFAULT_CONSTANTS, N_max_top: 30, overrides, samples: "200", seed });
+
+describe("createRng", () => {
+  it("repeats its sequence for a seed", () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const draws = Array.from({ length: 5 }, () => a());
+    assert.deepEqual(draws, Array.from({ length: 5 }, () => b()));
+    assert.ok(draws.every((u) => u >= 0 && u < 1));
+    assert.notDeepEqual(draws, Array.from({ length: 5 }, createRng(8)));
+  });
+});
+
+describe("runMonteCarlo", () => {
+  it("gives the same bands for the same seed, ordered P5 ≤ P50 ≤ P95", () => {
+    const { job: j, errors } = job(EXPECTED);
+    assert.deepEqual(errors, {});
+    const first = runMonteCarlo(j);
+    assert.deepEqual(runMonteCarlo(j), first);
+    assert.notDeepEqual(runMonteCarlo(job(EXPECTED, {}, "43").job).bands, first.bands);
+    assert.equal(first.bands.length, 30);
+    for (const b of first.bands) assert.ok(b.p5 <= b.p50 && b.p50 <= b.p95);
+    assert.equal(first.breakEven.hist.reduce((n, bin) => n + bin.count, 0) + first.breakEven.none, 200);
+  });
+
+  it("collapses to the deterministic series without spread", () => {
+    const fixed = { type: "triangular", params: { min: "150", mode: "150", max: "150" } };
+    const noSpread = { KM_ONE_WAY: fixed };
+    for (const key of ["E_manu_mup", "p_ret", "p_scr", "E_EoL_mup"]) noSpread[key] = { type: "fixed", params: {} };
+    const r = runMonteCarlo(job(EXPECTED, noSpread).job);
+    const series = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 30);
+    r.bands.forEach((b, i) => {
+      assert.ok(Math.abs(b.p5 - series.data[i].MUP_g) < 1e-9);
+      assert.equal(b.p5, b.p95);
+    });
+    assert.equal(r.pBreakEven, series.breakEven === null ? 0 : 1);
+  });
+});
+
+describe("buildMonteCarloJob", () => {
+  it("keeps the transport legs, profiles and EoL sub-model of the scenario", () => {
+    const legs = legsFromSimple("400", DEFAULT_CONSTANTS.T_FACTOR_PER_100KM);
+    const profiles = { p_scr: { type: "linear", slope: "0.001" } };
+    const eol = { method: "cutoff", R1: 0, R2: 0.9, R2_drop: 0.3, A: "0.2", Q: "1" };
+    const { job: j } = job({ ...EXPECTED, legs, profiles, eol });
+    assert.deepEqual(j.scenario.legs, legs);
+    assert.deepEqual(j.scenario.profiles, profiles);
+    assert.deepEqual(j.scenario.eol, eol);
+    assert.equal(job(EXPECTED).job.scenario.legs, undefined);
+  });
+});
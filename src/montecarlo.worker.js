@@ -0,0 +1,11 @@
+import { runMonteCarlo } from "./montecarlo.js";
+
+self.onmessage = (e) => {
+  const { id, job } = e.data;
+  try {
+    const result = runMonteCarlo(job, (progress) => self.postMessage({ id, type: "progress", progress }));
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,26 @@
+/* ========= Model inputs that analyses can vary (scenario fields + constants) ========= */
+import { CONSTANT_FIELDS } from "./constants.js";
+import { SCENARIO_FIELDS } from "./scenarios.js";
+
+// source: where the value lives ("scenario" state or the constants object); min/max: physical bounds
+export const MODEL_PARAMS = [
+  ...SCENARIO_FIELDS.map((f) => ({ key: f.key, label: f.label, unit: f.unit, source: "scenario", min: f.min, max: f.max })),
+  ...CONSTANT_FIELDS.map((f) => ({ key: f.key, label: f.label, unit: f.unit, source: "constants", min: f.min })),
+];
+
+export const isProbability = (param) => param.min === 0 && param.max === 1;
+
+export function clampParam(param, v) {
+  return Math.min(param.max ?? Infinity, Math.max(param.min ?? -Infinity, v));
+}
+
+/** Copies of the scenario and constants with one or more params overridden ({ key: number }). */
+export function applyOverrides(scenario, constants, overrides) {
+  const s = { ...scenario };
+  const c = { ...constants };
+  for (const param of MODEL_PARAMS) {
+    if (overrides[param.key] === undefined) continue;
+    (param.source === "scenario" ? s : c)[param.key] = overrides[param.key];
+  }
+  return { scenario: s, constants: c };
+}
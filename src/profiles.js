@@ -0,0 +1,159 @@
+/* ========= Cycle-dependent parameters: linear / exponential trends and piecewise tables ========= */
+import { parseStrict } from "./constants.js";
+
+// absolute: the profile gives the value itself (starting from the scenario value);
+// factor: the profile multiplies the base burden (1 = unchanged)
+export const PROFILE_PARAMS = [
+  { key: "p_scr", label: "Scrap rate p_scr", scale: "absolute", unit: "0–1", min: 0, max: 1 },
+  { key: "E_clean", label: "Cleaning + refill", scale: "factor", unit: "× base", min: 0 },
+  { key: "transport", label: "Transport factor", scale: "factor", unit: "× base", min: 0 },
+];
+
+export const PROFILE_TYPES = {
+  constant: "Constant",
+  linear: "Linear",
+  exponential: "Exponential",
+  table: "Piecewise table",
+};
+
+export const DEFAULT_PROFILE = { type: "constant", slope: "0", rate: "0", rows: [{ from: "1", value: "" }] };
+
+/** Numeric form of a profile: { profile: { type, slope, rate, rows: [{from, value}] sorted }, errors }. */
+export function resolveProfile(draft, param) {
+  const errors = {};
+  const type = PROFILE_TYPES[draft?.type] ? draft.type : "constant";
+  const profile = { type, slope: 0, rate: 0, rows: [] };
+  if (type === "linear") {
+    profile.slope = parseStrict(draft.slope);
+    if (!Number.isFinite(profile.slope)) errors.slope = "Not a number";
+  } else if (type === "exponential") {
+    profile.rate = parseStrict(draft.rate);
+    if (!Number.isFinite(profile.rate)) errors.rate = "Not a number";
+    else if (profile.rate <= -1) errors.rate = "Must be > −1";
+  } else if (type === "table") {
+    const rows = Array.isArray(draft.rows) ? draft.rows : [];
+    rows.forEach((r, i) => {
+      const from = parseStrict(r?.from);
+      const value = parseStrict(r?.value);
+      if (!Number.isInteger(from) || from < 1) errors[`from${i}`] = "Cycle must be a whole number ≥ 1";
+      else if (!Number.isFinite(value)) errors[`value${i}`] = "Not a number";
+      else if (value < param.min || (param.max !== undefined && value > param.max)) {
+        errors[`value${i}`] = param.max !== undefined ? `Must be ${param.min}–${param.max}` : `Must be ≥ ${param.min}`;
+      } else profile.rows.push({ from, value });
+    });
+    if (!rows.length) errors.rows = "Add at least one row";
+    profile.rows.sort((a, b) => a.from - b.from);
+  }
+  return { profile, errors };
+}
+
+/**
+ * Value of a resolved profile at cycle k (1-based). `base` is the scenario value for absolute
+ * params and 1 for factors; table rows hold from their cycle on, before the first row `base` applies.
+ */
+export function profileValue(profile, base, k) {
+  switch (profile.type) {
+    case "linear":
+      return base + profile.slope * (k - 1);
+    case "exponential":
+      return base * (1 + profile.rate) ** (k - 1);
+    case "table": {
+      let v = base;
+      for (const r of profile.rows) if (r.from <= k) v = r.value;
+      return v;
+    }
+    default:
+      return base;
+  }
+}
+
+/**
+ * Per-cycle functions (base, k) → value for the scenario's active, valid profiles; null entries
+ * (constant or invalid) leave the closed-form constant model in place.
+ */
+export function compileProfiles(drafts) {
+  const fns = {};
+  for (const param of PROFILE_PARAMS) {
+    const draft = drafts?.[param.key];
+    const { profile, errors } = resolveProfile(draft, param);
+    const usable = profile.type !== "constant" && !Object.keys(errors).length;
+    fns[param.key] = usable
+      ? (base, k) => Math.min(param.max ?? Infinity, Math.max(param.min, profileValue(profile, base, k)))
+      : null;
+  }
+  return fns;
+}
+
+/**
+ * First cycles from which a usable profile's value stays constant, never falls and never rises (Infinity when
+ * it keeps changing), with the clamping to the parameter's bounds; `base` as in profileValue(). Rounded a
+ * cycle late rather than early, so solvers can treat the cycles from there on in closed form.
+ */
+export function profileTrend(draft, param, base) {
+  const { profile } = resolveProfile(draft, param);
+  const after = (k) => (Number.isFinite(k) ? Math.max(1, Math.ceil(k) + 1) : Infinity);
+  const bound = (rising) => (rising ? param.max : param.min);
+  let constantFrom;
+  let rising;
+  if (profile.type === "table") {
+    const last = profile.rows.at(-1)?.from ?? 1;
+    return { constantFrom: last, risingFrom: last, fallingFrom: last };
+  } else if (profile.type === "linear" && profile.slope !== 0) {
+    rising = profile.slope > 0;
+    const limit = bound(rising);
+    constantFrom = after(limit === undefined ? Infinity : 1 + (limit - base) / profile.slope);
+  } else if (profile.type === "exponential" && profile.rate !== 0 && base !== 0) {
+    rising = (profile.rate > 0) === (base > 0);
+    const limit = bound(rising);
+    // An exponential only reaches a bound of the same sign; a decay towards 0 never gets there
+    const reaches = limit !== undefined && limit !== 0 && limit / base > 0;
+    constantFrom = after(reaches ? 1 + Math.log(limit / base) / Math.log(1 + profile.rate) : Infinity);
+  } else {
+    return { constantFrom: 1, risingFrom: 1, fallingFrom: 1 };
+  }
+  return { constantFrom, risingFrom: rising ? 1 : constantFrom, fallingFrom: rising ? constantFrom : 1 };
+}
+
+/** Active profiles only, e.g. for exports and reports. */
+export function activeProfiles(drafts) {
+  return Object.fromEntries(
+    PROFILE_PARAMS.filter((p) => drafts?.[p.key] && drafts[p.key].type !== "constant").map((p) => [p.key, drafts[p.key]])
+  );
+}
+
+/** One-line description, e.g. "p_scr linear +0.002/cycle". */
+export function describeProfile(draft, param) {
+  const { profile } = resolveProfile(draft, param);
+  const name = param.key === "p_scr" ? "p_scr" : param.label;
+  const signed = (v) => (v >= 0 ? `+${v}` : `${v}`);
+  switch (profile.type) {
+    case "linear":
+      return `${name} linear ${signed(profile.slope)}${param.scale === "factor" ? " × base" : ""}/cycle`;
+    case "exponential":
+      return `${name} exponential ${signed(+(profile.rate * 100).toPrecision(4))}%/cycle`;
+    case "table":
+      return `${name} table ${profile.rows.map((r) => `N≥${r.from}: ${r.value}`).join(", ")}`;
+    default:
+      return `${name} constant`;
+  }
+}
+
+/** Defensive copy of profiles from links and imported files; unknown keys and types are dropped. */
+export function sanitizeProfiles(raw) {
+  if (!raw || typeof raw !== "object") return undefined;
+  const out = {};
+  const text = (v, fallback) => (typeof v === "string" || typeof v === "number" ? String(v) : fallback);
+  for (const param of PROFILE_PARAMS) {
+    const p = raw[param.key];
+    if (!p || typeof p !== "object" || !PROFILE_TYPES[p.type] || p.type === "constant") continue;
+    out[param.key] = {
+      type: p.type,
+      slope: text(p.slope, "0"),
+      rate: text(p.rate, "0"),
+      rows: (Array.isArray(p.rows) ? p.rows : [])
+        .filter((r) => r && typeof r === "object")
+        .map((r) => ({ from: text(r.from, ""), value: text(r.value, "") })),
+    };
+  }
+  return Object.keys(out).length ? out : undefined;
+}
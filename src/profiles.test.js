@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { goalSeek, solveBreakEven } from "./breakeven.js";
+import { computeContributions } from "./contributions.js";
+import { computeSeries } from "./lca.js";
+import { PROFILE_PARAMS, compileProfiles, profileTrend, profileValue, resolveProfile, sanitizeProfiles } from "./profiles.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+const [P_SCR, E_CLEAN, TRANSPORT] = PROFILE_PARAMS;
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+/** Brute-force reference: explicit survival probabilities per cycle. */
+function reference(perCycle, N) {
+  let S = 1;
+  let U = 0;
+  let W = 0;
+  for (let k = 1; k <= N; k++) {
+    const { q, E_cycle } = perCycle(k);
+    U += S;
+    W += S * E_cycle;
+    S *= q;
+  }
+  return { U, W };
+}
+
+describe("profileValue", () => {
+  it("evaluates linear, exponential and table profiles", () => {
+    const lin = resolveProfile({ type: "linear", slope: "0.002" }, P_SCR).profile;
+    close(profileValue(lin, 0.01, 1), 0.01);
+    close(profileValue(lin, 0.01, 11), 0.03);
+    const exp = resolveProfile({ type: "exponential", rate: "-0.1" }, E_CLEAN).profile;
+    close(profileValue(exp, 1, 3), 0.81);
+    const table = resolveProfile({ type: "table", rows: [{ from: "20", value: "0.05" }, { from: "10", value: "0.02" }] }, P_SCR)
+      .profile;
+    assert.deepEqual([5, 10, 19, 20, 99].map((k) => profileValue(table, 0.01, k)), [0.01, 0.02, 0.02, 0.05, 0.05]);
+  });
+
+  it("reports invalid drafts", () => {
+    assert.ok(resolveProfile({ type: "linear", slope: "x" }, P_SCR).errors.slope);
+    assert.ok(resolveProfile({ type: "exponential", rate: "-1" }, E_CLEAN).errors.rate);
+    assert.ok(resolveProfile({ type: "table", rows: [{ from: "0", value: "0.1" }] }, P_SCR).errors.from0);
+    assert.ok(resolveProfile({ type: "table", rows: [{ from: "1", value: "2" }] }, P_SCR).errors.value0);
+  });
+});
+
+describe("profileTrend", () => {
+  it("finds where clamped trends and tables turn constant", () => {
+    const trend = (draft, param, base) => profileTrend(draft, param, base);
+    assert.deepEqual(trend({ type: "linear", slope: "0.01" }, P_SCR, 0.01), { constantFrom: 101, risingFrom: 1, fallingFrom: 101 });
+    assert.deepEqual(trend({ type: "linear", slope: "-0.1" }, E_CLEAN, 1), { constantFrom: 12, risingFrom: 12, fallingFrom: 1 });
+    assert.deepEqual(trend({ type: "linear", slope: "0.1" }, TRANSPORT, 1), {
+      constantFrom: Infinity,
+      risingFrom: 1,
+      fallingFrom: Infinity,
+    });
+    assert.equal(trend({ type: "exponential", rate: "0.1" }, P_SCR, 0.5).constantFrom, 10);
+    assert.equal(trend({ type: "exponential", rate: "-0.1" }, E_CLEAN, 1).constantFrom, Infinity);
+    const table = { type: "table", rows: [{ from: "40", value: "0.5" }, { from: "10", value: "2" }] };
+    assert.deepEqual(trend(table, E_CLEAN, 1), { constantFrom: 40, risingFrom: 40, fallingFrom: 40 });
+    assert.deepEqual(trend({ type: "linear", slope: "0" }, E_CLEAN, 1), { constantFrom: 1, risingFrom: 1, fallingFrom: 1 });
+  });
+
+  it("is constant from there on", () => {
+    const drafts = [
+      [{ type: "linear", slope: "0.013" }, P_SCR, 0.02],
+      [{ type: "linear", slope: "-0.07" }, E_CLEAN, 1],
+      [{ type: "exponential", rate: "0.3" }, P_SCR, 0.05],
+    ];
+    for (const [draft, param, base] of drafts) {
+      const { constantFrom } = profileTrend(draft, param, base);
+      const [fn] = Object.values(compileProfiles({ [param.key]: draft })).filter(Boolean);
+      const value = fn(base, constantFrom);
+      for (const k of [constantFrom + 1, constantFrom + 50, 10 * constantFrom]) assert.equal(fn(base, k), value);
+      assert.notEqual(fn(base, constantFrom - 2), value);
+    }
+  });
+});
+
+describe("cycle-dependent model", () => {
+  it("keeps the closed form for constant or invalid profiles", () => {
+    const base = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50);
+    for (const profiles of [{}, { p_scr: { type: "constant" } }, { E_clean: { type: "linear", slope: "oops" } }]) {
+      const r = computeSeries({ ...EXPECTED, profiles }, DEFAULT_CONSTANTS, 50);
+      assert.equal(r.varying, false);
+      assert.deepEqual(r.data, base.data);
+    }
+  });
+
+  it("matches the closed form when a profile is flat", () => {
+    const base = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50);
+    const r = computeSeries({ ...EXPECTED, profiles: { E_clean: { type: "linear", slope: "0" } } }, DEFAULT_CONSTANTS, 50);
+    assert.equal(r.varying, true);
+    r.data.forEach((row, i) => close(row.MUP_g, base.data[i].MUP_g));
+    assert.equal(r.breakEven, 35);
+  });
+
+  it("sums ageing scrap rates, washing drift and transport factors cycle by cycle", () => {
+    const profiles = {
+      p_scr: { type: "linear", slope: "0.001" },
+      E_clean: { type: "exponential", rate: "-0.02" },
+      transport: { type: "table", rows: [{ from: "10", value: "0.5" }] },
+    };
+    const r = computeSeries({ ...EXPECTED, profiles }, DEFAULT_CONSTANTS, 40);
+    const E_start = 0.0478548 + 0.0008 + 0.00037;
+    const perCycle = (k) => ({
+      q: 0.98 * (1 - (0.01 + 0.001 * (k - 1))),
+      E_cycle: 0.001 * 0.98 ** (k - 1) + 2 * 0.00000370 * 150 * (k >= 10 ? 0.5 : 1),
+    });
+    for (const N of [1, 9, 10, 40]) {
+      const { U, W } = reference(perCycle, N);
+      close(r.data[N - 1].MUP_g, ((E_start + W) / U) * 1000);
+    }
+  });
+
+  it("makes ageing capsules costlier than the constant case", () => {
+    const base = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50);
+    const aged = computeSeries({ ...EXPECTED, profiles: { p_scr: { type: "linear", slope: "0.002" } } }, DEFAULT_CONSTANTS, 50);
+    assert.ok(aged.lastCost_g > base.lastCost_g);
+    close(aged.firstCost_g, base.firstCost_g);
+  });
+
+  it("keeps solver, goal seek and contributions consistent with the series", () => {
+    const s = { ...EXPECTED, profiles: { E_clean: { type: "exponential", rate: "-0.03" } } };
+    const r = computeSeries(s, DEFAULT_CONSTANTS, 100);
+    const solved = solveBreakEven(s, DEFAULT_CONSTANTS);
+    assert.equal(solved.N, r.breakEven);
+    assert.equal(solved.exact, solved.N);
+
+    const seek = goalSeek(s, DEFAULT_CONSTANTS, 25);
+    assert.equal(computeSeries({ ...s, p_ret: seek.p_ret.value + 1e-6 }, DEFAULT_CONSTANTS, 25).breakEven, 25);
+    assert.equal(computeSeries({ ...s, KM_ONE_WAY: seek.KM_ONE_WAY.value * 0.999 }, DEFAULT_CONSTANTS, 25).breakEven, 25);
+
+    computeContributions(s, DEFAULT_CONSTANTS, 100).forEach((row, i) => close(row.MUP_g, r.data[i].MUP_g));
+  });
+
+  it("reports a scan limit instead of an asymptote", () => {
+    const s = { ...EXPECTED, profiles: { p_scr: { type: "linear", slope: "0.01" } } };
+    const solved = solveBreakEven(s, DEFAULT_CONSTANTS);
+    assert.deepEqual([solved.status, solved.reason], ["never", "scan"]);
+  });
+});
+
+describe("sanitizeProfiles", () => {
+  it("drops unknown params, types and constant profiles", () => {
+    assert.equal(sanitizeProfiles({ p_scr: { type: "constant" }, foo: { type: "linear" } }), undefined);
+    assert.deepEqual(sanitizeProfiles({ transport: { type: "linear", slope: -0.01 } }), {
+      transport: { type: "linear", slope: "-0.01", rate: "0", rows: [] },
+    });
+    assert.equal(TRANSPORT.scale, "factor");
+  });
+});
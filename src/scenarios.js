@@ -0,0 +1,115 @@
+/* ========= Scenario list: defaults & list operations ========= */
+
+// Okabe–Ito colours, which stay apart with colour-vision deficiencies; the dashes tell lines apart without colour
+export const SCENARIO_PALETTE = ["#d55e00", "#0072b2", "#009e73", "#e69f00", "#cc79a7", "#56b4e9", "#000000", "#7f7f7f"];
+export const SCENARIO_DASHES = ["", "10 4", "2 3", "12 3 3 3", "5 2", "1 4", "14 4 2 4 2 4", "7 3 1 3"];
+
+/** Dash pattern of the scenario at `index` in the list ("" = solid). */
+export const scenarioDash = (index) => SCENARIO_DASHES[index % SCENARIO_DASHES.length];
+
+// Editable model inputs of a scenario (kind "prob" = slider 0–1, stored as number; others stored as strings)
+export const SCENARIO_FIELDS = [
+  { key: "E_manu_mup", label: "Manufacturing MUP", unit: "kg CO₂e/capsule", kind: "number", min: 0 },
+  { key: "KM_ONE_WAY", label: "One-way Transport Distance", unit: "km", kind: "number", min: 0 },
+  { key: "p_ret", label: "Return Rate p_ret", unit: "0–1", kind: "prob", min: 0, max: 1 },
+  { key: "p_scr", label: "Scrap Rate p_scr", unit: "0–1", kind: "prob", min: 0, max: 1 },
+  { key: "E_EoL_mup", label: "Net EoL Balance", unit: "kg CO₂e/capsule", kind: "number" },
+];
+
+// String fields for text inputs, numbers for sliders
+export const DEFAULT_SCENARIOS = [
+  {
+    id: "s1",
+    name: "Worst Case",
+    E_manu_mup: "0.0010",
+    KM_ONE_WAY: "300",
+    p_ret: 0.95,
+    p_scr: 0.05,
+    E_EoL_mup: "0.0001",
+    color: "#d55e00",
+  },
+  {
+    id: "s2",
+    name: "Expected Case",
+    E_manu_mup: "0.0008",
+    KM_ONE_WAY: "150",
+    p_ret: 0.98,
+    p_scr: 0.01,
+    E_EoL_mup: "0.0000",
+    color: "#0072b2",
+  },
+  {
+    id: "s3",
+    name: "Best Case",
+    E_manu_mup: "0.0006",
+    KM_ONE_WAY: "100",
+    p_ret: 1.0,
+    p_scr: 0,
+    E_EoL_mup: "-0.0001",
+    color: "#009e73",
+  },
+];
+
+function nextId(list) {
+  const max = list.reduce((m, s) => Math.max(m, parseInt(s.id.slice(1), 10) || 0), 0);
+  return `s${max + 1}`;
+}
+
+function nextColor(list) {
+  const used = new Set(list.map((s) => s.color.toLowerCase()));
+  return SCENARIO_PALETTE.find((c) => !used.has(c)) ?? SCENARIO_PALETTE[list.length % SCENARIO_PALETTE.length];
+}
+
+/** Append a new scenario seeded from the Expected Case defaults. */
+export function addScenario(list) {
+  const base = DEFAULT_SCENARIOS[1];
+  return [...list, { ...base, id: nextId(list), name: `Scenario ${list.length + 1}`, color: nextColor(list) }];
+}
+
+/** Insert a copy right after the original. */
+export function duplicateScenario(list, id) {
+  const i = list.findIndex((s) => s.id === id);
+  if (i < 0) return list;
+  const copy = { ...list[i], id: nextId(list), name: `${list[i].name} (copy)`, color: nextColor(list) };
+  return [...list.slice(0, i + 1), copy, ...list.slice(i + 1)];
+}
+
+/** Keeps at least one scenario. */
+export function removeScenario(list, id) {
+  return list.length > 1 ? list.filter((s) => s.id !== id) : list;
+}
+
+/** Move by `delta` positions (−1 = earlier, +1 = later). */
+export function moveScenario(list, id, delta) {
+  const i = list.findIndex((s) => s.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= list.length) return list;
+  const next = [...list];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+/**
+ * Add imported scenarios ({ name, color?, ...SCENARIO_FIELDS }) with fresh ids.
+ * `replace` drops the current list first.
+ */
+export function appendScenarios(list, items, { replace = false } = {}) {
+  let next = replace ? [] : [...list];
+  for (const item of items) {
+    next = [
+      ...next,
+      {
+        ...DEFAULT_SCENARIOS[1],
+        ...item,
+        id: nextId(next),
+        name: item.name || `Scenario ${next.length + 1}`,
+        color: item.color || nextColor(next),
+      },
+    ];
+  }
+  return next.length ? next : list;
+}
+
+export function updateScenario(list, id, updater) {
+  return list.map((s) => (s.id === id ? updater(s) : s));
+}
@@ -0,0 +1,187 @@
+/* ========= Sensitivity analysis: one-at-a-time tornado and two-parameter heatmap ========= */
+import { parseStrict } from "./constants.js";
+import { seriesSummary, toNum } from "./lca.js";
+import { MODEL_PARAMS, applyOverrides, clampParam, isProbability } from "./params.js";
+import { N_MAX_FIELD } from "./validation.js";
+
+export const SENS_KPIS = {
+  costAtNmax: { label: "Cost at N_max", unit: "g CO₂e / cup" },
+  costAtN: { label: "Cost at chosen N", unit: "g CO₂e / cup" },
+  breakEven: { label: "Break-even N", unit: "cycles" },
+};
+
+export const PERTURBATION_MODES = {
+  percent: "± %",
+  delta: "± absolute",
+  range: "low / high",
+};
+
+// Percentages make little sense for probabilities near 1, so those default to an absolute step
+export function defaultPerturbation(param) {
+  return isProbability(param) ? { mode: "delta", value: "0.02" } : { mode: "percent", value: "10" };
+}
+
+export const DEFAULT_SENSITIVITY = { kpi: "costAtNmax", kpiN: "20", perturbations: {} };
+
+export function baseValue(param, scenario, constants) {
+  return toNum(param.source === "scenario" ? scenario[param.key] : constants[param.key], 0);
+}
+
+/** KPI in its own unit; break-even is null when not reached within the horizon. */
+export function evaluateKpi(scenario, constants, N_max_top, kpi, kpiN) {
+  if (kpi === "breakEven") return seriesSummary(scenario, constants, N_max_top).breakEven;
+  const N = kpi === "costAtN" ? kpiN : N_max_top;
+  return seriesSummary(scenario, constants, N).lastCost_g;
+}
+
+/** Validated KPI settings: { kpi, kpiN, error }. The chosen N is bounded like the horizon. */
+export function resolveKpi(config) {
+  const kpi = SENS_KPIS[config.kpi] ? config.kpi : "costAtNmax";
+  const kpiN = parseStrict(config.kpiN);
+  if (kpi === "costAtN" && !(Number.isInteger(kpiN) && kpiN >= 1)) {
+    return { kpi, kpiN: 1, error: "N must be a whole number ≥ 1" };
+  }
+  if (kpi === "costAtN" && kpiN > N_MAX_FIELD.max) return { kpi, kpiN: 1, error: `N must be ≤ ${N_MAX_FIELD.max}` };
+  return { kpi, kpiN: Number.isInteger(kpiN) && kpiN >= 1 ? kpiN : 1, error: null };
+}
+
+/** Low/high input values for one parameter: { low, high, label, error }. Values are clamped to physical bounds. */
+export function resolvePerturbation(param, base, draft = defaultPerturbation(param)) {
+  const num = (v) => parseStrict(v);
+  let low;
+  let high;
+  let label;
+  if (draft.mode === "range") {
+    low = num(draft.low);
+    high = num(draft.high);
+    if (!Number.isFinite(low) || !Number.isFinite(high)) return { error: "Low and high must be numbers" };
+    label = `${low} … ${high}`;
+  } else {
+    const v = num(draft.value);
+    if (!Number.isFinite(v) || v < 0) return { error: "Step must be a number ≥ 0" };
+    if (draft.mode === "delta") {
+      low = base - v;
+      high = base + v;
+      label = `±${v}`;
+    } else {
+      low = base * (1 - v / 100);
+      high = base * (1 + v / 100);
+      label = `±${v}%`;
+    }
+  }
+  return { low: clampParam(param, low), high: clampParam(param, high), label, error: null };
+}
+
+/**
+ * Tornado rows for one scenario, sorted by impact. `Low`/`High` are KPI changes vs. the base
+ * case; for break-even, "not reached" is drawn at N_max + 1 and flagged via lowCapped/highCapped.
+ * `errors` holds invalid perturbations by parameter and an invalid chosen N as `kpiN` (evaluated at N = 1).
+ */
+export function computeSensitivity(scenario, constants, N_max_top, config = DEFAULT_SENSITIVITY) {
+  const { kpi, kpiN, error } = resolveKpi(config);
+  const evaluate = (overrides) => {
+    const o = applyOverrides(scenario, constants, overrides);
+    return evaluateKpi(o.scenario, o.constants, N_max_top, kpi, kpiN);
+  };
+
+  const base = evaluate({});
+  const cap = (v) => v ?? N_max_top + 1;
+  const errors = error ? { kpiN: error } : {};
+  const rows = [];
+
+  for (const param of MODEL_PARAMS) {
+    const value = baseValue(param, scenario, constants);
+    const p = resolvePerturbation(param, value, config.perturbations?.[param.key]);
+    if (p.error) {
+      errors[param.key] = p.error;
+      continue;
+    }
+    const lowKpi = evaluate({ [param.key]: p.low });
+    const highKpi = evaluate({ [param.key]: p.high });
+    const Low = base === null ? null : cap(lowKpi) - base;
+    const High = base === null ? null : cap(highKpi) - base;
+    rows.push({
+      key: param.key,
+      name: param.label,
+      perturbation: p.label,
+      low: p.low,
+      high: p.high,
+      lowKpi,
+      highKpi,
+      Low,
+      High,
+      lowCapped: kpi === "breakEven" && lowKpi === null,
+      highCapped: kpi === "breakEven" && highKpi === null,
+      ImpactAbs: Math.max(Math.abs(Low ?? 0), Math.abs(High ?? 0)),
+    });
+  }
+
+  rows.sort((a, b) => b.ImpactAbs - a.ImpactAbs);
+
+  return { kpi, kpiN, base, rows, errors };
+}
+
+/* ===== Two-parameter heatmap ===== */
+
+export const DEFAULT_HEATMAP = {
+  xKey: "p_ret",
+  xMin: "0.8",
+  xMax: "1",
+  yKey: "KM_ONE_WAY",
+  yMin: "0",
+  yMax: "1000",
+  steps: "15",
+  kpi: "breakEven",
+  kpiN: "20",
+};
+
+/** Validates the heatmap settings: { spec, errors } with numeric ranges. */
+export function resolveHeatmap(config) {
+  const errors = {};
+  const spec = { xKey: config.xKey, yKey: config.yKey };
+  for (const k of ["xMin", "xMax", "yMin", "yMax"]) {
+    spec[k] = parseStrict(config[k]);
+    if (!Number.isFinite(spec[k])) errors[k] = "Not a number";
+  }
+  if (!errors.xMin && !errors.xMax && spec.xMin >= spec.xMax) errors.xMax = "Must be greater than min";
+  if (!errors.yMin && !errors.yMax && spec.yMin >= spec.yMax) errors.yMax = "Must be greater than min";
+  spec.steps = parseStrict(config.steps);
+  if (!Number.isInteger(spec.steps) || spec.steps < 2 || spec.steps > 40) errors.steps = "Steps must be 2–40";
+  if (spec.xKey === spec.yKey) errors.yKey = "Pick two different parameters";
+  return { spec, errors };
+}
+
+/** Grid of KPI values; `values[j][i]` is the cell at xs[i], ys[j] (null = no break-even within N_max). */
+export function computeHeatmap(scenario, constants, N_max_top, spec, kpi, kpiN) {
+  const xParam = MODEL_PARAMS.find((p) => p.key === spec.xKey);
+  const yParam = MODEL_PARAMS.find((p) => p.key === spec.yKey);
+  const axis = (min, max, param) =>
+    Array.from({ length: spec.steps }, (_, i) => clampParam(param, min + ((max - min) * i) / (spec.steps - 1)));
+  const xs = axis(spec.xMin, spec.xMax, xParam);
+  const ys = axis(spec.yMin, spec.yMax, yParam);
+
+  let min = Infinity;
+  let max = -Infinity;
+  const values = ys.map((y) =>
+    xs.map((x) => {
+      const o = applyOverrides(scenario, constants, { [spec.xKey]: x, [spec.yKey]: y });
+      const v = evaluateKpi(o.scenario, o.constants, N_max_top, kpi, kpiN);
+      if (v !== null) {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      }
+      return v;
+    })
+  );
+
+  return {
+    xParam,
+    yParam,
+    xs,
+    ys,
+    values,
+    min: Number.isFinite(min) ? min : null,
+    max: Number.isFinite(max) ? max : null,
+    current: { x: baseValue(xParam, scenario, constants), y: baseValue(yParam, scenario, constants) },
+  };
+}
@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { seriesSummary } from "./lca.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { computeSensitivity, resolveKpi } from "./sensitivity.js";
+
+const EXPECTED = DEFAULT_SCENARIOS[1];
+
+describe("computeSensitivity", () => {
+  it("evaluates the KPI at the chosen N", () => {
+    const sens = computeSensitivity(EXPECTED, DEFAULT_CONSTANTS, 50, { kpi: "costAtN", kpiN: "20", perturbations: {} });
+    assert.deepEqual(sens.errors, {});
+    assert.equal(sens.kpiN, 20);
+    assert.equal(sens.base, seriesSummary(EXPECTED, DEFAULT_CONSTANTS, 20).lastCost_g);
+    assert.ok(sens.rows.every((r, i) => i === 0 || r.ImpactAbs <= sens.rows[i - 1].ImpactAbs));
+  });
+
+  it("reports an invalid chosen N instead of dropping it", () => {
+    for (const kpiN of [0, "abc", 2.5]) {
+      const config = { kpi: "costAtN", kpiN, perturbations: {} };
+      assert.equal(resolveKpi(config).error, "N must be a whole number ≥ 1");
+      assert.deepEqual(computeSensitivity(EXPECTED, DEFAULT_CONSTANTS, 50, config).errors, {
+        kpiN: "N must be a whole number ≥ 1",
+      });
+    }
+    assert.equal(resolveKpi({ kpi: "costAtN", kpiN: "100000" }).error, null);
+    assert.equal(resolveKpi({ kpi: "costAtN", kpiN: "100001" }).error, "N must be ≤ 100000");
+    assert.equal(resolveKpi({ kpi: "costAtNmax", kpiN: "1e7" }).error, null);
+  });
+
+  it("reports invalid perturbations by parameter", () => {
+    const config = { kpi: "costAtNmax", kpiN: "20", perturbations: { KM_ONE_WAY: { mode: "percent", value: "-5" } } };
+    const sens = computeSensitivity(EXPECTED, DEFAULT_CONSTANTS, 50, config);
+    assert.deepEqual(sens.errors, { KM_ONE_WAY: "Step must be a number ≥ 0" });
+    assert.equal(sens.rows.some((r) => r.key === "KM_ONE_WAY"), false);
+  });
+});
@@ -0,0 +1,237 @@
+/* ========= Session persistence: compact URL hash + localStorage autosave ========= */
+import { CONSTANT_FIELDS, DEFAULT_CONSTANTS, DEFAULT_SET_NAME, toConstantsInput, validateValue } from "./constants.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { DEFAULT_COMPARATORS, sanitizeComparators } from "./comparators.js";
+import {
+  DEFAULT_IMPACTS,
+  DEFAULT_INDICATOR,
+  IMPACT_CONSTANT_KEYS,
+  IMPACT_SCENARIO_KEYS,
+  INDICATORS,
+  sanitizeImpacts,
+  toImpactsInput,
+} from "./indicators.js";
+import { sanitizeEol } from "./eol.js";
+import { sanitizeProfiles } from "./profiles.js";
+import { sanitizeLegs } from "./transport.js";
+import { N_MAX_FIELD } from "./validation.js";
+
+// Bump when the encoded shape changes and add a step to MIGRATIONS so old links keep loading.
+export const SESSION_VERSION = 6;
+
+const HASH_PREFIX = "#s=";
+const STORAGE_KEY = "mup-dashboard:session";
+
+// Scenario fields in encoded (positional) order
+const SCENARIO_KEYS = [
+  "id",
+  "name",
+  "color",
+  "E_manu_mup",
+  "KM_ONE_WAY",
+  "p_ret",
+  "p_scr",
+  "E_EoL_mup",
+  "legs",
+  "profiles",
+  "impacts",
+  "eol",
+];
+const LEG_KEYS = ["id", "name", "direction", "mode", "distance", "EF", "load", "backhaul"];
+const COMPARATOR_KEYS = ["id", "name", "footprint", "credit", "color", "impacts"];
+
+// MIGRATIONS[v] upgrades an encoded payload from version v to v + 1
+const MIGRATIONS = {
+  // v2 appends transport legs to each scenario row; v1 rows have none (single distance)
+  1: (p) => ({ ...p, v: 2 }),
+  // v3 appends cycle-dependent profiles; older rows are constant over the cycles
+  2: (p) => ({ ...p, v: 3 }),
+  // v4 adds the comparator library (k); older links get the default library
+  3: (p) => ({ ...p, v: 4 }),
+  // v5 adds per-indicator values (scenario and comparator impacts, i) and the selected indicator (ind)
+  4: (p) => ({ ...p, v: 5 }),
+  // v6 appends the end-of-life sub-model; older rows keep their net EoL balance
+  5: (p) => ({ ...p, v: 6 }),
+};
+
+export function defaultSession() {
+  return {
+    scenarios: DEFAULT_SCENARIOS,
+    N_max_top: 50,
+    showSensitivity: false,
+    showUncertainty: false,
+    constantsInput: toConstantsInput(DEFAULT_CONSTANTS),
+    activeSetName: DEFAULT_SET_NAME,
+    comparators: DEFAULT_COMPARATORS,
+    impactsInput: toImpactsInput(),
+    indicator: DEFAULT_INDICATOR,
+  };
+}
+
+/* ===== Encode ===== */
+function toPayload(session) {
+  // Only constants that differ from the defaults are stored
+  const c = {};
+  for (const f of CONSTANT_FIELDS) {
+    const v = session.constantsInput[f.key];
+    if (v !== String(DEFAULT_CONSTANTS[f.key])) c[f.key] = v;
+  }
+  // Likewise for the impact constants of the other indicators
+  const i = {};
+  for (const [ind, defaults] of Object.entries(DEFAULT_IMPACTS)) {
+    for (const key of IMPACT_CONSTANT_KEYS) {
+      const v = session.impactsInput?.[ind]?.[key];
+      if (v !== undefined && v !== String(defaults[key])) (i[ind] ??= {})[key] = v;
+    }
+  }
+  return {
+    v: SESSION_VERSION,
+    n: session.N_max_top,
+    t: [session.showSensitivity ? 1 : 0, session.showUncertainty ? 1 : 0],
+    cs: session.activeSetName,
+    c,
+    s: session.scenarios.map((sc) =>
+      SCENARIO_KEYS.map((k) => {
+        if (k === "legs") return sc.legs?.map((l) => LEG_KEYS.map((lk) => l[lk])) ?? null;
+        if (k === "profiles") return sanitizeProfiles(sc.profiles) ?? null;
+        if (k === "impacts") return sanitizeImpacts(sc.impacts, IMPACT_SCENARIO_KEYS) ?? null;
+        if (k === "eol") return sanitizeEol(sc.eol) ?? null;
+        return sc[k];
+      })
+    ),
+    k: session.comparators.map((c) => COMPARATOR_KEYS.map((ck) => c[ck] ?? null)),
+    i,
+    ind: session.indicator,
+  };
+}
+
+function base64UrlEncode(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (ch) => ch.charCodeAt(0)));
+}
+
+export function encodeSession(session) {
+  return base64UrlEncode(JSON.stringify(toPayload(session)));
+}
+
+/* ===== Decode (defensive: links come from anywhere) ===== */
+const isHexColor = (v) => typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v);
+const asText = (v, fallback) => (typeof v === "string" || typeof v === "number" ? String(v) : fallback);
+const asProb = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+
+function decodeLegs(rows) {
+  if (!Array.isArray(rows)) return undefined;
+  return sanitizeLegs(rows.filter(Array.isArray).map((row) => Object.fromEntries(LEG_KEYS.map((k, i) => [k, row[i]]))));
+}
+
+function fromPayload(payload) {
+  let p = payload;
+  if (!p || typeof p !== "object" || !Number.isInteger(p.v)) throw new Error("Not a session payload");
+  if (p.v > SESSION_VERSION) throw new Error(`Link was created by a newer version (schema v${p.v})`);
+  while (p.v < SESSION_VERSION) {
+    const step = MIGRATIONS[p.v];
+    if (!step) throw new Error(`Unsupported schema version v${p.v}`);
+    p = step(p);
+  }
+
+  const defaults = defaultSession();
+  const fallback = DEFAULT_SCENARIOS[1];
+  const seen = new Set();
+  const scenarios = (Array.isArray(p.s) ? p.s : [])
+    .filter((row) => Array.isArray(row))
+    .map((row) => Object.fromEntries(SCENARIO_KEYS.map((k, i) => [k, row[i]])))
+    .filter((sc) => typeof sc.id === "string" && !seen.has(sc.id) && seen.add(sc.id))
+    .map((sc) => {
+      const legs = decodeLegs(sc.legs);
+      const profiles = sanitizeProfiles(sc.profiles);
+      const impacts = sanitizeImpacts(sc.impacts, IMPACT_SCENARIO_KEYS);
+      const eol = sanitizeEol(sc.eol);
+      return {
+        id: sc.id,
+        name: asText(sc.name, "Scenario"),
+        color: isHexColor(sc.color) ? sc.color : "#64748b",
+        E_manu_mup: asText(sc.E_manu_mup, fallback.E_manu_mup),
+        KM_ONE_WAY: asText(sc.KM_ONE_WAY, fallback.KM_ONE_WAY),
+        p_ret: asProb(sc.p_ret, fallback.p_ret),
+        p_scr: asProb(sc.p_scr, fallback.p_scr),
+        E_EoL_mup: asText(sc.E_EoL_mup, fallback.E_EoL_mup),
+        ...(legs?.length ? { legs } : {}),
+        ...(profiles ? { profiles } : {}),
+        ...(impacts ? { impacts } : {}),
+        ...(eol ? { eol } : {}),
+      };
+    });
+
+  const constantsInput = { ...defaults.constantsInput };
+  if (p.c && typeof p.c === "object") {
+    for (const f of CONSTANT_FIELDS) {
+      if (p.c[f.key] !== undefined) constantsInput[f.key] = asText(p.c[f.key], constantsInput[f.key]);
+    }
+  }
+
+  const comparators = Array.isArray(p.k)
+    ? sanitizeComparators(p.k.filter(Array.isArray).map((row) => Object.fromEntries(COMPARATOR_KEYS.map((k, i) => [k, row[i]]))))
+    : defaults.comparators;
+
+  return {
+    scenarios: scenarios.length ? scenarios : defaults.scenarios,
+    N_max_top: validateValue(N_MAX_FIELD, p.n).value ?? defaults.N_max_top,
+    showSensitivity: Array.isArray(p.t) ? p.t[0] === 1 : defaults.showSensitivity,
+    showUncertainty: Array.isArray(p.t) ? p.t[1] === 1 : defaults.showUncertainty,
+    constantsInput,
+    activeSetName: typeof p.cs === "string" ? p.cs : defaults.activeSetName,
+    comparators,
+    impactsInput: toImpactsInput(sanitizeImpacts(p.i, IMPACT_CONSTANT_KEYS)),
+    indicator: INDICATORS.some((ind) => ind.key === p.ind) ? p.ind : defaults.indicator,
+  };
+}
+
+export function decodeSession(encoded) {
+  return fromPayload(JSON.parse(base64UrlDecode(encoded)));
+}
+
+/* ===== Browser glue ===== */
+export function readHashSession(hash = globalThis.location?.hash ?? "") {
+  if (!hash.startsWith(HASH_PREFIX)) return { session: null, error: null };
+  try {
+    return { session: decodeSession(hash.slice(HASH_PREFIX.length)), error: null };
+  } catch (err) {
+    return { session: null, error: `Could not load shared link: ${err.message}` };
+  }
+}
+
+/** Startup: URL hash wins over the localStorage autosave, which wins over defaults. */
+export function loadSession() {
+  const fromHash = readHashSession();
+  if (fromHash.session) return fromHash;
+  try {
+    const stored = globalThis.localStorage?.getItem(STORAGE_KEY);
+    if (stored) return { session: decodeSession(stored), error: fromHash.error };
+  } catch {
+    // corrupt autosave – fall through to defaults
+  }
+  return { session: defaultSession(), error: fromHash.error };
+}
+
+/** Write the session to the URL hash (without adding history entries) and localStorage. */
+export function saveSession(session) {
+  const encoded = encodeSession(session);
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, encoded);
+  } catch {
+    // storage unavailable – the URL still carries the state
+  }
+  if (globalThis.history && globalThis.location) {
+    const url = `${location.pathname}${location.search}${HASH_PREFIX}${encoded}`;
+    history.replaceState(null, "", url);
+  }
+  return encoded;
+}
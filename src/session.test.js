@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_VERSION, decodeSession, defaultSession, encodeSession } from "./session.js";
+import { legsFromSimple } from "./transport.js";
+import { DEFAULT_COMPARATORS, addComparator } from "./comparators.js";
+import { setScenarioImpact } from "./indicators.js";
+import { DEFAULT_EOL } from "./eol.js";
+
+const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+describe("session links", () => {
+  it("round-trips scenarios with transport legs", () => {
+    const d = defaultSession();
+    const legs = legsFromSimple("300", 0.00037);
+    const session = { ...d, scenarios: [{ ...d.scenarios[0], legs }, d.scenarios[1]] };
+    const back = decodeSession(encodeSession(session));
+    assert.deepEqual(back.scenarios[0].legs, legs);
+    assert.equal(back.scenarios[1].legs, undefined);
+  });
+
+  it("migrates v1 links, which have no legs", () => {
+    const v1 = encodePayload({ v: 1, n: 40, t: [0, 1], cs: "x", c: {}, s: [["s1", "A", "#ff0000", "0.001", "200", 0.9, 0.1, "0"]] });
+    const back = decodeSession(v1);
+    assert.equal(back.N_max_top, 40);
+    assert.deepEqual(back.scenarios, [
+      { id: "s1", name: "A", color: "#ff0000", E_manu_mup: "0.001", KM_ONE_WAY: "200", p_ret: 0.9, p_scr: 0.1, E_EoL_mup: "0" },
+    ]);
+  });
+
+  it("round-trips the comparator library and gives older links the defaults", () => {
+    const comparators = addComparator(DEFAULT_COMPARATORS.slice(1));
+    assert.deepEqual(decodeSession(encodeSession({ ...defaultSession(), comparators })).comparators, comparators);
+    const v3 = encodePayload({ v: 3, n: 50, t: [0, 0], cs: "x", c: {}, s: [] });
+    assert.deepEqual(decodeSession(v3).comparators, DEFAULT_COMPARATORS);
+  });
+
+  it("round-trips the indicator, its impact constants and scenario impacts", () => {
+    const d = defaultSession();
+    const impactsInput = { ...d.impactsInput, ced: { ...d.impactsInput.ced, E_clean: "0.02" } };
+    const scenarios = d.scenarios.map((s, i) => (i === 0 ? setScenarioImpact(s, "ced", "E_manu_mup", "0.015") : s));
+    const back = decodeSession(encodeSession({ ...d, scenarios, impactsInput, indicator: "ced" }));
+    assert.equal(back.indicator, "ced");
+    assert.deepEqual(back.impactsInput, impactsInput);
+    assert.equal(back.scenarios[0].impacts.ced.E_manu_mup, "0.015");
+    assert.equal(back.scenarios[1].impacts, undefined);
+  });
+
+  it("round-trips the EoL sub-model; older rows keep their net value", () => {
+    const d = defaultSession();
+    const eol = { ...DEFAULT_EOL, method: "cff", R1: 0.5 };
+    const back = decodeSession(encodeSession({ ...d, scenarios: [{ ...d.scenarios[0], eol }, d.scenarios[1]] }));
+    assert.deepEqual(back.scenarios[0].eol, eol);
+    assert.equal(back.scenarios[1].eol, undefined);
+  });
+
+  it("rejects links from a newer schema", () => {
+    assert.throws(() => decodeSession(encodePayload({ v: SESSION_VERSION + 1 })), /newer version/);
+  });
+});
@@ -0,0 +1,121 @@
+/* ========= Parameter sweep: break-even and savings over a grid of one or two inputs ========= */
+import { parseStrict } from "./constants.js";
+import { seriesSummary } from "./lca.js";
+import { MODEL_PARAMS, applyOverrides, clampParam } from "./params.js";
+import { baseValue } from "./sensitivity.js";
+
+export const SWEEP_KPIS = {
+  breakEven: { label: "Break-even N", unit: "cycles" },
+  savings: { label: "Savings at N_max", unit: "g CO₂e / cup" },
+};
+
+// Without a second parameter (yKey "") the sweep is drawn as one line per scenario, with one as a region map
+export const DEFAULT_SWEEP = {
+  xKey: "p_ret",
+  xMin: "0.8",
+  xMax: "1",
+  yKey: "KM_ONE_WAY",
+  yMin: "0",
+  yMax: "1000",
+  steps: "21",
+  kpi: "breakEven",
+};
+
+export const MAX_SWEEP_STEPS = 50;
+
+/** Validates the sweep settings: { spec, errors } with numeric ranges; spec.yKey is null for one parameter. */
+export function resolveSweep(config) {
+  const errors = {};
+  const find = (key) => MODEL_PARAMS.find((p) => p.key === key);
+  const spec = { xKey: config.xKey, yKey: config.yKey || null, kpi: SWEEP_KPIS[config.kpi] ? config.kpi : "breakEven" };
+  if (!find(spec.xKey)) errors.xKey = "Unknown parameter";
+  if (spec.yKey && !find(spec.yKey)) errors.yKey = "Unknown parameter";
+  const axes = spec.yKey ? ["x", "y"] : ["x"];
+  for (const axis of axes) {
+    for (const k of ["Min", "Max"]) {
+      spec[`${axis}${k}`] = parseStrict(config[`${axis}${k}`]);
+      if (!Number.isFinite(spec[`${axis}${k}`])) errors[`${axis}${k}`] = "Not a number";
+    }
+    if (!errors[`${axis}Min`] && !errors[`${axis}Max`] && spec[`${axis}Min`] >= spec[`${axis}Max`]) {
+      errors[`${axis}Max`] = "Must be greater than min";
+    }
+  }
+  spec.steps = parseStrict(config.steps);
+  if (!Number.isInteger(spec.steps) || spec.steps < 2 || spec.steps > MAX_SWEEP_STEPS) {
+    errors.steps = `Steps must be 2–${MAX_SWEEP_STEPS}`;
+  }
+  if (spec.yKey && spec.xKey === spec.yKey) errors.yKey = "Pick two different parameters";
+  return { spec, errors };
+}
+
+/**
+ * Outcome of one model run at N_max: break-even N (null if not reached), MUP and SUP per cup and
+ * savings = SUP − MUP [g CO₂e/cup]; `wins` when MUP is at or below SUP.
+ */
+function evaluatePoint(scenario, constants, N_max_top) {
+  const { breakEven, lastCost_g: MUP_g, SUP_g } = seriesSummary(scenario, constants, N_max_top);
+  return { breakEven, MUP_g, SUP_g, savings_g: SUP_g - MUP_g, wins: MUP_g <= SUP_g };
+}
+
+/**
+ * Evaluates the model at every grid point. One parameter: `lines[i][k]` for scenario i at xs[k]. Two
+ * parameters: `grid[j][k]` for the base scenario at xs[k], ys[j]. `points` are the scenarios at their own
+ * values of the swept inputs (the second parameter's value null without one), with their outcome.
+ * @returns {{ xParam: Object, yParam: Object|null, xs: number[], ys: number[], lines: Object[][]|null,
+ *   grid: Object[][]|null, baseId: string, points: Object[], N_max_top: number }}
+ */
+export function computeSweep(scenarios, base, constants, N_max_top, spec) {
+  const xParam = MODEL_PARAMS.find((p) => p.key === spec.xKey);
+  const yParam = spec.yKey ? MODEL_PARAMS.find((p) => p.key === spec.yKey) : null;
+  const axis = (min, max, param) =>
+    Array.from({ length: spec.steps }, (_, i) => clampParam(param, min + ((max - min) * i) / (spec.steps - 1)));
+  const xs = axis(spec.xMin, spec.xMax, xParam);
+  const ys = yParam ? axis(spec.yMin, spec.yMax, yParam) : [];
+  const at = (scenario, overrides) => {
+    const o = applyOverrides(scenario, constants, overrides);
+    return evaluatePoint(o.scenario, o.constants, N_max_top);
+  };
+
+  return {
+    xParam,
+    yParam,
+    xs,
+    ys,
+    lines: yParam ? null : scenarios.map((s) => xs.map((x) => at(s, { [xParam.key]: x }))),
+    grid: yParam ? ys.map((y) => xs.map((x) => at(base, { [xParam.key]: x, [yParam.key]: y }))) : null,
+    baseId: base.id,
+    points: scenarios.map((s) => ({
+      id: s.id,
+      x: baseValue(xParam, s, constants),
+      y: yParam ? baseValue(yParam, s, constants) : null,
+      ...evaluatePoint(s, constants, N_max_top),
+    })),
+    N_max_top,
+  };
+}
+
+/** Share of the grid (or of all line points) where MUP beats SUP at N_max. */
+export function winShare(sweep) {
+  const cells = (sweep.grid ?? sweep.lines).flat();
+  return cells.length ? cells.filter((c) => c.wins).length / cells.length : 0;
+}
+
+/**
+ * Flat rows for the exports: { scenario, <x key>, [<y key>], breakEven, MUP_g, SUP_g, savings_g, wins }.
+ * One-parameter sweeps give a row per scenario and x; two-parameter ones a row per cell of the base scenario.
+ */
+export function sweepRows(sweep, scenarios) {
+  const name = (id) => scenarios.find((s) => s.id === id)?.name ?? id;
+  const row = (scenarioId, x, y, c) => ({
+    scenario: name(scenarioId),
+    [sweep.xParam.key]: x,
+    ...(sweep.yParam ? { [sweep.yParam.key]: y } : {}),
+    breakEven: c.breakEven,
+    MUP_g: c.MUP_g,
+    SUP_g: c.SUP_g,
+    savings_g: c.savings_g,
+    wins: c.wins,
+  });
+  if (sweep.grid) return sweep.grid.flatMap((cells, j) => cells.map((c, k) => row(sweep.baseId, sweep.xs[k], sweep.ys[j], c)));
+  return sweep.lines.flatMap((cells, i) => cells.map((c, k) => row(sweep.points[i].id, sweep.xs[k], null, c)));
+}
@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { buildSweepCsv } from "./export.js";
+import { computeSeries } from "./lca.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { DEFAULT_SWEEP, computeSweep, resolveSweep, sweepRows, winShare } from "./sweep.js";
+
+const [WORST, EXPECTED] = DEFAULT_SCENARIOS;
+
+describe("resolveSweep", () => {
+  it("accepts one parameter without a y range", () => {
+    const { spec, errors } = resolveSweep({ ...DEFAULT_SWEEP, yKey: "", yMin: "x" });
+    assert.deepEqual(errors, {});
+    assert.equal(spec.yKey, null);
+  });
+
+  it("reports bad ranges, steps and a parameter swept twice", () => {
+    const { errors } = resolveSweep({ ...DEFAULT_SWEEP, xMax: "0.5", yKey: "p_ret", steps: "80" });
+    assert.deepEqual(errors, { xMax: "Must be greater than min", yKey: "Pick two different parameters", steps: "Steps must be 2–50" });
+  });
+});
+
+describe("computeSweep", () => {
+  it("draws a line per scenario that passes through its own break-even", () => {
+    const { spec } = resolveSweep({ ...DEFAULT_SWEEP, yKey: "", xMin: "0.9", xMax: "1", steps: "11" });
+    const sweep = computeSweep([WORST, EXPECTED], EXPECTED, DEFAULT_CONSTANTS, 50, spec);
+    assert.equal(sweep.lines.length, 2);
+    assert.equal(sweep.grid, null);
+    const k = sweep.xs.findIndex((x) => Math.abs(x - EXPECTED.p_ret) < 1e-9);
+    assert.equal(sweep.lines[1][k].breakEven, computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50).breakEven);
+    assert.equal(sweep.points[1].breakEven, sweep.lines[1][k].breakEven);
+  });
+
+  it("maps where MUP beats SUP over two inputs", () => {
+    const { spec } = resolveSweep({ ...DEFAULT_SWEEP, steps: "5" });
+    const sweep = computeSweep([WORST, EXPECTED], EXPECTED, DEFAULT_CONSTANTS, 50, spec);
+    assert.equal(sweep.grid.length, 5);
+    // Full return over a short distance wins, a lossy long haul does not
+    assert.equal(sweep.grid[0][4].wins, true);
+    assert.equal(sweep.grid[4][0].wins, false);
+    for (const c of sweep.grid.flat()) assert.equal(c.wins, c.savings_g >= 0);
+    assert.deepEqual(
+      sweep.points.map((p) => [p.x, p.y]),
+      [
+        [WORST.p_ret, Number(WORST.KM_ONE_WAY)],
+        [EXPECTED.p_ret, Number(EXPECTED.KM_ONE_WAY)],
+      ]
+    );
+    assert.ok(winShare(sweep) > 0 && winShare(sweep) < 1);
+  });
+
+  it("exports a row per grid point", () => {
+    const { spec } = resolveSweep({ ...DEFAULT_SWEEP, steps: "3" });
+    const sweep = computeSweep([WORST, EXPECTED], EXPECTED, DEFAULT_CONSTANTS, 50, spec);
+    const rows = sweepRows(sweep, [WORST, EXPECTED]);
+    assert.equal(rows.length, 9);
+    assert.equal(rows[0].scenario, EXPECTED.name);
+    const csv = buildSweepCsv(sweep, [WORST, EXPECTED]).split("\n");
+    assert.equal(csv[0], "scenario,p_ret,KM_ONE_WAY,breakEven,MUP_g,SUP_g,savings_g,MUP_wins");
+    assert.equal(csv.length, 11); // header, 9 rows, trailing newline
+  });
+});
@@ -0,0 +1,18 @@
+/* ========= Analyses the dashboard runs off the main thread (compute.worker.js, useWorkerTask) ========= */
+import { simulateFleet } from "./fleet.js";
+import { computeHeatmap, computeSensitivity } from "./sensitivity.js";
+import { computeSweep } from "./sweep.js";
+
+// Pure functions of structured-cloneable arguments, called by name
+export const TASKS = {
+  sweep: computeSweep,
+  sensitivity: computeSensitivity,
+  heatmap: computeHeatmap,
+  fleet: simulateFleet,
+};
+
+export function runTask(task, args) {
+  const fn = TASKS[task];
+  if (!fn) throw new Error(`Unknown task ${task}`);
+  return fn(...args);
+}
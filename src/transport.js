@@ -0,0 +1,99 @@
+/* ========= Multi-leg transport: vehicle presets, leg list operations & validation ========= */
+import { validateValue } from "./constants.js";
+
+// Emission factors per capsule and 100 km at full load [kg CO₂e]; the truck matches T_FACTOR_PER_100KM
+export const TRANSPORT_MODES = {
+  van: { label: "Van", EF: 0.0009 },
+  truck: { label: "Truck", EF: 0.00037 },
+  rail: { label: "Rail", EF: 0.0001 },
+  bike: { label: "E-cargo bike", EF: 0.00003 },
+};
+
+export const LEG_DIRECTIONS = {
+  fw: "Forward (E_fw)",
+  rev: "Reverse (E_rev)",
+};
+
+// String fields for text inputs, numbers for load / backhaul shares (0–1), like scenarios
+export const LEG_FIELDS = [
+  { key: "distance", label: "Distance", unit: "km", kind: "number", min: 0 },
+  { key: "EF", label: "Emission factor", unit: "kg CO₂e/capsule·100 km", kind: "number", min: 0 },
+  { key: "load", label: "Load utilisation", unit: "0–1", kind: "prob", min: 0, max: 1, exclusiveMin: true },
+  { key: "backhaul", label: "Backhaul share", unit: "0–1", kind: "prob", min: 0, max: 1 },
+];
+
+function nextLegId(legs) {
+  const max = legs.reduce((m, l) => Math.max(m, parseInt(String(l.id).slice(1), 10) || 0), 0);
+  return `l${max + 1}`;
+}
+
+export function createLeg(legs, patch = {}) {
+  return {
+    id: nextLegId(legs),
+    name: `Leg ${legs.length + 1}`,
+    direction: "rev",
+    mode: "truck",
+    distance: "50",
+    EF: String(TRANSPORT_MODES.truck.EF),
+    load: 1,
+    backhaul: 0,
+    ...patch,
+  };
+}
+
+/** Two truck legs that reproduce the single-distance model (KM_ONE_WAY each way at T_FACTOR_PER_100KM). */
+export function legsFromSimple(KM_ONE_WAY, T_FACTOR_PER_100KM) {
+  const common = { mode: "truck", distance: String(KM_ONE_WAY), EF: String(T_FACTOR_PER_100KM), load: 1, backhaul: 0 };
+  const fw = createLeg([], { ...common, name: "Filler → store", direction: "fw" });
+  return [fw, createLeg([fw], { ...common, name: "Store → filler", direction: "rev" })];
+}
+
+export function addLeg(legs) {
+  return [...legs, createLeg(legs)];
+}
+
+export function updateLeg(legs, id, patch) {
+  return legs.map((l) => (l.id === id ? { ...l, ...patch } : l));
+}
+
+export function removeLeg(legs, id) {
+  return legs.filter((l) => l.id !== id);
+}
+
+/** Picking a vehicle type resets the emission factor to its preset. */
+export function setLegMode(legs, id, mode) {
+  const preset = TRANSPORT_MODES[mode];
+  return preset ? updateLeg(legs, id, { mode, EF: String(preset.EF) }) : legs;
+}
+
+/** Field errors of one leg ({} when valid). */
+export function validateLeg(leg) {
+  const errors = {};
+  for (const f of LEG_FIELDS) {
+    const { error } = validateValue(f, leg[f.key]);
+    if (error) errors[f.key] = error;
+  }
+  return errors;
+}
+
+/** Defensive copy of legs from links and imported files; unusable entries are dropped. */
+export function sanitizeLegs(raw) {
+  if (!Array.isArray(raw)) return undefined;
+  const legs = [];
+  for (const item of raw) {
+    if (!item || typeof item !== "object") continue;
+    const share = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+    const leg = {
+      id: typeof item.id === "string" && !legs.some((l) => l.id === item.id) ? item.id : nextLegId(legs),
+      name: typeof item.name === "string" ? item.name : `Leg ${legs.length + 1}`,
+      direction: LEG_DIRECTIONS[item.direction] ? item.direction : "rev",
+      mode: TRANSPORT_MODES[item.mode] ? item.mode : "truck",
+      distance: String(item.distance ?? ""),
+      EF: String(item.EF ?? TRANSPORT_MODES.truck.EF),
+      load: share(item.load, 1) || 1,
+      backhaul: share(item.backhaul, 0),
+    };
+    legs.push(leg);
+  }
+  return legs;
+}
@@ -0,0 +1,91 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { goalSeek } from "./breakeven.js";
+import { computeSeries, legBurden } from "./lca.js";
+import { addLeg, legsFromSimple, removeLeg, sanitizeLegs, setLegMode, validateLeg } from "./transport.js";
+
+const EXPECTED = { E_manu_mup: "0.0008", KM_ONE_WAY: "150", p_ret: 0.98, p_scr: 0.01, E_EoL_mup: "0.0000" };
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+describe("transport legs in the model", () => {
+  it("reproduces the single-distance model with two full truck legs", () => {
+    const simple = computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50);
+    const legs = legsFromSimple(EXPECTED.KM_ONE_WAY, DEFAULT_CONSTANTS.T_FACTOR_PER_100KM);
+    const withLegs = computeSeries({ ...EXPECTED, legs }, DEFAULT_CONSTANTS, 50);
+    close(withLegs.E_cycle_g, simple.E_cycle_g);
+    close(withLegs.lastCost_g, simple.lastCost_g);
+    assert.equal(withLegs.breakEven, simple.breakEven);
+  });
+
+  it("breaks E_fw / E_rev out per leg", () => {
+    const legs = [
+      { id: "l1", name: "Filler → store", direction: "fw", distance: "200", EF: "0.00037", load: 1, backhaul: 0 },
+      { id: "l2", name: "Store → hub", direction: "rev", distance: "10", EF: "0.0009", load: 0.5, backhaul: 0 },
+      { id: "l3", name: "Hub → washer", direction: "rev", distance: "100", EF: "0.00037", load: 1, backhaul: 0.75 },
+    ];
+    const r = computeSeries({ ...EXPECTED, legs }, DEFAULT_CONSTANTS, 1);
+    assert.deepEqual(
+      r.transport.map((l) => l.id),
+      ["l1", "l2", "l3"]
+    );
+    close(r.transport[0].E_g, 0.74);
+    close(r.transport[1].E_g, 0.18); // half-empty van doubles the burden
+    close(r.transport[2].E_g, 0.0925); // three quarters ride on backhaul
+    close(r.E_fw_g, 0.74);
+    close(r.E_rev_g, 0.18 + 0.0925);
+    close(r.E_cycle_g, 1 + 0.74 + 0.2725); // E_clean + transport, E_use = 0
+  });
+
+  it("guards against zero load utilisation", () => {
+    assert.ok(Number.isFinite(legBurden({ distance: 100, EF: 0.001, load: 0, backhaul: 0 })));
+  });
+
+  it("ignores KM_ONE_WAY once legs are used", () => {
+    const legs = legsFromSimple("150", DEFAULT_CONSTANTS.T_FACTOR_PER_100KM);
+    const a = computeSeries({ ...EXPECTED, legs, KM_ONE_WAY: "0" }, DEFAULT_CONSTANTS, 10);
+    const b = computeSeries({ ...EXPECTED, legs, KM_ONE_WAY: "900" }, DEFAULT_CONSTANTS, 10);
+    assert.deepEqual(a, b);
+    assert.equal(goalSeek({ ...EXPECTED, legs }, DEFAULT_CONSTANTS, 40).KM_ONE_WAY.status, "unused");
+  });
+
+  it("falls back to the single distance when every leg is removed", () => {
+    const r = computeSeries({ ...EXPECTED, legs: [] }, DEFAULT_CONSTANTS, 50);
+    assert.deepEqual(r, computeSeries(EXPECTED, DEFAULT_CONSTANTS, 50));
+  });
+});
+
+describe("leg list helpers", () => {
+  it("adds legs with unique ids and resets EF on vehicle change", () => {
+    let legs = addLeg(addLeg([]));
+    assert.deepEqual(
+      legs.map((l) => l.id),
+      ["l1", "l2"]
+    );
+    legs = setLegMode(legs, "l2", "rail");
+    assert.equal(legs[1].EF, "0.0001");
+    assert.deepEqual(
+      removeLeg(legs, "l1").map((l) => l.id),
+      ["l2"]
+    );
+  });
+
+  it("validates distances, factors and shares", () => {
+    assert.deepEqual(validateLeg(addLeg([])[0]), {});
+    const errors = validateLeg({ distance: "-1", EF: "x", load: 0, backhaul: 1.5 });
+    assert.deepEqual(Object.keys(errors).sort(), ["EF", "backhaul", "distance", "load"]);
+  });
+
+  it("sanitises untrusted legs", () => {
+    const legs = sanitizeLegs([null, { id: "a", direction: "up", mode: "plane", distance: 5, load: 7 }, { id: "a" }]);
+    assert.equal(legs.length, 2);
+    assert.equal(legs[0].direction, "rev");
+    assert.equal(legs[0].mode, "truck");
+    assert.equal(legs[0].distance, "5");
+    assert.equal(legs[0].load, 1);
+    assert.notEqual(legs[1].id, "a");
+    assert.equal(sanitizeLegs("nope"), undefined);
+  });
+});
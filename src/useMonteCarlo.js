@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { runMonteCarlo } from "./montecarlo.js";
+
+/**
+ * Runs Monte Carlo jobs in a Web Worker (falls back to the main thread where
+ * workers are unavailable). Starting a new run cancels the previous one.
+ */
+export function useMonteCarlo() {
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+  const [state, setState] = useState({ running: false, progress: 0, result: null, error: null });
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  useEffect(() => stopWorker, []);
+
+  const run = useCallback((job, key) => {
+    stopWorker();
+    const id = ++runIdRef.current;
+    setState((s) => ({ ...s, running: true, progress: 0, error: null }));
+
+    if (typeof Worker === "undefined") {
+      try {
+        const result = runMonteCarlo(job);
+        setState({ running: false, progress: 1, result: { ...result, key }, error: null });
+      } catch (err) {
+        setState((s) => ({ ...s, running: false, error: String(err?.message ?? err) }));
+      }
+      return;
+    }
+
+    const worker = new Worker(new URL("./montecarlo.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== runIdRef.current) return;
+      if (msg.type === "progress") {
+        setState((s) => ({ ...s, progress: msg.progress }));
+      } else if (msg.type === "done") {
+        stopWorker();
+        setState({ running: false, progress: 1, result: { ...msg.result, key }, error: null });
+      } else if (msg.type === "error") {
+        stopWorker();
+        setState((s) => ({ ...s, running: false, error: msg.message }));
+      }
+    };
+    worker.onerror = (e) => {
+      stopWorker();
+      setState((s) => ({ ...s, running: false, error: e.message || "Worker failed" }));
+    };
+    worker.postMessage({ id, job });
+  }, []);
+
+  const cancel = useCallback(() => {
+    stopWorker();
+    runIdRef.current++;
+    setState((s) => ({ ...s, running: false, progress: 0 }));
+  }, []);
+
+  return { ...state, run, cancel };
+}
@@ -0,0 +1,62 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { runTask } from "./tasks.js";
+
+const IDLE = { result: null, args: null, pending: false, error: null };
+
+/**
+ * Result of the analysis `task` (see TASKS) on `args`, computed in a Web Worker so that editing stays
+ * smooth; where workers are unavailable (pre-rendering) it runs inline. `args` must be memoised: a new
+ * array starts a run and drops the one in flight, null runs nothing. The last result stays on show
+ * until the next one arrives: { result, args (the ones behind `result`), pending, error }.
+ */
+export function useWorkerTask(task, args) {
+  const inline = typeof Worker === "undefined";
+  const direct = useMemo(
+    () => (inline && args ? { result: runTask(task, args), args, pending: false, error: null } : IDLE),
+    [inline, task, args]
+  );
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+  const [state, setState] = useState(IDLE);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  useEffect(() => stopWorker, []);
+
+  useEffect(() => {
+    if (inline || !args) return;
+    const id = ++runIdRef.current;
+    workerRef.current ??= new Worker(new URL("./compute.worker.js", import.meta.url), { type: "module" });
+    const worker = workerRef.current;
+    let done = false;
+    const finish = (next) => {
+      done = true;
+      setState(next);
+    };
+    setState((s) => ({ ...s, pending: true }));
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== id) return;
+      if (msg.type === "done") finish({ result: msg.result, args, pending: false, error: null });
+      else finish((s) => ({ ...s, pending: false, error: msg.message }));
+    };
+    worker.onerror = (e) => {
+      stopWorker();
+      finish((s) => ({ ...s, pending: false, error: e.message || "Worker failed" }));
+    };
+    worker.postMessage({ id, task, args });
+
+    // Outdated inputs: stop the run instead of waiting for it
+    return () => {
+      if (done) return;
+      stopWorker();
+      setState((s) => ({ ...s, pending: false }));
+    };
+  }, [inline, task, args]);
+
+  return inline ? direct : state;
+}
@@ -0,0 +1,58 @@
+/* ========= Input validation: scenario fields, transport legs & horizon ========= */
+import { validateValue } from "./constants.js";
+import { resolveEol } from "./eol.js";
+import { DEFAULT_SCENARIOS, SCENARIO_FIELDS } from "./scenarios.js";
+import { validateLeg } from "./transport.js";
+
+// Charts show a sample of the cycles (sampleCycles), so long horizons only cost the model passes (npm run bench)
+export const N_MAX_FIELD = { key: "N_max_top", label: "Max technical cycles N_max", min: 1, max: 100000, integer: true };
+
+/**
+ * Model inputs of a scenario with every field checked against SCENARIO_FIELDS: { values, errors }.
+ * Invalid fields fall back to `defaults` (the Expected Case) and are reported by key; a transport leg
+ * with errors is kept without distance, so it adds nothing until fixed (`errors.legs[id]`). The
+ * single distance is not checked while legs replace it. An EoL sub-model falls back field by field
+ * (`errors.eol`); it replaces the net EoL balance, which is then not checked either.
+ */
+export function resolveScenario(scenario, defaults = DEFAULT_SCENARIOS[1]) {
+  const values = { ...scenario };
+  const errors = {};
+  const usesLegs = Array.isArray(scenario.legs) && scenario.legs.length > 0;
+  for (const field of SCENARIO_FIELDS) {
+    if (field.key === "KM_ONE_WAY" && usesLegs) continue;
+    if (field.key === "E_EoL_mup" && scenario.eol) continue;
+    const { value, error } = validateValue(field, scenario[field.key]);
+    if (error) {
+      errors[field.key] = error;
+      values[field.key] = validateValue(field, defaults[field.key]).value ?? 0;
+    } else {
+      values[field.key] = value;
+    }
+  }
+  if (usesLegs) {
+    values.legs = scenario.legs.map((leg) => {
+      const legErrors = validateLeg(leg);
+      if (!Object.keys(legErrors).length) return leg;
+      (errors.legs ??= {})[leg.id] = legErrors;
+      return { ...leg, distance: 0 };
+    });
+  }
+  if (scenario.eol) {
+    const eol = resolveEol(scenario.eol);
+    values.eol = eol.values;
+    if (Object.keys(eol.errors).length) errors.eol = eol.errors;
+  }
+  return { values, errors };
+}
+
+/** First problem of a resolved scenario as one line ("p_ret: Must be ≤ 1"), null when valid. */
+export function describeErrors(errors) {
+  const { legs, eol, ...fields } = errors;
+  const [key, error] = Object.entries(fields)[0] ?? [];
+  if (key) return `${key}: ${error}`;
+  const [id, legErrors] = Object.entries(legs ?? {})[0] ?? [];
+  if (id) return `leg ${id} ${Object.keys(legErrors)[0]}: ${Object.values(legErrors)[0]}`;
+  const [eolKey, eolError] = Object.entries(eol ?? {})[0] ?? [];
+  if (eolKey) return `eol ${eolKey}: ${eolError}`;
+  return null;
+}
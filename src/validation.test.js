@@ -0,0 +1,55 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateValue } from "./constants.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { legsFromSimple } from "./transport.js";
+import { N_MAX_FIELD, describeErrors, resolveScenario } from "./validation.js";
+
+const expected = DEFAULT_SCENARIOS[1];
+
+describe("validateValue", () => {
+  it("checks numbers against the field's bounds", () => {
+    assert.deepEqual(validateValue(N_MAX_FIELD, "50"), { value: 50, error: null });
+    assert.equal(validateValue(N_MAX_FIELD, "0").error, "Must be ≥ 1");
+    assert.equal(validateValue(N_MAX_FIELD, "12.5").error, "Must be a whole number");
+    assert.equal(validateValue(N_MAX_FIELD, "500000").error, "Must be ≤ 100000");
+    assert.equal(validateValue(N_MAX_FIELD, NaN).error, "Not a number");
+    assert.equal(validateValue({ min: 0, exclusiveMin: true }, 0).error, "Must be > 0");
+  });
+});
+
+describe("resolveScenario", () => {
+  it("passes valid inputs through as numbers", () => {
+    const { values, errors } = resolveScenario(expected);
+    assert.deepEqual(errors, {});
+    assert.equal(values.E_manu_mup, 0.0008);
+    assert.equal(values.KM_ONE_WAY, 150);
+  });
+
+  it("reports garbage instead of reading it as a number", () => {
+    const { values, errors } = resolveScenario({ ...expected, E_manu_mup: "12abc", KM_ONE_WAY: "-5", p_ret: 1.2 });
+    assert.deepEqual(Object.keys(errors), ["E_manu_mup", "KM_ONE_WAY", "p_ret"]);
+    assert.equal(values.E_manu_mup, 0.0008);
+    assert.equal(values.KM_ONE_WAY, 150);
+    assert.equal(values.p_ret, 0.98);
+    assert.equal(describeErrors(errors), "E_manu_mup: Not a number");
+  });
+
+  it("uses the given defaults and allows EoL credits", () => {
+    const { values, errors } = resolveScenario({ ...expected, E_manu_mup: "", E_EoL_mup: "-0.002" }, { E_manu_mup: "0.01" });
+    assert.equal(values.E_manu_mup, 0.01);
+    assert.equal(values.E_EoL_mup, -0.002);
+    assert.deepEqual(Object.keys(errors), ["E_manu_mup"]);
+  });
+
+  it("ignores the single distance with legs and zeroes invalid legs", () => {
+    const legs = legsFromSimple("150", 0.00037);
+    legs[1].EF = "x";
+    const { values, errors } = resolveScenario({ ...expected, KM_ONE_WAY: "", legs });
+    assert.equal(errors.KM_ONE_WAY, undefined);
+    assert.deepEqual(errors.legs, { [legs[1].id]: { EF: "Not a number" } });
+    assert.equal(values.legs[0], legs[0]);
+    assert.equal(values.legs[1].distance, 0);
+    assert.match(describeErrors(errors), /^leg l2 EF: Not a number$/);
+  });
+});
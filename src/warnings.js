@@ -0,0 +1,28 @@
+/* ========= Plausibility warnings: valid inputs that still give suspicious results ========= */
+import { cycleSums, modelTerms } from "./lca.js";
+
+// Expected uses at N_max below this share of N_max: the pool is used up long before the horizon
+export const PLATEAU_SHARE = 0.25;
+
+/**
+ * Suspicious results of one (validated) scenario as [{ code, field?, values }]:
+ * - "eolCredit": the EoL credit exceeds the material burden of the capsule ({ credit, material } in the indicator unit)
+ * - "breakEvenAtOne": a single use already beats SUP
+ * - "negativeTotal": the footprint per cup drops below zero ({ N, value_g } of the first such cycle)
+ * - "plateau": U_eff levels off far below N_max ({ uses, q, N })
+ * `field` names the scenario input the warning is about, if any.
+ */
+export function scenarioWarnings(scenario, constants, result, N_max_top) {
+  const terms = modelTerms(scenario, constants);
+  const warnings = [];
+  const { E_mat_mup, E_EoL_mup } = terms.stages;
+  if (-E_EoL_mup > E_mat_mup) {
+    warnings.push({ code: "eolCredit", field: "E_EoL_mup", values: { credit: -E_EoL_mup, material: E_mat_mup } });
+  }
+  if (result.breakEven === 1) warnings.push({ code: "breakEvenAtOne", values: {} });
+  const negative = result.data.find((r) => r.MUP_g < 0);
+  if (negative) warnings.push({ code: "negativeTotal", values: { N: negative.cycle, value_g: negative.MUP_g } });
+  const { U } = cycleSums(terms, N_max_top);
+  if (U < PLATEAU_SHARE * N_max_top) warnings.push({ code: "plateau", values: { uses: U, q: result.q, N: N_max_top } });
+  return warnings;
+}
@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONSTANTS } from "./constants.js";
+import { DEFAULT_SCENARIOS } from "./scenarios.js";
+import { computeSeries } from "./lca.js";
+import { resolveScenario } from "./validation.js";
+import { scenarioWarnings } from "./warnings.js";
+
+const [WORST, EXPECTED] = DEFAULT_SCENARIOS.map((s) => resolveScenario(s).values);
+
+const codes = (scenario, N = 50, constants = DEFAULT_CONSTANTS) =>
+  scenarioWarnings(scenario, constants, computeSeries(scenario, constants, N), N).map((w) => w.code);
+
+describe("scenarioWarnings", () => {
+  it("stays quiet for the expected case", () => {
+    assert.deepEqual(codes(EXPECTED), []);
+  });
+
+  it("flags a pool that is used up long before N_max", () => {
+    const [w] = scenarioWarnings(WORST, DEFAULT_CONSTANTS, computeSeries(WORST, DEFAULT_CONSTANTS, 50), 50);
+    assert.equal(w.code, "plateau");
+    assert.ok(w.values.uses > 10 && w.values.uses < 11);
+    assert.deepEqual(codes(WORST, 20), []);
+  });
+
+  it("flags an EoL credit above the material burden, break-even at N = 1 and negative totals", () => {
+    const credit = { ...EXPECTED, E_EoL_mup: -0.1 };
+    assert.deepEqual(codes(credit), ["eolCredit", "breakEvenAtOne", "negativeTotal"]);
+    const [w] = scenarioWarnings(credit, DEFAULT_CONSTANTS, computeSeries(credit, DEFAULT_CONSTANTS, 50), 50);
+    assert.equal(w.field, "E_EoL_mup");
+    assert.ok(Math.abs(w.values.material - DEFAULT_CONSTANTS.m_Al_mup * DEFAULT_CONSTANTS.EF_Al_prim) < 1e-12);
+  });
+
+  it("flags break-even at N = 1 on its own", () => {
+    assert.deepEqual(codes(EXPECTED, 50, { ...DEFAULT_CONSTANTS, E_single_shot: 1 }), ["breakEvenAtOne"]);
+  });
+});
@@ -4,4 +4,10 @@ import tailwindcss from '@tailwindcss/vite'
 
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  build: {
+    rollupOptions: {
+      // The dashboard and the embeddable chart / scenario card (embed.html)
+      input: { main: 'index.html', embed: 'embed.html' },
+    },
+  },
 })